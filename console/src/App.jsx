@@ -8,13 +8,20 @@ import OverviewTab from "./components/OverviewTab"
 import ConnectorsTab from "./components/ConnectorsTab"
 import OnchainTab from "./components/OnchainTab"
 import HistoryTab from "./components/HistoryTab"
+import AuditTab from "./components/AuditTab"
 import SettingsTab from "./components/SettingsTab"
 import PublicStatusPage from "./components/PublicStatusPage"
 import ReportTab from "./components/ReportTab"
 import StatusPill from "./components/StatusPill"
 import OnboardingWizardModal from "./components/OnboardingWizardModal"
 import AlertsTab from "./components/AlertsTab"
+import AccessModal from "./components/AccessModal"
+import VersionsModal from "./components/VersionsModal"
+import PublishReviewModal from "./components/PublishReviewModal"
+import ApprovalsModal from "./components/ApprovalsModal"
 import useClientMonitor from "./hooks/useClientMonitor"
+import useStatusStream from "./hooks/useStatusStream"
+import { withApiKey } from "./apiKey"
 
 const POLL_MS = 8000
 const HISTORY_SWR_MS = 60000
@@ -26,11 +33,10 @@ const TABS = [
   { id: "policy", label: "Policy" },
   { id: "onchain", label: "Onchain" },
   { id: "report", label: "Report" },
+  { id: "history", label: "History" },
   { id: "audit", label: "Audit" },
 ]
 
-const ADMIN_KEY = String(import.meta.env?.VITE_RESERVEWATCH_ADMIN_KEY || "").trim()
-
 const STATUS_TIMEOUT_MS = 25000
 
 const fetchJson = async (url, init = {}) => {
@@ -44,18 +50,10 @@ const fetchJson = async (url, init = {}) => {
 
   try {
     const method = String(init.method || "GET").toUpperCase()
-    const headers = {
+    const headers = withApiKey({
       "content-type": "application/json",
       ...(init.headers || {}),
-    }
-
-    if ((method === "POST" || method === "PUT" || method === "DELETE") && ADMIN_KEY) {
-      const hasAuth = Object.keys(headers).some((key) => {
-        const k = String(key || "").toLowerCase()
-        return k === "x-admin-key" || k === "authorization"
-      })
-      if (!hasAuth) headers["x-admin-key"] = ADMIN_KEY
-    }
+    })
 
     let response
     try {
@@ -73,7 +71,14 @@ const fetchJson = async (url, init = {}) => {
 
     if (!response.ok) {
       const text = await response.text().catch(() => "")
-      throw new Error(`HTTP ${response.status}${text ? ` ${text}` : ""}`)
+      const error = new Error(`HTTP ${response.status}${text ? ` ${text}` : ""}`)
+      error.status = response.status
+      try {
+        error.body = text ? JSON.parse(text) : null
+      } catch {
+        error.body = null
+      }
+      throw error
     }
 
     return response.json()
@@ -82,6 +87,26 @@ const fetchJson = async (url, init = {}) => {
   }
 }
 
+const ifMatch = (revision) => (revision ? { "if-match": `"${revision}"` } : {})
+
+const writeConfigEntry = async (url, init, label) => {
+  try {
+    return await fetchJson(url, init)
+  } catch (err) {
+    if (err?.status !== 409 || !err?.body?.revision) throw err
+
+    const overwrite = window.confirm(
+      `${label} was changed by someone else after you loaded it.\n\nOK overwrites it with your version. Cancel discards your change and reloads the latest.`
+    )
+    if (!overwrite) {
+      const reload = new Error(`${label} changed on the server; reloaded the latest version`)
+      reload.reload = true
+      throw reload
+    }
+    return fetchJson(url, { ...init, headers: { ...(init.headers || {}), ...ifMatch(err.body.revision) } })
+  }
+}
+
 const fromUrlProject = () => {
   const u = new URL(window.location.href)
   return u.searchParams.get("project")
@@ -114,90 +139,6 @@ const DRAFT_PROJECTS_KEY = "reservewatch:draftProjects:v1"
 const DRAFT_CONNECTORS_KEY = "reservewatch:draftConnectors:v1"
 const DRAFT_POLICY_KEY = "reservewatch:draftPolicy:v1"
 
-const ALERT_ROUTING_KEY = "reservewatch:alertRouting:v1"
-const ALERT_RULES_KEY = "reservewatch:alertRules:v1"
-const ALERT_INCIDENTS_KEY = "reservewatch:alertIncidents:v1"
-
-const DEFAULT_ALERT_ROUTING = {
-  enableOutbound: false,
-  slackWebhookUrl: "",
-  discordWebhookUrl: "",
-}
-
-const DEFAULT_ALERT_RULES = {
-  coverageBreach: true,
-  sourceStale: true,
-  sourceMismatch: true,
-  rpcFailures: true,
-}
-
-const INCIDENT_COOLDOWN_MS = 30000
-const NOTIFY_COOLDOWN_MS = 5 * 60 * 1000
-const SNOOZE_MS = 15 * 60 * 1000
-
-const normalizeIncidentId = ({ projectId, reason }) => {
-  const pid = String(projectId || "").trim() || "unknown"
-  const r = String(reason || "").trim() || "unknown"
-  return `${pid}:${r}`
-}
-
-const reasonToSeverity = (reason) => {
-  if (reason === "coverage_below_threshold") return "critical"
-  return "warning"
-}
-
-const rulesAllowReason = (reason, rules) => {
-  const r = String(reason || "")
-  const cfg = rules || DEFAULT_ALERT_RULES
-  if (r === "coverage_below_threshold") return Boolean(cfg.coverageBreach)
-  if (r === "reserve_data_stale" || r === "reserve_signature_invalid") return Boolean(cfg.sourceStale)
-  if (r === "reserve_source_mismatch") return Boolean(cfg.sourceMismatch)
-  if (r === "onchain_unavailable") return Boolean(cfg.rpcFailures)
-  return false
-}
-
-const postWebhook = async ({ url, body }) => {
-  const cleanUrl = String(url || "").trim()
-  if (!cleanUrl) return
-  await fetch(cleanUrl, {
-    method: "POST",
-    mode: "no-cors",
-    headers: {
-      "content-type": "application/json",
-    },
-    body: JSON.stringify(body || {}),
-  })
-}
-
-const dispatchOutbound = async ({ routing, incident, statusValue }) => {
-  const cfg = routing || DEFAULT_ALERT_ROUTING
-  if (!cfg.enableOutbound) return
-
-  const pid = incident?.projectId || "--"
-  const reason = incident?.reason || "--"
-  const sev = incident?.severity || "warning"
-  const msg = `[ReserveWatch] ${pid} ${sev.toUpperCase()} ${reason} (status=${statusValue || "--"})`
-
-  const slack = String(cfg.slackWebhookUrl || "").trim()
-  const discord = String(cfg.discordWebhookUrl || "").trim()
-
-  try {
-    if (slack) {
-      await postWebhook({ url: slack, body: { text: msg } })
-    }
-  } catch {
-    return
-  }
-
-  try {
-    if (discord) {
-      await postWebhook({ url: discord, body: { content: msg } })
-    }
-  } catch {
-    return
-  }
-}
-
 const readDraftProjects = () => {
   try {
     const raw = window.localStorage.getItem(DRAFT_PROJECTS_KEY)
@@ -306,38 +247,12 @@ export default function App() {
   const [draftProjects, setDraftProjects] = useState([])
   const [draftConnectors, setDraftConnectors] = useState([])
   const [draftPolicies, setDraftPolicies] = useState([])
-  const [alertRouting, setAlertRouting] = useState(() => {
-    try {
-      const raw = window.localStorage.getItem(ALERT_ROUTING_KEY)
-      if (!raw) return DEFAULT_ALERT_ROUTING
-      const parsed = JSON.parse(raw)
-      return { ...DEFAULT_ALERT_ROUTING, ...(parsed || {}) }
-    } catch {
-      return DEFAULT_ALERT_ROUTING
-    }
-  })
-  const [alertRules, setAlertRules] = useState(() => {
-    try {
-      const raw = window.localStorage.getItem(ALERT_RULES_KEY)
-      if (!raw) return DEFAULT_ALERT_RULES
-      const parsed = JSON.parse(raw)
-      return { ...DEFAULT_ALERT_RULES, ...(parsed || {}) }
-    } catch {
-      return DEFAULT_ALERT_RULES
-    }
-  })
-  const [alertIncidents, setAlertIncidents] = useState(() => {
-    try {
-      const raw = window.localStorage.getItem(ALERT_INCIDENTS_KEY)
-      if (!raw) return []
-      const parsed = JSON.parse(raw)
-      return Array.isArray(parsed) ? parsed.filter(Boolean) : []
-    } catch {
-      return []
-    }
-  })
   const [projectsModalOpen, setProjectsModalOpen] = useState(false)
   const [wizardOpen, setWizardOpen] = useState(false)
+  const [accessModalOpen, setAccessModalOpen] = useState(false)
+  const [versionsModalOpen, setVersionsModalOpen] = useState(false)
+  const [approvalsModalOpen, setApprovalsModalOpen] = useState(false)
+  const [publishReview, setPublishReview] = useState(null)
   const [projectId, setProjectId] = useState(null)
   const [activeEnv, setActiveEnv] = useState("live")
   const [liveStatus, setLiveStatus] = useState(null)
@@ -364,6 +279,7 @@ export default function App() {
   const draftConnectorsRef = useRef(draftConnectors)
   const draftPoliciesRef = useRef(draftPolicies)
   const pendingProjectRenamesRef = useRef([])
+  const draftRevisionsRef = useRef({ projects: {}, connectors: {}, policies: {} })
   const statusCacheRef = useRef(new Map())
   const historyCacheRef = useRef(new Map())
   const historyFetchedAtRef = useRef(new Map())
@@ -434,6 +350,47 @@ export default function App() {
     pollMs: POLL_MS,
   })
 
+  const handleLiveStreamStatus = useCallback(
+    (next) => {
+      if (!projectId) return
+      setLiveStatus(next)
+      statusCacheRef.current.set(projectId, { data: next, fetchedAt: Date.now() })
+      setLiveLastUpdatedAt(Date.now())
+      setLiveError("")
+    },
+    [projectId]
+  )
+
+  const handleLiveStreamError = useCallback((message) => {
+    setLiveError(message)
+    setLiveLastUpdatedAt(Date.now())
+  }, [])
+
+  const { connected: liveStreamConnected } = useStatusStream({
+    enabled: !isPublicStatusPage && isLiveProject,
+    projectId,
+    onStatus: handleLiveStreamStatus,
+    onError: handleLiveStreamError,
+  })
+
+  const handlePublicStreamStatus = useCallback((next) => {
+    setPublicStatus(next)
+    setPublicLastUpdatedAt(Date.now())
+    setPublicError("")
+  }, [])
+
+  const handlePublicStreamError = useCallback((message) => {
+    setPublicError(message)
+    setPublicLastUpdatedAt(Date.now())
+  }, [])
+
+  const { connected: publicStreamConnected } = useStatusStream({
+    enabled: isPublicStatusPage,
+    projectId: statusPathProjectId,
+    onStatus: handlePublicStreamStatus,
+    onError: handlePublicStreamError,
+  })
+
   const status = isLiveProject ? liveStatus : clientStatus
   const error = isLiveProject ? liveError : clientError
   const lastUpdatedAt = isLiveProject ? liveLastUpdatedAt : clientLastUpdatedAt
@@ -455,6 +412,12 @@ export default function App() {
   }, [error, status, receiver])
 
   const reserveRows = useMemo(() => {
+    const sources = Array.isArray(status?.reserves?.sources) ? status.reserves.sources : []
+    if (sources.length) {
+      return sources
+        .filter((row) => typeof row?.timestamp === "number")
+        .map((row) => ({ ...row, age: Number.isFinite(derived?.now) ? derived.now - row.timestamp : null }))
+    }
     const rows = [status?.reserves?.primary, status?.reserves?.secondary].filter(Boolean)
     const ages = derived?.reserveAgesS || {}
     return rows.map((row, idx) => ({
@@ -509,6 +472,13 @@ export default function App() {
     const selectedHasLive = selected ? liveProjects.some((p) => p && p.id === selected) : false
     const nextEnv = urlDraft || (!selectedHasLive && selected) ? "draft" : "live"
 
+    const revisionsOf = (res) => (res.status === "fulfilled" && res.value?.revisions) || {}
+    draftRevisionsRef.current = {
+      projects: revisionsOf(draftProjectsRes),
+      connectors: revisionsOf(draftConnectorsRes),
+      policies: revisionsOf(draftPoliciesRes),
+    }
+
     projectsRef.current = liveProjects
     setProjects(liveProjects)
     setDraftProjects(drafts)
@@ -576,7 +546,7 @@ export default function App() {
         setHistoryMeta(null)
       }
 
-      const wantsHistory = activeTab === "audit" || activeTab === "report"
+      const wantsHistory = activeTab === "history" || activeTab === "report"
       const forceHistory = Boolean(options?.forceHistory)
       const lastHistoryFetch = historyFetchedAtRef.current.get(activeProjectId) || 0
       const shouldFetchHistory =
@@ -635,6 +605,20 @@ export default function App() {
     [projectId, activeTab, activeEnv]
   )
 
+  const loadHistoryPage = useCallback(
+    async (params) => {
+      const search = new URLSearchParams(params || {})
+      if (projectId) search.set("project", projectId)
+      return fetchJson(`/api/history?${search.toString()}`, { timeoutMs: STATUS_TIMEOUT_MS })
+    },
+    [projectId]
+  )
+
+  const loadAuditPage = useCallback(async (params) => {
+    const search = new URLSearchParams(params || {})
+    return fetchJson(`/api/audit?${search.toString()}`, { timeoutMs: STATUS_TIMEOUT_MS })
+  }, [])
+
   const withAction = useCallback(
     async (fn, overrideProjectId = null, loadOptions = null) => {
       if (busyRef.current) {
@@ -667,6 +651,19 @@ export default function App() {
     [loadData]
   )
 
+  const syncDraftConfig = useCallback(
+    (fn) =>
+      withAction(async () => {
+        try {
+          await fn(draftRevisionsRef.current)
+        } catch (err) {
+          if (!err?.reload) throw err
+        }
+        await loadProjects()
+      }),
+    [withAction, loadProjects]
+  )
+
   useEffect(() => {
     void (async () => {
       setBusy(true)
@@ -683,11 +680,15 @@ export default function App() {
   useEffect(() => {
     if (!isPublicStatusPage) return
     void loadPublicStatus()
+  }, [isPublicStatusPage, loadPublicStatus])
+
+  useEffect(() => {
+    if (!isPublicStatusPage || publicStreamConnected) return
     const t = setInterval(() => {
       void loadPublicStatus()
     }, POLL_MS)
     return () => clearInterval(t)
-  }, [isPublicStatusPage, loadPublicStatus])
+  }, [isPublicStatusPage, publicStreamConnected, loadPublicStatus])
 
   useEffect(() => {
     if (!projectId) return
@@ -700,7 +701,7 @@ export default function App() {
 
   useEffect(() => {
     if (!projectId || !isLiveProject) return
-    if (activeTab !== "audit" && activeTab !== "report") return
+    if (activeTab !== "history" && activeTab !== "report") return
     void withAction(async () => {}, projectId, { forceHistory: true })
   }, [activeTab, projectId, isLiveProject, withAction])
 
@@ -711,7 +712,7 @@ export default function App() {
       clearInterval(pollRef.current)
     }
 
-    if (!isLiveProject) {
+    if (!isLiveProject || liveStreamConnected) {
       pollRef.current = null
       return
     }
@@ -723,7 +724,7 @@ export default function App() {
     return () => {
       if (pollRef.current) clearInterval(pollRef.current)
     }
-  }, [projectId, isLiveProject, withAction])
+  }, [projectId, isLiveProject, liveStreamConnected, withAction])
 
   const sendMode = useCallback(async (mode) => {
     if (!isLiveProject) throw new Error("Mode control is not available for draft projects")
@@ -762,7 +763,7 @@ export default function App() {
         return arr.filter((p) => p && keep.has(p.projectId))
       })
 
-      void withAction(async () => {
+      void syncDraftConfig(async (revisions) => {
         const cleanId = (value) => String(value || "").trim()
         const prevArr = prevSnapshot
         const prevById = new Map(prevArr.map((p) => [cleanId(p?.id), p]).filter(([id]) => id))
@@ -779,11 +780,16 @@ export default function App() {
           const to = cleanId(r?.to)
           const payload = to ? nextById.get(to) : null
           if (!from || !to || !payload) continue
-          await fetchJson("/api/projects?draft=1", {
-            method: "PUT",
-            body: { ...payload, previousId: from },
-            timeoutMs: 12000,
-          })
+          await writeConfigEntry(
+            "/api/projects?draft=1",
+            {
+              method: "PUT",
+              headers: ifMatch(revisions.projects[from]),
+              body: { ...payload, previousId: from },
+              timeoutMs: 12000,
+            },
+            `Project ${from}`
+          )
           deletedIds.delete(from)
           addedIds.delete(to)
           prevById.delete(from)
@@ -794,7 +800,11 @@ export default function App() {
           if (!prevById.has(id)) continue
           const before = prevById.get(id)
           if (JSON.stringify(before) === JSON.stringify(payload)) continue
-          await fetchJson("/api/projects?draft=1", { method: "PUT", body: payload, timeoutMs: 12000 })
+          await writeConfigEntry(
+            "/api/projects?draft=1",
+            { method: "PUT", headers: ifMatch(revisions.projects[id]), body: payload, timeoutMs: 12000 },
+            `Project ${id}`
+          )
         }
 
         for (const id of addedIds) {
@@ -804,13 +814,15 @@ export default function App() {
         }
 
         for (const id of deletedIds) {
-          await fetchJson("/api/projects?draft=1", { method: "DELETE", body: { id }, timeoutMs: 12000 })
+          await writeConfigEntry(
+            "/api/projects?draft=1",
+            { method: "DELETE", headers: ifMatch(revisions.projects[id]), body: { id }, timeoutMs: 12000 },
+            `Project ${id}`
+          )
         }
-
-        await loadProjects()
       })
     },
-    [withAction, loadProjects]
+    [syncDraftConfig]
   )
 
   const saveDraftConnectors = useCallback(
@@ -827,7 +839,9 @@ export default function App() {
         return `${pid}:${id}`
       }
 
-      void withAction(async () => {
+      const revisionKey = (c) => `${String(c?.projectId || "").trim()}/${normalizeConnectorId(c?.id)}`
+
+      void syncDraftConfig(async (revisions) => {
         const prevArr = prevSnapshot
         const prevByKey = new Map(prevArr.map((c) => [toKey(c), c]).filter(([k]) => k))
         const nextByKey = new Map(nextArr.map((c) => [toKey(c), c]).filter(([k]) => k))
@@ -838,18 +852,27 @@ export default function App() {
         for (const k of deleted) {
           const c = prevByKey.get(k)
           if (!c) continue
-          await fetchJson("/api/connectors?draft=1", {
-            method: "DELETE",
-            body: { projectId: c.projectId, id: normalizeConnectorId(c.id) },
-            timeoutMs: 12000,
-          })
+          await writeConfigEntry(
+            "/api/connectors?draft=1",
+            {
+              method: "DELETE",
+              headers: ifMatch(revisions.connectors[revisionKey(c)]),
+              body: { projectId: c.projectId, id: normalizeConnectorId(c.id) },
+              timeoutMs: 12000,
+            },
+            `Connector ${c.id}`
+          )
         }
 
         for (const [k, payload] of nextByKey.entries()) {
           if (!prevByKey.has(k)) continue
           const before = prevByKey.get(k)
           if (JSON.stringify(before) === JSON.stringify(payload)) continue
-          await fetchJson("/api/connectors?draft=1", { method: "PUT", body: payload, timeoutMs: 12000 })
+          await writeConfigEntry(
+            "/api/connectors?draft=1",
+            { method: "PUT", headers: ifMatch(revisions.connectors[revisionKey(before)]), body: payload, timeoutMs: 12000 },
+            `Connector ${payload.id}`
+          )
         }
 
         for (const k of added) {
@@ -857,11 +880,9 @@ export default function App() {
           if (!payload) continue
           await fetchJson("/api/connectors?draft=1", { method: "POST", body: payload, timeoutMs: 12000 })
         }
-
-        await loadProjects()
       })
     },
-    [withAction, loadProjects]
+    [syncDraftConfig]
   )
 
   const saveDraftPolicies = useCallback(
@@ -872,7 +893,7 @@ export default function App() {
 
       const toKey = (p) => String(p?.projectId || "").trim()
 
-      void withAction(async () => {
+      void syncDraftConfig(async (revisions) => {
         const prevArr = prevSnapshot
         const prevByKey = new Map(prevArr.map((p) => [toKey(p), p]).filter(([k]) => k))
         const nextByKey = new Map(nextArr.map((p) => [toKey(p), p]).filter(([k]) => k))
@@ -881,14 +902,22 @@ export default function App() {
         const added = Array.from(nextByKey.keys()).filter((k) => !prevByKey.has(k))
 
         for (const k of deleted) {
-          await fetchJson("/api/policies?draft=1", { method: "DELETE", body: { projectId: k }, timeoutMs: 12000 })
+          await writeConfigEntry(
+            "/api/policies?draft=1",
+            { method: "DELETE", headers: ifMatch(revisions.policies[k]), body: { projectId: k }, timeoutMs: 12000 },
+            `Policy for ${k}`
+          )
         }
 
         for (const [k, payload] of nextByKey.entries()) {
           if (!prevByKey.has(k)) continue
           const before = prevByKey.get(k)
           if (JSON.stringify(before) === JSON.stringify(payload)) continue
-          await fetchJson("/api/policies?draft=1", { method: "PUT", body: payload, timeoutMs: 12000 })
+          await writeConfigEntry(
+            "/api/policies?draft=1",
+            { method: "PUT", headers: ifMatch(revisions.policies[k]), body: payload, timeoutMs: 12000 },
+            `Policy for ${k}`
+          )
         }
 
         for (const k of added) {
@@ -896,169 +925,47 @@ export default function App() {
           if (!payload) continue
           await fetchJson("/api/policies?draft=1", { method: "POST", body: payload, timeoutMs: 12000 })
         }
-
-        await loadProjects()
       })
     },
-    [withAction, loadProjects]
+    [syncDraftConfig]
   )
 
-  const saveAlertRouting = useCallback((next) => {
-    setAlertRouting(next)
-    try {
-      window.localStorage.setItem(ALERT_ROUTING_KEY, JSON.stringify(next))
-    } catch {
-      return
-    }
-  }, [])
-
-  const saveAlertRules = useCallback((next) => {
-    setAlertRules(next)
-    try {
-      window.localStorage.setItem(ALERT_RULES_KEY, JSON.stringify(next))
-    } catch {
-      return
-    }
-  }, [])
-
-  const writeAlertIncidents = useCallback((next) => {
-    try {
-      window.localStorage.setItem(ALERT_INCIDENTS_KEY, JSON.stringify(next))
-    } catch {
-      return
-    }
-  }, [])
-
-  const updateIncident = useCallback(
-    (id, updater) => {
-      setAlertIncidents((prev) => {
-        const arr = Array.isArray(prev) ? prev : []
-        const next = arr.map((inc) => {
-          if (!inc || inc.id !== id) return inc
-          return updater(inc)
-        })
-        writeAlertIncidents(next)
-        return next
-      })
-    },
-    [writeAlertIncidents]
-  )
-
-  const acknowledgeIncident = useCallback(
-    (id) => updateIncident(id, (inc) => ({ ...inc, state: "ack", updatedAt: Date.now() })),
-    [updateIncident]
-  )
-
-  const snoozeIncident = useCallback(
-    (id) =>
-      updateIncident(id, (inc) => ({ ...inc, state: "snoozed", snoozedUntil: Date.now() + SNOOZE_MS, updatedAt: Date.now() })),
-    [updateIncident]
-  )
-
-  const resolveIncident = useCallback(
-    (id) => updateIncident(id, (inc) => ({ ...inc, state: "resolved", updatedAt: Date.now() })),
-    [updateIncident]
-  )
-
-  const reopenIncident = useCallback(
-    (id) => updateIncident(id, (inc) => ({ ...inc, state: "open", snoozedUntil: null, updatedAt: Date.now() })),
-    [updateIncident]
-  )
-
-  const clearResolvedIncidents = useCallback(() => {
-    setAlertIncidents((prev) => {
-      const arr = Array.isArray(prev) ? prev : []
-      const next = arr.filter((inc) => inc && inc.state !== "resolved")
-      writeAlertIncidents(next)
-      return next
-    })
-  }, [writeAlertIncidents])
-
   const publishDrafts = useCallback(
-    async (targetProjectId = null) => {
+    async (targetProjectId = null, { message = "", allProjects = false } = {}) => {
       const pid = targetProjectId || projectId
       if (!pid) return
-      return withAction(async () => {
-        await fetchJson("/api/publish", { method: "POST", timeoutMs: 12000 })
+      let result = null
+      await withAction(async () => {
+        const url = allProjects ? "/api/publish" : `/api/publish?project=${encodeURIComponent(pid)}`
+        result = await fetchJson(url, { method: "POST", body: { message }, timeoutMs: 12000 })
+        if (result?.pending) return
         await loadProjects()
         setActiveEnv("live")
         setProjectId(pid)
         writeUrlProject(pid, { draft: false })
       }, pid, { env: "live" })
+      return result
     },
     [withAction, loadProjects, projectId]
   )
 
-  useEffect(() => {
-    if (!projectId) return
-    if (!status) return
-
-    const now = Date.now()
-    const firing = new Set(reasons.filter((r) => rulesAllowReason(r, alertRules)))
-    const outbound = []
-
-    setAlertIncidents((prev) => {
-      const arr = Array.isArray(prev) ? prev.filter(Boolean) : []
-      const byId = new Map(arr.map((inc) => [inc.id, inc]))
-
-      for (const reason of firing) {
-        const id = normalizeIncidentId({ projectId, reason })
-        const existing = byId.get(id)
-        const existingState = existing?.state || "open"
-        const snoozedUntil = existing?.snoozedUntil ? Number(existing.snoozedUntil) : null
-        const isSnoozed = existingState === "snoozed" && Number.isFinite(snoozedUntil) && snoozedUntil > now
-
-        if (isSnoozed) {
-          byId.set(id, { ...existing, active: true })
-          continue
-        }
+  const publishReviewRef = useRef(null)
 
-        const lastFiredAt = existing?.lastFiredAt ? Number(existing.lastFiredAt) : 0
-        const shouldCount = !Number.isFinite(lastFiredAt) || now - lastFiredAt > INCIDENT_COOLDOWN_MS
-
-        const lastNotifiedAt = existing?.lastNotifiedAt ? Number(existing.lastNotifiedAt) : 0
-        const shouldNotify =
-          Boolean(alertRouting?.enableOutbound) &&
-          (!Number.isFinite(lastNotifiedAt) || now - lastNotifiedAt > NOTIFY_COOLDOWN_MS)
-
-        const severity = reasonToSeverity(reason)
-        const nextState = existingState === "resolved" ? "open" : existingState
-
-        const next = {
-          id,
-          projectId,
-          reason,
-          severity,
-          state: nextState,
-          count: shouldCount ? Number(existing?.count || 0) + 1 : Number(existing?.count || 0),
-          createdAt: existing?.createdAt || now,
-          updatedAt: shouldCount ? now : existing?.updatedAt || now,
-          lastFiredAt: shouldCount ? now : existing?.lastFiredAt || now,
-          snoozedUntil: nextState === "snoozed" ? snoozedUntil : null,
-          active: true,
-          lastNotifiedAt: shouldNotify ? now : existing?.lastNotifiedAt || null,
-        }
-
-        byId.set(id, next)
-        if (shouldNotify) outbound.push(next)
-      }
-
-      const nextList = Array.from(byId.values()).map((inc) => {
-        if (!inc) return inc
-        if (inc.projectId !== projectId) return { ...inc, active: Boolean(inc.active) }
-        return { ...inc, active: firing.has(inc.reason) }
-      })
-
-      writeAlertIncidents(nextList)
-      return nextList
-    })
+  const reviewPublish = useCallback(
+    (targetProjectId = null) =>
+      new Promise((resolve) => {
+        publishReviewRef.current?.(false)
+        publishReviewRef.current = resolve
+        setPublishReview({ projectId: targetProjectId || projectId })
+      }),
+    [projectId]
+  )
 
-    if (outbound.length) {
-      outbound.forEach((inc) => {
-        void dispatchOutbound({ routing: alertRouting, incident: inc, statusValue })
-      })
-    }
-  }, [alertRouting, alertRules, projectId, reasons, status, statusValue, writeAlertIncidents])
+  const settlePublishReview = useCallback((published) => {
+    publishReviewRef.current?.(published)
+    publishReviewRef.current = null
+    setPublishReview(null)
+  }, [])
 
   const renameDraftProjectId = useCallback((oldId, newId) => {
     const from = String(oldId || "").trim()
@@ -1167,9 +1074,18 @@ export default function App() {
           <button className="btn btn-ghost" disabled={busy} onClick={() => setProjectsModalOpen(true)}>
             Projects
           </button>
-          <button className="btn btn-ghost" disabled={effectiveBusy} onClick={() => void publishDrafts()}>
+          <button className="btn btn-ghost" disabled={effectiveBusy} onClick={() => void reviewPublish()}>
             Publish Drafts
           </button>
+          <button className="btn btn-ghost" disabled={busy} onClick={() => setVersionsModalOpen(true)}>
+            Versions
+          </button>
+          <button className="btn btn-ghost" disabled={busy} onClick={() => setApprovalsModalOpen(true)}>
+            Approvals
+          </button>
+          <button className="btn btn-ghost" onClick={() => setAccessModalOpen(true)}>
+            Access
+          </button>
           <select
             className="project-select"
             value={activeEnv}
@@ -1232,7 +1148,7 @@ export default function App() {
               void withAction(
                 async () => {},
                 projectId,
-                activeTab === "audit" || activeTab === "report" ? { forceHistory: true } : null
+                activeTab === "history" || activeTab === "report" ? { forceHistory: true } : null
               )
             }}
           >
@@ -1338,6 +1254,8 @@ export default function App() {
                   isLiveProject={isLiveProject}
                   draftConnectors={draftConnectors}
                   onSaveDraftConnectors={saveDraftConnectors}
+                  request={fetchJson}
+                  onTested={loadProjects}
                   reserveRows={reserveRows}
                   incident={incident}
                   incidentMessage={incidentMessage}
@@ -1373,16 +1291,7 @@ export default function App() {
                   projectId={projectId}
                   isLiveProject={isLiveProject}
                   serverIncident={incident}
-                  routing={alertRouting}
-                  onSaveRouting={saveAlertRouting}
-                  rules={alertRules}
-                  onSaveRules={saveAlertRules}
-                  incidents={alertIncidents}
-                  onAcknowledge={acknowledgeIncident}
-                  onSnooze={snoozeIncident}
-                  onResolve={resolveIncident}
-                  onReopen={reopenIncident}
-                  onClearResolved={clearResolvedIncidents}
+                  request={fetchJson}
                   busy={effectiveBusy}
                 />
               )}
@@ -1445,22 +1354,33 @@ export default function App() {
             </section>
 
             <section
-              id="panel-audit"
+              id="panel-history"
               role="tabpanel"
-              aria-labelledby="tab-audit"
-              hidden={activeTab !== "audit"}
+              aria-labelledby="tab-history"
+              hidden={activeTab !== "history"}
               tabIndex={-1}
             >
-              {activeTab === "audit" && (
+              {activeTab === "history" && (
                 <HistoryTab
                   projectId={projectId}
                   isLiveProject={isLiveProject}
                   history={history}
                   historyMeta={historyMeta}
                   busy={effectiveBusy}
+                  onLoadPage={loadHistoryPage}
                 />
               )}
             </section>
+
+            <section
+              id="panel-audit"
+              role="tabpanel"
+              aria-labelledby="tab-audit"
+              hidden={activeTab !== "audit"}
+              tabIndex={-1}
+            >
+              {activeTab === "audit" && <AuditTab projectId={projectId} onLoadPage={loadAuditPage} />}
+            </section>
           </main>
         </>
       )}
@@ -1480,6 +1400,36 @@ export default function App() {
         onSelectProjectId={(id) => setProjectId(id || null)}
       />
 
+      <AccessModal
+        open={accessModalOpen}
+        onClose={() => setAccessModalOpen(false)}
+        request={fetchJson}
+        onAccessChange={() => {
+          void loadProjects()
+          if (projectId && isLiveProject) void withAction(async () => {}, projectId)
+        }}
+      />
+
+      <ApprovalsModal
+        open={approvalsModalOpen}
+        onClose={() => setApprovalsModalOpen(false)}
+        request={fetchJson}
+        onApproved={async () => {
+          await loadProjects()
+          if (projectId && isLiveProject) void withAction(async () => {}, projectId)
+        }}
+      />
+
+      <VersionsModal
+        open={versionsModalOpen}
+        onClose={() => setVersionsModalOpen(false)}
+        request={fetchJson}
+        onRolledBack={async () => {
+          await loadProjects()
+          if (projectId && isLiveProject) void withAction(async () => {}, projectId)
+        }}
+      />
+
       <OnboardingWizardModal
         open={wizardOpen}
         onClose={() => setWizardOpen(false)}
@@ -1491,7 +1441,19 @@ export default function App() {
         onSaveDraftConnectors={saveDraftConnectors}
         onSaveDraftPolicies={saveDraftPolicies}
         onSelectProjectId={(id) => setProjectId(id || null)}
-        onPublishDrafts={publishDrafts}
+        onPublishDrafts={reviewPublish}
+      />
+
+      <PublishReviewModal
+        open={Boolean(publishReview)}
+        projectId={publishReview?.projectId || null}
+        request={fetchJson}
+        onCancel={() => settlePublishReview(false)}
+        onConfirm={async (message, { allProjects }) => {
+          const result = await publishDrafts(publishReview?.projectId, { message, allProjects })
+          if (!result?.pending) settlePublishReview(true)
+          return result
+        }}
       />
 
       <footer className="footer">
@@ -0,0 +1,30 @@
+const API_KEY_STORAGE_KEY = "reservewatch:apiKey:v1"
+
+export const readApiKey = () => {
+  try {
+    return String(window.localStorage.getItem(API_KEY_STORAGE_KEY) || "").trim()
+  } catch {
+    return ""
+  }
+}
+
+export const writeApiKey = (value) => {
+  try {
+    const key = String(value || "").trim()
+    if (key) window.localStorage.setItem(API_KEY_STORAGE_KEY, key)
+    else window.localStorage.removeItem(API_KEY_STORAGE_KEY)
+  } catch {
+    return
+  }
+}
+
+export const withApiKey = (headers = {}) => {
+  const key = readApiKey()
+  if (!key) return headers
+
+  const hasAuth = Object.keys(headers).some((name) => {
+    const k = String(name || "").toLowerCase()
+    return k === "x-api-key" || k === "x-admin-key" || k === "authorization"
+  })
+  return hasAuth ? headers : { ...headers, authorization: `Bearer ${key}` }
+}
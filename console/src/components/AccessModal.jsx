@@ -0,0 +1,465 @@
+import { useCallback, useEffect, useState } from "react"
+
+import { createWalletClient, custom } from "viem"
+import { createSiweMessage } from "viem/siwe"
+
+import { readApiKey, writeApiKey } from "../apiKey"
+
+const emptyKeyForm = {
+  name: "",
+  scope: "viewer",
+  projects: "",
+}
+
+const emptyWalletForm = {
+  address: "",
+  label: "",
+  scope: "operator",
+  projects: "",
+}
+
+const splitProjects = (value) =>
+  String(value || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean)
+
+const describeGrants = (grants) => {
+  const entries = Object.entries(grants || {})
+  if (!entries.length) return "--"
+  return entries.map(([projectId, scope]) => `${projectId === "*" ? "all projects" : projectId}: ${scope}`).join(", ")
+}
+
+const formatTime = (value) => {
+  if (!value) return "--"
+  const ms = Date.parse(value)
+  return Number.isFinite(ms) ? new Date(ms).toLocaleString() : "--"
+}
+
+export default function AccessModal({ open, onClose, request, onAccessChange }) {
+  const [apiKeyInput, setApiKeyInput] = useState("")
+  const [identity, setIdentity] = useState(null)
+  const [identityError, setIdentityError] = useState("")
+  const [keys, setKeys] = useState([])
+  const [wallets, setWallets] = useState([])
+  const [keyForm, setKeyForm] = useState(emptyKeyForm)
+  const [walletForm, setWalletForm] = useState(emptyWalletForm)
+  const [createdSecret, setCreatedSecret] = useState("")
+  const [error, setError] = useState("")
+  const [busy, setBusy] = useState(false)
+
+  const canManageKeys = !identity?.authEnabled || identity?.auth?.grants?.["*"] === "admin"
+
+  const refresh = useCallback(async () => {
+    setIdentityError("")
+    try {
+      const me = await request("/api/auth/me", { timeoutMs: 8000 })
+      setIdentity(me)
+      const admin = !me?.authEnabled || me?.auth?.grants?.["*"] === "admin"
+      if (admin) {
+        const [keysRes, walletsRes] = await Promise.all([
+          request("/api/keys", { timeoutMs: 8000 }),
+          request("/api/auth/wallets", { timeoutMs: 8000 }),
+        ])
+        setKeys(Array.isArray(keysRes?.keys) ? keysRes.keys : [])
+        setWallets(Array.isArray(walletsRes?.wallets) ? walletsRes.wallets : [])
+      } else {
+        setKeys([])
+        setWallets([])
+      }
+    } catch (err) {
+      const msg = String(err?.message || err)
+      setIdentity(null)
+      setKeys([])
+      setWallets([])
+      setIdentityError(msg.startsWith("HTTP 401") ? "Not signed in." : msg)
+    }
+  }, [request])
+
+  useEffect(() => {
+    if (!open) return
+    setApiKeyInput(readApiKey())
+    setCreatedSecret("")
+    setError("")
+    void refresh()
+  }, [open, refresh])
+
+  const saveApiKey = async (value) => {
+    writeApiKey(value)
+    setApiKeyInput(readApiKey())
+    await refresh()
+    onAccessChange?.()
+  }
+
+  const signInWithWallet = async () => {
+    setError("")
+    setBusy(true)
+    try {
+      if (typeof window === "undefined" || !window.ethereum) throw new Error("No browser wallet found")
+      const wallet = createWalletClient({ transport: custom(window.ethereum) })
+      const [address] = await wallet.requestAddresses()
+      const chainId = await wallet.getChainId()
+      const { nonce, domain } = await request("/api/auth/siwe/nonce", { timeoutMs: 8000 })
+      const message = createSiweMessage({
+        address,
+        chainId,
+        domain: domain || window.location.host,
+        nonce,
+        uri: window.location.origin,
+        version: "1",
+        statement: "Sign in to the ReserveWatch console",
+        issuedAt: new Date(),
+      })
+      const signature = await wallet.signMessage({ account: address, message })
+      await request("/api/auth/siwe/verify", { method: "POST", body: { message, signature }, timeoutMs: 12000 })
+      await refresh()
+      onAccessChange?.()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const signOut = async () => {
+    setError("")
+    setBusy(true)
+    try {
+      await request("/api/auth/logout", { method: "POST", timeoutMs: 8000 })
+      await refresh()
+      onAccessChange?.()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const createKey = async () => {
+    setError("")
+    setCreatedSecret("")
+    setBusy(true)
+    try {
+      const projects = splitProjects(keyForm.projects)
+      const res = await request("/api/keys", {
+        method: "POST",
+        body: { name: keyForm.name, scope: keyForm.scope, projects },
+        timeoutMs: 12000,
+      })
+      setCreatedSecret(String(res?.secret || ""))
+      setKeyForm(emptyKeyForm)
+      if (!identity?.authEnabled && res?.secret) {
+        writeApiKey(res.secret)
+        setApiKeyInput(readApiKey())
+        onAccessChange?.()
+      }
+      await refresh()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const revokeKey = async (id) => {
+    if (!window.confirm("Revoke this API key? Clients using it will lose access immediately.")) return
+    setError("")
+    setBusy(true)
+    try {
+      await request("/api/keys", { method: "DELETE", body: { id }, timeoutMs: 12000 })
+      await refresh()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const saveWallet = async () => {
+    setError("")
+    setBusy(true)
+    try {
+      const projects = splitProjects(walletForm.projects)
+      const roles = projects.length
+        ? Object.fromEntries(projects.map((p) => [p, walletForm.scope]))
+        : { "*": walletForm.scope }
+      await request("/api/auth/wallets", {
+        method: "PUT",
+        body: { address: walletForm.address, label: walletForm.label, roles },
+        timeoutMs: 12000,
+      })
+      setWalletForm(emptyWalletForm)
+      await refresh()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const removeWallet = async (address) => {
+    if (!window.confirm("Remove all roles for this wallet?")) return
+    setError("")
+    setBusy(true)
+    try {
+      await request("/api/auth/wallets", { method: "DELETE", body: { address }, timeoutMs: 12000 })
+      await refresh()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open) return null
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal">
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Access</h2>
+            <p className="modal-subtitle">Sign in with an operator wallet or an API key, and manage who can do what</p>
+          </div>
+          <button className="btn btn-ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="modal-split">
+            <div className="modal-pane">
+              <h3 className="pane-title">This browser</h3>
+              <div className="form">
+                <div className="form-actions">
+                  {identity?.auth?.kind === "session" ? (
+                    <button className="btn btn-ghost" disabled={busy} onClick={() => void signOut()}>
+                      Sign out
+                    </button>
+                  ) : (
+                    <button className="btn btn-primary" disabled={busy} onClick={() => void signInWithWallet()}>
+                      Sign in with Ethereum
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="form">
+                <div className="form-grid">
+                  <label className="field span-2">
+                    <span className="field-label">API key</span>
+                    <input
+                      className="text-input"
+                      type="password"
+                      autoComplete="off"
+                      value={apiKeyInput}
+                      onChange={(e) => setApiKeyInput(e.target.value)}
+                      placeholder="rwk_..."
+                    />
+                  </label>
+                </div>
+                {error && <div className="form-error">{error}</div>}
+                <div className="form-actions">
+                  <button className="btn btn-ghost" disabled={busy} onClick={() => void saveApiKey("")}>
+                    Clear
+                  </button>
+                  <button className="btn btn-primary" disabled={busy} onClick={() => void saveApiKey(apiKeyInput)}>
+                    Save key
+                  </button>
+                </div>
+              </div>
+
+              <div className="pane-footer">
+                <h3 className="pane-title">Signed in as</h3>
+                {identityError ? (
+                  <div className="form-error">{identityError}</div>
+                ) : !identity ? (
+                  <div className="empty-state">Checking access...</div>
+                ) : !identity.authEnabled ? (
+                  <div className="form-note">
+                    API keys are not enabled on this server. Create an admin key to turn on access control.
+                  </div>
+                ) : (
+                  <div className="list compact">
+                    <div className="list-row">
+                      <div className="list-main">
+                        <div className="list-title">
+                          {identity.auth?.name || "--"} · {identity.auth?.kind === "session" ? "wallet session" : "API key"}
+                        </div>
+                        <div className="list-sub">{describeGrants(identity.auth?.grants)}</div>
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="modal-pane">
+              <h3 className="pane-title">API keys</h3>
+              {!canManageKeys ? (
+                <div className="empty-state">Managing access requires an admin role for all projects.</div>
+              ) : (
+                <>
+                  <div className="form">
+                    <div className="form-grid">
+                      <label className="field">
+                        <span className="field-label">Name</span>
+                        <input
+                          className="text-input"
+                          value={keyForm.name}
+                          onChange={(e) => setKeyForm((s) => ({ ...s, name: e.target.value }))}
+                          placeholder="ops-oncall"
+                        />
+                      </label>
+
+                      <label className="field">
+                        <span className="field-label">Scope</span>
+                        <select
+                          className="text-input"
+                          value={keyForm.scope}
+                          onChange={(e) => setKeyForm((s) => ({ ...s, scope: e.target.value }))}
+                        >
+                          <option value="viewer">Viewer</option>
+                          <option value="operator">Operator (incident, mode, run)</option>
+                          <option value="admin">Admin (config, publish)</option>
+                        </select>
+                      </label>
+
+                      <label className="field span-2">
+                        <span className="field-label">Projects (comma separated, empty = all)</span>
+                        <input
+                          className="text-input"
+                          value={keyForm.projects}
+                          onChange={(e) => setKeyForm((s) => ({ ...s, projects: e.target.value }))}
+                        />
+                      </label>
+                    </div>
+                    {createdSecret && (
+                      <div className="form-note">
+                        Copy this key now, it will not be shown again:
+                        <div className="code-block">{createdSecret}</div>
+                      </div>
+                    )}
+                    <div className="form-actions">
+                      <button className="btn btn-primary" disabled={busy || !keyForm.name.trim()} onClick={() => void createKey()}>
+                        Create key
+                      </button>
+                    </div>
+                  </div>
+
+                  {keys.length === 0 ? (
+                    <div className="empty-state">No API keys yet.</div>
+                  ) : (
+                    <div className="list">
+                      {keys.map((k) => (
+                        <div key={k.id} className="list-row">
+                          <div className="list-main">
+                            <div className="list-title">
+                              {k.name} · {k.scope}
+                              {k.revokedAt ? " · revoked" : ""}
+                            </div>
+                            <div className="list-sub">
+                              {k.prefix}… · {k.projects?.length ? k.projects.join(", ") : "all projects"} · last used{" "}
+                              {formatTime(k.lastUsedAt)}
+                            </div>
+                          </div>
+                          {!k.revokedAt && (
+                            <div className="list-actions">
+                              <button className="btn btn-danger" disabled={busy} onClick={() => void revokeKey(k.id)}>
+                                Revoke
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="pane-footer">
+                    <h3 className="pane-title">Wallet roles</h3>
+                    <div className="form">
+                      <div className="form-grid">
+                        <label className="field span-2">
+                          <span className="field-label">Wallet address</span>
+                          <input
+                            className="text-input"
+                            value={walletForm.address}
+                            onChange={(e) => setWalletForm((s) => ({ ...s, address: e.target.value }))}
+                            placeholder="0x..."
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="field-label">Label</span>
+                          <input
+                            className="text-input"
+                            value={walletForm.label}
+                            onChange={(e) => setWalletForm((s) => ({ ...s, label: e.target.value }))}
+                            placeholder="Treasury guardian"
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="field-label">Role</span>
+                          <select
+                            className="text-input"
+                            value={walletForm.scope}
+                            onChange={(e) => setWalletForm((s) => ({ ...s, scope: e.target.value }))}
+                          >
+                            <option value="viewer">Viewer</option>
+                            <option value="operator">Operator</option>
+                            <option value="admin">Admin</option>
+                          </select>
+                        </label>
+
+                        <label className="field span-2">
+                          <span className="field-label">Projects (comma separated, empty = all)</span>
+                          <input
+                            className="text-input"
+                            value={walletForm.projects}
+                            onChange={(e) => setWalletForm((s) => ({ ...s, projects: e.target.value }))}
+                          />
+                        </label>
+                      </div>
+                      <div className="form-actions">
+                        <button
+                          className="btn btn-primary"
+                          disabled={busy || !walletForm.address.trim()}
+                          onClick={() => void saveWallet()}
+                        >
+                          Save wallet
+                        </button>
+                      </div>
+                    </div>
+
+                    {wallets.length === 0 ? (
+                      <div className="empty-state">No wallet roles yet.</div>
+                    ) : (
+                      <div className="list compact">
+                        {wallets.map((w) => (
+                          <div key={w.address} className="list-row">
+                            <div className="list-main">
+                              <div className="list-title">{w.label || w.address}</div>
+                              <div className="list-sub">
+                                {w.address} · {describeGrants(w.roles)}
+                              </div>
+                            </div>
+                            <div className="list-actions">
+                              <button className="btn btn-danger" disabled={busy} onClick={() => void removeWallet(w.address)}>
+                                Remove
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,4 +1,18 @@
-import { useMemo, useState } from "react"
+import { useCallback, useEffect, useRef, useState } from "react"
+
+const INCIDENT_REFRESH_MS = 15000
+const SNOOZE_MINUTES = 15
+
+const RULES = [
+  { key: "coverageBreach", label: "Coverage breach" },
+  { key: "sourceStale", label: "Source stale" },
+  { key: "sourceMismatch", label: "Source mismatch" },
+  { key: "rpcFailures", label: "RPC / read failures" },
+]
+
+const DEFAULT_RULES = { coverageBreach: true, sourceStale: true, sourceMismatch: true, rpcFailures: true }
+
+const EMPTY_ROUTING = { enableOutbound: false, slackWebhookUrl: "", discordWebhookUrl: "" }
 
 const asText = (value) => {
   if (value === null || value === undefined || value === "") return ""
@@ -22,81 +36,139 @@ const severityLabel = (severity) => {
   return "Info"
 }
 
-export default function AlertsTab({
-  projectId,
-  isLiveProject,
-  serverIncident,
-  routing,
-  onSaveRouting,
-  rules,
-  onSaveRules,
-  incidents,
-  onAcknowledge,
-  onSnooze,
-  onResolve,
-  onReopen,
-  onClearResolved,
-  busy,
-}) {
+const describeActor = (actor) => {
+  if (!actor) return "auto"
+  return actor.name || actor.id || actor.kind
+}
+
+const describeState = (inc) => {
+  if (inc.state === "snoozed" && inc.snoozedUntil) return `snoozed until ${formatTime(inc.snoozedUntil)}`
+  if (inc.state === "ack") return `ack by ${describeActor(inc.ackedBy)}`
+  if (inc.state === "resolved") return `resolved (${describeActor(inc.resolvedBy)})`
+  return inc.active ? "open" : "open (clear)"
+}
+
+export default function AlertsTab({ projectId, isLiveProject, serverIncident, request, busy }) {
+  const [config, setConfig] = useState(null)
+  const [routing, setRouting] = useState(EMPTY_ROUTING)
+  const [configError, setConfigError] = useState("")
+  const [saving, setSaving] = useState(false)
   const [testState, setTestState] = useState(null)
   const [testError, setTestError] = useState("")
 
-  const sortedIncidents = useMemo(() => {
-    const arr = Array.isArray(incidents) ? incidents.filter(Boolean) : []
-    return arr.slice().sort((a, b) => {
-      const at = Number(a?.updatedAt || a?.createdAt || 0)
-      const bt = Number(b?.updatedAt || b?.createdAt || 0)
-      return bt - at
-    })
-  }, [incidents])
+  const [scope, setScope] = useState("project")
+  const [stateFilter, setStateFilter] = useState("unresolved")
+  const [incidents, setIncidents] = useState([])
+  const [incidentsError, setIncidentsError] = useState("")
+  const [updatingId, setUpdatingId] = useState(null)
 
-  const effectiveRules = rules || {}
-  const effectiveRouting = routing || {}
+  const requestIdRef = useRef(0)
+
+  const applyConfig = useCallback((res) => {
+    setConfig(res || null)
+    setRouting({ ...EMPTY_ROUTING, ...(res?.routing || {}) })
+  }, [])
+
+  useEffect(() => {
+    let cancelled = false
+    setConfigError("")
+    request("/api/alerts", { timeoutMs: 8000 })
+      .then((res) => {
+        if (!cancelled) applyConfig(res)
+      })
+      .catch((err) => {
+        if (!cancelled) setConfigError(String(err?.message || err))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [request, applyConfig])
+
+  const loadIncidents = useCallback(async () => {
+    const requestId = ++requestIdRef.current
+    const params = new URLSearchParams({ state: stateFilter })
+    if (scope === "project" && projectId) params.set("project", projectId)
+    try {
+      const res = await request(`/api/incidents?${params.toString()}`, { timeoutMs: 8000 })
+      if (requestId !== requestIdRef.current) return
+      setIncidents(Array.isArray(res?.incidents) ? res.incidents : [])
+      setIncidentsError("")
+    } catch (err) {
+      if (requestId === requestIdRef.current) setIncidentsError(String(err?.message || err))
+    }
+  }, [request, scope, stateFilter, projectId])
+
+  useEffect(() => {
+    void loadIncidents()
+    const timer = setInterval(() => void loadIncidents(), INCIDENT_REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [loadIncidents])
+
+  const saveConfig = async (body) => {
+    setConfigError("")
+    setSaving(true)
+    try {
+      applyConfig(await request("/api/alerts", { method: "PUT", body, timeoutMs: 8000 }))
+    } catch (err) {
+      setConfigError(String(err?.message || err))
+    } finally {
+      setSaving(false)
+    }
+  }
 
   const sendTest = async () => {
     setTestError("")
     setTestState("sending")
-
-    const text = `ReserveWatch test alert${projectId ? ` for ${projectId}` : ""}`
-
     try {
-      if (effectiveRouting?.enableOutbound && effectiveRouting?.slackWebhookUrl) {
-        await fetch(effectiveRouting.slackWebhookUrl, {
-          method: "POST",
-          mode: "no-cors",
-          headers: {
-            "content-type": "application/json",
-          },
-          body: JSON.stringify({ text }),
-        })
-      }
-
-      if (effectiveRouting?.enableOutbound && effectiveRouting?.discordWebhookUrl) {
-        await fetch(effectiveRouting.discordWebhookUrl, {
-          method: "POST",
-          mode: "no-cors",
-          headers: {
-            "content-type": "application/json",
-          },
-          body: JSON.stringify({ content: text }),
-        })
-      }
-
-      setTestState("sent")
+      const res = await request("/api/alerts/test", { method: "POST", body: { projectId }, timeoutMs: 12000 })
+      const failed = (res?.results || []).filter((r) => r.error)
+      setTestState(failed.length ? "error" : "sent")
+      if (failed.length) setTestError(failed.map((r) => `${r.channel}: ${r.error}`).join("; "))
     } catch (err) {
       setTestState("error")
       setTestError(String(err?.message || err))
     }
   }
 
+  const updateIncident = async (id, action, body = {}) => {
+    setIncidentsError("")
+    setUpdatingId(id)
+    try {
+      await request(`/api/incidents/${encodeURIComponent(id)}/${action}`, { method: "POST", body, timeoutMs: 8000 })
+      await loadIncidents()
+    } catch (err) {
+      setIncidentsError(String(err?.message || err))
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const rules = config?.rules || DEFAULT_RULES
+  const redacted = Boolean(config?.routingRedacted)
+  const controlsDisabled = busy || saving || !config
+  const evaluation = config?.evaluation || null
+
   return (
     <div className="tab-content">
       <h2 className="tab-title">Alerts & Incidents</h2>
-      <p className="tab-subtitle">Local-first rules and an incident inbox derived from monitor reason codes</p>
+      <p className="tab-subtitle">
+        The server evaluates these rules against monitor reason codes for every live project
+        {evaluation?.intervalMs ? ` every ${Math.round(evaluation.intervalMs / 1000)}s` : ""}, whether or not a console is open
+      </p>
+
+      {configError && (
+        <div className="error-banner">
+          <strong>Alerts Error:</strong> {configError}
+        </div>
+      )}
 
       <div className="detail-section">
-        <h3 className="section-title">Routing (Local)</h3>
-        <p className="tab-subtitle">Saved in this browser. Outbound webhooks may be blocked by CORS depending on your provider.</p>
+        <h3 className="section-title">Routing</h3>
+        <p className="tab-subtitle">
+          {redacted
+            ? "Webhook URLs are only visible to admins."
+            : "Slack and Discord webhooks are called by the server when an incident opens, keeps firing unacknowledged, or clears."}
+        </p>
 
         <div className="card">
           <div className="form">
@@ -105,9 +177,9 @@ export default function AlertsTab({
                 <span className="field-label">Enable outbound webhooks</span>
                 <select
                   className="text-input"
-                  value={effectiveRouting.enableOutbound ? "yes" : "no"}
-                  onChange={(e) => onSaveRouting({ ...effectiveRouting, enableOutbound: e.target.value === "yes" })}
-                  disabled={busy}
+                  value={routing.enableOutbound ? "yes" : "no"}
+                  onChange={(e) => setRouting({ ...routing, enableOutbound: e.target.value === "yes" })}
+                  disabled={controlsDisabled || redacted}
                 >
                   <option value="no">No (inbox only)</option>
                   <option value="yes">Yes</option>
@@ -118,10 +190,10 @@ export default function AlertsTab({
                 <span className="field-label">Slack webhook URL</span>
                 <input
                   className="text-input"
-                  value={asText(effectiveRouting.slackWebhookUrl)}
-                  onChange={(e) => onSaveRouting({ ...effectiveRouting, slackWebhookUrl: e.target.value })}
+                  value={asText(routing.slackWebhookUrl)}
+                  onChange={(e) => setRouting({ ...routing, slackWebhookUrl: e.target.value })}
                   placeholder="https://hooks.slack.com/services/..."
-                  disabled={busy}
+                  disabled={controlsDisabled || redacted}
                 />
               </label>
 
@@ -129,95 +201,63 @@ export default function AlertsTab({
                 <span className="field-label">Discord webhook URL</span>
                 <input
                   className="text-input"
-                  value={asText(effectiveRouting.discordWebhookUrl)}
-                  onChange={(e) => onSaveRouting({ ...effectiveRouting, discordWebhookUrl: e.target.value })}
+                  value={asText(routing.discordWebhookUrl)}
+                  onChange={(e) => setRouting({ ...routing, discordWebhookUrl: e.target.value })}
                   placeholder="https://discord.com/api/webhooks/..."
-                  disabled={busy}
+                  disabled={controlsDisabled || redacted}
                 />
               </label>
             </div>
 
-            <div className="form-actions">
-              <button className="btn btn-ghost" disabled={busy} onClick={() => onSaveRouting({ enableOutbound: false, slackWebhookUrl: "", discordWebhookUrl: "" })}>
-                Clear
-              </button>
-              <button className="btn btn-primary" disabled={busy} onClick={() => void sendTest()}>
-                {testState === "sending" ? "Sending..." : "Send test"}
-              </button>
-            </div>
+            {!redacted && (
+              <div className="form-actions">
+                <button className="btn btn-ghost" disabled={controlsDisabled} onClick={() => setRouting(EMPTY_ROUTING)}>
+                  Clear
+                </button>
+                <button className="btn btn-ghost" disabled={controlsDisabled || testState === "sending"} onClick={() => void sendTest()}>
+                  {testState === "sending" ? "Sending..." : "Send test"}
+                </button>
+                <button className="btn btn-primary" disabled={controlsDisabled} onClick={() => void saveConfig({ routing })}>
+                  Save routing
+                </button>
+              </div>
+            )}
 
             {testError && <div className="form-error">{testError}</div>}
-            {testState === "sent" && <div className="empty-row">Test dispatched.</div>}
+            {testState === "sent" && <div className="empty-row">Test delivered.</div>}
           </div>
         </div>
       </div>
 
       <div className="detail-section">
-        <h3 className="section-title">Alert Rules (Local)</h3>
-        <p className="tab-subtitle">Rules map monitor reason codes to incidents. Incidents are deduped with a short cooldown.</p>
+        <h3 className="section-title">Alert Rules</h3>
+        <p className="tab-subtitle">
+          Rules map monitor reason codes to incidents. Repeats within{" "}
+          {evaluation?.cooldownMs ? `${Math.round(evaluation.cooldownMs / 1000)}s` : "the cooldown"} are folded into the same
+          count, and incidents resolve on their own once the reason clears.
+        </p>
 
         <div className="card">
           <div className="form">
             <div className="form-grid">
-              <label className="field span-2">
-                <span className="field-label">Coverage breach</span>
-                <select
-                  className="text-input"
-                  value={effectiveRules.coverageBreach ? "on" : "off"}
-                  onChange={(e) => onSaveRules({ ...effectiveRules, coverageBreach: e.target.value === "on" })}
-                  disabled={busy}
-                >
-                  <option value="on">On</option>
-                  <option value="off">Off</option>
-                </select>
-              </label>
-
-              <label className="field span-2">
-                <span className="field-label">Source stale</span>
-                <select
-                  className="text-input"
-                  value={effectiveRules.sourceStale ? "on" : "off"}
-                  onChange={(e) => onSaveRules({ ...effectiveRules, sourceStale: e.target.value === "on" })}
-                  disabled={busy}
-                >
-                  <option value="on">On</option>
-                  <option value="off">Off</option>
-                </select>
-              </label>
-
-              <label className="field span-2">
-                <span className="field-label">Source mismatch</span>
-                <select
-                  className="text-input"
-                  value={effectiveRules.sourceMismatch ? "on" : "off"}
-                  onChange={(e) => onSaveRules({ ...effectiveRules, sourceMismatch: e.target.value === "on" })}
-                  disabled={busy}
-                >
-                  <option value="on">On</option>
-                  <option value="off">Off</option>
-                </select>
-              </label>
-
-              <label className="field span-2">
-                <span className="field-label">RPC / read failures</span>
-                <select
-                  className="text-input"
-                  value={effectiveRules.rpcFailures ? "on" : "off"}
-                  onChange={(e) => onSaveRules({ ...effectiveRules, rpcFailures: e.target.value === "on" })}
-                  disabled={busy}
-                >
-                  <option value="on">On</option>
-                  <option value="off">Off</option>
-                </select>
-              </label>
+              {RULES.map((rule) => (
+                <label className="field span-2" key={rule.key}>
+                  <span className="field-label">{rule.label}</span>
+                  <select
+                    className="text-input"
+                    value={rules[rule.key] ? "on" : "off"}
+                    onChange={(e) => void saveConfig({ rules: { [rule.key]: e.target.value === "on" } })}
+                    disabled={controlsDisabled}
+                  >
+                    <option value="on">On</option>
+                    <option value="off">Off</option>
+                  </select>
+                </label>
+              ))}
             </div>
 
             <div className="form-actions">
-              <button
-                className="btn btn-ghost"
-                disabled={busy}
-                onClick={() => onSaveRules({ coverageBreach: true, sourceStale: true, sourceMismatch: true, rpcFailures: true })}
-              >
+              <button className="btn btn-ghost" disabled={controlsDisabled} onClick={() => void saveConfig({ rules: DEFAULT_RULES })}>
                 Reset defaults
               </button>
             </div>
@@ -249,16 +289,38 @@ export default function AlertsTab({
       </div>
 
       <div className="detail-section">
-        <h3 className="section-title">Incident Inbox (Local)</h3>
-        <p className="tab-subtitle">Auto-generated incidents from derived reason codes and your alert rules.</p>
+        <h3 className="section-title">Incident Inbox</h3>
+        <p className="tab-subtitle">Incidents opened by the server from derived reason codes and the alert rules above.</p>
 
         <div className="card">
-          <div className="form-actions">
-            <button className="btn btn-ghost" disabled={busy} onClick={onClearResolved}>
-              Clear resolved
-            </button>
+          <div className="form">
+            <div className="form-grid">
+              <label className="field">
+                <span className="field-label">Scope</span>
+                <select className="text-input" value={scope} onChange={(e) => setScope(e.target.value)}>
+                  <option value="project" disabled={!projectId}>
+                    {projectId ? `Project: ${projectId}` : "Project"}
+                  </option>
+                  <option value="all">All visible</option>
+                </select>
+              </label>
+
+              <label className="field">
+                <span className="field-label">State</span>
+                <select className="text-input" value={stateFilter} onChange={(e) => setStateFilter(e.target.value)}>
+                  <option value="unresolved">Unresolved</option>
+                  <option value="open">Open</option>
+                  <option value="ack">Acknowledged</option>
+                  <option value="snoozed">Snoozed</option>
+                  <option value="resolved">Resolved</option>
+                  <option value="all">All</option>
+                </select>
+              </label>
+            </div>
           </div>
 
+          {incidentsError && <div className="form-error">{incidentsError}</div>}
+
           <table className="data-table">
             <thead>
               <tr>
@@ -272,46 +334,47 @@ export default function AlertsTab({
               </tr>
             </thead>
             <tbody>
-              {sortedIncidents.length ? (
-                sortedIncidents.map((inc) => (
-                  <tr key={inc.id}>
-                    <td>{formatTime(inc.updatedAt || inc.createdAt)}</td>
-                    <td>{formatMaybe(inc.projectId)}</td>
-                    <td>{severityLabel(inc.severity)}</td>
-                    <td>{formatMaybe(inc.reason)}</td>
-                    <td>
-                      {inc.state === "snoozed" && inc.snoozedUntil ? `snoozed until ${formatTime(inc.snoozedUntil)}` : formatMaybe(inc.state)}
-                    </td>
-                    <td>{formatMaybe(inc.count)}</td>
-                    <td>
-                      <div className="incident-buttons">
-                        {inc.state !== "ack" && inc.state !== "resolved" && (
-                          <button className="btn btn-warn" disabled={busy} onClick={() => onAcknowledge(inc.id)}>
-                            Ack
-                          </button>
-                        )}
-                        {inc.state !== "snoozed" && inc.state !== "resolved" && (
-                          <button className="btn btn-ghost" disabled={busy} onClick={() => onSnooze(inc.id)}>
-                            Snooze
-                          </button>
-                        )}
-                        {inc.state !== "resolved" ? (
-                          <button className="btn btn-danger" disabled={busy} onClick={() => onResolve(inc.id)}>
-                            Resolve
-                          </button>
-                        ) : (
-                          <button className="btn btn-ghost" disabled={busy} onClick={() => onReopen(inc.id)}>
-                            Reopen
-                          </button>
+              {incidents.length ? (
+                incidents.map((inc) => {
+                  const disabled = busy || updatingId === inc.id
+                  return (
+                    <tr key={inc.id}>
+                      <td>{formatTime(inc.updatedAt || inc.createdAt)}</td>
+                      <td>{formatMaybe(inc.projectId)}</td>
+                      <td>{severityLabel(inc.severity)}</td>
+                      <td>{formatMaybe(inc.reason)}</td>
+                      <td>{describeState(inc)}</td>
+                      <td>{formatMaybe(inc.count)}</td>
+                      <td>
+                        {inc.state !== "resolved" && (
+                          <div className="incident-buttons">
+                            {inc.state !== "ack" && (
+                              <button className="btn btn-warn" disabled={disabled} onClick={() => void updateIncident(inc.id, "ack")}>
+                                Ack
+                              </button>
+                            )}
+                            {inc.state !== "snoozed" && (
+                              <button
+                                className="btn btn-ghost"
+                                disabled={disabled}
+                                onClick={() => void updateIncident(inc.id, "snooze", { minutes: SNOOZE_MINUTES })}
+                              >
+                                Snooze {SNOOZE_MINUTES}m
+                              </button>
+                            )}
+                            <button className="btn btn-danger" disabled={disabled} onClick={() => void updateIncident(inc.id, "resolve")}>
+                              Resolve
+                            </button>
+                          </div>
                         )}
-                      </div>
-                    </td>
-                  </tr>
-                ))
+                      </td>
+                    </tr>
+                  )
+                })
               ) : (
                 <tr>
                   <td colSpan={7} className="empty-row">
-                    No incidents yet.
+                    No incidents.
                   </td>
                 </tr>
               )}
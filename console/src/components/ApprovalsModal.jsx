@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useState } from "react"
+
+import ConfigDiff from "./ConfigDiff"
+
+const formatTime = (value) => {
+  const ms = Date.parse(value || "")
+  return Number.isFinite(ms) ? new Date(ms).toLocaleString() : "--"
+}
+
+const describeActor = (actor) => {
+  if (!actor) return "--"
+  return actor.name || actor.id || actor.kind
+}
+
+const describeRequest = (r) => {
+  const what = r.kind === "rollback" ? `rollback to v${r.rollbackOf}` : "publish"
+  return r.projectIds?.length ? `${what} · ${r.projectIds[0]}` : `${what} · all projects`
+}
+
+export default function ApprovalsModal({ open, onClose, request, onApproved }) {
+  const [status, setStatus] = useState("pending")
+  const [requests, setRequests] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [note, setNote] = useState("")
+  const [error, setError] = useState("")
+  const [busy, setBusy] = useState(false)
+
+  const refresh = useCallback(async () => {
+    setError("")
+    try {
+      const res = await request(`/api/publish/requests?status=${status}`, { timeoutMs: 8000 })
+      const list = Array.isArray(res?.requests) ? res.requests : []
+      setRequests(list)
+      setSelectedId((prev) => (prev && list.some((r) => r.id === prev) ? prev : list[0]?.id || null))
+    } catch (err) {
+      setRequests([])
+      setError(String(err?.message || err))
+    }
+  }, [request, status])
+
+  useEffect(() => {
+    if (!open) return
+    setNote("")
+    void refresh()
+  }, [open, refresh])
+
+  useEffect(() => {
+    setDetail(null)
+    if (!open || !selectedId) return
+
+    let cancelled = false
+    request(`/api/publish/requests/${encodeURIComponent(selectedId)}`, { timeoutMs: 8000 })
+      .then((res) => {
+        if (!cancelled) setDetail(res?.request || null)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(String(err?.message || err))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [open, selectedId, request])
+
+  const decide = async (decision) => {
+    if (!detail) return
+    if (decision === "approve" && !window.confirm("Approve and apply this change to live configuration?")) return
+    setError("")
+    setBusy(true)
+    try {
+      await request(`/api/publish/requests/${encodeURIComponent(detail.id)}/${decision}`, {
+        method: "POST",
+        body: { note },
+        timeoutMs: 12000,
+      })
+      setNote("")
+      await refresh()
+      if (decision === "approve") await onApproved?.()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open) return null
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal">
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Approvals</h2>
+            <p className="modal-subtitle">Publishes that loosen thresholds or touch gated projects need a second admin</p>
+          </div>
+          <button className="btn btn-ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="modal-split">
+            <div className="modal-pane">
+              <div className="form">
+                <div className="form-grid">
+                  <label className="field span-2">
+                    <span className="field-label">Show</span>
+                    <select className="text-input" value={status} onChange={(e) => setStatus(e.target.value)}>
+                      <option value="pending">Pending</option>
+                      <option value="approved">Approved</option>
+                      <option value="rejected">Rejected</option>
+                      <option value="all">All</option>
+                    </select>
+                  </label>
+                </div>
+              </div>
+
+              {requests.length === 0 ? (
+                <div className="empty-state">{status === "pending" ? "Nothing waiting for approval." : "No requests."}</div>
+              ) : (
+                <div className="list">
+                  {requests.map((r) => (
+                    <div
+                      key={r.id}
+                      className={r.id === selectedId ? "list-row active" : "list-row"}
+                      onClick={() => setSelectedId(r.id)}
+                    >
+                      <div className="list-main">
+                        <div className="list-title">
+                          {describeRequest(r)} · {r.status}
+                        </div>
+                        <div className="list-sub">
+                          {formatTime(r.createdAt)} · {describeActor(r.author)}
+                          {r.message ? ` · ${r.message}` : ""}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="modal-pane">
+              <h3 className="pane-title">Request</h3>
+              {error && <div className="form-error">{error}</div>}
+              {!detail ? (
+                <div className="empty-state">{selectedId ? "Loading request..." : "Select a request."}</div>
+              ) : (
+                <>
+                  <div className="form-note">
+                    {detail.reasons.map((reason) => (
+                      <div key={reason}>{reason}</div>
+                    ))}
+                  </div>
+                  {detail.status !== "pending" && (
+                    <div className="form-note">
+                      {detail.status} by {describeActor(detail.decidedBy)} at {formatTime(detail.decidedAt)}
+                      {detail.version ? ` as v${detail.version}` : ""}
+                      {detail.note ? ` · ${detail.note}` : ""}
+                    </div>
+                  )}
+                  <ConfigDiff diff={detail.diff} />
+                  {detail.status === "pending" && (
+                    <div className="form">
+                      <div className="form-grid">
+                        <label className="field span-2">
+                          <span className="field-label">Note</span>
+                          <input className="text-input" value={note} onChange={(e) => setNote(e.target.value)} />
+                        </label>
+                      </div>
+                      <div className="form-actions">
+                        <button className="btn btn-danger" disabled={busy} onClick={() => void decide("reject")}>
+                          Reject
+                        </button>
+                        <button className="btn btn-ok" disabled={busy} onClick={() => void decide("approve")}>
+                          Approve
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,262 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+
+const PAGE_SIZE = 50
+
+const formatTime = (iso) => {
+  const ms = Date.parse(iso || "")
+  return Number.isFinite(ms) ? new Date(ms).toLocaleString() : "--"
+}
+
+const formatValue = (value) => {
+  if (value === undefined) return "--"
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+const describeActor = (actor) => {
+  if (!actor) return "--"
+  if (actor.kind === "anonymous") return actor.ip ? `anonymous (${actor.ip})` : "anonymous"
+  return actor.name || actor.id || actor.kind
+}
+
+const describeTargets = (targets) => {
+  const parts = Object.entries(targets || {}).flatMap(([kind, ids]) =>
+    (Array.isArray(ids) ? ids : [ids]).filter(Boolean).map((id) => `${kind}:${id}`)
+  )
+  return parts.length ? parts.join(", ") : "--"
+}
+
+const downloadText = (filename, content, contentType = "application/json") => {
+  try {
+    const blob = new Blob([content], { type: contentType })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    setTimeout(() => URL.revokeObjectURL(url), 500)
+  } catch {
+    return
+  }
+}
+
+export default function AuditTab({ projectId, onLoadPage }) {
+  const [scope, setScope] = useState("project")
+  const [action, setAction] = useState("")
+  const [actor, setActor] = useState("")
+  const [page, setPage] = useState({ entries: [], hasMore: false, nextCursor: null })
+  const [expandedId, setExpandedId] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+
+  const requestIdRef = useRef(0)
+
+  const buildParams = useCallback(() => {
+    const params = { limit: String(PAGE_SIZE) }
+    if (scope === "project" && projectId) params.project = projectId
+    if (action.trim()) params.action = action.trim()
+    if (actor.trim()) params.actor = actor.trim()
+    return params
+  }, [scope, projectId, action, actor])
+
+  const load = useCallback(async () => {
+    const requestId = ++requestIdRef.current
+    setLoading(true)
+    setError("")
+    try {
+      const res = await onLoadPage(buildParams())
+      if (requestId !== requestIdRef.current) return
+      setPage({
+        entries: Array.isArray(res?.entries) ? res.entries : [],
+        hasMore: Boolean(res?.hasMore),
+        nextCursor: res?.nextCursor || null,
+      })
+    } catch (err) {
+      if (requestId === requestIdRef.current) setError(String(err?.message || err))
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false)
+    }
+  }, [onLoadPage, buildParams])
+
+  useEffect(() => {
+    void load()
+  }, [scope, projectId])
+
+  const loadMore = async () => {
+    if (!page.hasMore || !page.nextCursor) return
+    const requestId = requestIdRef.current
+    setLoading(true)
+    setError("")
+    try {
+      const res = await onLoadPage({ ...buildParams(), cursor: page.nextCursor })
+      if (requestId !== requestIdRef.current) return
+      setPage((prev) => ({
+        entries: [...prev.entries, ...(Array.isArray(res?.entries) ? res.entries : [])],
+        hasMore: Boolean(res?.hasMore),
+        nextCursor: res?.nextCursor || null,
+      }))
+    } catch (err) {
+      if (requestId === requestIdRef.current) setError(String(err?.message || err))
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false)
+    }
+  }
+
+  const exportJson = () => {
+    const payload = {
+      generatedAt: new Date().toISOString(),
+      filters: buildParams(),
+      complete: !page.hasMore,
+      entries: page.entries,
+    }
+    downloadText(`reservewatch-audit-${scope === "project" && projectId ? projectId : "all"}.json`, JSON.stringify(payload, null, 2))
+  }
+
+  return (
+    <div className="tab-content">
+      <h2 className="tab-title">Audit</h2>
+      <p className="tab-subtitle">Configuration changes and admin actions, newest first</p>
+
+      <div className="detail-section">
+        <form
+          className="form"
+          onSubmit={(e) => {
+            e.preventDefault()
+            void load()
+          }}
+        >
+          <div className="form-grid">
+            <label className="field">
+              <span className="field-label">Scope</span>
+              <select className="text-input" value={scope} onChange={(e) => setScope(e.target.value)}>
+                <option value="project" disabled={!projectId}>
+                  {projectId ? `Project: ${projectId}` : "Project"}
+                </option>
+                <option value="all">All visible</option>
+              </select>
+            </label>
+
+            <label className="field">
+              <span className="field-label">Action</span>
+              <input
+                className="text-input"
+                value={action}
+                onChange={(e) => setAction(e.target.value)}
+                placeholder="policies, keys.create, admin"
+              />
+            </label>
+
+            <label className="field">
+              <span className="field-label">Actor</span>
+              <input
+                className="text-input"
+                value={actor}
+                onChange={(e) => setActor(e.target.value)}
+                placeholder="key id, name or wallet"
+              />
+            </label>
+
+            <label className="field">
+              <span className="field-label">Entries</span>
+              <input className="text-input" value={`${page.entries.length}${page.hasMore ? "+" : ""}`} readOnly />
+            </label>
+          </div>
+          <div className="form-actions">
+            <button className="btn btn-ghost" type="submit" disabled={loading}>
+              Apply
+            </button>
+            <button className="btn btn-ghost" type="button" disabled={loading || !page.hasMore} onClick={loadMore}>
+              Load more
+            </button>
+            <button className="btn btn-primary" type="button" disabled={loading} onClick={exportJson}>
+              Export JSON
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Actor</th>
+              <th>Action</th>
+              <th>Targets</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {page.entries.length ? (
+              page.entries.flatMap((entry) => {
+                const changes = Array.isArray(entry.changes) ? entry.changes : []
+                const expanded = expandedId === entry.id
+                const rows = [
+                  <tr key={entry.id}>
+                    <td>{formatTime(entry.at)}</td>
+                    <td title={entry.actor?.id || ""}>{describeActor(entry.actor)}</td>
+                    <td>
+                      <code>{entry.action}</code>
+                    </td>
+                    <td>{describeTargets(entry.targets)}</td>
+                    <td>
+                      {changes.length ? (
+                        <button className="btn btn-ghost" onClick={() => setExpandedId(expanded ? null : entry.id)}>
+                          {expanded ? "Hide" : `${changes.length}${entry.changesTruncated ? "+" : ""} field(s)`}
+                        </button>
+                      ) : (
+                        "--"
+                      )}
+                    </td>
+                  </tr>,
+                ]
+                if (expanded) {
+                  rows.push(
+                    <tr key={`${entry.id}:diff`}>
+                      <td colSpan={5}>
+                        <table className="data-table">
+                          <thead>
+                            <tr>
+                              <th>Path</th>
+                              <th>Before</th>
+                              <th>After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {changes.map((c) => (
+                              <tr key={c.path}>
+                                <td>
+                                  <code>{c.path}</code>
+                                </td>
+                                <td className="text-danger">{formatValue(c.before)}</td>
+                                <td className="text-ok">{formatValue(c.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )
+                }
+                return rows
+              })
+            ) : (
+              <tr>
+                <td colSpan={5} className="empty-row">
+                  {loading ? "Loading audit log..." : "No audit entries found"}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          <strong>Audit Error:</strong> {error}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+const SECTION_LABELS = {
+  projects: "Projects",
+  connectors: "Connectors",
+  policies: "Policies",
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "--"
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+export default function ConfigDiff({ diff }) {
+  if (!diff) return null
+  if (!diff.changed) return <div className="empty-state">No differences.</div>
+
+  return (
+    <div className="form">
+      {diff.defaultProjectId && (
+        <div className="form-note">
+          Default project: {formatValue(diff.defaultProjectId.before)} → {formatValue(diff.defaultProjectId.after)}
+        </div>
+      )}
+
+      {Object.entries(SECTION_LABELS).map(([section, label]) => {
+        const d = diff[section]
+        if (!d || (!d.added?.length && !d.removed?.length && !d.changed?.length)) return null
+        return (
+          <div key={section}>
+            <h3 className="pane-title">{label}</h3>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Entry</th>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {d.added.map((e) => (
+                  <tr key={`added:${e.id}`}>
+                    <td>
+                      <code>{e.id}</code>
+                    </td>
+                    <td>added</td>
+                    <td>--</td>
+                    <td className="text-ok">{formatValue(e.after)}</td>
+                  </tr>
+                ))}
+                {d.removed.map((e) => (
+                  <tr key={`removed:${e.id}`}>
+                    <td>
+                      <code>{e.id}</code>
+                    </td>
+                    <td>removed</td>
+                    <td className="text-danger">{formatValue(e.before)}</td>
+                    <td>--</td>
+                  </tr>
+                ))}
+                {d.changed.flatMap((e) =>
+                  e.changes.map((c) => (
+                    <tr key={`changed:${e.id}:${c.path}`}>
+                      <td>
+                        <code>{e.id}</code>
+                      </td>
+                      <td>
+                        <code>{c.path}</code>
+                      </td>
+                      <td className="text-danger">{formatValue(c.before)}</td>
+                      <td className="text-ok">{formatValue(c.after)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
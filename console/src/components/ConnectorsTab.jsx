@@ -14,8 +14,25 @@ const emptyConnector = {
   role: "primary",
   url: "",
   expectedSigner: "",
+  signers: [],
 }
 
+const emptySigner = { address: "", validFrom: "", validUntil: "" }
+
+const toLocalInput = (unixS) => {
+  if (unixS === null || unixS === undefined) return ""
+  const d = new Date(Number(unixS) * 1000)
+  if (!Number.isFinite(d.getTime())) return ""
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const fromLocalInput = (value) => {
+  const ms = Date.parse(value || "")
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null
+}
+
+const shortAddress = (addr) => (addr ? `${addr.slice(0, 6)}…${addr.slice(-4)}` : "--")
+
 const formatInt = (value) => {
   if (value === null || value === undefined) return "--"
   const n = Number(value)
@@ -42,6 +59,8 @@ export default function ConnectorsTab({
   isLiveProject,
   draftConnectors,
   onSaveDraftConnectors,
+  request,
+  onTested,
   reserveRows,
   incident,
   incidentMessage,
@@ -86,6 +105,11 @@ export default function ConnectorsTab({
       role: connector?.role || "primary",
       url: connector?.url || "",
       expectedSigner: connector?.expectedSigner || "",
+      signers: (Array.isArray(connector?.signers) ? connector.signers : []).map((s) => ({
+        address: s?.address || "",
+        validFrom: toLocalInput(s?.validFrom),
+        validUntil: toLocalInput(s?.validUntil),
+      })),
     })
     setFormError("")
   }
@@ -107,6 +131,14 @@ export default function ConnectorsTab({
     const isEditingSame = mode === "edit" && normalizeId(editingOriginalId) === id
     if (conflict && !isEditingSame) return "That connector ID already exists for this project"
 
+    for (const signer of form.signers) {
+      const address = String(signer.address || "").trim()
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return `Signer address is invalid: ${address || "(empty)"}`
+      const from = fromLocalInput(signer.validFrom)
+      const until = fromLocalInput(signer.validUntil)
+      if (from !== null && until !== null && until <= from) return `Signer ${address}: valid until must be after valid from`
+    }
+
     return ""
   }
 
@@ -126,6 +158,11 @@ export default function ConnectorsTab({
       role: String(form.role || "primary").trim(),
       url: String(form.url || "").trim(),
       expectedSigner: String(form.expectedSigner || "").trim(),
+      signers: form.signers.map((s) => ({
+        address: String(s.address || "").trim(),
+        validFrom: fromLocalInput(s.validFrom),
+        validUntil: fromLocalInput(s.validUntil),
+      })),
     }
 
     const all = Array.isArray(draftConnectors) ? draftConnectors.slice() : []
@@ -161,77 +198,23 @@ export default function ConnectorsTab({
     }
   }
 
-  const updateConnector = (connectorId, patch) => {
-    if (!projectId) return
-    const id = normalizeId(connectorId)
-    const all = Array.isArray(draftConnectors) ? draftConnectors : []
-    const next = all.map((c) => {
-      if (!c) return c
-      if (c.projectId !== projectId) return c
-      if (normalizeId(c.id) !== id) return c
-      return { ...c, ...patch }
-    })
-    onSaveDraftConnectors(next)
-  }
-
   const testConnection = async (connector) => {
     const id = normalizeId(connector?.id)
     if (!id || !connector?.url) return
 
     setTestBusyId(id)
-
-    const controller = new AbortController()
-    const timeout = setTimeout(() => controller.abort(), 12000)
-
     try {
-      const res = await fetch(connector.url, {
-        method: "GET",
-        headers: { "content-type": "application/json" },
-        signal: controller.signal,
-      })
-
-      if (!res.ok) {
-        const text = await res.text().catch(() => "")
-        throw new Error(`HTTP ${res.status}${text ? ` ${text}` : ""}`)
-      }
-
-      const data = await res.json()
-      const timestamp = data?.timestamp
-      const reserveUsd = data?.reserveUsd
-      const navUsd = data?.navUsd
-      const signer = data?.signer
-      const signature = data?.signature
-
-      if (!timestamp || !reserveUsd) {
-        throw new Error("Response missing required fields (timestamp, reserveUsd)")
-      }
-
-      const expectedSigner = String(connector.expectedSigner || "").trim()
-      if (expectedSigner) {
-        const okSigner = String(signer || "").toLowerCase() === expectedSigner.toLowerCase()
-        if (!okSigner) {
-          throw new Error("Signer does not match expected signer")
-        }
-        if (!signature) {
-          throw new Error("Response missing signature")
-        }
-      }
-
-      updateConnector(id, {
-        lastTestedAt: Date.now(),
-        lastTestOk: true,
-        lastTestMessage: `ok reserveUsd=${reserveUsd}${navUsd ? ` navUsd=${navUsd}` : ""} ts=${timestamp}${signer ? ` signer=${signer}` : ""}`,
+      await request("/api/connectors/test?draft=1", {
+        method: "POST",
+        body: { projectId, id },
+        timeoutMs: 20000,
       })
     } catch (err) {
-      updateConnector(id, {
-        lastTestedAt: Date.now(),
-        lastTestOk: false,
-        lastTestMessage: String(err?.message || err),
-      })
+      setFormError(String(err?.message || err))
     } finally {
-      clearTimeout(timeout)
       setTestBusyId(null)
     }
+    await onTested?.()
   }
 
   return (
@@ -330,11 +313,12 @@ export default function ConnectorsTab({
                       >
                         <option value="primary">primary</option>
                         <option value="secondary">secondary</option>
+                        <option value="source">source (quorum member)</option>
                       </select>
                     </div>
 
                     <div className="field">
-                      <label className="field-label">Expected signer (optional)</label>
+                      <label className="field-label">Expected signer (always valid, optional)</label>
                       <input
                         className="text-input"
                         value={form.expectedSigner}
@@ -354,6 +338,65 @@ export default function ConnectorsTab({
                     </div>
                   </div>
 
+                  <div className="pane-header">
+                    <h4 className="pane-title">Signer set</h4>
+                    <button
+                      className="btn btn-ghost"
+                      onClick={() => setForm((p) => ({ ...p, signers: [...p.signers, emptySigner] }))}
+                    >
+                      Add signer
+                    </button>
+                  </div>
+                  {form.signers.length === 0 ? (
+                    <div className="empty-state">
+                      No signer set. Add keys with validity windows to rotate signers without downtime.
+                    </div>
+                  ) : (
+                    form.signers.map((signer, idx) => {
+                      const update = (patch) =>
+                        setForm((p) => ({ ...p, signers: p.signers.map((s, i) => (i === idx ? { ...s, ...patch } : s)) }))
+                      return (
+                        <div className="form-grid" key={idx}>
+                          <div className="field span-2">
+                            <label className="field-label">Signer address</label>
+                            <input
+                              className="text-input"
+                              value={signer.address}
+                              onChange={(e) => update({ address: e.target.value })}
+                              placeholder="0x..."
+                            />
+                          </div>
+                          <div className="field">
+                            <label className="field-label">Valid from (optional)</label>
+                            <input
+                              className="text-input"
+                              type="datetime-local"
+                              value={signer.validFrom}
+                              onChange={(e) => update({ validFrom: e.target.value })}
+                            />
+                          </div>
+                          <div className="field">
+                            <label className="field-label">Valid until (optional)</label>
+                            <input
+                              className="text-input"
+                              type="datetime-local"
+                              value={signer.validUntil}
+                              onChange={(e) => update({ validUntil: e.target.value })}
+                            />
+                          </div>
+                          <div className="form-actions span-2">
+                            <button
+                              className="btn btn-danger"
+                              onClick={() => setForm((p) => ({ ...p, signers: p.signers.filter((_, i) => i !== idx) }))}
+                            >
+                              Remove signer
+                            </button>
+                          </div>
+                        </div>
+                      )
+                    })
+                  )}
+
                   {formError && <div className="form-error">{formError}</div>}
 
                   <div className="form-actions">
@@ -401,6 +444,7 @@ export default function ConnectorsTab({
                     <th>NAV USD</th>
                     <th>Timestamp</th>
                     <th>Age</th>
+                    <th>Signed by</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -412,11 +456,15 @@ export default function ConnectorsTab({
                         <td>{formatInt(row.navUsd)}</td>
                         <td>{formatUnix(row.timestamp)}</td>
                         <td>{formatAge(row.age)}</td>
+                        <td title={row.signatureError || ""}>
+                          {shortAddress(row.matchedSigner?.address || row.recoveredSigner || row.signer)}
+                          {row.signatureValid === false ? " (invalid)" : ""}
+                        </td>
                       </tr>
                     ))
                   ) : (
                     <tr>
-                      <td colSpan={5} className="empty-row">
+                      <td colSpan={6} className="empty-row">
                         {isLiveProject ? "No reserve source data" : "Draft project: live status not available"}
                       </td>
                     </tr>
@@ -1,4 +1,4 @@
-import { useMemo, useState } from "react"
+import { useEffect, useMemo, useRef, useState } from "react"
 
 const formatInt = (value) => {
   if (value === null || value === undefined) return "--"
@@ -47,26 +47,139 @@ const deltaText = (value) => {
   return `${sign}${new Intl.NumberFormat("en-US", { maximumFractionDigits: 0 }).format(abs)}`
 }
 
-export default function HistoryTab({ projectId, isLiveProject, history, historyMeta, busy }) {
+const PAGE_SIZE = 100
+const LOAD_ALL_PAGE_SIZE = 500
+const LOAD_ALL_MAX_PAGES = 100
+
+const RANGE_SECONDS = {
+  "1h": 3600,
+  "24h": 86400,
+  "7d": 604800,
+  "30d": 2592000,
+  "90d": 7776000,
+}
+
+const toUnixFromInput = (value) => {
+  if (!value) return null
+  const ms = Date.parse(value)
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null
+}
+
+const buildHistoryParams = ({ range, customFrom, customTo, anchorS, breaker, minCoverage, maxCoverage, version }) => {
+  const params = {}
+  if (range === "custom") {
+    const from = toUnixFromInput(customFrom)
+    const to = toUnixFromInput(customTo)
+    if (from !== null) params.from = String(from)
+    if (to !== null) params.to = String(to)
+  } else if (RANGE_SECONDS[range]) {
+    params.from = String(anchorS - RANGE_SECONDS[range])
+  }
+  if (breaker === "yes") params.breakerTriggered = "true"
+  if (breaker === "no") params.breakerTriggered = "false"
+  if (String(minCoverage).trim() !== "") params.minCoverageBps = String(minCoverage).trim()
+  if (String(maxCoverage).trim() !== "") params.maxCoverageBps = String(maxCoverage).trim()
+  if (version === "v1" || version === "v2") params.version = version
+  return params
+}
+
+const matchesParams = (e, params) => {
+  const ts = Number(e?.asOfTimestamp)
+  const coverage = Number(e?.coverageBps)
+  if (params.from && !(Number.isFinite(ts) && ts >= Number(params.from))) return false
+  if (params.to && !(Number.isFinite(ts) && ts <= Number(params.to))) return false
+  if (params.breakerTriggered && e?.breakerTriggered !== (params.breakerTriggered === "true")) return false
+  if (params.minCoverageBps && !(Number.isFinite(coverage) && coverage >= Number(params.minCoverageBps))) return false
+  if (params.maxCoverageBps && !(Number.isFinite(coverage) && coverage <= Number(params.maxCoverageBps))) return false
+  if (params.version && e?.version !== params.version) return false
+  return true
+}
+
+export default function HistoryTab({ projectId, isLiveProject, history, historyMeta, busy, onLoadPage }) {
   const [range, setRange] = useState("7d")
+  const [customFrom, setCustomFrom] = useState("")
+  const [customTo, setCustomTo] = useState("")
+  const [anchorS, setAnchorS] = useState(() => Math.floor(Date.now() / 1000))
+  const [breaker, setBreaker] = useState("any")
+  const [minCoverage, setMinCoverage] = useState("")
+  const [maxCoverage, setMaxCoverage] = useState("")
+  const [version, setVersion] = useState("any")
+  const [page, setPage] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [pageError, setPageError] = useState("")
+
+  const requestIdRef = useRef(0)
+
+  const params = useMemo(
+    () => buildHistoryParams({ range, customFrom, customTo, anchorS, breaker, minCoverage, maxCoverage, version }),
+    [range, customFrom, customTo, anchorS, breaker, minCoverage, maxCoverage, version]
+  )
+  const queryKey = `${projectId || ""}?${new URLSearchParams(params).toString()}`
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current
+    setPage(null)
+    setPageError("")
+    if (!projectId || !isLiveProject || typeof onLoadPage !== "function") return
+
+    setLoading(true)
+    onLoadPage({ ...params, limit: String(PAGE_SIZE) })
+      .then((res) => {
+        if (requestId !== requestIdRef.current) return
+        setPage({
+          key: queryKey,
+          events: Array.isArray(res?.events) ? res.events : [],
+          hasMore: Boolean(res?.hasMore),
+          nextCursor: res?.nextCursor || null,
+        })
+        setPageError(res?.error ? String(res.error) : "")
+      })
+      .catch((err) => {
+        if (requestId !== requestIdRef.current) return
+        setPageError(String(err?.message || err))
+      })
+      .finally(() => {
+        if (requestId === requestIdRef.current) setLoading(false)
+      })
+  }, [queryKey, isLiveProject, onLoadPage])
+
+  const loadMore = async ({ all = false } = {}) => {
+    if (!page?.hasMore || !page.nextCursor || typeof onLoadPage !== "function") return
+    const requestId = requestIdRef.current
+    setLoading(true)
+    setPageError("")
+
+    let next = page
+    try {
+      for (let i = 0; i < (all ? LOAD_ALL_MAX_PAGES : 1) && next.hasMore && next.nextCursor; i += 1) {
+        const res = await onLoadPage({
+          ...params,
+          limit: String(all ? LOAD_ALL_PAGE_SIZE : PAGE_SIZE),
+          cursor: next.nextCursor,
+        })
+        if (requestId !== requestIdRef.current) return
+        next = {
+          key: next.key,
+          events: [...next.events, ...(Array.isArray(res?.events) ? res.events : [])],
+          hasMore: Boolean(res?.hasMore),
+          nextCursor: res?.nextCursor || null,
+        }
+        setPage(next)
+      }
+    } catch (err) {
+      if (requestId === requestIdRef.current) setPageError(String(err?.message || err))
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false)
+    }
+  }
 
   const filtered = useMemo(() => {
+    if (page?.key === queryKey) return page.events
     const events = Array.isArray(history) ? history : []
-    const nowS = Math.floor(Date.now() / 1000)
-    const limitS =
-      range === "1h" ? 3600 :
-      range === "24h" ? 86400 :
-      range === "7d" ? 604800 :
-      null
-
-    const base = limitS ? events.filter((e) => {
-      const ts = Number(e?.asOfTimestamp)
-      if (!Number.isFinite(ts)) return false
-      return ts >= nowS - limitS
-    }) : events
-
-    return base
-  }, [history, range])
+    return events.filter((e) => matchesParams(e, params))
+  }, [page, queryKey, history, params])
+
+  const hasMore = page?.key === queryKey ? page.hasMore : false
 
   const rowsWithDiff = useMemo(() => {
     return filtered.map((evt, idx) => {
@@ -95,10 +208,12 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
       generatedAt: new Date().toISOString(),
       projectId,
       range,
+      filters: params,
+      complete: !hasMore,
       meta: historyMeta || null,
       events: filtered,
     }
-    downloadText(`reservewatch-audit-${projectId}.json`, JSON.stringify(payload, null, 2))
+    downloadText(`reservewatch-history-${projectId}.json`, JSON.stringify(payload, null, 2))
   }
 
   const exportCsv = () => {
@@ -108,6 +223,7 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
         "asOfTimestamp",
         "coverageBps",
         "breakerTriggered",
+        "version",
         "reserveUsd",
         "navUsd",
         "liabilitySupply",
@@ -118,6 +234,7 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
         e?.asOfTimestamp ?? "",
         e?.coverageBps ?? "",
         e?.breakerTriggered ?? "",
+        e?.version ?? "",
         e?.reserveUsd ?? "",
         e?.navUsd ?? "",
         e?.liabilitySupply ?? "",
@@ -125,17 +242,17 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
         e?.txUrl ?? "",
       ]),
     ]
-    downloadText(`reservewatch-audit-${projectId}.csv`, toCsv(rows), "text/csv")
+    downloadText(`reservewatch-history-${projectId}.csv`, toCsv(rows), "text/csv")
   }
 
   if (!projectId) {
     return (
       <div className="tab-content">
-        <h2 className="tab-title">Audit</h2>
+        <h2 className="tab-title">History</h2>
         <p className="tab-subtitle">Recent attestation events and onchain proof trail</p>
 
         <div className="card">
-          <div className="empty-row">Select a project to view audit history.</div>
+          <div className="empty-row">Select a project to view attestation history.</div>
         </div>
       </div>
     )
@@ -144,11 +261,11 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
   if (!isLiveProject) {
     return (
       <div className="tab-content">
-        <h2 className="tab-title">Audit</h2>
+        <h2 className="tab-title">History</h2>
         <p className="tab-subtitle">Recent attestation events and onchain proof trail</p>
 
         <div className="card">
-          <div className="empty-row">Audit history is available for live projects only.</div>
+          <div className="empty-row">Attestation history is available for live projects only.</div>
         </div>
       </div>
     )
@@ -158,11 +275,11 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
   if (!hasLoaded) {
     return (
       <div className="tab-content">
-        <h2 className="tab-title">Audit</h2>
+        <h2 className="tab-title">History</h2>
         <p className="tab-subtitle">Recent attestation events and onchain proof trail</p>
 
         <div className="card">
-          <div className="empty-row">{busy ? "Syncing audit history..." : "No audit history loaded yet."}</div>
+          <div className="empty-row">{busy ? "Syncing attestation history..." : "No attestation history loaded yet."}</div>
         </div>
       </div>
     )
@@ -170,7 +287,7 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
 
   return (
     <div className="tab-content">
-      <h2 className="tab-title">Audit</h2>
+      <h2 className="tab-title">History</h2>
       <p className="tab-subtitle">Recent attestation events and onchain proof trail</p>
 
       <div className="detail-section">
@@ -178,24 +295,102 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
           <div className="form-grid">
             <label className="field">
               <span className="field-label">Time range</span>
-              <select className="text-input" value={range} onChange={(e) => setRange(e.target.value)}>
+              <select
+                className="text-input"
+                value={range}
+                onChange={(e) => {
+                  setRange(e.target.value)
+                  setAnchorS(Math.floor(Date.now() / 1000))
+                }}
+              >
                 <option value="1h">Last hour</option>
                 <option value="24h">Last 24h</option>
                 <option value="7d">Last 7d</option>
-                <option value="all">All fetched</option>
+                <option value="30d">Last 30d</option>
+                <option value="90d">Last 90d</option>
+                <option value="all">All time</option>
+                <option value="custom">Custom</option>
+              </select>
+            </label>
+
+            {range === "custom" && (
+              <>
+                <label className="field">
+                  <span className="field-label">From</span>
+                  <input
+                    className="text-input"
+                    type="datetime-local"
+                    value={customFrom}
+                    onChange={(e) => setCustomFrom(e.target.value)}
+                  />
+                </label>
+
+                <label className="field">
+                  <span className="field-label">To</span>
+                  <input
+                    className="text-input"
+                    type="datetime-local"
+                    value={customTo}
+                    onChange={(e) => setCustomTo(e.target.value)}
+                  />
+                </label>
+              </>
+            )}
+
+            <label className="field">
+              <span className="field-label">Breaker</span>
+              <select className="text-input" value={breaker} onChange={(e) => setBreaker(e.target.value)}>
+                <option value="any">Any</option>
+                <option value="yes">Triggered</option>
+                <option value="no">Not triggered</option>
+              </select>
+            </label>
+
+            <label className="field">
+              <span className="field-label">Version</span>
+              <select className="text-input" value={version} onChange={(e) => setVersion(e.target.value)}>
+                <option value="any">Any</option>
+                <option value="v1">v1</option>
+                <option value="v2">v2</option>
               </select>
             </label>
 
+            <label className="field">
+              <span className="field-label">Min coverage (bps)</span>
+              <input
+                className="text-input"
+                inputMode="numeric"
+                value={minCoverage}
+                onChange={(e) => setMinCoverage(e.target.value)}
+              />
+            </label>
+
+            <label className="field">
+              <span className="field-label">Max coverage (bps)</span>
+              <input
+                className="text-input"
+                inputMode="numeric"
+                value={maxCoverage}
+                onChange={(e) => setMaxCoverage(e.target.value)}
+              />
+            </label>
+
             <label className="field">
               <span className="field-label">Events</span>
-              <input className="text-input" value={String(filtered.length)} readOnly />
+              <input className="text-input" value={`${filtered.length}${hasMore ? "+" : ""}`} readOnly />
             </label>
           </div>
           <div className="form-actions">
-            <button className="btn btn-ghost" onClick={exportCsv}>
+            <button className="btn btn-ghost" disabled={loading || !hasMore} onClick={() => loadMore()}>
+              Load more
+            </button>
+            <button className="btn btn-ghost" disabled={loading || !hasMore} onClick={() => loadMore({ all: true })}>
+              Load all
+            </button>
+            <button className="btn btn-ghost" disabled={loading} onClick={exportCsv}>
               Export CSV
             </button>
-            <button className="btn btn-primary" onClick={exportJson}>
+            <button className="btn btn-primary" disabled={loading} onClick={exportJson}>
               Export JSON
             </button>
           </div>
@@ -249,7 +444,7 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
             ) : (
               <tr>
                 <td colSpan={10} className="empty-row">
-                  No attestation events found
+                  {loading ? "Loading attestation events..." : "No attestation events found"}
                 </td>
               </tr>
             )}
@@ -257,9 +452,9 @@ export default function HistoryTab({ projectId, isLiveProject, history, historyM
         </table>
       </div>
 
-      {historyMeta?.error && (
+      {(pageError || historyMeta?.error) && (
         <div className="error-banner">
-          <strong>History Error:</strong> {historyMeta.error}
+          <strong>History Error:</strong> {pageError || historyMeta.error}
         </div>
       )}
     </div>
@@ -4,13 +4,18 @@ import {
   createPublicClient,
   http,
   isAddress,
+  keccak256,
   parseAbi,
   recoverMessageAddress,
+  recoverTypedDataAddress,
+  stringToHex,
 } from "viem"
 import { arbitrum, avalanche, base, bsc, mainnet, optimism, polygon, sepolia } from "viem/chains"
 
 import StatusPill from "./StatusPill"
 
+const QUORUM_CONSENSUS_MODES = ["median", "quorum_k_of_n", "trimmed_mean"]
+
 const emptyProject = {
   id: "",
   name: "",
@@ -26,6 +31,7 @@ const emptyProject = {
   expectedForwarderAddress: "",
   maxReserveAgeS: "",
   maxReserveMismatchRatio: "",
+  requiredSignatureVersion: "",
 }
 
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
@@ -169,7 +175,58 @@ const reserveMessage = ({ timestamp, reserveUsd, navUsd, source }) => {
   return `ReserveWatch:v1|source=${s}|reserveUsd=${r}|timestamp=${ts}`
 }
 
-const verifyReserveSignature = async ({ reserve, expectedSigner }) => {
+const RESERVE_TYPED_DATA_FIELDS = {
+  Reserve: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+  ReserveWithNav: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "navUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+}
+
+const reserveSignatureDomain = (project) => {
+  const chainId = resolveChain(project?.chainSelectorName)?.id
+  const verifyingContract = String(project?.receiverAddress || "").trim()
+  if (!chainId || !project?.id || !isAddress(verifyingContract)) return null
+  return { chainId, projectId: String(project.id), verifyingContract, requiredVersion: project.requiredSignatureVersion || null }
+}
+
+const reserveTypedData = ({ timestamp, reserveUsd, navUsd, source }, domain) => {
+  const primaryType = navUsd !== undefined && navUsd !== null ? "ReserveWithNav" : "Reserve"
+  return {
+    domain: {
+      name: "ReserveWatch",
+      version: "3",
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+      salt: keccak256(stringToHex(domain.projectId)),
+    },
+    types: { [primaryType]: RESERVE_TYPED_DATA_FIELDS[primaryType] },
+    primaryType,
+    message: {
+      source: String(source),
+      reserveUsd: BigInt(reserveUsd),
+      ...(primaryType === "ReserveWithNav" ? { navUsd: BigInt(navUsd) } : {}),
+      timestamp: BigInt(timestamp),
+    },
+  }
+}
+
+const recoverReserveSigner = async (reserve, domain) => {
+  if (reserve.signatureVersion === undefined || reserve.signatureVersion === null) {
+    return recoverMessageAddress({ message: reserveMessage(reserve), signature: reserve.signature })
+  }
+  if (reserve.signatureVersion !== "v3") throw new Error(`unsupported signatureVersion: ${reserve.signatureVersion}`)
+  if (!domain) throw new Error("v3 signatures need the project's chain, id and receiver address")
+  return recoverTypedDataAddress({ ...reserveTypedData(reserve, domain), signature: reserve.signature })
+}
+
+const verifyReserveSignature = async ({ reserve, expectedSigner, domain }) => {
   const signature = reserve?.signature
   const declaredSigner = reserve?.signer
   const expected = String(expectedSigner || "").trim()
@@ -182,11 +239,16 @@ const verifyReserveSignature = async ({ reserve, expectedSigner }) => {
     }
   }
 
+  if (domain?.requiredVersion === "v3" && reserve.signatureVersion !== "v3") {
+    return {
+      signatureValid: false,
+      recoveredSigner: null,
+      signatureError: "project requires v3 typed-data signatures",
+    }
+  }
+
   try {
-    const recoveredSigner = await recoverMessageAddress({
-      message: reserveMessage(reserve),
-      signature,
-    })
+    const recoveredSigner = await recoverReserveSigner(reserve, domain)
 
     const okDeclared = normalizeAddress(recoveredSigner) === normalizeAddress(declaredSigner)
     const okExpected = expected ? normalizeAddress(recoveredSigner) === normalizeAddress(expected) : null
@@ -341,6 +403,16 @@ const numberOrNull = (value) => {
   return n
 }
 
+const exportSigners = (connector) => {
+  const signers = (Array.isArray(connector?.signers) ? connector.signers : []).filter((s) => s?.address)
+  if (!signers.length) return undefined
+  return signers.map((s) => ({
+    address: String(s.address),
+    validFrom: s.validFrom ?? undefined,
+    validUntil: s.validUntil ?? undefined,
+  }))
+}
+
 const buildActiveExport = ({ project, connectors, policy }) => {
   const primary = (connectors || []).find((c) => c && String(c.role || "").trim() === "primary") || null
   const secondary = (connectors || []).find((c) => c && String(c.role || "").trim() === "secondary") || null
@@ -375,6 +447,16 @@ const buildActiveExport = ({ project, connectors, policy }) => {
   const supplyLiabilityTokenAddress = String(project?.supplyLiabilityTokenAddress || "").trim()
   const attestationChainSelectorName = String(project?.chainSelectorName || "").trim()
 
+  const reserveSources = (connectors || []).filter(Boolean).map((c) => ({
+    id: String(c.id),
+    url: String(c.url || ""),
+    expectedSigner: String(c.expectedSigner || "").trim() || undefined,
+    signers: exportSigners(c),
+  }))
+  const exportsSources =
+    QUORUM_CONSENSUS_MODES.includes(String(policy?.consensusMode || "")) ||
+    (connectors || []).some((c) => c && String(c.role || "").trim() === "source")
+
   const workflowConfig = {
     schedule: "*/300 * * * * *",
     chainSelectorName: project.chainSelectorName,
@@ -388,7 +470,14 @@ const buildActiveExport = ({ project, connectors, policy }) => {
     reserveExpectedSignerAddress: expectedSigner || undefined,
     reserveExpectedSignerAddressPrimary: expectedSignerPrimary || undefined,
     reserveExpectedSignerAddressSecondary: expectedSignerSecondary || undefined,
+    reserveSignersPrimary: exportSigners(primary),
+    reserveSignersSecondary: exportSigners(secondary),
+    reserveSignatureProjectId: project.id,
+    reserveRequiredSignatureVersion: project.requiredSignatureVersion || undefined,
     reserveConsensusMode: policy?.consensusMode ? String(policy.consensusMode) : undefined,
+    reserveSources: exportsSources && reserveSources.length ? reserveSources : undefined,
+    reserveQuorumK: policy?.quorumK ? String(policy.quorumK) : undefined,
+    reserveTrimCount: numberOrNull(policy?.trimCount) !== null ? String(numberOrNull(policy.trimCount)) : undefined,
     reserveMaxMismatchRatio: policy?.maxMismatchRatio ? String(policy.maxMismatchRatio) : undefined,
     reserveMaxAgeS: policy?.maxReserveAgeS ? String(policy.maxReserveAgeS) : undefined,
     evmReadBlockTag: "finalized",
@@ -1085,14 +1174,12 @@ export default function OnboardingWizardModal({
       return
     }
 
-    const ok = window.confirm("Publish drafts to live configuration now?")
-    if (!ok) return
-
     setError("")
     setPublishBusy(true)
     setPublishResult(null)
     try {
-      await onPublishDrafts(draftProjectId)
+      const published = await onPublishDrafts(draftProjectId)
+      if (published === false) return
       setPublishResult({ at: Date.now(), ok: true, message: "Published" })
       if (typeof onClose === "function") onClose()
     } catch (err) {
@@ -1135,6 +1222,7 @@ export default function OnboardingWizardModal({
       const source = data?.source
       const signer = data?.signer
       const signature = data?.signature
+      const signatureVersion = data?.signatureVersion ?? undefined
 
       const parsedTimestamp = typeof timestamp === "number" ? timestamp : Number(timestamp)
 
@@ -1153,20 +1241,22 @@ export default function OnboardingWizardModal({
         source: source || (key === "primary" ? "primary" : "secondary"),
         signer,
         signature,
+        signatureVersion,
       }
 
       const expectedSigner = String(cfg?.expectedSigner || "").trim()
 
-      const sig = await verifyReserveSignature({ reserve: parsedReserve, expectedSigner })
+      const domain = reserveSignatureDomain(projectForm)
+      const sig = await verifyReserveSignature({ reserve: parsedReserve, expectedSigner, domain })
 
-      if (expectedSigner && sig.signatureValid !== true) {
+      if ((expectedSigner || (signature && domain?.requiredVersion)) && sig.signatureValid !== true) {
         throw new Error(sig.signatureError || "Signature verification failed")
       }
 
       const latencyMs = Date.now() - startedAt
       const ageS = Math.max(0, Math.floor(Date.now() / 1000) - parsedTimestamp)
 
-      const signerLine = signer ? ` signer=${signer}` : ""
+      const signerLine = signer ? ` signer=${signer}${signatureVersion ? ` (${signatureVersion})` : ""}` : ""
       const sigLine = expectedSigner ? ` sig=${sig.signatureValid ? "ok" : "bad"}` : ""
 
       setTestResult((s) => ({
@@ -1459,6 +1549,17 @@ export default function OnboardingWizardModal({
                         placeholder="0.02"
                       />
                     </label>
+                    <label className="field">
+                      <span className="field-label">Required signature version</span>
+                      <select
+                        className="text-input"
+                        value={projectForm.requiredSignatureVersion || ""}
+                        onChange={(e) => setProjectForm((s) => ({ ...s, requiredSignatureVersion: e.target.value }))}
+                      >
+                        <option value="">Any (v1/v2 personal_sign or v3)</option>
+                        <option value="v3">v3 typed data only</option>
+                      </select>
+                    </label>
                   </>
                 )}
               </div>
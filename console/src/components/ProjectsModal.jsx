@@ -2,6 +2,8 @@ import { useEffect, useMemo, useRef, useState } from "react"
 
 import { isAddress } from "viem"
 
+const QUORUM_CONSENSUS_MODES = ["median", "quorum_k_of_n", "trimmed_mean"]
+
 const emptyDraft = {
   id: "",
   name: "",
@@ -17,10 +19,21 @@ const emptyDraft = {
   expectedForwarderAddress: "",
   maxReserveAgeS: "",
   maxReserveMismatchRatio: "",
+  requiredSignatureVersion: "",
 }
 
 const normalizeId = (id) => String(id || "").trim()
 
+const exportSigners = (connector) => {
+  const signers = (Array.isArray(connector?.signers) ? connector.signers : []).filter((s) => s?.address)
+  if (!signers.length) return undefined
+  return signers.map((s) => ({
+    address: String(s.address),
+    validFrom: s.validFrom ?? undefined,
+    validUntil: s.validUntil ?? undefined,
+  }))
+}
+
 const normalizeConnectorId = (value) => {
   return String(value || "")
     .trim()
@@ -331,6 +344,16 @@ export default function ProjectsModal({
     const supplyLiabilityTokenAddress = String(p?.supplyLiabilityTokenAddress || "").trim()
     const attestationChainSelectorName = String(p?.chainSelectorName || "").trim()
 
+    const reserveSources = (connectors || []).filter(Boolean).map((c) => ({
+      id: String(c.id),
+      url: String(c.url || ""),
+      expectedSigner: String(c.expectedSigner || "").trim() || undefined,
+      signers: exportSigners(c),
+    }))
+    const exportsSources =
+      QUORUM_CONSENSUS_MODES.includes(String(policy?.consensusMode || "")) ||
+      connectors.some((c) => String(c.role || "") === "source")
+
     const workflowConfig = {
       schedule: "*/300 * * * * *",
       chainSelectorName: p.chainSelectorName,
@@ -344,7 +367,14 @@ export default function ProjectsModal({
       reserveExpectedSignerAddress: expectedSigner || undefined,
       reserveExpectedSignerAddressPrimary: expectedSignerPrimary || undefined,
       reserveExpectedSignerAddressSecondary: expectedSignerSecondary || undefined,
+      reserveSignersPrimary: exportSigners(primary),
+      reserveSignersSecondary: exportSigners(secondary),
+      reserveSignatureProjectId: p.id,
+      reserveRequiredSignatureVersion: p.requiredSignatureVersion || undefined,
       reserveConsensusMode: policy?.consensusMode ? String(policy.consensusMode) : undefined,
+      reserveSources: exportsSources && reserveSources.length ? reserveSources : undefined,
+      reserveQuorumK: policy?.quorumK ? String(policy.quorumK) : undefined,
+      reserveTrimCount: numberOrNull(policy?.trimCount) !== null ? String(numberOrNull(policy.trimCount)) : undefined,
       reserveMaxMismatchRatio: policy?.maxMismatchRatio ? String(policy.maxMismatchRatio) : undefined,
       reserveMaxAgeS: policy?.maxReserveAgeS ? String(policy.maxReserveAgeS) : undefined,
       evmReadBlockTag: "finalized",
@@ -843,6 +873,17 @@ export default function ProjectsModal({
                     placeholder="0.02"
                   />
                 </label>
+                <label className="field">
+                  <span className="field-label">Required signature version</span>
+                  <select
+                    className="text-input"
+                    value={form.requiredSignatureVersion || ""}
+                    onChange={(e) => setForm((s) => ({ ...s, requiredSignatureVersion: e.target.value }))}
+                  >
+                    <option value="">Any (v1/v2 personal_sign or v3)</option>
+                    <option value="v3">v3 typed data only</option>
+                  </select>
+                </label>
               </div>
 
               {error && <div className="form-error">{error}</div>}
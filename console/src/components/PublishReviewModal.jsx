@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react"
+
+import ConfigDiff from "./ConfigDiff"
+
+const formatTime = (value) => {
+  const ms = Date.parse(value || "")
+  return Number.isFinite(ms) ? new Date(ms).toLocaleString() : "--"
+}
+
+const countChanges = (diff) =>
+  ["projects", "connectors", "policies"].reduce((sum, section) => {
+    const d = diff?.[section]
+    return sum + (d ? d.added.length + d.removed.length + d.changed.length : 0)
+  }, 0)
+
+export default function PublishReviewModal({ open, projectId, request, onCancel, onConfirm }) {
+  const [allProjects, setAllProjects] = useState(false)
+  const [review, setReview] = useState(null)
+  const [message, setMessage] = useState("")
+  const [submitted, setSubmitted] = useState(null)
+  const [error, setError] = useState("")
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+    setAllProjects(!projectId)
+    setMessage("")
+    setSubmitted(null)
+  }, [open, projectId])
+
+  useEffect(() => {
+    if (!open) return
+    setReview(null)
+    setError("")
+
+    const scoped = !allProjects && projectId
+    let cancelled = false
+    request(scoped ? `/api/publish/diff?project=${encodeURIComponent(projectId)}` : "/api/publish/diff", { timeoutMs: 8000 })
+      .then((res) => {
+        if (!cancelled) setReview(res || null)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(String(err?.message || err))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [open, projectId, allProjects, request])
+
+  const confirm = async () => {
+    setError("")
+    setBusy(true)
+    try {
+      const result = await onConfirm?.(message.trim(), { allProjects: allProjects || !projectId })
+      if (result?.pending) setSubmitted(result.request || {})
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open) return null
+
+  const diff = review?.diff || null
+  const live = review?.live || null
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal">
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Review publish</h2>
+            <p className="modal-subtitle">
+              {live
+                ? `Live is v${live.version}, published ${formatTime(live.publishedAt)}`
+                : "Nothing has been published from the console yet"}
+            </p>
+          </div>
+          <button className="btn btn-ghost" disabled={busy} onClick={onCancel}>
+            {submitted ? "Close" : "Cancel"}
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {!diff ? (
+            <div className="empty-state">{error ? "Diff unavailable." : "Comparing draft with live..."}</div>
+          ) : (
+            <>
+              {diff.renamedProjects?.length > 0 && (
+                <div className="form-note">
+                  Renamed projects: {diff.renamedProjects.map((r) => `${r.from} → ${r.to}`).join(", ")}
+                </div>
+              )}
+              {diff.changed && (
+                <div className="form-note">
+                  {countChanges(diff)} entr{countChanges(diff) === 1 ? "y" : "ies"} will change on live. Check that draft
+                  connectors are complete before publishing.
+                </div>
+              )}
+              <ConfigDiff diff={diff} />
+            </>
+          )}
+
+          <div className="form">
+            <div className="form-grid">
+              <label className="field">
+                <span className="field-label">Publish</span>
+                <select
+                  className="text-input"
+                  value={allProjects || !projectId ? "all" : "project"}
+                  onChange={(e) => setAllProjects(e.target.value === "all")}
+                  disabled={busy}
+                >
+                  {projectId && <option value="project">Project {projectId} only</option>}
+                  <option value="all">All projects</option>
+                </select>
+              </label>
+
+              <label className="field">
+                <span className="field-label">Message</span>
+                <input
+                  className="text-input"
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  placeholder="Raise min coverage to 105%"
+                />
+              </label>
+            </div>
+            {error && <div className="form-error">{error}</div>}
+            {submitted && (
+              <div className="form-note">
+                Submitted for approval. Another admin must approve it under Approvals before it goes live:
+                {(submitted.reasons || []).map((reason) => (
+                  <div key={reason}>{reason}</div>
+                ))}
+              </div>
+            )}
+            <div className="form-actions">
+              <button className="btn btn-ghost" disabled={busy} onClick={onCancel}>
+                {submitted ? "Close" : "Cancel"}
+              </button>
+              {!submitted && (
+                <button className="btn btn-ok" disabled={busy || !diff?.changed} onClick={() => void confirm()}>
+                  {busy ? "Publishing..." : "Publish to live"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,10 @@
 import { useCallback, useEffect, useMemo, useState } from "react"
 
 import StatusPill from "./StatusPill"
+import { withApiKey } from "../apiKey"
+
+const CONSENSUS_MODES = ["primary_only", "require_match", "conservative_min", "median", "quorum_k_of_n", "trimmed_mean"]
+const QUORUM_CONSENSUS_MODES = ["median", "quorum_k_of_n", "trimmed_mean"]
 
 const asText = (value) => {
   if (value === null || value === undefined || value === "") return ""
@@ -25,10 +29,10 @@ const fetchJson = async (url, init = {}) => {
   try {
     const response = await fetch(url, {
       method: init.method || "GET",
-      headers: {
+      headers: withApiKey({
         "content-type": "application/json",
         ...(init.headers || {}),
-      },
+      }),
       body: init.body ? JSON.stringify(init.body) : undefined,
       signal: controller.signal,
     })
@@ -241,6 +245,8 @@ export default function SettingsTab({
     minCoverageBps: "",
     maxReserveAgeS: "",
     maxMismatchRatio: "",
+    quorumK: "",
+    trimCount: "",
   })
 
   const [draftError, setDraftError] = useState("")
@@ -251,6 +257,9 @@ export default function SettingsTab({
   const [runError, setRunError] = useState("")
   const [runId, setRunId] = useState(null)
   const [runOutput, setRunOutput] = useState("")
+  const [runQueuePosition, setRunQueuePosition] = useState(null)
+
+  const runActive = runState === "starting" || runState === "queued" || runState === "running"
 
   const startRun = useCallback(async () => {
     if (!isLiveProject) return
@@ -259,12 +268,14 @@ export default function SettingsTab({
     setRunOutput("")
     setRunState("starting")
     setRunId(null)
+    setRunQueuePosition(null)
 
     try {
       const res = await fetchJson("/admin/run", {
         method: "POST",
         body: {
           broadcast: Boolean(runBroadcast),
+          project: projectId || undefined,
         },
         timeoutMs: 12000,
       })
@@ -280,12 +291,24 @@ export default function SettingsTab({
       setRunState("error")
       setRunError(String(err?.message || err))
     }
-  }, [isLiveProject, runBroadcast])
+  }, [isLiveProject, projectId, runBroadcast])
+
+  const cancelRun = useCallback(async () => {
+    if (!runId) return
+
+    setRunError("")
+    try {
+      const res = await fetchJson(`/admin/run/${encodeURIComponent(runId)}/cancel`, { method: "POST", timeoutMs: 12000 })
+      if (res?.run?.state) setRunState(res.run.state)
+    } catch (err) {
+      setRunError(String(err?.message || err))
+    }
+  }, [runId])
 
   useEffect(() => {
     if (!isLiveProject) return
     if (!runId) return
-    if (runState !== "running" && runState !== "starting") return
+    if (!runActive) return
 
     let alive = true
     const tick = async () => {
@@ -298,6 +321,7 @@ export default function SettingsTab({
           setRunOutput(String(r.output || ""))
           setRunError(r.error ? String(r.error) : "")
         }
+        setRunQueuePosition(res?.queuePosition ?? null)
       } catch (err) {
         if (!alive) return
         setRunError(String(err?.message || err))
@@ -313,7 +337,7 @@ export default function SettingsTab({
       alive = false
       clearInterval(t)
     }
-  }, [isLiveProject, runId, runState])
+  }, [isLiveProject, runId, runActive])
 
   useEffect(() => {
     setDraftError("")
@@ -324,6 +348,8 @@ export default function SettingsTab({
         minCoverageBps: "",
         maxReserveAgeS: "",
         maxMismatchRatio: "",
+        quorumK: "",
+        trimCount: "",
       })
       return
     }
@@ -334,6 +360,8 @@ export default function SettingsTab({
         minCoverageBps: asText(existingDraftPolicy.minCoverageBps),
         maxReserveAgeS: asText(existingDraftPolicy.maxReserveAgeS),
         maxMismatchRatio: asText(existingDraftPolicy.maxMismatchRatio),
+        quorumK: asText(existingDraftPolicy.quorumK),
+        trimCount: asText(existingDraftPolicy.trimCount),
       })
       return
     }
@@ -530,11 +558,7 @@ export default function SettingsTab({
     if (!projectId) return
     if (typeof onSaveDraftPolicies !== "function") return
 
-    if (
-      draftForm.consensusMode !== "primary_only" &&
-      draftForm.consensusMode !== "require_match" &&
-      draftForm.consensusMode !== "conservative_min"
-    ) {
+    if (!CONSENSUS_MODES.includes(draftForm.consensusMode)) {
       setDraftError("Consensus mode is invalid")
       return
     }
@@ -545,6 +569,8 @@ export default function SettingsTab({
       minCoverageBps: asText(draftForm.minCoverageBps).trim(),
       maxReserveAgeS: asText(draftForm.maxReserveAgeS).trim(),
       maxMismatchRatio: asText(draftForm.maxMismatchRatio).trim(),
+      quorumK: asText(draftForm.quorumK).trim(),
+      trimCount: asText(draftForm.trimCount).trim(),
       updatedAt: Date.now(),
     }
 
@@ -566,6 +592,16 @@ export default function SettingsTab({
       return
     }
 
+    if (clean.quorumK && !(Number.isInteger(Number(clean.quorumK)) && Number(clean.quorumK) >= 1)) {
+      setDraftError("Quorum k must be a whole number of at least 1")
+      return
+    }
+
+    if (clean.trimCount && !(Number.isInteger(Number(clean.trimCount)) && Number(clean.trimCount) >= 0)) {
+      setDraftError("Trim count must be a non-negative whole number")
+      return
+    }
+
     const prev = Array.isArray(draftPolicies) ? draftPolicies : []
     const rest = prev.filter((p) => !(p && p.projectId === projectId))
     onSaveDraftPolicies([...rest, clean])
@@ -632,6 +668,9 @@ export default function SettingsTab({
                     <option value="primary_only">Primary only</option>
                     <option value="require_match">Require match</option>
                     <option value="conservative_min">Conservative min</option>
+                    <option value="median">Median of all sources</option>
+                    <option value="quorum_k_of_n">Quorum k-of-n</option>
+                    <option value="trimmed_mean">Trimmed mean</option>
                   </select>
                 </label>
 
@@ -664,6 +703,32 @@ export default function SettingsTab({
                     placeholder={asText(derived?.maxMismatchRatio) || asText(draftProject?.maxReserveMismatchRatio) || "0.01"}
                   />
                 </label>
+
+                {QUORUM_CONSENSUS_MODES.includes(draftForm.consensusMode) && (
+                  <>
+                    <label className="field">
+                      <span className="field-label">Quorum k (valid sources required)</span>
+                      <input
+                        className="text-input"
+                        value={draftForm.quorumK}
+                        onChange={(e) => setDraftForm((s) => ({ ...s, quorumK: e.target.value }))}
+                        placeholder="majority of connectors"
+                      />
+                    </label>
+
+                    {draftForm.consensusMode === "trimmed_mean" && (
+                      <label className="field">
+                        <span className="field-label">Trim count (each end)</span>
+                        <input
+                          className="text-input"
+                          value={draftForm.trimCount}
+                          onChange={(e) => setDraftForm((s) => ({ ...s, trimCount: e.target.value }))}
+                          placeholder="1 with 3+ sources"
+                        />
+                      </label>
+                    )}
+                  </>
+                )}
               </div>
 
               {draftError && <div className="form-error">{draftError}</div>}
@@ -850,7 +915,7 @@ export default function SettingsTab({
 
           <div className="detail-section">
             <h3 className="section-title">On-demand Run</h3>
-            <p className="tab-subtitle">Trigger a single CRE workflow run from the console.</p>
+            <p className="tab-subtitle">Queue a single CRE workflow run for this project from the console.</p>
 
             <div className="card">
               <div className="form">
@@ -861,7 +926,7 @@ export default function SettingsTab({
                       className="text-input"
                       value={runBroadcast ? "yes" : "no"}
                       onChange={(e) => setRunBroadcast(e.target.value === "yes")}
-                      disabled={busy || runState === "running" || runState === "starting"}
+                      disabled={busy || runActive}
                     >
                       <option value="no">No (simulate only)</option>
                       <option value="yes">Yes (requires funded key in server .env)</option>
@@ -870,12 +935,13 @@ export default function SettingsTab({
                 </div>
 
                 <div className="form-actions">
-                  <button
-                    className="btn btn-primary"
-                    disabled={busy || runState === "running" || runState === "starting"}
-                    onClick={() => void startRun()}
-                  >
-                    {runState === "running" || runState === "starting" ? "Running..." : "Run now"}
+                  {runId && (runState === "queued" || runState === "running") && (
+                    <button className="btn btn-danger" onClick={() => void cancelRun()}>
+                      Cancel run
+                    </button>
+                  )}
+                  <button className="btn btn-primary" disabled={busy || runActive} onClick={() => void startRun()}>
+                    {runState === "queued" ? "Queued..." : runActive ? "Running..." : "Run now"}
                   </button>
                 </div>
 
@@ -888,6 +954,12 @@ export default function SettingsTab({
                     <span className="detail-label">Run ID</span>
                     <span className="detail-value mono">{formatMaybe(runId)}</span>
                   </div>
+                  {runState === "queued" && (
+                    <div className="detail-card">
+                      <span className="detail-label">Queue Position</span>
+                      <span className="detail-value">{formatMaybe(runQueuePosition)}</span>
+                    </div>
+                  )}
                 </div>
 
                 {runError && <div className="form-error">{runError}</div>}
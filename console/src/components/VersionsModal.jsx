@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useState } from "react"
+
+import ConfigDiff from "./ConfigDiff"
+
+const formatTime = (value) => {
+  const ms = Date.parse(value || "")
+  return Number.isFinite(ms) ? new Date(ms).toLocaleString() : "--"
+}
+
+const describeAuthor = (author) => {
+  if (!author) return "system"
+  return author.name || author.id || author.kind
+}
+
+const describeKind = (v) => {
+  if (v.kind === "rollback") return `rollback to v${v.rollbackOf}`
+  return v.kind
+}
+
+export default function VersionsModal({ open, onClose, request, onRolledBack }) {
+  const [versions, setVersions] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [compareTo, setCompareTo] = useState("")
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState("")
+  const [notice, setNotice] = useState("")
+  const [busy, setBusy] = useState(false)
+
+  const refresh = useCallback(async () => {
+    setError("")
+    try {
+      const res = await request("/api/publish/versions?limit=100", { timeoutMs: 8000 })
+      const list = Array.isArray(res?.versions) ? res.versions : []
+      setVersions(list)
+      setSelected((prev) => (prev && list.some((v) => v.version === prev) ? prev : list[0]?.version || null))
+    } catch (err) {
+      setVersions([])
+      setError(String(err?.message || err))
+    }
+  }, [request])
+
+  useEffect(() => {
+    if (!open) return
+    setDiff(null)
+    setCompareTo("")
+    setNotice("")
+    void refresh()
+  }, [open, refresh])
+
+  useEffect(() => {
+    setDiff(null)
+    if (!open || !selected) return
+    const from = compareTo ? Number(compareTo) : selected - 1
+    if (from < 1) return
+
+    let cancelled = false
+    request(`/api/publish/versions/diff?from=${from}&to=${selected}`, { timeoutMs: 8000 })
+      .then((res) => {
+        if (!cancelled) setDiff(res || null)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(String(err?.message || err))
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [open, selected, compareTo, request])
+
+  const rollback = async (version) => {
+    const message = window.prompt(
+      `Roll live configuration back to version ${version}? Drafts without unpublished edits are reset to it. Optional message:`,
+      ""
+    )
+    if (message === null) return
+    setError("")
+    setNotice("")
+    setBusy(true)
+    try {
+      const res = await request("/api/publish/rollback", { method: "POST", body: { version, message }, timeoutMs: 12000 })
+      if (res?.pending) {
+        setNotice(`Rollback to v${version} is waiting for approval: ${(res.request?.reasons || []).join("; ")}`)
+        return
+      }
+      setCompareTo("")
+      await refresh()
+      await onRolledBack?.()
+    } catch (err) {
+      setError(String(err?.message || err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open) return null
+
+  const latest = versions[0]?.version || null
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="modal">
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Versions</h2>
+            <p className="modal-subtitle">Every publish is kept as a numbered snapshot of live projects, connectors and policies</p>
+          </div>
+          <button className="btn btn-ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="modal-split">
+            <div className="modal-pane">
+              <h3 className="pane-title">Published versions</h3>
+              {versions.length === 0 ? (
+                <div className="empty-state">{error ? "Versions unavailable." : "Nothing has been published yet."}</div>
+              ) : (
+                <div className="list">
+                  {versions.map((v) => (
+                    <div
+                      key={v.version}
+                      className={v.version === selected ? "list-row active" : "list-row"}
+                      onClick={() => {
+                        setSelected(v.version)
+                        setCompareTo("")
+                      }}
+                    >
+                      <div className="list-main">
+                        <div className="list-title">
+                          v{v.version} · {describeKind(v)}
+                          {v.projectIds?.length ? ` · ${v.projectIds[0]}` : ""}
+                          {v.version === latest ? " · live" : ""}
+                        </div>
+                        <div className="list-sub">
+                          {formatTime(v.publishedAt)} · {describeAuthor(v.author)}
+                          {v.message ? ` · ${v.message}` : ""}
+                        </div>
+                      </div>
+                      {v.version !== latest && (
+                        <div className="list-actions">
+                          <button
+                            className="btn btn-danger"
+                            disabled={busy}
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              void rollback(v.version)
+                            }}
+                          >
+                            Roll back
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="modal-pane">
+              <h3 className="pane-title">Changes</h3>
+              {selected && (
+                <div className="form">
+                  <div className="form-grid">
+                    <label className="field span-2">
+                      <span className="field-label">Compare v{selected} against</span>
+                      <select className="text-input" value={compareTo} onChange={(e) => setCompareTo(e.target.value)}>
+                        <option value="">Previous version</option>
+                        {versions
+                          .filter((v) => v.version !== selected)
+                          .map((v) => (
+                            <option key={v.version} value={String(v.version)}>
+                              v{v.version}
+                            </option>
+                          ))}
+                      </select>
+                    </label>
+                  </div>
+                </div>
+              )}
+              {error && <div className="form-error">{error}</div>}
+              {notice && <div className="form-note">{notice}</div>}
+              {!selected ? (
+                <div className="empty-state">Select a version.</div>
+              ) : !compareTo && selected <= 1 ? (
+                <div className="empty-state">First recorded version.</div>
+              ) : diff ? (
+                <ConfigDiff diff={diff.diff} />
+              ) : (
+                <div className="empty-state">Loading diff...</div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
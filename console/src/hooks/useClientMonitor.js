@@ -3,8 +3,12 @@ import { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import {
   createPublicClient,
   http,
+  isAddress,
+  keccak256,
   parseAbi,
   recoverMessageAddress,
+  recoverTypedDataAddress,
+  stringToHex,
 } from "viem"
 import { arbitrum, avalanche, base, bsc, mainnet, optimism, polygon, sepolia } from "viem/chains"
 
@@ -75,14 +79,80 @@ const reserveMessage = ({ timestamp, reserveUsd, navUsd, source }) => {
   return `ReserveWatch:v1|source=${s}|reserveUsd=${r}|timestamp=${ts}`
 }
 
-const verifyReserveSignature = async ({ reserve, expectedSigner }) => {
+const RESERVE_TYPED_DATA_FIELDS = {
+  Reserve: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+  ReserveWithNav: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "navUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+}
+
+const reserveSignatureDomain = (project) => {
+  const chainId = resolveChain(project?.chainSelectorName)?.id
+  const verifyingContract = String(project?.receiverAddress || "").trim()
+  if (!chainId || !project?.id || !isAddress(verifyingContract)) return null
+  return { chainId, projectId: String(project.id), verifyingContract, requiredVersion: project.requiredSignatureVersion || null }
+}
+
+const reserveTypedData = ({ timestamp, reserveUsd, navUsd, source }, domain) => {
+  const primaryType = navUsd !== undefined && navUsd !== null ? "ReserveWithNav" : "Reserve"
+  return {
+    domain: {
+      name: "ReserveWatch",
+      version: "3",
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+      salt: keccak256(stringToHex(domain.projectId)),
+    },
+    types: { [primaryType]: RESERVE_TYPED_DATA_FIELDS[primaryType] },
+    primaryType,
+    message: {
+      source: String(source),
+      reserveUsd: BigInt(reserveUsd),
+      ...(primaryType === "ReserveWithNav" ? { navUsd: BigInt(navUsd) } : {}),
+      timestamp: BigInt(timestamp),
+    },
+  }
+}
+
+const recoverReserveSigner = async (reserve, domain) => {
+  if (reserve.signatureVersion === undefined || reserve.signatureVersion === null) {
+    return recoverMessageAddress({ message: reserveMessage(reserve), signature: reserve.signature })
+  }
+  if (reserve.signatureVersion !== "v3") throw new Error(`unsupported signatureVersion: ${reserve.signatureVersion}`)
+  if (!domain) throw new Error("v3 signatures need the project's chain, id and receiver address")
+  return recoverTypedDataAddress({ ...reserveTypedData(reserve, domain), signature: reserve.signature })
+}
+
+const connectorSigners = (connector) => {
+  const signers = (Array.isArray(connector?.signers) ? connector.signers : []).filter((s) => s?.address)
+  const legacy = String(connector?.expectedSigner || "").trim()
+  if (legacy && !signers.some((s) => normalizeAddress(s.address) === normalizeAddress(legacy))) {
+    return [...signers, { address: legacy, validFrom: null, validUntil: null }]
+  }
+  return signers
+}
+
+const signerActiveAt = (signer, nowS) =>
+  (signer.validFrom === null || signer.validFrom === undefined || nowS >= signer.validFrom) &&
+  (signer.validUntil === null || signer.validUntil === undefined || nowS < signer.validUntil)
+
+const verifyReserveSignature = async ({ reserve, signers, domain }) => {
   const signer = reserve?.signer
   const signature = reserve?.signature
+  const expected = Array.isArray(signers) ? signers : []
 
-  if (!expectedSigner) {
+  if (!expected.length) {
     return {
       signatureValid: null,
       recoveredSigner: null,
+      matchedSigner: null,
       signatureError: null,
     }
   }
@@ -91,34 +161,50 @@ const verifyReserveSignature = async ({ reserve, expectedSigner }) => {
     return {
       signatureValid: false,
       recoveredSigner: null,
+      matchedSigner: null,
       signatureError: "missing signer/signature",
     }
   }
 
+  if (domain?.requiredVersion === "v3" && reserve.signatureVersion !== "v3") {
+    return {
+      signatureValid: false,
+      recoveredSigner: null,
+      matchedSigner: null,
+      signatureError: "project requires v3 typed-data signatures",
+    }
+  }
+
   try {
-    const recoveredSigner = await recoverMessageAddress({
-      message: reserveMessage(reserve),
-      signature,
-    })
+    const recoveredSigner = await recoverReserveSigner(reserve, domain)
 
-    const okRecovered = normalizeAddress(recoveredSigner) === normalizeAddress(expectedSigner)
-    const okDeclared = normalizeAddress(signer) === normalizeAddress(expectedSigner)
+    const recovered = normalizeAddress(recoveredSigner) === normalizeAddress(signer)
+    const nowS = Math.floor(Date.now() / 1000)
+    const known = expected.filter((s) => normalizeAddress(s.address) === normalizeAddress(signer))
+    const matchedSigner = known.find((s) => signerActiveAt(s, nowS)) || null
+
+    let signatureError = null
+    if (!recovered) signatureError = "signature does not recover to the declared signer"
+    else if (!known.length) signatureError = `signer ${signer} is not in the connector's signer set`
+    else if (!matchedSigner) signatureError = `signer ${signer} is outside its validity window`
 
     return {
-      signatureValid: okRecovered && okDeclared,
+      signatureValid: recovered && Boolean(matchedSigner),
       recoveredSigner,
-      signatureError: null,
+      matchedSigner: recovered ? matchedSigner : null,
+      signatureError,
     }
   } catch (err) {
     return {
       signatureValid: false,
       recoveredSigner: null,
+      matchedSigner: null,
       signatureError: String(err?.message || err),
     }
   }
 }
 
-const fetchReserve = async ({ url, fallbackSource, expectedSigner }) => {
+const fetchReserve = async ({ url, fallbackSource, signers, domain }) => {
   if (!url) {
     return {
       ok: false,
@@ -151,13 +237,14 @@ const fetchReserve = async ({ url, fallbackSource, expectedSigner }) => {
       source: data?.source || fallbackSource || "unknown",
       signer: data?.signer,
       signature: data?.signature,
+      signatureVersion: data?.signatureVersion ?? undefined,
     }
 
     if (!Number.isFinite(parsed.timestamp) || !parsed.reserveUsd) {
       throw new Error("Response missing required fields (timestamp, reserveUsd)")
     }
 
-    const sig = await verifyReserveSignature({ reserve: parsed, expectedSigner })
+    const sig = await verifyReserveSignature({ reserve: parsed, signers, domain })
 
     return {
       ok: true,
@@ -166,6 +253,7 @@ const fetchReserve = async ({ url, fallbackSource, expectedSigner }) => {
         ...parsed,
         signatureValid: sig.signatureValid,
         recoveredSigner: sig.recoveredSigner,
+        matchedSigner: sig.matchedSigner,
         signatureError: sig.signatureError,
       },
     }
@@ -326,15 +414,135 @@ const getOnchainStatus = async ({ project }) => {
   }
 }
 
+const QUORUM_CONSENSUS_MODES = ["median", "quorum_k_of_n", "trimmed_mean"]
+
+const toBigIntOrNull = (value) => {
+  const text = String(value ?? "").trim()
+  return /^\d+$/.test(text) ? BigInt(text) : null
+}
+
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+const medianOf = (sorted) => {
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2n
+}
+
+const meanOf = (values) => values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length)
+
+const mismatchBpsOf = (a, b) => {
+  const max = a > b ? a : b
+  const diff = a > b ? a - b : b - a
+  return max === 0n ? 0n : (diff * 10_000n) / max
+}
+
+const aggregateReserveSources = ({ sources, total, mode, quorumK, maxMismatchBps, trimCount }) => {
+  const sorted = sources.slice().sort((a, b) => compareBigInt(a.reserveUsd, b.reserveUsd) || a.id.localeCompare(b.id))
+  const required = quorumK ?? Math.floor(total / 2) + 1
+  if (sorted.length < required) {
+    return {
+      ok: false,
+      reason: "insufficient_sources",
+      required,
+      used: [],
+      error: `only ${sorted.length} of ${total} reserve sources valid, need ${required}`,
+    }
+  }
+
+  let used = sorted
+  if (mode === "quorum_k_of_n") {
+    let best = []
+    for (let i = 0; i < sorted.length; i++) {
+      let j = i
+      while (j + 1 < sorted.length && mismatchBpsOf(sorted[i].reserveUsd, sorted[j + 1].reserveUsd) <= maxMismatchBps) j++
+      if (j - i + 1 > best.length) best = sorted.slice(i, j + 1)
+    }
+    if (best.length < required) {
+      return {
+        ok: false,
+        reason: "no_quorum",
+        required,
+        used: [],
+        error: `no ${required} of ${total} reserve sources agree within ${maxMismatchBps} bps`,
+      }
+    }
+    used = best
+  } else if (mode === "trimmed_mean") {
+    const trim = trimCount ?? (sorted.length >= 3 ? 1 : 0)
+    if (sorted.length - 2 * trim < 1) {
+      return {
+        ok: false,
+        reason: "insufficient_sources",
+        required,
+        used: [],
+        error: `cannot trim ${trim} from each end of ${sorted.length} reserve sources`,
+      }
+    }
+    used = sorted.slice(trim, sorted.length - trim)
+  } else if (mode !== "median") {
+    throw new Error(`unknown consensus mode ${mode}`)
+  }
+
+  const combine = mode === "trimmed_mean" ? meanOf : medianOf
+  const navs = used.map((s) => s.navUsd)
+  return {
+    ok: true,
+    reason: null,
+    required,
+    used: used.map((s) => s.id),
+    reserveUsd: combine(used.map((s) => s.reserveUsd)),
+    navUsd: navs.every((v) => typeof v === "bigint") ? combine(navs.slice().sort(compareBigInt)) : undefined,
+    asOfTimestamp: used.reduce((min, s) => (s.asOfTimestamp < min ? s.asOfTimestamp : min), used[0].asOfTimestamp),
+    error: "",
+  }
+}
+
+const reserveConsensus = ({ sources, mode, policy, now, maxReserveAgeS, maxMismatchRatio }) => {
+  const valid = []
+  const excluded = []
+  for (const r of sources) {
+    const id = String(r?.connectorId || r?.source || "unknown")
+    const reserveUsd = toBigIntOrNull(r?.reserveUsd)
+    if (r?.error || typeof r?.timestamp !== "number") excluded.push({ id, reason: "unavailable" })
+    else if (r.signatureValid === false) excluded.push({ id, reason: "signature_invalid" })
+    else if (Number.isFinite(maxReserveAgeS) && now - r.timestamp > maxReserveAgeS) excluded.push({ id, reason: "stale" })
+    else if (reserveUsd === null) excluded.push({ id, reason: "invalid_amount" })
+    else valid.push({ id, reserveUsd, navUsd: toBigIntOrNull(r.navUsd) ?? undefined, asOfTimestamp: BigInt(r.timestamp) })
+  }
+
+  const result = aggregateReserveSources({
+    sources: valid,
+    total: sources.length,
+    mode,
+    quorumK: toFiniteNumber(policy?.quorumK),
+    maxMismatchBps: Number.isFinite(maxMismatchRatio) ? BigInt(Math.floor(maxMismatchRatio * 10_000)) : 100n,
+    trimCount: toFiniteNumber(policy?.trimCount),
+  })
+
+  return {
+    mode,
+    ok: result.ok,
+    reason: result.reason,
+    error: result.error,
+    total: sources.length,
+    valid: valid.length,
+    required: result.required,
+    used: result.used,
+    excluded,
+    reserveUsd: result.ok ? result.reserveUsd.toString() : null,
+    navUsd: result.ok && result.navUsd !== undefined ? result.navUsd.toString() : null,
+    asOfTimestamp: result.ok ? Number(result.asOfTimestamp) : null,
+  }
+}
+
 const computeDerived = ({ reserves, onchain, project, policy }) => {
   const now = Math.floor(Date.now() / 1000)
 
   const consensusMode = policy?.consensusMode || "require_match"
+  const quorumMode = QUORUM_CONSENSUS_MODES.includes(consensusMode)
 
   const primarySigInvalid = reserves?.primary?.signatureValid === false
   const secondarySigInvalid = reserves?.secondary?.signatureValid === false
-  const reserveSignatureInvalid =
-    consensusMode === "primary_only" ? primarySigInvalid : primarySigInvalid || secondarySigInvalid
 
   const maxReserveAgeS = (() => {
     const fromPolicy = toFiniteNumber(policy?.maxReserveAgeS)
@@ -354,6 +562,17 @@ const computeDerived = ({ reserves, onchain, project, policy }) => {
 
   const minCoverageBpsOverride = toFiniteNumber(policy?.minCoverageBps)
 
+  const sources = Array.isArray(reserves?.sources) ? reserves.sources : []
+  const consensus = quorumMode
+    ? reserveConsensus({ sources, mode: consensusMode, policy, now, maxReserveAgeS, maxMismatchRatio })
+    : null
+
+  const reserveSignatureInvalid = consensus
+    ? !consensus.ok && consensus.excluded.some((e) => e.reason === "signature_invalid")
+    : consensusMode === "primary_only"
+      ? primarySigInvalid
+      : primarySigInvalid || secondarySigInvalid
+
   const primaryTs = reserves?.primary?.timestamp
   const secondaryTs = reserves?.secondary?.timestamp
 
@@ -364,6 +583,7 @@ const computeDerived = ({ reserves, onchain, project, policy }) => {
   const secondaryOk = Boolean(reserves?.secondary && typeof secondaryTs === "number")
 
   const reserveStale = (() => {
+    if (consensus) return consensus.reason === "insufficient_sources"
     if (!Number.isFinite(maxReserveAgeS)) return false
 
     if (consensusMode === "primary_only") {
@@ -394,6 +614,7 @@ const computeDerived = ({ reserves, onchain, project, policy }) => {
       sourceMismatch = reserveMismatchRatio > maxMismatchRatio
     }
   }
+  if (consensus?.reason === "no_quorum") sourceMismatch = true
 
   const coverageBps = toFiniteNumber(onchain?.receiver?.lastCoverageBps)
   const onchainMinCoverageBps = toFiniteNumber(onchain?.receiver?.minCoverageBps)
@@ -439,6 +660,7 @@ const computeDerived = ({ reserves, onchain, project, policy }) => {
     reserveStale,
     reserveSignatureInvalid,
     sourceMismatch,
+    consensus,
     reserveMismatchUsd,
     reserveMismatchRatio,
     coverageBps,
@@ -507,40 +729,46 @@ export default function useClientMonitor({ enabled, project, connectors, policy,
   const enabledRef = useRef(Boolean(enabled))
   const projectId = String(project?.id || "").trim()
 
-  const connectorMap = useMemo(() => {
-    const list = Array.isArray(connectors) ? connectors : []
-    const primary = list.find((c) => String(c?.role || "") === "primary") || null
-    const secondary = list.find((c) => String(c?.role || "") === "secondary") || null
-    return { primary, secondary }
-  }, [connectors])
+  const connectorList = useMemo(
+    () => (Array.isArray(connectors) ? connectors : []).filter((c) => c && typeof c.id === "string"),
+    [connectors]
+  )
 
   const tick = useCallback(async () => {
     if (!enabledRef.current) return
 
     setBusy(true)
     try {
-      const expectedPrimary = String(connectorMap.primary?.expectedSigner || "").trim()
-      const expectedSecondary = String(connectorMap.secondary?.expectedSigner || "").trim()
-
-      const tasks = [
-        fetchReserve({
-          url: String(connectorMap.primary?.url || "").trim(),
-          fallbackSource: String(connectorMap.primary?.id || "primary"),
-          expectedSigner: expectedPrimary,
-        }),
-        fetchReserve({
-          url: String(connectorMap.secondary?.url || "").trim(),
-          fallbackSource: String(connectorMap.secondary?.id || "secondary"),
-          expectedSigner: expectedSecondary,
-        }),
+      const [sourceResults, onchainRes] = await Promise.all([
+        Promise.all(
+          connectorList.map((c) =>
+            fetchReserve({
+              url: String(c.url || "").trim(),
+              fallbackSource: c.id,
+              signers: connectorSigners(c),
+              domain: reserveSignatureDomain(project),
+            })
+          )
+        ),
         getOnchainStatus({ project }),
-      ]
-
-      const [primaryRes, secondaryRes, onchainRes] = await Promise.all(tasks)
+      ])
+
+      const sources = sourceResults.map((r, i) =>
+        r.reserve
+          ? { ...r.reserve, connectorId: connectorList[i].id, role: connectorList[i].role }
+          : { connectorId: connectorList[i].id, role: connectorList[i].role, error: r.error }
+      )
+      const byRole = (role) => {
+        const i = connectorList.findIndex((c) => String(c.role || "") === role)
+        return i < 0 ? { reserve: null, error: "" } : sourceResults[i]
+      }
+      const primaryRes = byRole("primary")
+      const secondaryRes = byRole("secondary")
 
       const reserves = {
-        primary: primaryRes?.reserve || null,
-        secondary: secondaryRes?.reserve || null,
+        primary: primaryRes.reserve || null,
+        secondary: secondaryRes.reserve || null,
+        sources,
       }
 
       const onchain = onchainRes || null
@@ -578,7 +806,7 @@ export default function useClientMonitor({ enabled, project, connectors, policy,
         operator,
       })
 
-      const errs = [primaryRes?.error, secondaryRes?.error].filter(Boolean)
+      const errs = sources.map((r) => r.error).filter(Boolean)
       setError(errs.length ? `Reserve source error: ${errs[0]}` : "")
       setLastUpdatedAt(Date.now())
     } catch (err) {
@@ -587,7 +815,7 @@ export default function useClientMonitor({ enabled, project, connectors, policy,
     } finally {
       setBusy(false)
     }
-  }, [connectorMap, policy, project])
+  }, [connectorList, policy, project])
 
   useEffect(() => {
     enabledRef.current = Boolean(enabled)
@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from "react"
+
+const parseEventData = (event) => {
+  try {
+    return JSON.parse(event?.data || "null")
+  } catch {
+    return null
+  }
+}
+
+export default function useStatusStream({ enabled, projectId, onStatus, onError }) {
+  const [connected, setConnected] = useState(false)
+
+  const onStatusRef = useRef(onStatus)
+  const onErrorRef = useRef(onError)
+
+  useEffect(() => {
+    onStatusRef.current = onStatus
+  }, [onStatus])
+
+  useEffect(() => {
+    onErrorRef.current = onError
+  }, [onError])
+
+  useEffect(() => {
+    setConnected(false)
+
+    const pid = String(projectId || "").trim()
+    if (!enabled || !pid) return
+    if (typeof window === "undefined" || typeof window.EventSource !== "function") return
+
+    let snapshot = null
+    const source = new window.EventSource(`/api/status/stream?project=${encodeURIComponent(pid)}`)
+
+    const handleSnapshot = (event) => {
+      const data = parseEventData(event)
+      if (!data?.status) return
+      snapshot = data.status
+      setConnected(true)
+      onStatusRef.current?.(snapshot)
+    }
+
+    const handleDiff = (event) => {
+      const data = parseEventData(event)
+      if (!data?.changed || !snapshot) return
+      snapshot = { ...snapshot, ...data.changed }
+      onStatusRef.current?.(snapshot)
+    }
+
+    const handleStatusError = (event) => {
+      const data = parseEventData(event)
+      onErrorRef.current?.(String(data?.error || "Status stream error"))
+    }
+
+    source.addEventListener("snapshot", handleSnapshot)
+    source.addEventListener("diff", handleDiff)
+    source.addEventListener("status_error", handleStatusError)
+    source.onerror = () => {
+      snapshot = null
+      setConnected(false)
+    }
+
+    return () => {
+      source.close()
+      setConnected(false)
+    }
+  }, [enabled, projectId])
+
+  return { connected }
+}
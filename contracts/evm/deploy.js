@@ -197,6 +197,7 @@ async function main() {
           ...p,
           receiverAddress: receiverAddress.contractAddress,
           liabilityTokenAddress: liabilityTokenAddress.contractAddress,
+          receiverDeployBlock: Number(receiverAddress.blockNumber),
         }
       })
 
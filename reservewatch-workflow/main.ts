@@ -15,6 +15,8 @@ import {
   keccak256,
   parseAbiParameters,
   recoverMessageAddress,
+  recoverTypedDataAddress,
+  stringToHex,
   type Address,
   zeroAddress,
 } from "viem"
@@ -29,6 +31,7 @@ type ReserveSourceResponse = {
   source: string
   signer?: string
   signature?: string
+  signatureVersion?: string | null
 }
 
 type ReserveData = {
@@ -136,6 +139,14 @@ const bytesToAscii = (bytes: Uint8Array): string => {
   return result
 }
 
+const signerSchema = z.object({
+  address: z.string(),
+  validFrom: z.number().optional(),
+  validUntil: z.number().optional(),
+})
+
+type SignerWindow = z.infer<typeof signerSchema>
+
 const configSchema = z.object({
   schedule: z.string(),
   chainSelectorName: z.string(),
@@ -146,10 +157,29 @@ const configSchema = z.object({
   supplyLiabilityTokenAddress: z.string().optional(),
   reserveUrlPrimary: z.string(),
   reserveUrlSecondary: z.string(),
+  reserveSources: z
+    .array(
+      z.object({
+        id: z.string(),
+        url: z.string(),
+        expectedSigner: z.string().optional(),
+        signers: z.array(signerSchema).optional(),
+      })
+    )
+    .optional(),
+  reserveQuorumK: z.string().optional(),
+  reserveTrimCount: z.string().optional(),
   reserveExpectedSignerAddress: z.string().optional(),
   reserveExpectedSignerAddressPrimary: z.string().optional(),
   reserveExpectedSignerAddressSecondary: z.string().optional(),
-  reserveConsensusMode: z.enum(["primary_only", "require_match", "conservative_min"]).optional(),
+  reserveSigners: z.array(signerSchema).optional(),
+  reserveSignersPrimary: z.array(signerSchema).optional(),
+  reserveSignersSecondary: z.array(signerSchema).optional(),
+  reserveSignatureProjectId: z.string().optional(),
+  reserveRequiredSignatureVersion: z.enum(["v3"]).optional(),
+  reserveConsensusMode: z
+    .enum(["primary_only", "require_match", "conservative_min", "median", "quorum_k_of_n", "trimmed_mean"])
+    .optional(),
   reserveMaxMismatchBps: z.string().optional(),
   reserveMaxMismatchRatio: z.string().optional(),
   reserveMaxAgeS: z.string().optional(),
@@ -191,43 +221,253 @@ const normalizeAddress = (a?: string | null) => {
   return String(a).toLowerCase()
 }
 
+const signerSet = (signers: SignerWindow[] | undefined, expectedSigner: string): SignerWindow[] => {
+  const set = (signers || []).filter((s) => s.address)
+  if (expectedSigner && !set.some((s) => normalizeAddress(s.address) === normalizeAddress(expectedSigner))) {
+    return [...set, { address: expectedSigner }]
+  }
+  return set
+}
+
+const signerActiveAt = (signer: SignerWindow, nowS: number) =>
+  (signer.validFrom === undefined || nowS >= signer.validFrom) && (signer.validUntil === undefined || nowS < signer.validUntil)
+
+type ReserveSignatureDomain = {
+  chainId: number
+  projectId: string
+  verifyingContract: Address
+  requiredVersion: "v3" | null
+}
+
+const RESERVE_TYPED_DATA_FIELDS = {
+  Reserve: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+  ReserveWithNav: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "navUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+} as const
+
+const recoverReserveSigner = async (
+  parsed: ReserveSourceResponse,
+  domain: ReserveSignatureDomain | null
+): Promise<string> => {
+  const navUsd = typeof parsed.navUsd === "string" ? parsed.navUsd : undefined
+  const signature = parsed.signature as `0x${string}`
+
+  if (parsed.signatureVersion === undefined || parsed.signatureVersion === null) {
+    return recoverMessageAddress({
+      message: reserveMessage({ timestamp: parsed.timestamp, reserveUsd: parsed.reserveUsd, navUsd, source: parsed.source }),
+      signature,
+    })
+  }
+  if (parsed.signatureVersion !== "v3") throw new Error(`unsupported signatureVersion: ${parsed.signatureVersion}`)
+  if (!domain) throw new Error("v3 signatures need reserveSignatureProjectId")
+
+  const typedDomain = {
+    name: "ReserveWatch",
+    version: "3",
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract,
+    salt: keccak256(stringToHex(domain.projectId)),
+  }
+  if (navUsd !== undefined) {
+    return recoverTypedDataAddress({
+      domain: typedDomain,
+      types: { ReserveWithNav: RESERVE_TYPED_DATA_FIELDS.ReserveWithNav },
+      primaryType: "ReserveWithNav",
+      message: {
+        source: String(parsed.source),
+        reserveUsd: BigInt(parsed.reserveUsd),
+        navUsd: BigInt(navUsd),
+        timestamp: BigInt(parsed.timestamp),
+      },
+      signature,
+    })
+  }
+  return recoverTypedDataAddress({
+    domain: typedDomain,
+    types: { Reserve: RESERVE_TYPED_DATA_FIELDS.Reserve },
+    primaryType: "Reserve",
+    message: {
+      source: String(parsed.source),
+      reserveUsd: BigInt(parsed.reserveUsd),
+      timestamp: BigInt(parsed.timestamp),
+    },
+    signature,
+  })
+}
+
 const verifyReserveSignature = async ({
   parsed,
-  expectedSigner,
+  signers,
+  nowS,
+  domain,
 }: {
   parsed: ReserveSourceResponse
-  expectedSigner: string
-}): Promise<boolean> => {
-  if (!expectedSigner) return true
-  if (!parsed?.signature) return false
-  if (!parsed?.signer) return false
-  if (normalizeAddress(parsed.signer) !== normalizeAddress(expectedSigner)) return false
+  signers: SignerWindow[]
+  nowS: number
+  domain: ReserveSignatureDomain | null
+}): Promise<SignerWindow | null> => {
+  if (!parsed?.signature) return null
+  if (!parsed?.signer) return null
+
+  const matched = signers.find(
+    (s) => normalizeAddress(s.address) === normalizeAddress(parsed.signer) && signerActiveAt(s, nowS)
+  )
+  if (!matched) return null
 
-  if (typeof parsed.signature !== "string") return false
-  if (!parsed.signature.startsWith("0x")) return false
+  if (typeof parsed.signature !== "string") return null
+  if (!parsed.signature.startsWith("0x")) return null
+  if (domain?.requiredVersion === "v3" && parsed.signatureVersion !== "v3") return null
 
   try {
-    const recovered = await recoverMessageAddress({
-      message: reserveMessage({
-        timestamp: parsed.timestamp,
-        reserveUsd: parsed.reserveUsd,
-        navUsd: typeof parsed.navUsd === "string" ? parsed.navUsd : undefined,
-        source: parsed.source,
-      }),
-      signature: parsed.signature as `0x${string}`,
-    })
-    return normalizeAddress(recovered) === normalizeAddress(expectedSigner)
+    const recovered = await recoverReserveSigner(parsed, domain)
+    return normalizeAddress(recovered) === normalizeAddress(matched.address) ? matched : null
   } catch {
-    return false
+    return null
+  }
+}
+
+type ReserveSourceValue = {
+  id: string
+  reserveUsd: bigint
+  navUsd?: bigint
+  asOfTimestamp: bigint
+}
+
+type ReserveAggregate =
+  | {
+      ok: true
+      reason: null
+      required: number
+      used: string[]
+      reserveUsd: bigint
+      navUsd?: bigint
+      asOfTimestamp: bigint
+      error: string
+    }
+  | {
+      ok: false
+      reason: "insufficient_sources" | "no_quorum"
+      required: number
+      used: string[]
+      error: string
+    }
+
+const compareBigInt = (a: bigint, b: bigint) => (a < b ? -1 : a > b ? 1 : 0)
+
+const medianOf = (sorted: bigint[]): bigint => {
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2n
+}
+
+const meanOf = (values: bigint[]): bigint => values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length)
+
+const mismatchBpsOf = (a: bigint, b: bigint): bigint => {
+  const max = a > b ? a : b
+  const diff = a > b ? a - b : b - a
+  return max === 0n ? 0n : (diff * 10_000n) / max
+}
+
+const aggregateReserveSources = ({
+  sources,
+  total,
+  mode,
+  quorumK,
+  maxMismatchBps,
+  trimCount,
+}: {
+  sources: ReserveSourceValue[]
+  total: number
+  mode: string
+  quorumK: number | null
+  maxMismatchBps: bigint
+  trimCount: number | null
+}): ReserveAggregate => {
+  const sorted = sources.slice().sort((a, b) => compareBigInt(a.reserveUsd, b.reserveUsd) || a.id.localeCompare(b.id))
+  const required = quorumK ?? Math.floor(total / 2) + 1
+  if (sorted.length < required) {
+    return {
+      ok: false,
+      reason: "insufficient_sources",
+      required,
+      used: [],
+      error: `only ${sorted.length} of ${total} reserve sources valid, need ${required}`,
+    }
+  }
+
+  let used = sorted
+  if (mode === "quorum_k_of_n") {
+    let best: ReserveSourceValue[] = []
+    for (let i = 0; i < sorted.length; i++) {
+      let j = i
+      while (j + 1 < sorted.length && mismatchBpsOf(sorted[i].reserveUsd, sorted[j + 1].reserveUsd) <= maxMismatchBps) j++
+      if (j - i + 1 > best.length) best = sorted.slice(i, j + 1)
+    }
+    if (best.length < required) {
+      return {
+        ok: false,
+        reason: "no_quorum",
+        required,
+        used: [],
+        error: `no ${required} of ${total} reserve sources agree within ${maxMismatchBps} bps`,
+      }
+    }
+    used = best
+  } else if (mode === "trimmed_mean") {
+    const trim = trimCount ?? (sorted.length >= 3 ? 1 : 0)
+    if (sorted.length - 2 * trim < 1) {
+      return {
+        ok: false,
+        reason: "insufficient_sources",
+        required,
+        used: [],
+        error: `cannot trim ${trim} from each end of ${sorted.length} reserve sources`,
+      }
+    }
+    used = sorted.slice(trim, sorted.length - trim)
+  } else if (mode !== "median") {
+    throw new Error(`unknown consensus mode ${mode}`)
+  }
+
+  const combine = mode === "trimmed_mean" ? meanOf : medianOf
+  const navs = used.map((s) => s.navUsd)
+  return {
+    ok: true,
+    reason: null,
+    required,
+    used: used.map((s) => s.id),
+    reserveUsd: combine(used.map((s) => s.reserveUsd)),
+    navUsd: navs.every((v): v is bigint => typeof v === "bigint") ? combine(navs.slice().sort(compareBigInt)) : undefined,
+    asOfTimestamp: used.reduce((min, s) => (s.asOfTimestamp < min ? s.asOfTimestamp : min), used[0].asOfTimestamp),
+    error: "",
   }
 }
 
-const fetchReserve = async (runtime: Runtime<Config>): Promise<ReserveData> => {
+const parseOptionalCount = (value: string | undefined, min: number): number | null => {
+  if (!value) return null
+  const n = Number(value)
+  return Number.isInteger(n) && n >= min ? n : null
+}
+
+const fetchReserve = async (
+  runtime: Runtime<Config>,
+  domain: ReserveSignatureDomain | null
+): Promise<ReserveData> => {
   const httpClient = new HTTPClient()
 
   const expectedSignerAll = runtime.config.reserveExpectedSignerAddress || ""
   const expectedSignerPrimary = runtime.config.reserveExpectedSignerAddressPrimary || expectedSignerAll
   const expectedSignerSecondary = runtime.config.reserveExpectedSignerAddressSecondary || expectedSignerAll
+  const signersAll = runtime.config.reserveSigners
+  const signersPrimary = signerSet(runtime.config.reserveSignersPrimary || signersAll, expectedSignerPrimary)
+  const signersSecondary = signerSet(runtime.config.reserveSignersSecondary || signersAll, expectedSignerSecondary)
 
   const consensusMode = runtime.config.reserveConsensusMode || "primary_only"
   const stalePolicy = runtime.config.reserveStalePolicy || "fallback_secondary"
@@ -257,11 +497,11 @@ const fetchReserve = async (runtime: Runtime<Config>): Promise<ReserveData> => {
 
   const parseCandidate = async ({
     resp,
-    expectedSigner,
+    signers,
     label,
   }: {
     resp: { statusCode: number; body: Uint8Array }
-    expectedSigner: string
+    signers: SignerWindow[]
     label: string
   }): Promise<{ data: ReserveData | null; stale: boolean }> => {
     if (resp.statusCode !== 200) return { data: null, stale: false }
@@ -277,8 +517,13 @@ const fetchReserve = async (runtime: Runtime<Config>): Promise<ReserveData> => {
         }
       }
 
-      if (expectedSigner && !(await verifyReserveSignature({ parsed, expectedSigner }))) {
-        return { data: null, stale: false }
+      if (signers.length) {
+        const matched = await verifyReserveSignature({ parsed, signers, nowS, domain })
+        if (!matched) {
+          runtime.log(`${label} reserve signature rejected signer=${parsed.signer || "none"}`)
+          return { data: null, stale: false }
+        }
+        runtime.log(`${label} reserve signed by ${matched.address}`)
       }
 
       return {
@@ -295,6 +540,53 @@ const fetchReserve = async (runtime: Runtime<Config>): Promise<ReserveData> => {
     }
   }
 
+  if (consensusMode === "median" || consensusMode === "quorum_k_of_n" || consensusMode === "trimmed_mean") {
+    const sources = runtime.config.reserveSources?.length
+      ? runtime.config.reserveSources.map((source) => ({
+          id: source.id,
+          url: source.url,
+          signers: signerSet(source.signers || signersAll, source.expectedSigner || expectedSignerAll),
+        }))
+      : [
+          { id: "primary", url: runtime.config.reserveUrlPrimary, signers: signersPrimary },
+          { id: "secondary", url: runtime.config.reserveUrlSecondary, signers: signersSecondary },
+        ]
+
+    const values: ReserveSourceValue[] = []
+    for (const source of sources) {
+      const resp = httpClient.sendRequest(runtime as any, { url: source.url, method: "GET" }).result()
+      const candidate = await parseCandidate({
+        resp,
+        signers: source.signers,
+        label: source.id,
+      })
+      if (!candidate.data) continue
+      values.push({
+        id: source.id,
+        reserveUsd: candidate.data.reserveUsd,
+        navUsd: candidate.data.navUsd,
+        asOfTimestamp: candidate.data.asOfTimestamp,
+      })
+    }
+
+    const result = aggregateReserveSources({
+      sources: values,
+      total: sources.length,
+      mode: consensusMode,
+      quorumK: parseOptionalCount(runtime.config.reserveQuorumK, 1),
+      maxMismatchBps: maxMismatchBps ?? 100n,
+      trimCount: parseOptionalCount(runtime.config.reserveTrimCount, 0),
+    })
+    if (!result.ok) throw new Error(result.error)
+
+    return {
+      asOfTimestamp: result.asOfTimestamp,
+      reserveUsd: result.reserveUsd,
+      navUsd: result.navUsd,
+      source: `${consensusMode}:${result.used.join("+")}`,
+    }
+  }
+
   const primaryResp = httpClient
     .sendRequest(runtime as any, {
       url: runtime.config.reserveUrlPrimary,
@@ -311,12 +603,12 @@ const fetchReserve = async (runtime: Runtime<Config>): Promise<ReserveData> => {
 
   const primaryCandidate = await parseCandidate({
     resp: primaryResp,
-    expectedSigner: expectedSignerPrimary,
+    signers: signersPrimary,
     label: "primary",
   })
   const secondaryCandidate = await parseCandidate({
     resp: secondaryResp,
-    expectedSigner: expectedSignerSecondary,
+    signers: signersSecondary,
     label: "secondary",
   })
 
@@ -474,7 +766,21 @@ const onCronTrigger = async (runtime: Runtime<Config>): Promise<string> => {
   const supplyEvmClient = new EVMClient(supplyNetwork.chainSelector.selector)
   const attestationEvmClient = new EVMClient(attestationNetwork.chainSelector.selector)
 
-  const reserveData = await fetchReserve(runtime)
+  if (runtime.config.reserveRequiredSignatureVersion && !runtime.config.reserveSignatureProjectId) {
+    throw new Error("reserveRequiredSignatureVersion needs reserveSignatureProjectId")
+  }
+
+  const reserveData = await fetchReserve(
+    runtime,
+    runtime.config.reserveSignatureProjectId
+      ? {
+          chainId: Number(attestationNetwork.chainId),
+          projectId: runtime.config.reserveSignatureProjectId,
+          verifyingContract: runtime.config.receiverAddress as Address,
+          requiredVersion: runtime.config.reserveRequiredSignatureVersion || null,
+        }
+      : null
+  )
 
   const supply = readLiabilitySupply(runtime, supplyEvmClient)
   const coverageBps = computeCoverageBps(reserveData.reserveUsd, supply)
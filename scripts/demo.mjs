@@ -20,7 +20,10 @@ const requestJson = async ({ url, method, body, timeoutMs }) => {
     url,
     {
       method,
-      headers: { "content-type": "application/json" },
+      headers: {
+        "content-type": "application/json",
+        ...(process.env.RESERVEWATCH_API_KEY ? { authorization: `Bearer ${process.env.RESERVEWATCH_API_KEY}` } : {}),
+      },
       body: body ? JSON.stringify(body) : undefined,
     },
     timeoutMs
@@ -74,6 +77,7 @@ Usage:
 Notes:
   - Without --broadcast, this will run simulations but will NOT change onchain state.
   - This script expects the reserve API server to be running and reachable at --api.
+  - Set RESERVEWATCH_API_KEY to an operator key when the API has access control enabled.
 `)
 }
 
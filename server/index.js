@@ -1,22 +1,99 @@
 import express from "express"
+import crypto from "node:crypto"
+import dns from "node:dns"
 import fs from "node:fs"
+import { request as httpRequest } from "node:http"
+import { request as httpsRequest } from "node:https"
+import net from "node:net"
 import path from "node:path"
 import { spawn } from "node:child_process"
 import { fileURLToPath } from "node:url"
-import { createPublicClient, http, isAddress, parseAbi, parseAbiItem, recoverMessageAddress } from "viem"
-import { privateKeyToAccount } from "viem/accounts"
-import { sepolia } from "viem/chains"
+import {
+  createPublicClient,
+  http,
+  isAddress,
+  parseAbi,
+  parseAbiItem,
+  keccak256,
+  recoverMessageAddress,
+  recoverTypedDataAddress,
+  stringToHex,
+  verifyMessage,
+} from "viem"
+import { generatePrivateKey, privateKeyToAccount } from "viem/accounts"
+import { generateSiweNonce, parseSiweMessage, validateSiweMessage } from "viem/siwe"
+import {
+  arbitrum,
+  arbitrumSepolia,
+  avalanche,
+  avalancheFuji,
+  base,
+  baseSepolia,
+  bsc,
+  bscTestnet,
+  mainnet,
+  optimism,
+  optimismSepolia,
+  polygon,
+  polygonAmoy,
+  sepolia,
+} from "viem/chains"
+
+import { createStorage } from "./storage.js"
 
 const app = express()
 app.use(express.json())
 
 let mode = process.env.RESERVE_MODE || "healthy"
 
-const incidentStateByProjectId = new Map()
+let reserveSigningAccount = null
+try {
+  const pk = process.env.RESERVE_SIGNING_PRIVATE_KEY
+  if (pk) reserveSigningAccount = privateKeyToAccount(pk)
+} catch {
+  reserveSigningAccount = null
+}
+
+const activeRuns = new Map()
+const runQueue = []
+
+const serverRoot = path.dirname(fileURLToPath(import.meta.url))
+const reservewatchRoot = path.resolve(serverRoot, "..")
+
+const resolveDataDir = () => {
+  const override = process.env.RESERVEWATCH_DATA_DIR
+  if (override) {
+    return path.isAbsolute(override) ? override : path.resolve(process.cwd(), override)
+  }
+  return path.resolve(serverRoot, "./data")
+}
+
+const resolveSqlitePath = () => {
+  const override = process.env.RESERVEWATCH_SQLITE_PATH
+  if (!override) return null
+  return path.isAbsolute(override) ? override : path.resolve(process.cwd(), override)
+}
+
+const CONFIG_DOCUMENTS = {
+  projects: () => resolveProjectsPath({ draft: false }),
+  "projects-draft": () => resolveProjectsPath({ draft: true }),
+  connectors: () => resolveConnectorsPath({ draft: false }),
+  "connectors-draft": () => resolveConnectorsPath({ draft: true }),
+  policies: () => resolvePoliciesPath({ draft: false }),
+  "policies-draft": () => resolvePoliciesPath({ draft: true }),
+}
+
+const storage = await createStorage({
+  driver: process.env.RESERVEWATCH_STORAGE || "json",
+  dataDir: resolveDataDir(),
+  sqlitePath: resolveSqlitePath(),
+  documentPath: (name) => (CONFIG_DOCUMENTS[name] ? CONFIG_DOCUMENTS[name]() : null),
+  logCollections: ["timeseries", "attestations"],
+})
 
 const getIncidentState = (projectId) => {
   const key = projectId || "default"
-  const existing = incidentStateByProjectId.get(key)
+  const existing = storage.getRecord("incidents", key)
   if (existing) return existing
   return {
     active: false,
@@ -34,30 +111,83 @@ const setIncidentState = ({ projectId, active, severity, message }) => {
     message: typeof message === "string" ? message : "",
     updatedAt: Math.floor(Date.now() / 1000),
   }
-  incidentStateByProjectId.set(key, next)
+  storage.putRecord("incidents", key, next, { scope: key, sortKey: next.updatedAt })
   return next
 }
 
-let reserveSigningAccount = null
-try {
-  const pk = process.env.RESERVE_SIGNING_PRIVATE_KEY
-  if (pk) reserveSigningAccount = privateKeyToAccount(pk)
-} catch {
-  reserveSigningAccount = null
+const RUN_OUTPUT_FLUSH_MS = 1000
+const RUN_CONCURRENCY = Math.max(1, Math.floor(Number(process.env.RESERVEWATCH_RUN_CONCURRENCY ?? 1)) || 1)
+const RUN_QUEUE_MAX = Number(process.env.RESERVEWATCH_RUN_QUEUE_MAX ?? 20)
+const RUN_CANCEL_GRACE_MS = Number(process.env.RESERVEWATCH_RUN_CANCEL_GRACE_MS ?? 5_000)
+const RUN_LIST_MAX_LIMIT = 200
+const RUN_STATES = ["queued", "running", "ok", "failed", "cancelled"]
+const runOutputFlushTimers = new Map()
+let runSeq = 0
+
+const runSortKey = (run) => run.sortKey ?? (Date.parse(run.queuedAt || run.startedAt) || Date.now()) * 1000
+
+const saveRun = (run) => {
+  const pending = runOutputFlushTimers.get(run.runId)
+  if (pending) {
+    clearTimeout(pending)
+    runOutputFlushTimers.delete(run.runId)
+  }
+  storage.putRecord("runs", run.runId, run, { sortKey: runSortKey(run) })
+}
+
+const getRun = (runId) =>
+  activeRuns.get(runId)?.run || runQueue.find((run) => run.runId === runId) || storage.getRecord("runs", runId)
+
+const recoverInterruptedRuns = () => {
+  const running = storage.listRecords("runs", { filter: (r) => r?.state === "running" || r?.state === "queued" })
+  for (const run of running) {
+    saveRun({
+      ...run,
+      state: "failed",
+      error: run.error || (run.state === "queued" ? "server restarted before run started" : "server restarted before run finished"),
+      finishedAt: run.finishedAt || new Date().toISOString(),
+    })
+  }
 }
 
-let activeRun = null
-const runsById = new Map()
+const rekeyLegacyRuns = () => {
+  for (const run of storage.listRecords("runs", { filter: (r) => r && r.sortKey === undefined })) {
+    saveRun({ ...run, sortKey: runSortKey(run) })
+  }
+}
 
-const serverRoot = path.dirname(fileURLToPath(import.meta.url))
-const reservewatchRoot = path.resolve(serverRoot, "..")
+rekeyLegacyRuns()
+recoverInterruptedRuns()
 
 const defaultEnvPath = path.resolve(reservewatchRoot, ".env")
 
 const adminKey = String(process.env.RESERVEWATCH_ADMIN_KEY || "").trim()
-
-const readAdminKey = (req) => {
-  const headerKey = String(req.get("x-admin-key") || "").trim()
+const requireViewerKey = ["1", "true", "yes", "on"].includes(
+  String(process.env.RESERVEWATCH_REQUIRE_VIEWER_KEY || "").trim().toLowerCase()
+)
+const adminWallets = String(process.env.RESERVEWATCH_ADMIN_WALLETS || "")
+  .split(",")
+  .map((addr) => addr.trim().toLowerCase())
+  .filter((addr) => isAddress(addr))
+
+const approvalProjects = String(process.env.RESERVEWATCH_PUBLISH_APPROVAL_PROJECTS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean)
+
+const SESSION_COOKIE = "rw_session"
+const SESSION_TTL_S = Number(process.env.RESERVEWATCH_SESSION_TTL_S || 43_200)
+const SIWE_NONCE_TTL_MS = 5 * 60_000
+const SIWE_NONCE_MAX = Number(process.env.RESERVEWATCH_SIWE_NONCE_MAX ?? 1_000)
+const SIWE_DOMAIN = String(process.env.RESERVEWATCH_SIWE_DOMAIN || "").trim()
+const siweNonces = new Map()
+
+const API_KEY_SCOPES = ["viewer", "operator", "admin"]
+const API_KEY_RE = /^rwk_([0-9a-f]{12})_[A-Za-z0-9_-]{16,}$/
+const API_KEY_TOUCH_MS = 60_000
+
+const readApiKey = (req) => {
+  const headerKey = String(req.get("x-api-key") || req.get("x-admin-key") || "").trim()
   if (headerKey) return headerKey
 
   const auth = String(req.get("authorization") || "").trim()
@@ -67,16 +197,228 @@ const readAdminKey = (req) => {
   return ""
 }
 
-const requireAdmin = (req, res, next) => {
-  if (!adminKey) return next()
-  const provided = readAdminKey(req)
-  if (provided !== adminKey) {
-    res.status(401).json({ error: "unauthorized" })
-    return
+const hashSecret = (value) => crypto.createHash("sha256").update(String(value)).digest("hex")
+
+const hashesMatch = (a, b) => {
+  const left = Buffer.from(String(a || ""), "hex")
+  const right = Buffer.from(String(b || ""), "hex")
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+const scopeAllows = (granted, required) =>
+  API_KEY_SCOPES.includes(granted) && API_KEY_SCOPES.indexOf(granted) >= API_KEY_SCOPES.indexOf(required)
+
+const highestScope = (scopes) => scopes.reduce((best, scope) => (!best || scopeAllows(scope, best) ? scope : best), null)
+
+const grantsFor = ({ scope, projects }) =>
+  Array.isArray(projects) && projects.length ? Object.fromEntries(projects.map((p) => [p, scope])) : { "*": scope }
+
+const grantedScope = (auth, projectId) =>
+  highestScope([auth?.grants?.["*"], projectId ? auth?.grants?.[projectId] : null].filter(Boolean))
+
+const toPublicApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  scope: record.scope,
+  projects: Array.isArray(record.projects) ? record.projects : [],
+  prefix: record.prefix,
+  createdAt: record.createdAt,
+  createdBy: record.createdBy || null,
+  lastUsedAt: record.lastUsedAt || null,
+  revokedAt: record.revokedAt || null,
+})
+
+const saveApiKey = (record) => {
+  storage.putRecord("api-keys", record.id, record, { sortKey: Date.parse(record.createdAt) })
+  return record
+}
+
+const listApiKeys = () => storage.listRecords("api-keys", { order: "asc" })
+
+const hasActiveApiKeys = () => storage.listRecords("api-keys", { limit: 1, filter: (k) => k && !k.revokedAt }).length > 0
+
+const listWalletRoles = () => storage.listRecords("wallet-roles", { order: "asc" })
+
+const hasWalletRoles = () => storage.listRecords("wallet-roles", { limit: 1 }).length > 0
+
+const authEnabled = () => Boolean(adminKey) || adminWallets.length > 0 || hasActiveApiKeys() || hasWalletRoles()
+
+const walletGrants = (address) => {
+  const record = storage.getRecord("wallet-roles", address)
+  const grants = { ...(record?.roles || {}) }
+  if (adminWallets.includes(address)) grants["*"] = "admin"
+  return grants
+}
+
+const parseCookies = (req) => {
+  const out = {}
+  for (const part of String(req.get("cookie") || "").split(";")) {
+    const idx = part.indexOf("=")
+    if (idx < 0) continue
+    const name = part.slice(0, idx).trim()
+    if (!name) continue
+    try {
+      out[name] = decodeURIComponent(part.slice(idx + 1).trim())
+    } catch {
+      continue
+    }
+  }
+  return out
+}
+
+const sessionCookie = (req, token, maxAgeS) => {
+  const parts = [`${SESSION_COOKIE}=${token}`, "Path=/", "HttpOnly", "SameSite=Strict", `Max-Age=${maxAgeS}`]
+  if (req.secure) parts.push("Secure")
+  return parts.join("; ")
+}
+
+const toSessionAuth = (session) => {
+  const grants = walletGrants(session.address)
+  if (!Object.keys(grants).length) return null
+
+  return {
+    kind: "session",
+    address: session.address,
+    name: session.address,
+    scope: grants["*"] || null,
+    projects: grants["*"] ? null : Object.keys(grants),
+    grants,
+    expiresAt: session.expiresAt,
+  }
+}
+
+const resolveSession = (req) => {
+  const token = parseCookies(req)[SESSION_COOKIE]
+  if (!token) return null
+
+  const session = storage.getRecord("sessions", hashSecret(token))
+  if (!session) return null
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    storage.deleteRecord("sessions", session.id)
+    return null
+  }
+
+  return toSessionAuth(session)
+}
+
+const resolveApiKey = (provided) => {
+  if (!provided) return null
+
+  if (adminKey && hashesMatch(hashSecret(provided), hashSecret(adminKey))) {
+    return { kind: "api_key", keyId: "root", name: "RESERVEWATCH_ADMIN_KEY", scope: "admin", projects: null, grants: { "*": "admin" } }
+  }
+
+  const match = provided.match(API_KEY_RE)
+  if (!match) return null
+
+  const record = storage.getRecord("api-keys", match[1])
+  if (!record || record.revokedAt || !hashesMatch(hashSecret(provided), record.hash)) return null
+
+  const lastUsedMs = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0
+  if (Date.now() - lastUsedMs > API_KEY_TOUCH_MS) {
+    saveApiKey({ ...record, lastUsedAt: new Date().toISOString() })
+  }
+
+  const projects = Array.isArray(record.projects) && record.projects.length ? record.projects : null
+  return {
+    kind: "api_key",
+    keyId: record.id,
+    name: record.name,
+    scope: record.scope,
+    projects,
+    grants: grantsFor({ scope: record.scope, projects }),
+  }
+}
+
+const authPrincipal = (auth) => (auth.kind === "session" ? `wallet:${String(auth.address).toLowerCase()}` : `key:${auth.keyId}`)
+
+const actorPrincipal = (actor) => {
+  if (!actor?.id) return null
+  return actor.kind === "session" ? `wallet:${String(actor.id).toLowerCase()}` : `key:${actor.id}`
+}
+
+const principalIssuer = (principal) => {
+  if (principal.startsWith("key:")) {
+    const record = storage.getRecord("api-keys", principal.slice(4))
+    return record?.issuer || (record?.createdBy ? `key:${record.createdBy}` : null)
+  }
+  if (principal.startsWith("wallet:")) return storage.getRecord("wallet-roles", principal.slice(7))?.issuer || null
+  return null
+}
+
+const principalLineage = (principal) => {
+  const out = []
+  for (let current = principal; current && !out.includes(current); current = principalIssuer(current)) out.push(current)
+  return out
+}
+
+const sharesIdentity = (a, b) => {
+  const left = actorPrincipal(a)
+  const right = actorPrincipal(b)
+  if (!left || !right) return false
+  return principalLineage(left).includes(right) || principalLineage(right).includes(left)
+}
+
+const resolveAuth = (req) => {
+  const provided = readApiKey(req)
+  return provided ? resolveApiKey(provided) : resolveSession(req)
+}
+
+const requestProjectIds = (req, keys) => {
+  const ids = new Set()
+  for (const key of keys) {
+    for (const source of [req.body, req.query]) {
+      const value = source?.[key]
+      if (typeof value === "string" && value.trim()) ids.add(normalizeId(value))
+    }
+  }
+  return Array.from(ids)
+}
+
+const requireScope =
+  (scope, { projectKeys = [], allowUnscoped = false } = {}) =>
+  (req, res, next) => {
+    if (!authEnabled()) return next()
+
+    const auth = resolveAuth(req)
+    if (!auth) {
+      res.status(401).json({ error: "unauthorized" })
+      return
+    }
+
+    const ids = requestProjectIds(req, projectKeys)
+    if (!ids.length) {
+      const global = grantedScope(auth, null)
+      const anyProject = Object.values(auth.grants).some((granted) => scopeAllows(granted, scope))
+      if (!scopeAllows(global, scope) && !(allowUnscoped && anyProject)) {
+        res.status(403).json({
+          error: global || !anyProject ? `forbidden: requires ${scope} scope` : "forbidden: access is restricted to specific projects",
+        })
+        return
+      }
+    }
+
+    for (const id of ids) {
+      const granted = grantedScope(auth, id)
+      if (!scopeAllows(granted, scope)) {
+        res.status(403).json({
+          error: granted ? `forbidden: requires ${scope} scope for project ${id}` : `forbidden: not allowed for project ${id}`,
+        })
+        return
+      }
+    }
+
+    req.auth = auth
+    next()
   }
-  next()
+
+const requireRead = (options) => {
+  const check = requireScope("viewer", options)
+  return (req, res, next) => (requireViewerKey ? check(req, res, next) : next())
 }
 
+const canReadProject = (req, projectId) => !req.auth || Boolean(grantedScope(req.auth, normalizeId(projectId)))
+
 const createRunId = () => {
   const rand = Math.random().toString(16).slice(2, 10)
   return `${Date.now().toString(16)}-${rand}`
@@ -90,6 +432,100 @@ const appendRunOutput = (run, chunk) => {
   if (run.output.length > max) {
     run.output = run.output.slice(run.output.length - max)
   }
+  if (!runOutputFlushTimers.has(run.runId)) {
+    runOutputFlushTimers.set(
+      run.runId,
+      setTimeout(() => {
+        runOutputFlushTimers.delete(run.runId)
+        saveRun(run)
+      }, RUN_OUTPUT_FLUSH_MS)
+    )
+  }
+}
+
+const finishRun = (run, { state, exitCode = null, error = null }) => {
+  const entry = activeRuns.get(run.runId)
+  if (!entry) return
+  clearTimeout(entry.killTimer)
+  activeRuns.delete(run.runId)
+  run.state = state
+  run.exitCode = exitCode
+  run.error = error
+  run.finishedAt = new Date().toISOString()
+  saveRun(run)
+  startQueuedRuns()
+}
+
+const startRun = (run) => {
+  const entry = { run, child: null, killTimer: null }
+  activeRuns.set(run.runId, entry)
+  run.state = "running"
+  run.startedAt = new Date().toISOString()
+  saveRun(run)
+
+  const args = ["workflow", "simulate", run.workflow, "--target", run.target]
+  if (run.broadcast) args.push("--broadcast")
+  if (fs.existsSync(defaultEnvPath)) args.push("--env", defaultEnvPath)
+
+  try {
+    const child = spawn("cre", args, {
+      cwd: reservewatchRoot,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: process.env,
+    })
+    entry.child = child
+
+    child.stdout?.on("data", (chunk) => appendRunOutput(run, chunk))
+    child.stderr?.on("data", (chunk) => appendRunOutput(run, chunk))
+
+    child.on("error", (err) => finishRun(run, { state: "failed", error: String(err?.message || err) }))
+
+    child.on("exit", (code, signal) => {
+      const exitCode = typeof code === "number" ? code : null
+      if (run.cancelledAt) {
+        finishRun(run, { state: "cancelled", exitCode, error: signal ? `cancelled (${signal})` : "cancelled" })
+        return
+      }
+      finishRun(run, { state: code === 0 ? "ok" : "failed", exitCode, error: signal ? `terminated by ${signal}` : null })
+    })
+  } catch (err) {
+    finishRun(run, { state: "failed", error: String(err?.message || err) })
+  }
+}
+
+const broadcastRunning = () => Array.from(activeRuns.values()).some((entry) => entry.run.broadcast)
+
+const startQueuedRuns = () => {
+  let i = 0
+  while (activeRuns.size < RUN_CONCURRENCY && i < runQueue.length) {
+    if (runQueue[i].broadcast && broadcastRunning()) {
+      i += 1
+      continue
+    }
+    startRun(runQueue.splice(i, 1)[0])
+  }
+}
+
+const cancelRun = (run, actor) => {
+  run.cancelledAt = new Date().toISOString()
+  run.cancelledBy = actor
+  const queuedIndex = runQueue.indexOf(run)
+  if (queuedIndex >= 0) {
+    runQueue.splice(queuedIndex, 1)
+    run.state = "cancelled"
+    run.error = "cancelled before start"
+    run.finishedAt = run.cancelledAt
+    saveRun(run)
+    return
+  }
+
+  const entry = activeRuns.get(run.runId)
+  saveRun(run)
+  if (!entry?.child) return
+  entry.child.kill("SIGTERM")
+  entry.killTimer = setTimeout(() => {
+    if (activeRuns.has(run.runId)) entry.child.kill("SIGKILL")
+  }, RUN_CANCEL_GRACE_MS)
 }
 
 const reserveMessage = ({ timestamp, reserveUsd, navUsd, source }) => {
@@ -99,126 +535,538 @@ const reserveMessage = ({ timestamp, reserveUsd, navUsd, source }) => {
   return `ReserveWatch:v1|source=${source}|reserveUsd=${reserveUsd}|timestamp=${timestamp}`
 }
 
-const verifyReserveSignature = async (reserve) => {
+const RESERVE_SIGNATURE_VERSION = process.env.RESERVE_SIGNATURE_VERSION === "v3" ? "v3" : "v2"
+
+const RESERVE_TYPED_DATA_FIELDS = {
+  Reserve: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+  ReserveWithNav: [
+    { name: "source", type: "string" },
+    { name: "reserveUsd", type: "uint256" },
+    { name: "navUsd", type: "uint256" },
+    { name: "timestamp", type: "uint64" },
+  ],
+}
+
+const reserveSignatureDomain = (project) => {
+  const chainId = resolveChain(project?.chainSelectorName)?.id
+  const verifyingContract = String(project?.receiverAddress || "").trim()
+  if (!chainId || !project?.id || !isAddress(verifyingContract)) return null
+  return { chainId, projectId: String(project.id), verifyingContract, requiredVersion: project.requiredSignatureVersion || null }
+}
+
+const reserveTypedData = ({ timestamp, reserveUsd, navUsd, source }, domain) => {
+  const primaryType = navUsd !== undefined && navUsd !== null ? "ReserveWithNav" : "Reserve"
+  return {
+    domain: {
+      name: "ReserveWatch",
+      version: "3",
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+      salt: keccak256(stringToHex(domain.projectId)),
+    },
+    types: { [primaryType]: RESERVE_TYPED_DATA_FIELDS[primaryType] },
+    primaryType,
+    message: {
+      source: String(source),
+      reserveUsd: BigInt(reserveUsd),
+      ...(primaryType === "ReserveWithNav" ? { navUsd: BigInt(navUsd) } : {}),
+      timestamp: BigInt(timestamp),
+    },
+  }
+}
+
+const recoverReserveSigner = async (reserve, domain) => {
+  if (reserve.signatureVersion === undefined || reserve.signatureVersion === null) {
+    return recoverMessageAddress({ message: reserveMessage(reserve), signature: reserve.signature })
+  }
+  if (reserve.signatureVersion !== "v3") throw new Error(`unsupported signatureVersion: ${reserve.signatureVersion}`)
+  if (!domain) throw new Error("v3 signatures need the project's chain, id and receiver address")
+  return recoverTypedDataAddress({ ...reserveTypedData(reserve, domain), signature: reserve.signature })
+}
+
+const signReserve = async (account, reserve, domain) => {
+  if (RESERVE_SIGNATURE_VERSION === "v3" && domain) {
+    return { signatureVersion: "v3", signature: await account.signTypedData(reserveTypedData(reserve, domain)) }
+  }
+  return { signature: await account.signMessage({ message: reserveMessage(reserve) }) }
+}
+
+const connectorSigners = (connector) => {
+  const signers = (Array.isArray(connector?.signers) ? connector.signers : []).filter((s) => s?.address)
+  const legacy = String(connector?.expectedSigner || "").trim()
+  if (legacy && !signers.some((s) => normalizeAddress(s.address) === normalizeAddress(legacy))) {
+    return [...signers, { address: legacy, validFrom: null, validUntil: null }]
+  }
+  return signers
+}
+
+const signerActiveAt = (signer, nowS) =>
+  (signer.validFrom === null || signer.validFrom === undefined || nowS >= signer.validFrom) &&
+  (signer.validUntil === null || signer.validUntil === undefined || nowS < signer.validUntil)
+
+const verifyReserveSignature = async (reserve, signers = [], domain = null) => {
   const signer = reserve?.signer
   const signature = reserve?.signature
+  const expected = Array.isArray(signers) ? signers : []
   if (!signer || !signature) {
     return {
       ...reserve,
-      signatureValid: null,
+      signatureValid: expected.length ? false : null,
+      recoveredSigner: null,
+      matchedSigner: null,
+      signatureError: expected.length ? "missing signer/signature" : null,
+    }
+  }
+
+  if (domain?.requiredVersion === "v3" && reserve.signatureVersion !== "v3") {
+    return {
+      ...reserve,
+      signatureValid: false,
       recoveredSigner: null,
-      signatureError: null,
+      matchedSigner: null,
+      signatureError: "project requires v3 typed-data signatures",
     }
   }
 
   try {
-    const recoveredSigner = await recoverMessageAddress({
-      message: reserveMessage(reserve),
-      signature,
-    })
-    const signatureValid = normalizeAddress(recoveredSigner) === normalizeAddress(signer)
+    const recoveredSigner = await recoverReserveSigner(reserve, domain)
+    const recovered = normalizeAddress(recoveredSigner) === normalizeAddress(signer)
+    const nowS = Math.floor(Date.now() / 1000)
+    const known = expected.filter((s) => normalizeAddress(s.address) === normalizeAddress(signer))
+    const matchedSigner = known.find((s) => signerActiveAt(s, nowS)) || null
+
+    let signatureError = null
+    if (!recovered) signatureError = "signature does not recover to the declared signer"
+    else if (expected.length && !known.length) signatureError = `signer ${signer} is not in the connector's signer set`
+    else if (expected.length && !matchedSigner) signatureError = `signer ${signer} is outside its validity window`
+
     return {
       ...reserve,
-      signatureValid,
+      signatureValid: recovered && (!expected.length || Boolean(matchedSigner)),
       recoveredSigner,
-      signatureError: null,
+      matchedSigner: recovered ? matchedSigner : null,
+      signatureError,
     }
   } catch (err) {
     return {
       ...reserve,
       signatureValid: false,
       recoveredSigner: null,
+      matchedSigner: null,
       signatureError: String(err?.message || err),
     }
   }
 }
 
-const maybeSignReserve = async (reserve) => {
+const maybeSignReserve = async (reserve, domain = null) => {
   const base = reserve
 
   if (!reserveSigningAccount) {
     return verifyReserveSignature(base)
   }
   try {
-    const signature = await reserveSigningAccount.signMessage({ message: reserveMessage(reserve) })
     const signed = {
       ...base,
       signer: reserveSigningAccount.address,
-      signature,
+      ...(await signReserve(reserveSigningAccount, reserve, domain)),
     }
-    return verifyReserveSignature(signed)
+    return verifyReserveSignature(signed, [], domain)
   } catch {
     return verifyReserveSignature(base)
   }
 }
 
-const receiverAbi = parseAbi([
-  "function lastAttestationHash() view returns (bytes32)",
-  "function lastReserveUsd() view returns (uint256)",
-  "function lastLiabilitySupply() view returns (uint256)",
-  "function lastCoverageBps() view returns (uint256)",
-  "function lastAsOfTimestamp() view returns (uint256)",
-  "function mintingPaused() view returns (bool)",
-  "function minCoverageBps() view returns (uint256)",
-  "function owner() view returns (address)",
-  "function getForwarderAddress() view returns (address)",
-])
-
-const receiverNavAbi = parseAbi(["function lastNavUsd() view returns (uint256)"])
+const RESERVE_FETCH_TIMEOUT_MS = Number(process.env.RESERVE_FETCH_TIMEOUT_MS ?? 12_000)
+const RESERVE_FETCH_MAX_BYTES = Number(process.env.RESERVE_FETCH_MAX_BYTES ?? 65_536)
+const USD_AMOUNT_RE = /^\d{1,78}$/
 
-const tokenAbi = parseAbi([
-  "function totalSupply() view returns (uint256)",
-  "function mintingEnabled() view returns (bool)",
-  "function guardian() view returns (address)",
-  "function owner() view returns (address)",
-])
+const parseReservePayload = (data, fallbackSource) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("response is not a JSON object")
 
-const receiverAttestationPublishedEvent = parseAbiItem(
-  "event AttestationPublished(bytes32 indexed attestationHash, uint256 reserveUsd, uint256 liabilitySupply, uint256 coverageBps, uint256 asOfTimestamp, bool breakerTriggered)"
-)
+  const timestamp = typeof data.timestamp === "number" ? data.timestamp : Number(data.timestamp)
+  const reserveUsd = typeof data.reserveUsd === "number" ? String(data.reserveUsd) : data.reserveUsd
+  const navUsd = typeof data.navUsd === "number" ? String(data.navUsd) : data.navUsd
+  if (!Number.isInteger(timestamp) || timestamp <= 0 || !reserveUsd) {
+    throw new Error("response missing required fields (timestamp, reserveUsd)")
+  }
+  if (!USD_AMOUNT_RE.test(String(reserveUsd))) throw new Error("reserveUsd must be a non-negative integer")
+  if (navUsd !== undefined && navUsd !== null && !USD_AMOUNT_RE.test(String(navUsd))) {
+    throw new Error("navUsd must be a non-negative integer")
+  }
 
-const receiverAttestationPublishedV2Event = parseAbiItem(
-  "event AttestationPublishedV2(bytes32 indexed attestationHash, uint256 reserveUsd, uint256 navUsd, uint256 liabilitySupply, uint256 coverageBps, uint256 asOfTimestamp, bool breakerTriggered)"
-)
+  return {
+    timestamp,
+    reserveUsd: String(reserveUsd),
+    navUsd: navUsd === undefined || navUsd === null ? undefined : String(navUsd),
+    source: typeof data.source === "string" && data.source ? data.source : fallbackSource,
+    signer: data.signer,
+    signature: data.signature,
+    signatureVersion: data.signatureVersion ?? undefined,
+  }
+}
 
-const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+const fetchConnectorReserve = async (connector, domain = null) => {
+  const url = String(connector?.url || "").trim()
+  if (!url) return { reserve: null, error: "missing url" }
 
-const normalizeAddress = (addr) => {
-  if (!addr) return ""
-  return String(addr).toLowerCase()
-}
+  try {
+    const res = await requestPublicUrl(url, {
+      label: "connector",
+      headers: { accept: "application/json" },
+      timeoutMs: RESERVE_FETCH_TIMEOUT_MS,
+      maxBytes: RESERVE_FETCH_MAX_BYTES,
+    })
+    if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`HTTP ${res.statusCode}`)
 
-const normalizeId = (value) => String(value || "").trim()
+    let data
+    try {
+      data = JSON.parse(res.body)
+    } catch {
+      throw new Error("response is not valid JSON")
+    }
 
-const normalizeConnectorId = (value) => {
-  return String(value || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, "-")
-    .replace(/[^a-z0-9-]/g, "")
+    const parsed = parseReservePayload(data, connector.id)
+    const verified = await verifyReserveSignature(parsed, connectorSigners(connector), domain)
+    return { reserve: { ...verified, connectorId: connector.id }, error: "" }
+  } catch (err) {
+    return { reserve: null, error: String(err?.message || err) }
+  }
 }
 
-const numberOrNull = (value) => {
-  if (value === null || value === undefined) return null
-  const n = Number(value)
-  return Number.isFinite(n) ? n : null
+const workflowConnectors = (project) => {
+  const cfg = loadWorkflowConfig()
+  const receiver = normalizeAddress(project?.receiverAddress)
+  if (!project?.id || !receiver || receiver !== normalizeAddress(cfg?.receiverAddress)) return []
+
+  const signer = cfg.reserveExpectedSignerAddress || ""
+  return [
+    ["primary", cfg.reserveUrlPrimary, cfg.reserveExpectedSignerAddressPrimary || signer],
+    ["secondary", cfg.reserveUrlSecondary, cfg.reserveExpectedSignerAddressSecondary || signer],
+  ]
+    .filter(([, url]) => typeof url === "string" && url.trim())
+    .map(([role, url, expectedSigner]) => ({
+      id: `workflow-${role}`,
+      projectId: project.id,
+      role,
+      url: url.trim(),
+      ...(expectedSigner ? { expectedSigner } : {}),
+    }))
 }
 
-const PROJECT_ID_RE = /^[a-z0-9][a-z0-9-]{1,62}$/
-const CONNECTOR_ID_RE = PROJECT_ID_RE
-
-const parseOptionalNumber = (value, label, { min = null } = {}) => {
-  if (value === null || value === undefined || String(value).trim() === "") {
-    return { value: null, error: "" }
-  }
-  const n = Number(value)
-  if (!Number.isFinite(n)) {
-    return { value: null, error: `${label} must be a number` }
+const fetchProjectReserves = async (project) => {
+  const configured = listConnectors(project?.id)
+  const connectors = configured.length ? configured : workflowConnectors(project)
+  const domain = reserveSignatureDomain(project)
+  const results = await Promise.all(connectors.map((connector) => fetchConnectorReserve(connector, domain)))
+  const sources = results.map((result, i) =>
+    result.reserve
+      ? { ...result.reserve, role: connectors[i].role }
+      : { connectorId: connectors[i].id, role: connectors[i].role, error: result.error }
+  )
+  const byRole = (role) => {
+    const i = connectors.findIndex((c) => c.role === role)
+    return i < 0 ? { reserve: null, error: "no connector configured" } : results[i]
   }
-  if (min !== null && n < min) {
-    return { value: null, error: `${label} must be >= ${min}` }
+  return {
+    primary: byRole("primary").reserve,
+    secondary: byRole("secondary").reserve,
+    sources,
+    errors: {
+      primary: byRole("primary").error || null,
+      secondary: byRole("secondary").error || null,
+    },
   }
-  return { value: n, error: "" }
+}
+
+const CONNECTOR_TEST_TIMEOUT_MS = Number(process.env.CONNECTOR_TEST_TIMEOUT_MS ?? 10_000)
+const CONNECTOR_TEST_MAX_BYTES = Number(process.env.CONNECTOR_TEST_MAX_BYTES ?? 65_536)
+
+const privateAddresses = new net.BlockList()
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  privateAddresses.addSubnet(prefix, bits, "ipv4")
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateAddresses.addSubnet(prefix, bits, "ipv6")
+}
+
+const connectorTestAllowlist = (() => {
+  const hosts = new Set()
+  const addresses = new net.BlockList()
+  for (const entry of String(process.env.CONNECTOR_TEST_ALLOWLIST || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean)) {
+    const [address, bits] = entry.split("/")
+    const family = net.isIP(address)
+    if (!family) hosts.add(entry)
+    else if (bits !== undefined) addresses.addSubnet(address, Number(bits), family === 6 ? "ipv6" : "ipv4")
+    else addresses.addAddress(address, family === 6 ? "ipv6" : "ipv4")
+  }
+  return { hosts, addresses }
+})()
+
+const isPrivateAddress = (address) => {
+  const mapped = address.toLowerCase().startsWith("::ffff:") && net.isIPv4(address.slice(7)) ? address.slice(7) : address
+  const type = net.isIPv6(mapped) ? "ipv6" : "ipv4"
+  if (connectorTestAllowlist.addresses.check(mapped, type)) return false
+  return privateAddresses.check(mapped, type)
+}
+
+const privateAddressError = (address) =>
+  new Error(`${address} is a private or link-local address; add it to CONNECTOR_TEST_ALLOWLIST to allow it`)
+
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      callback(err)
+      return
+    }
+    const blocked = addresses.find((a) => isPrivateAddress(a.address))
+    if (blocked) {
+      callback(privateAddressError(blocked.address))
+      return
+    }
+    if (options?.all) callback(null, addresses)
+    else callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+const requestPublicUrl = (rawUrl, { label, method = "GET", headers = {}, body = null, timeoutMs, maxBytes, truncate = false }) =>
+  new Promise((resolve, reject) => {
+    let url
+    try {
+      url = new URL(rawUrl)
+    } catch {
+      reject(new Error(`${label} url is invalid`))
+      return
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      reject(new Error(`${label} url must be http or https`))
+      return
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase()
+    const allowHost = connectorTestAllowlist.hosts.has(hostname)
+    if (!allowHost && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      reject(privateAddressError(hostname))
+      return
+    }
+
+    const req = (url.protocol === "https:" ? httpsRequest : httpRequest)(
+      url,
+      {
+        method,
+        headers: body === null ? headers : { ...headers, "content-length": Buffer.byteLength(body) },
+        lookup: allowHost ? undefined : publicOnlyLookup,
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (res) => {
+        const chunks = []
+        let size = 0
+        const done = () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString("utf8") })
+        res.on("data", (chunk) => {
+          size += chunk.length
+          if (size > maxBytes) {
+            if (!truncate) {
+              req.destroy(new Error(`response exceeds ${maxBytes} bytes`))
+              return
+            }
+            chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)))
+            done()
+            res.destroy()
+            return
+          }
+          chunks.push(chunk)
+        })
+        res.on("end", done)
+        res.on("error", reject)
+      }
+    )
+    req.on("error", (err) => reject(err?.name === "AbortError" ? new Error(`timed out after ${timeoutMs}ms`) : err))
+    req.end(body ?? undefined)
+  })
+
+const fetchConnectorForTest = (rawUrl) =>
+  requestPublicUrl(rawUrl, {
+    label: "connector",
+    headers: { accept: "application/json" },
+    timeoutMs: CONNECTOR_TEST_TIMEOUT_MS,
+    maxBytes: CONNECTOR_TEST_MAX_BYTES,
+  })
+
+const runConnectorTest = async (connector, domain = null) => {
+  try {
+    const res = await fetchConnectorForTest(String(connector?.url || "").trim())
+    if (res.statusCode !== 200) throw new Error(`HTTP ${res.statusCode}`)
+
+    let data
+    try {
+      data = JSON.parse(res.body)
+    } catch {
+      throw new Error("response is not valid JSON")
+    }
+
+    const parsed = parseReservePayload(data, connector.id)
+    const reserve = await verifyReserveSignature(parsed, connectorSigners(connector), domain)
+    if (reserve.signatureValid === false) {
+      throw new Error(reserve.signatureError || "signature does not match expected signer")
+    }
+
+    const nav = reserve.navUsd !== undefined ? ` navUsd=${reserve.navUsd}` : ""
+    const signer = reserve.signer ? ` signer=${reserve.signer}${reserve.signatureVersion ? ` (${reserve.signatureVersion})` : ""}` : ""
+    return { ok: true, message: `ok reserveUsd=${reserve.reserveUsd}${nav} ts=${reserve.timestamp}${signer}`, reserve }
+  } catch (err) {
+    return { ok: false, message: String(err?.message || err), reserve: null }
+  }
+}
+
+const receiverAbi = parseAbi([
+  "function lastAttestationHash() view returns (bytes32)",
+  "function lastReserveUsd() view returns (uint256)",
+  "function lastLiabilitySupply() view returns (uint256)",
+  "function lastCoverageBps() view returns (uint256)",
+  "function lastAsOfTimestamp() view returns (uint256)",
+  "function mintingPaused() view returns (bool)",
+  "function minCoverageBps() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function getForwarderAddress() view returns (address)",
+])
+
+const receiverNavAbi = parseAbi(["function lastNavUsd() view returns (uint256)"])
+
+const tokenAbi = parseAbi([
+  "function totalSupply() view returns (uint256)",
+  "function mintingEnabled() view returns (bool)",
+  "function guardian() view returns (address)",
+  "function owner() view returns (address)",
+])
+
+const receiverAttestationPublishedEvent = parseAbiItem(
+  "event AttestationPublished(bytes32 indexed attestationHash, uint256 reserveUsd, uint256 liabilitySupply, uint256 coverageBps, uint256 asOfTimestamp, bool breakerTriggered)"
+)
+
+const receiverAttestationPublishedV2Event = parseAbiItem(
+  "event AttestationPublishedV2(bytes32 indexed attestationHash, uint256 reserveUsd, uint256 navUsd, uint256 liabilitySupply, uint256 coverageBps, uint256 asOfTimestamp, bool breakerTriggered)"
+)
+
+const tokenMintingEnabledUpdatedEvent = parseAbiItem("event MintingEnabledUpdated(bool mintingEnabled)")
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+const DEFAULT_RPC_URL = "https://ethereum-sepolia-rpc.publicnode.com"
+
+const CHAIN_SELECTORS = {
+  "ethereum-mainnet": mainnet,
+  "ethereum-testnet-sepolia": sepolia,
+  "ethereum-mainnet-base-1": base,
+  "ethereum-testnet-sepolia-base-1": baseSepolia,
+  "ethereum-mainnet-arbitrum-1": arbitrum,
+  "ethereum-testnet-sepolia-arbitrum-1": arbitrumSepolia,
+  "ethereum-mainnet-optimism-1": optimism,
+  "ethereum-testnet-sepolia-optimism-1": optimismSepolia,
+  "polygon-mainnet": polygon,
+  "polygon-testnet-amoy": polygonAmoy,
+  "avalanche-mainnet": avalanche,
+  "avalanche-testnet-fuji": avalancheFuji,
+  "binance_smart_chain-mainnet": bsc,
+  "binance_smart_chain-testnet": bscTestnet,
+}
+
+const resolveChain = (chainSelectorName) => {
+  const key = String(chainSelectorName || "")
+    .trim()
+    .toLowerCase()
+
+  if (!key) return sepolia
+  if (CHAIN_SELECTORS[key]) return CHAIN_SELECTORS[key]
+
+  const testnet = key.includes("testnet") || key.includes("sepolia") || key.includes("amoy") || key.includes("fuji")
+  if (key.includes("base")) return testnet ? baseSepolia : base
+  if (key.includes("arbitrum")) return testnet ? arbitrumSepolia : arbitrum
+  if (key.includes("optimism")) return testnet ? optimismSepolia : optimism
+  if (key.includes("polygon")) return testnet ? polygonAmoy : polygon
+  if (key.includes("avalanche")) return testnet ? avalancheFuji : avalanche
+  if (key.includes("bsc") || key.includes("binance")) return testnet ? bscTestnet : bsc
+  if (key.includes("ethereum")) return testnet ? sepolia : mainnet
+
+  return null
+}
+
+const describeChain = (chainSelectorName, chain) => ({
+  selectorName: String(chainSelectorName || "").trim() || null,
+  id: chain?.id ?? null,
+  name: chain?.name || null,
+})
+
+const createChainClient = ({ chain, rpcUrl }) =>
+  createPublicClient({
+    chain,
+    transport: http(rpcUrl, { timeout: 15_000 }),
+  })
+
+const normalizeAddress = (addr) => {
+  if (!addr) return ""
+  return String(addr).toLowerCase()
+}
+
+const normalizeId = (value) => String(value || "").trim()
+
+const normalizeConnectorId = (value) => {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+}
+
+const numberOrNull = (value) => {
+  if (value === null || value === undefined) return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+const PROJECT_ID_RE = /^[a-z0-9][a-z0-9-]{1,62}$/
+const CONNECTOR_ID_RE = PROJECT_ID_RE
+const CONNECTOR_SIGNERS_MAX = 8
+const CONSENSUS_MODES = ["primary_only", "require_match", "conservative_min", "median", "quorum_k_of_n", "trimmed_mean"]
+const QUORUM_CONSENSUS_MODES = ["median", "quorum_k_of_n", "trimmed_mean"]
+
+const parseOptionalNumber = (value, label, { min = null } = {}) => {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return { value: null, error: "" }
+  }
+  const n = Number(value)
+  if (!Number.isFinite(n)) {
+    return { value: null, error: `${label} must be a number` }
+  }
+  if (min !== null && n < min) {
+    return { value: null, error: `${label} must be >= ${min}` }
+  }
+  return { value: n, error: "" }
 }
 
 const normalizeProjectPayload = (payload, { requireId = true } = {}) => {
@@ -237,6 +1085,7 @@ const normalizeProjectPayload = (payload, { requireId = true } = {}) => {
 
   const chainSelectorName = String(payload.chainSelectorName || "").trim()
   if (!chainSelectorName) return { error: "chain selector is required", value: null }
+  if (!resolveChain(chainSelectorName)) return { error: `unsupported chain selector: ${chainSelectorName}`, value: null }
 
   const receiverAddress = String(payload.receiverAddress || "").trim()
   if (!receiverAddress) return { error: "receiver address is required", value: null }
@@ -256,6 +1105,10 @@ const normalizeProjectPayload = (payload, { requireId = true } = {}) => {
   const supplyRpcUrl = String(payload.supplyRpcUrl || "").trim()
   const supplyLiabilityTokenAddress = String(payload.supplyLiabilityTokenAddress || "").trim()
 
+  if (supplyChainSelectorName && !resolveChain(supplyChainSelectorName)) {
+    return { error: `unsupported supply chain selector: ${supplyChainSelectorName}`, value: null }
+  }
+
   if (supplyLiabilityTokenAddress && !isAddress(supplyLiabilityTokenAddress)) {
     return { error: "supply liability token address is invalid", value: null }
   }
@@ -280,6 +1133,14 @@ const normalizeProjectPayload = (payload, { requireId = true } = {}) => {
   const maxMismatch = parseOptionalNumber(payload.maxReserveMismatchRatio, "maxReserveMismatchRatio", { min: 0 })
   if (maxMismatch.error) return { error: maxMismatch.error, value: null }
 
+  const receiverDeployBlock = parseOptionalNumber(payload.receiverDeployBlock, "receiverDeployBlock", { min: 0 })
+  if (receiverDeployBlock.error) return { error: receiverDeployBlock.error, value: null }
+
+  const requiredSignatureVersion = String(payload.requiredSignatureVersion || "").trim() || null
+  if (requiredSignatureVersion && requiredSignatureVersion !== "v3") {
+    return { error: "requiredSignatureVersion must be v3 or empty", value: null }
+  }
+
   const project = {
     id,
     name,
@@ -295,6 +1156,8 @@ const normalizeProjectPayload = (payload, { requireId = true } = {}) => {
     expectedForwarderAddress,
     maxReserveAgeS: maxReserveAge.value,
     maxReserveMismatchRatio: maxMismatch.value,
+    receiverDeployBlock: receiverDeployBlock.value,
+    requiredSignatureVersion,
   }
 
   return { error: "", value: project }
@@ -319,8 +1182,8 @@ const normalizeConnectorPayload = (payload) => {
 
   const role = String(payload.role || "").trim()
   if (!role) return { error: "connector role is required", value: null }
-  if (role !== "primary" && role !== "secondary") {
-    return { error: "connector role must be primary or secondary", value: null }
+  if (role !== "primary" && role !== "secondary" && role !== "source") {
+    return { error: "connector role must be primary, secondary or source", value: null }
   }
 
   const url = String(payload.url || "").trim()
@@ -331,6 +1194,27 @@ const normalizeConnectorPayload = (payload) => {
     return { error: "expected signer address is invalid", value: null }
   }
 
+  const signersRaw = payload.signers ?? []
+  if (!Array.isArray(signersRaw)) return { error: "signers must be an array", value: null }
+  if (signersRaw.length > CONNECTOR_SIGNERS_MAX) return { error: `at most ${CONNECTOR_SIGNERS_MAX} signers are allowed`, value: null }
+  const signers = []
+  for (const raw of signersRaw) {
+    const address = String(raw?.address || "").trim()
+    if (!isAddress(address)) return { error: `signer address is invalid: ${address || "(empty)"}`, value: null }
+    const validFrom = raw?.validFrom ?? null
+    const validUntil = raw?.validUntil ?? null
+    if (validFrom !== null && (!Number.isInteger(validFrom) || validFrom < 0)) {
+      return { error: "signer validFrom must be a unix timestamp in seconds", value: null }
+    }
+    if (validUntil !== null && (!Number.isInteger(validUntil) || validUntil < 0)) {
+      return { error: "signer validUntil must be a unix timestamp in seconds", value: null }
+    }
+    if (validFrom !== null && validUntil !== null && validUntil <= validFrom) {
+      return { error: `signer ${address}: validUntil must be after validFrom`, value: null }
+    }
+    signers.push({ address, validFrom, validUntil })
+  }
+
   const lastTestedAt = numberOrNull(payload.lastTestedAt)
   const lastTestOk = typeof payload.lastTestOk === "boolean" ? payload.lastTestOk : null
   const lastTestMessage = typeof payload.lastTestMessage === "string" ? payload.lastTestMessage : ""
@@ -345,6 +1229,7 @@ const normalizeConnectorPayload = (payload) => {
       role,
       url,
       expectedSigner,
+      signers,
       lastTestedAt,
       lastTestOk,
       lastTestMessage,
@@ -362,7 +1247,7 @@ const normalizePolicyPayload = (payload) => {
 
   const consensusMode = String(payload.consensusMode || "require_match").trim()
   if (!consensusMode) return { error: "consensus mode is required", value: null }
-  if (consensusMode !== "primary_only" && consensusMode !== "require_match" && consensusMode !== "conservative_min") {
+  if (!CONSENSUS_MODES.includes(consensusMode)) {
     return { error: "consensus mode is invalid", value: null }
   }
 
@@ -375,6 +1260,14 @@ const normalizePolicyPayload = (payload) => {
   const maxMismatch = parseOptionalNumber(payload.maxMismatchRatio, "maxMismatchRatio", { min: 0 })
   if (maxMismatch.error) return { error: maxMismatch.error, value: null }
 
+  const quorumK = parseOptionalNumber(payload.quorumK, "quorumK", { min: 1 })
+  if (quorumK.error) return { error: quorumK.error, value: null }
+  if (quorumK.value !== null && !Number.isInteger(quorumK.value)) return { error: "quorumK must be an integer", value: null }
+
+  const trimCount = parseOptionalNumber(payload.trimCount, "trimCount", { min: 0 })
+  if (trimCount.error) return { error: trimCount.error, value: null }
+  if (trimCount.value !== null && !Number.isInteger(trimCount.value)) return { error: "trimCount must be an integer", value: null }
+
   return {
     error: "",
     value: {
@@ -383,27 +1276,13 @@ const normalizePolicyPayload = (payload) => {
       minCoverageBps: minCoverage.value,
       maxReserveAgeS: maxReserveAge.value,
       maxMismatchRatio: maxMismatch.value,
+      quorumK: quorumK.value,
+      trimCount: trimCount.value,
       updatedAt: Number(payload.updatedAt) || Date.now(),
     },
   }
 }
 
-const readJsonFile = (targetPath, fallback) => {
-  try {
-    return JSON.parse(fs.readFileSync(targetPath, "utf8"))
-  } catch {
-    return fallback
-  }
-}
-
-const writeJsonFile = (targetPath, payload) => {
-  const dir = path.dirname(targetPath)
-  fs.mkdirSync(dir, { recursive: true })
-  const tmpPath = `${targetPath}.tmp`
-  fs.writeFileSync(tmpPath, JSON.stringify(payload, null, 2) + "\n")
-  fs.renameSync(tmpPath, targetPath)
-}
-
 const resolveDraftJsonPath = (targetPath) => {
   const p = String(targetPath || "")
   if (!p) return p
@@ -422,23 +1301,38 @@ const readDraftFlag = (req) => {
   return s === "1" || s === "true" || s === "yes" || s === "on"
 }
 
-const getAttestationHistory = async ({ project, limit }) => {
-  const rpcUrl = project?.rpcUrl || "https://ethereum-sepolia-rpc.publicnode.com"
+const mapAttestationLog = (l, version) => {
+  const args = l.args || {}
+  return {
+    version,
+    blockNumber: l.blockNumber?.toString?.() || null,
+    transactionHash: l.transactionHash || null,
+    logIndex: typeof l.logIndex === "number" ? l.logIndex : l.logIndex?.toString?.() || null,
+    attestationHash: args.attestationHash,
+    reserveUsd: args.reserveUsd?.toString?.() || null,
+    navUsd: args.navUsd?.toString?.() || null,
+    liabilitySupply: args.liabilitySupply?.toString?.() || null,
+    coverageBps: args.coverageBps?.toString?.() || null,
+    asOfTimestamp: args.asOfTimestamp?.toString?.() || null,
+    breakerTriggered: typeof args.breakerTriggered === "boolean" ? args.breakerTriggered : null,
+  }
+}
+
+const getAttestationHistory = async ({ project, query }) => {
+  const rpcUrl = project?.rpcUrl || DEFAULT_RPC_URL
   const receiverAddress = (project?.receiverAddress || "").toLowerCase()
+  const chain = resolveChain(project?.chainSelectorName)
 
-  if (!receiverAddress) {
+  if (!receiverAddress || !chain) {
     return {
       rpcUrl,
       receiverAddress,
-      error: "missing receiver address",
+      error: !chain ? `unsupported chain selector: ${project?.chainSelectorName}` : "missing receiver address",
       events: [],
     }
   }
 
-  const client = createPublicClient({
-    chain: sepolia,
-    transport: http(rpcUrl, { timeout: 15_000 }),
-  })
+  const client = createChainClient({ chain, rpcUrl })
 
   try {
     const lookbackBlocks = Number(process.env.HISTORY_LOOKBACK_BLOCKS || 50_000)
@@ -463,31 +1357,27 @@ const getAttestationHistory = async ({ project, limit }) => {
         .catch(() => []),
     ])
 
-    const items = [...logsV1, ...logsV2]
-      .map((l) => {
-        const args = l.args || {}
-        return {
-          blockNumber: l.blockNumber?.toString?.() || null,
-          transactionHash: l.transactionHash || null,
-          logIndex: typeof l.logIndex === "number" ? l.logIndex : l.logIndex?.toString?.() || null,
-          attestationHash: args.attestationHash,
-          reserveUsd: args.reserveUsd?.toString?.() || null,
-          navUsd: args.navUsd?.toString?.() || null,
-          liabilitySupply: args.liabilitySupply?.toString?.() || null,
-          coverageBps: args.coverageBps?.toString?.() || null,
-          asOfTimestamp: args.asOfTimestamp?.toString?.() || null,
-          breakerTriggered: typeof args.breakerTriggered === "boolean" ? args.breakerTriggered : null,
-        }
-      })
-      .sort((a, b) => {
-        const ab = BigInt(a.blockNumber || 0)
-        const bb = BigInt(b.blockNumber || 0)
-        if (ab !== bb) return ab > bb ? -1 : 1
-        const ai = Number(a.logIndex || 0)
-        const bi = Number(b.logIndex || 0)
-        return bi - ai
+    const sorted = [
+      ...logsV1.map((l) => mapAttestationLog(l, "v1")),
+      ...logsV2.map((l) => mapAttestationLog(l, "v2")),
+    ].sort((a, b) => {
+      const ab = BigInt(a.blockNumber || 0)
+      const bb = BigInt(b.blockNumber || 0)
+      if (ab !== bb) return ab > bb ? -1 : 1
+      const ai = Number(a.logIndex || 0)
+      const bi = Number(b.logIndex || 0)
+      return bi - ai
+    })
+    if (query.order === "asc") sorted.reverse()
+
+    const items = sorted
+      .filter((item) => {
+        if (query.cursor === null) return true
+        const key = attestationSortKey(item)
+        return query.order === "asc" ? key > query.cursor : key < query.cursor
       })
-      .slice(0, limit)
+      .filter((item) => matchesHistoryFilters(item, query.filters))
+      .slice(0, query.limit + 1)
 
     return {
       rpcUrl,
@@ -506,8 +1396,251 @@ const getAttestationHistory = async ({ project, limit }) => {
   }
 }
 
-let lastSeenMintingPaused
-let lastSeenMintingEnabled
+const ATTESTATION_INDEX_INTERVAL_MS = Number(process.env.ATTESTATION_INDEX_INTERVAL_MS ?? 30_000)
+const ATTESTATION_INDEX_CHUNK_BLOCKS = Number(process.env.ATTESTATION_INDEX_CHUNK_BLOCKS || 10_000)
+const ATTESTATION_INDEX_CONFIRMATIONS = Number(process.env.ATTESTATION_INDEX_CONFIRMATIONS ?? 2)
+const ATTESTATION_INDEX_MAX_CHUNKS = 200
+const DEPLOY_BLOCK_RETRY_MAX_MS = Number(process.env.DEPLOY_BLOCK_RETRY_MAX_MS ?? 3_600_000)
+
+const attestationIndexRuns = new Map()
+const attestationChunkSizes = new Map()
+
+const attestationIndexEnabled = () => Number.isFinite(ATTESTATION_INDEX_INTERVAL_MS) && ATTESTATION_INDEX_INTERVAL_MS > 0
+
+const attestationScope = (project) => `${project?.id || "default"}:${normalizeAddress(project?.receiverAddress)}`
+
+const attestationSortKey = (item) => Number(item?.blockNumber || 0) * 100_000 + Number(item?.logIndex || 0)
+
+const isRangeLimitError = (err) =>
+  /range|limit|too many|too large|exceed|response size/i.test(String(err?.shortMessage || err?.message || err))
+
+const fetchAttestationLogs = async ({ client, receiverAddress, fromBlock, toBlock }) => {
+  const [logsV1, logsV2] = await Promise.all([
+    client.getLogs({ address: receiverAddress, event: receiverAttestationPublishedEvent, fromBlock, toBlock }),
+    client.getLogs({ address: receiverAddress, event: receiverAttestationPublishedV2Event, fromBlock, toBlock }),
+  ])
+  return [...logsV1.map((l) => mapAttestationLog(l, "v1")), ...logsV2.map((l) => mapAttestationLog(l, "v2"))]
+}
+
+const deployedInBlock = async ({ client, receiverAddress, blockNumber }) => {
+  const block = await client.getBlock({ blockNumber, includeTransactions: true })
+  for (const tx of block.transactions) {
+    if (tx.to) continue
+    const receipt = await client.getTransactionReceipt({ hash: tx.hash })
+    if (normalizeAddress(receipt.contractAddress) === receiverAddress) return true
+  }
+  return false
+}
+
+const findReceiverDeployBlock = async ({ client, receiverAddress, head }) => {
+  const hasCode = async (blockNumber) => {
+    const code = await client.getBytecode({ address: receiverAddress, blockNumber })
+    return Boolean(code && code !== "0x")
+  }
+
+  if (!(await hasCode(head))) throw new Error(`receiver has no code at block ${head}`)
+
+  let lo = 0n
+  let hi = head
+  while (lo < hi) {
+    const mid = (lo + hi) / 2n
+    if (await hasCode(mid)) hi = mid
+    else lo = mid + 1n
+  }
+
+  if (!(await deployedInBlock({ client, receiverAddress, blockNumber: lo }))) {
+    throw new Error(
+      `receiver code first appears at block ${lo} but no transaction there created it (pruned rpc state or factory deploy); set the project's receiverDeployBlock`
+    )
+  }
+  return lo
+}
+
+const resolveIndexStartBlock = async ({ project, client, receiverAddress, head, pending }) => {
+  const configured = numberOrNull(project?.receiverDeployBlock)
+  if (configured !== null && configured >= 0) return BigInt(Math.floor(configured))
+
+  if (pending?.retryAt && Date.now() < pending.retryAt) return null
+  try {
+    return await findReceiverDeployBlock({ client, receiverAddress, head })
+  } catch (err) {
+    throw new Error(`cannot find the receiver deploy block: ${String(err?.shortMessage || err?.message || err)}`)
+  }
+}
+
+const deployBlockRetryDelayMs = (failures) =>
+  Math.min(DEPLOY_BLOCK_RETRY_MAX_MS, Math.max(1_000, ATTESTATION_INDEX_INTERVAL_MS) * 2 ** Math.min(failures, 20))
+
+const saveAttestationCheckpoint = (scope, checkpoint) => {
+  storage.putRecord("attestation-checkpoints", scope, checkpoint, { scope: checkpoint.projectId })
+  return checkpoint
+}
+
+const getAttestationCheckpoint = (project) => storage.getRecord("attestation-checkpoints", attestationScope(project))
+
+const toIndexerStatus = (checkpoint) =>
+  checkpoint
+    ? {
+        startBlock: checkpoint.startBlock,
+        nextBlock: checkpoint.nextBlock,
+        headBlock: checkpoint.headBlock,
+        eventCount: checkpoint.eventCount,
+        updatedAt: checkpoint.updatedAt,
+        error: checkpoint.error,
+        retryAt: checkpoint.retryAt ?? null,
+      }
+    : null
+
+const announceAttestation = (project, attestation) => {
+  const at = Math.floor(Date.now() / 1000)
+  const opts = { projectIds: [project.id] }
+  emitWebhookEvent({ type: "attestation_published", at, projectId: project.id, attestation }, opts)
+  if (attestation.breakerTriggered) emitWebhookEvent({ type: "breaker_tripped", at, projectId: project.id, attestation }, opts)
+}
+
+const indexProjectAttestations = (project) => {
+  const receiverAddress = normalizeAddress(project?.receiverAddress)
+  if (!project?.id || !receiverAddress) return Promise.resolve(null)
+
+  const scope = attestationScope(project)
+  const existingRun = attestationIndexRuns.get(scope)
+  if (existingRun) return existingRun
+
+  const chain = resolveChain(project?.chainSelectorName)
+  if (!chain) return Promise.resolve(null)
+
+  const client = createChainClient({ chain, rpcUrl: project?.rpcUrl || DEFAULT_RPC_URL })
+
+  const run = (async () => {
+    let checkpoint = storage.getRecord("attestation-checkpoints", scope)
+    try {
+      const head = await client.getBlockNumber()
+      const confirmations = BigInt(Math.max(0, Math.floor(ATTESTATION_INDEX_CONFIRMATIONS) || 0))
+      const safeHead = head > confirmations ? head - confirmations : 0n
+
+      if (!checkpoint?.startBlock) {
+        const startBlock = await resolveIndexStartBlock({ project, client, receiverAddress, head: safeHead, pending: checkpoint })
+        if (startBlock === null) return checkpoint
+        checkpoint = saveAttestationCheckpoint(scope, {
+          projectId: project.id,
+          receiverAddress,
+          startBlock: startBlock.toString(),
+          nextBlock: startBlock.toString(),
+          headBlock: safeHead.toString(),
+          eventCount: 0,
+          backfilled: false,
+          updatedAt: Math.floor(Date.now() / 1000),
+          error: null,
+        })
+      }
+
+      const announce = Boolean(checkpoint.backfilled)
+      let chunk = BigInt(attestationChunkSizes.get(scope) || Math.max(1, Math.floor(ATTESTATION_INDEX_CHUNK_BLOCKS) || 10_000))
+      let next = BigInt(checkpoint.nextBlock)
+      let chunks = 0
+
+      while (next <= safeHead && chunks < ATTESTATION_INDEX_MAX_CHUNKS) {
+        const toBlock = next + chunk - 1n < safeHead ? next + chunk - 1n : safeHead
+
+        let items
+        try {
+          items = await fetchAttestationLogs({ client, receiverAddress, fromBlock: next, toBlock })
+        } catch (err) {
+          if (chunk > 1n && isRangeLimitError(err)) {
+            chunk /= 2n
+            attestationChunkSizes.set(scope, Number(chunk))
+            continue
+          }
+          throw err
+        }
+
+        storage.putRecords(
+          "attestations",
+          items.map((item) => ({ id: `${scope}:${item.blockNumber}:${item.logIndex}`, value: item, scope, sortKey: attestationSortKey(item) }))
+        )
+        if (announce) for (const item of items) announceAttestation(project, item)
+
+        next = toBlock + 1n
+        chunks += 1
+        checkpoint = saveAttestationCheckpoint(scope, {
+          ...checkpoint,
+          nextBlock: next.toString(),
+          headBlock: safeHead.toString(),
+          eventCount: Number(checkpoint.eventCount || 0) + items.length,
+          updatedAt: Math.floor(Date.now() / 1000),
+          error: null,
+        })
+      }
+
+      return saveAttestationCheckpoint(scope, {
+        ...checkpoint,
+        headBlock: safeHead.toString(),
+        backfilled: Boolean(checkpoint.backfilled) || next > safeHead,
+        updatedAt: Math.floor(Date.now() / 1000),
+        error: null,
+      })
+    } catch (err) {
+      const error = String(err?.shortMessage || err?.message || err)
+      if (!checkpoint?.startBlock) {
+        process.stderr.write(`attestations: ${project.id}: ${error}\n`)
+        const failures = Number(checkpoint?.failures || 0) + 1
+        return saveAttestationCheckpoint(scope, {
+          projectId: project.id,
+          receiverAddress,
+          startBlock: null,
+          nextBlock: null,
+          headBlock: checkpoint?.headBlock ?? null,
+          eventCount: 0,
+          backfilled: false,
+          updatedAt: Math.floor(Date.now() / 1000),
+          error,
+          failures,
+          retryAt: Date.now() + deployBlockRetryDelayMs(failures),
+        })
+      }
+      return saveAttestationCheckpoint(scope, {
+        ...checkpoint,
+        updatedAt: Math.floor(Date.now() / 1000),
+        error,
+      })
+    }
+  })().finally(() => {
+    attestationIndexRuns.delete(scope)
+  })
+
+  attestationIndexRuns.set(scope, run)
+  return run
+}
+
+const indexAllAttestations = async () => {
+  for (const project of listProjects()) {
+    await indexProjectAttestations(project)
+  }
+}
+
+const getIndexedAttestationHistory = ({ project, query }) => {
+  const checkpoint = getAttestationCheckpoint(project)
+  if (!checkpoint?.backfilled) return null
+
+  const events = storage.listRecords("attestations", {
+    scope: attestationScope(project),
+    order: query.order,
+    before: query.order === "desc" ? query.cursor : null,
+    after: query.order === "asc" ? query.cursor : null,
+    limit: query.limit + 1,
+    filter: (item) => matchesHistoryFilters(item, query.filters),
+  })
+
+  const lastIndexed = BigInt(checkpoint.nextBlock) - 1n
+  return {
+    rpcUrl: project?.rpcUrl || DEFAULT_RPC_URL,
+    receiverAddress: checkpoint.receiverAddress,
+    fromBlock: checkpoint.startBlock,
+    toBlock: (lastIndexed < 0n ? 0n : lastIndexed).toString(),
+    indexer: toIndexerStatus(checkpoint),
+    events,
+  }
+}
 
 const resolveWorkflowConfigPath = () => {
   const override = process.env.RESERVEWATCH_CONFIG_PATH
@@ -547,18 +1680,17 @@ const resolveProjectsPath = ({ draft = false } = {}) => {
   return draft ? resolveDraftJsonPath(live) : live
 }
 
+const configDocumentName = (kind, { draft = false } = {}) => (draft ? `${kind}-draft` : kind)
+
 const loadProjectsConfig = ({ draft = false } = {}) => {
-  const p = resolveProjectsPath({ draft })
-  try {
-    const raw = JSON.parse(fs.readFileSync(p, "utf8"))
-    const projects = Array.isArray(raw?.projects) ? raw.projects : Array.isArray(raw) ? raw : []
-    return {
-      path: p,
-      defaultProjectId: typeof raw?.defaultProjectId === "string" ? raw.defaultProjectId : null,
-      projects,
-    }
-  } catch {
-    return null
+  const document = configDocumentName("projects", { draft })
+  const raw = storage.getDocument(document, null)
+  if (!raw || typeof raw !== "object") return null
+  const projects = Array.isArray(raw?.projects) ? raw.projects : Array.isArray(raw) ? raw : []
+  return {
+    document,
+    defaultProjectId: typeof raw?.defaultProjectId === "string" ? raw.defaultProjectId : null,
+    projects,
   }
 }
 
@@ -571,7 +1703,7 @@ const loadProjectsStore = ({ draft = false } = {}) => {
         const liveCfg = loadProjectsConfig({ draft: false })
         if (liveCfg?.projects?.length) {
           return {
-            path: resolveProjectsPath({ draft: true }),
+            document: configDocumentName("projects", { draft: true }),
             defaultProjectId: liveCfg.defaultProjectId,
             projects: Array.isArray(liveCfg.projects) ? liveCfg.projects : [],
           }
@@ -585,21 +1717,21 @@ const loadProjectsStore = ({ draft = false } = {}) => {
     const liveCfg = loadProjectsConfig({ draft: false })
     if (liveCfg) {
       return {
-        path: resolveProjectsPath({ draft: true }),
+        document: configDocumentName("projects", { draft: true }),
         defaultProjectId: liveCfg.defaultProjectId,
         projects: Array.isArray(liveCfg.projects) ? liveCfg.projects : [],
       }
     }
   }
   return {
-    path: resolveProjectsPath({ draft }),
+    document: configDocumentName("projects", { draft }),
     defaultProjectId: null,
     projects: [],
   }
 }
 
 const saveProjectsConfig = (cfg) => {
-  writeJsonFile(cfg.path, {
+  storage.putDocument(cfg.document, {
     defaultProjectId: cfg.defaultProjectId || null,
     projects: Array.isArray(cfg.projects) ? cfg.projects : [],
   })
@@ -618,18 +1750,18 @@ const resolveConnectorsPath = ({ draft = false } = {}) => {
 }
 
 const loadConnectorsConfig = ({ draft = false } = {}) => {
-  const p = resolveConnectorsPath({ draft })
-  const raw = readJsonFile(p, null)
-  const rawLive = draft && raw === null ? readJsonFile(resolveConnectorsPath({ draft: false }), null) : raw
+  const document = configDocumentName("connectors", { draft })
+  const raw = storage.getDocument(document, null)
+  const rawLive = draft && raw === null ? storage.getDocument(configDocumentName("connectors"), null) : raw
   const connectors = Array.isArray(rawLive?.connectors) ? rawLive.connectors : Array.isArray(rawLive) ? rawLive : []
   return {
-    path: p,
+    document,
     connectors,
   }
 }
 
 const saveConnectorsConfig = (cfg) => {
-  writeJsonFile(cfg.path, {
+  storage.putDocument(cfg.document, {
     connectors: Array.isArray(cfg.connectors) ? cfg.connectors : [],
   })
 }
@@ -649,18 +1781,18 @@ const resolvePoliciesPath = ({ draft = false } = {}) => {
 }
 
 const loadPoliciesConfig = ({ draft = false } = {}) => {
-  const p = resolvePoliciesPath({ draft })
-  const raw = readJsonFile(p, null)
-  const rawLive = draft && raw === null ? readJsonFile(resolvePoliciesPath({ draft: false }), null) : raw
+  const document = configDocumentName("policies", { draft })
+  const raw = storage.getDocument(document, null)
+  const rawLive = draft && raw === null ? storage.getDocument(configDocumentName("policies"), null) : raw
   const policies = Array.isArray(rawLive?.policies) ? rawLive.policies : Array.isArray(rawLive) ? rawLive : []
   return {
-    path: p,
+    document,
     policies,
   }
 }
 
 const savePoliciesConfig = (cfg) => {
-  writeJsonFile(cfg.path, {
+  storage.putDocument(cfg.document, {
     policies: Array.isArray(cfg.policies) ? cfg.policies : [],
   })
 }
@@ -677,11 +1809,13 @@ const getFallbackProject = () => {
     supplyLiabilityTokenAddress: cfg?.supplyLiabilityTokenAddress || null,
     receiverAddress: process.env.RECEIVER_ADDRESS || cfg?.receiverAddress || "",
     liabilityTokenAddress: process.env.LIABILITY_TOKEN_ADDRESS || cfg?.liabilityTokenAddress || "",
-    rpcUrl: process.env.SEPOLIA_RPC_URL || "https://ethereum-sepolia-rpc.publicnode.com",
+    rpcUrl: process.env.SEPOLIA_RPC_URL || DEFAULT_RPC_URL,
     explorerBaseUrl: process.env.EXPLORER_BASE_URL || "https://sepolia.etherscan.io",
     expectedForwarderAddress: process.env.EXPECTED_FORWARDER_ADDRESS || null,
     maxReserveAgeS: process.env.MAX_RESERVE_AGE_S ? Number(process.env.MAX_RESERVE_AGE_S) : null,
     maxReserveMismatchRatio: process.env.MAX_RESERVE_MISMATCH_RATIO ? Number(process.env.MAX_RESERVE_MISMATCH_RATIO) : null,
+    receiverDeployBlock: process.env.RECEIVER_DEPLOY_BLOCK ? Number(process.env.RECEIVER_DEPLOY_BLOCK) : null,
+    requiredSignatureVersion: cfg?.reserveRequiredSignatureVersion === "v3" ? "v3" : null,
   }
 }
 
@@ -707,6 +1841,8 @@ const listProjects = ({ draft = false } = {}) => {
         expectedForwarderAddress: p.expectedForwarderAddress || null,
         maxReserveAgeS: Number.isFinite(Number(p.maxReserveAgeS)) ? Number(p.maxReserveAgeS) : null,
         maxReserveMismatchRatio: Number.isFinite(Number(p.maxReserveMismatchRatio)) ? Number(p.maxReserveMismatchRatio) : null,
+        receiverDeployBlock: numberOrNull(p.receiverDeployBlock),
+        requiredSignatureVersion: p.requiredSignatureVersion === "v3" ? "v3" : null,
       }))
   }
 
@@ -750,46 +1886,236 @@ const listPolicies = (projectId = null, { draft = false } = {}) => {
   })
 }
 
-const maybeSendWebhook = async (payload) => {
-  const url = process.env.ALERT_WEBHOOK_URL
-  if (!url) return
-  if (typeof fetch !== "function") return
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 6)
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS ?? 10_000)
+const WEBHOOK_RETRY_MAX_MS = 60 * 60_000
+const WEBHOOK_DELIVERY_RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS ?? 14)
+const WEBHOOK_TIMEOUT_MS = 10_000
+const WEBHOOK_QUEUE_TICK_MS = 5000
+const WEBHOOK_RESPONSE_MAX = 500
+
+const WEBHOOK_EVENT_TYPES = [
+  "status_changed",
+  "attestation_published",
+  "breaker_tripped",
+  "governance_changed",
+  "source_stale",
+  "config_published",
+  "enforcement_state_changed",
+  "incident_opened",
+  "incident_firing",
+  "incident_resolved",
+]
+
+const webhookInFlight = new Set()
+let webhookSeq = 0
+let webhookQueueRunning = false
+
+const signWebhook = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+
+const webhookRetryDelay = (attempt) => Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1), WEBHOOK_RETRY_MAX_MS)
+
+const isRetryableStatus = (code) => code === 408 || code === 429 || code >= 500
+
+const saveWebhookDelivery = (delivery) => {
+  storage.putRecord("webhook-deliveries", delivery.id, delivery, { scope: delivery.projectIds[0] || null, sortKey: delivery.sortKey })
+  return delivery
+}
 
-  try {
-    await fetch(url, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(payload),
-    })
-  } catch {
-    return
-  }
+const resolveWebhookTarget = (delivery) => {
+  if (!delivery.subscriptionId) return { url: delivery.url, secret: process.env.ALERT_WEBHOOK_SECRET || "" }
+  const sub = storage.getRecord("webhook-subscriptions", delivery.subscriptionId)
+  if (!sub) return { error: "subscription was deleted" }
+  if (!sub.enabled && delivery.type !== "test") return { error: "subscription is disabled" }
+  return { url: sub.url, secret: sub.secret }
 }
 
-const getOnchainStatus = async ({ project }) => {
-  const rpcUrl = project?.rpcUrl || "https://ethereum-sepolia-rpc.publicnode.com"
+const webhookClaimExpired = (delivery, now = Date.now()) =>
+  delivery.status === "sending" && now - Number(delivery.claimedAt || 0) > WEBHOOK_TIMEOUT_MS * 2
 
-  const receiverAddress = (project?.receiverAddress || "").toLowerCase()
-  const liabilityTokenAddress = (project?.liabilityTokenAddress || "").toLowerCase()
+const attemptWebhookDelivery = async (id) => {
+  const current = storage.getRecord("webhook-deliveries", id)
+  if (!current || webhookInFlight.has(id)) return current
+  if (current.status !== "pending" && !webhookClaimExpired(current)) return current
 
-  if (!receiverAddress || !liabilityTokenAddress) {
-    return {
-      rpcUrl,
-      receiverAddress,
-      liabilityTokenAddress,
-      error: "missing receiver/token address",
+  webhookInFlight.add(id)
+  try {
+    const delivery = saveWebhookDelivery({ ...current, status: "sending", claimedAt: Date.now() })
+    const target = resolveWebhookTarget(delivery)
+    if (target.error) {
+      return saveWebhookDelivery({ ...delivery, status: "dead", claimedAt: null, lastError: target.error, nextAttemptAt: null })
     }
-  }
 
-  const client = createPublicClient({
-    chain: sepolia,
-    transport: http(rpcUrl, { timeout: 15_000 }),
-  })
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const { url, secret } = target
+    const headers = {
+      "content-type": "application/json",
+      "x-reservewatch-event": delivery.type,
+      "x-reservewatch-delivery": delivery.id,
+      "x-reservewatch-timestamp": String(timestamp),
+    }
+    if (secret) headers["x-reservewatch-signature"] = `t=${timestamp},v1=${signWebhook(secret, timestamp, body)}`
 
-  try {
-    const [blockNumber, receiverState, tokenState] = await Promise.all([
-      client.getBlockNumber(),
-      Promise.all([
+    const startedAt = Date.now()
+    let attempt
+    try {
+      const res = delivery.subscriptionId
+        ? await requestPublicUrl(url, {
+            label: "subscription",
+            method: "POST",
+            headers,
+            body,
+            timeoutMs: WEBHOOK_TIMEOUT_MS,
+            maxBytes: WEBHOOK_RESPONSE_MAX,
+            truncate: true,
+          })
+        : await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) }).then(async (r) => ({
+            statusCode: r.status,
+            body: await r.text().catch(() => ""),
+          }))
+      attempt = { at: new Date(startedAt).toISOString(), statusCode: res.statusCode, error: null, response: res.body.slice(0, WEBHOOK_RESPONSE_MAX) }
+    } catch (err) {
+      attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: String(err?.message || err), response: null }
+    }
+    attempt.durationMs = Date.now() - startedAt
+
+    const attempts = [...delivery.attempts, attempt]
+    const tries = attempts.length - Number(delivery.retryFrom || 0)
+    const ok = attempt.statusCode !== null && attempt.statusCode >= 200 && attempt.statusCode < 300
+    const retryable = !ok && (attempt.statusCode === null || isRetryableStatus(attempt.statusCode))
+    const exhausted = tries >= WEBHOOK_MAX_ATTEMPTS
+
+    return saveWebhookDelivery({
+      ...delivery,
+      url,
+      attempts,
+      status: ok ? "delivered" : retryable && !exhausted ? "pending" : "dead",
+      claimedAt: null,
+      lastStatusCode: attempt.statusCode,
+      lastError: ok ? null : attempt.error || `http ${attempt.statusCode}`,
+      nextAttemptAt: !ok && retryable && !exhausted ? Date.now() + webhookRetryDelay(tries) : null,
+      deliveredAt: ok ? new Date().toISOString() : null,
+    })
+  } finally {
+    webhookInFlight.delete(id)
+  }
+}
+
+const enqueueWebhookDelivery = ({ url, payload, projectIds = [], subscriptionId = null, send = true }) => {
+  const now = Date.now()
+  const sortKey = now * 1000 + (webhookSeq++ % 1000)
+  const delivery = saveWebhookDelivery({
+    id: `whd_${sortKey.toString(36)}${crypto.randomBytes(3).toString("hex")}`,
+    sortKey,
+    type: typeof payload?.type === "string" ? payload.type : "event",
+    url,
+    subscriptionId,
+    projectIds,
+    payload,
+    status: "pending",
+    attempts: [],
+    retryFrom: 0,
+    claimedAt: null,
+    lastStatusCode: null,
+    lastError: null,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: now,
+    deliveredAt: null,
+  })
+  if (send) void attemptWebhookDelivery(delivery.id)
+  return delivery
+}
+
+const processWebhookQueue = async () => {
+  if (webhookQueueRunning) return
+  webhookQueueRunning = true
+  try {
+    const now = Date.now()
+    const due = storage.listRecords("webhook-deliveries", {
+      order: "asc",
+      filter: (d) => ((d.status === "pending" && Number(d.nextAttemptAt) <= now) || webhookClaimExpired(d, now)) && !webhookInFlight.has(d.id),
+    })
+    for (const delivery of due) {
+      await attemptWebhookDelivery(delivery.id)
+    }
+
+    if (Number.isFinite(WEBHOOK_DELIVERY_RETENTION_DAYS) && WEBHOOK_DELIVERY_RETENTION_DAYS > 0) {
+      storage.deleteRecords("webhook-deliveries", { before: (now - WEBHOOK_DELIVERY_RETENTION_DAYS * 86_400_000) * 1000 })
+    }
+  } finally {
+    webhookQueueRunning = false
+  }
+}
+
+const subscriptionMatches = (sub, type, projectIds) => {
+  if (!sub.enabled || !sub.events.includes(type)) return false
+  if (!sub.projectIds.length) return true
+  if (!projectIds.length) return false
+  return projectIds.some((id) => sub.projectIds.includes(id))
+}
+
+const emitWebhookEvent = (payload, { projectIds = [] } = {}) => {
+  const ids = projectIds.filter(Boolean)
+  const deliveries = storage
+    .listRecords("webhook-subscriptions", { filter: (sub) => subscriptionMatches(sub, payload.type, ids) })
+    .map((sub) => enqueueWebhookDelivery({ url: sub.url, payload, projectIds: ids, subscriptionId: sub.id }))
+
+  const url = String(process.env.ALERT_WEBHOOK_URL || "").trim()
+  if (url) deliveries.push(enqueueWebhookDelivery({ url, payload, projectIds: ids }))
+  return deliveries
+}
+
+const getOnchainStatus = async ({ project }) => {
+  const rpcUrl = project?.rpcUrl || DEFAULT_RPC_URL
+  const chain = resolveChain(project?.chainSelectorName)
+
+  const supplyChainSelectorName = String(project?.supplyChainSelectorName || "").trim() || null
+  const supplyRpcUrl = String(project?.supplyRpcUrl || "").trim() || rpcUrl
+  const supplyChain = supplyChainSelectorName ? resolveChain(supplyChainSelectorName) : chain
+
+  const receiverAddress = (project?.receiverAddress || "").toLowerCase()
+  const liabilityTokenAddress = (project?.liabilityTokenAddress || "").toLowerCase()
+  const supplyLiabilityTokenAddress = normalizeAddress(project?.supplyLiabilityTokenAddress) || liabilityTokenAddress
+
+  const supply = {
+    chain: describeChain(supplyChainSelectorName || project?.chainSelectorName, supplyChain),
+    rpcUrl: supplyRpcUrl,
+    liabilityTokenAddress: supplyLiabilityTokenAddress,
+    crossChain: supplyRpcUrl !== rpcUrl || supplyChain?.id !== chain?.id,
+  }
+
+  if (!receiverAddress || !liabilityTokenAddress) {
+    return {
+      rpcUrl,
+      chain: describeChain(project?.chainSelectorName, chain),
+      receiverAddress,
+      liabilityTokenAddress,
+      supply,
+      error: "missing receiver/token address",
+    }
+  }
+
+  if (!chain || !supplyChain) {
+    return {
+      rpcUrl,
+      chain: describeChain(project?.chainSelectorName, chain),
+      receiverAddress,
+      liabilityTokenAddress,
+      supply,
+      error: `unsupported chain selector: ${!chain ? project?.chainSelectorName : supplyChainSelectorName}`,
+    }
+  }
+
+  const client = createChainClient({ chain, rpcUrl })
+  const supplyClient = supply.crossChain ? createChainClient({ chain: supplyChain, rpcUrl: supplyRpcUrl }) : client
+
+  try {
+    const [blockNumber, rpcChainId, receiverState, tokenState, supplyState] = await Promise.all([
+      client.getBlockNumber(),
+      client.getChainId(),
+      Promise.all([
         client.readContract({ address: receiverAddress, abi: receiverAbi, functionName: "lastAttestationHash" }),
         client.readContract({ address: receiverAddress, abi: receiverAbi, functionName: "lastReserveUsd" }),
         client.readContract({ address: receiverAddress, abi: receiverAbi, functionName: "lastLiabilitySupply" }),
@@ -801,11 +2127,15 @@ const getOnchainStatus = async ({ project }) => {
         client.readContract({ address: receiverAddress, abi: receiverAbi, functionName: "getForwarderAddress" }),
       ]),
       Promise.all([
-        client.readContract({ address: liabilityTokenAddress, abi: tokenAbi, functionName: "totalSupply" }),
         client.readContract({ address: liabilityTokenAddress, abi: tokenAbi, functionName: "mintingEnabled" }),
         client.readContract({ address: liabilityTokenAddress, abi: tokenAbi, functionName: "guardian" }),
         client.readContract({ address: liabilityTokenAddress, abi: tokenAbi, functionName: "owner" }),
       ]),
+      Promise.all([
+        supplyClient.readContract({ address: supplyLiabilityTokenAddress, abi: tokenAbi, functionName: "totalSupply" }),
+        supply.crossChain ? supplyClient.getBlockNumber() : null,
+        supply.crossChain ? supplyClient.getChainId() : null,
+      ]),
     ])
 
     const [
@@ -827,29 +2157,12 @@ const getOnchainStatus = async ({ project }) => {
       lastNavUsd = null
     }
 
-    const [totalSupply, mintingEnabled, guardian, tokenOwner] = tokenState
+    const [mintingEnabled, guardian, tokenOwner] = tokenState
+    const [totalSupply, supplyBlockNumber, supplyRpcChainId] = supplyState
 
     const nextMintingPaused = Boolean(mintingPaused)
     const nextMintingEnabled = Boolean(mintingEnabled)
 
-    const changed =
-      typeof lastSeenMintingPaused === "boolean" &&
-      (lastSeenMintingPaused !== nextMintingPaused || lastSeenMintingEnabled !== nextMintingEnabled)
-
-    lastSeenMintingPaused = nextMintingPaused
-    lastSeenMintingEnabled = nextMintingEnabled
-
-    if (changed) {
-      void maybeSendWebhook({
-        type: "enforcement_state_changed",
-        at: Math.floor(Date.now() / 1000),
-        receiverAddress,
-        liabilityTokenAddress,
-        mintingPaused: nextMintingPaused,
-        mintingEnabled: nextMintingEnabled,
-      })
-    }
-
     const hookWired = normalizeAddress(guardian) === normalizeAddress(receiverAddress)
     const forwarderSet = normalizeAddress(forwarderAddress) !== ZERO_ADDRESS
     const expectedForwarder = project?.expectedForwarderAddress || process.env.EXPECTED_FORWARDER_ADDRESS || ""
@@ -860,12 +2173,24 @@ const getOnchainStatus = async ({ project }) => {
     return {
       rpcUrl,
       blockNumber: blockNumber.toString(),
+      chain: {
+        ...describeChain(project?.chainSelectorName, chain),
+        rpcChainId,
+        rpcChainMatches: rpcChainId === chain.id,
+      },
       project: {
         id: project?.id || null,
         name: project?.name || null,
       },
       receiverAddress,
       liabilityTokenAddress,
+      supply: {
+        ...supply,
+        blockNumber: (supplyBlockNumber ?? blockNumber).toString(),
+        rpcChainId: supplyRpcChainId ?? rpcChainId,
+        rpcChainMatches: (supplyRpcChainId ?? rpcChainId) === supplyChain.id,
+        totalSupply: totalSupply.toString(),
+      },
       receiver: {
         lastAttestationHash,
         lastReserveUsd: lastReserveUsd.toString(),
@@ -900,8 +2225,10 @@ const getOnchainStatus = async ({ project }) => {
   } catch (err) {
     return {
       rpcUrl,
+      chain: describeChain(project?.chainSelectorName, chain),
       receiverAddress,
       liabilityTokenAddress,
+      supply,
       error: String(err?.message || err),
     }
   }
@@ -913,23 +2240,185 @@ const toFiniteNumber = (value) => {
   return Number.isFinite(n) ? n : null
 }
 
-const computeDerived = ({ reserves, onchain, project, incident }) => {
+const toBigIntOrNull = (value) => {
+  const text = String(value ?? "").trim()
+  return /^\d+$/.test(text) ? BigInt(text) : null
+}
+
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+const medianOf = (sorted) => {
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2n
+}
+
+const meanOf = (values) => values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length)
+
+const mismatchBpsOf = (a, b) => {
+  const max = a > b ? a : b
+  const diff = a > b ? a - b : b - a
+  return max === 0n ? 0n : (diff * 10_000n) / max
+}
+
+const aggregateReserveSources = ({ sources, total, mode, quorumK, maxMismatchBps, trimCount }) => {
+  const sorted = sources.slice().sort((a, b) => compareBigInt(a.reserveUsd, b.reserveUsd) || a.id.localeCompare(b.id))
+  const required = quorumK ?? Math.floor(total / 2) + 1
+  if (sorted.length < required) {
+    return {
+      ok: false,
+      reason: "insufficient_sources",
+      required,
+      used: [],
+      error: `only ${sorted.length} of ${total} reserve sources valid, need ${required}`,
+    }
+  }
+
+  let used = sorted
+  if (mode === "quorum_k_of_n") {
+    let best = []
+    for (let i = 0; i < sorted.length; i++) {
+      let j = i
+      while (j + 1 < sorted.length && mismatchBpsOf(sorted[i].reserveUsd, sorted[j + 1].reserveUsd) <= maxMismatchBps) j++
+      if (j - i + 1 > best.length) best = sorted.slice(i, j + 1)
+    }
+    if (best.length < required) {
+      return {
+        ok: false,
+        reason: "no_quorum",
+        required,
+        used: [],
+        error: `no ${required} of ${total} reserve sources agree within ${maxMismatchBps} bps`,
+      }
+    }
+    used = best
+  } else if (mode === "trimmed_mean") {
+    const trim = trimCount ?? (sorted.length >= 3 ? 1 : 0)
+    if (sorted.length - 2 * trim < 1) {
+      return {
+        ok: false,
+        reason: "insufficient_sources",
+        required,
+        used: [],
+        error: `cannot trim ${trim} from each end of ${sorted.length} reserve sources`,
+      }
+    }
+    used = sorted.slice(trim, sorted.length - trim)
+  } else if (mode !== "median") {
+    throw new Error(`unknown consensus mode ${mode}`)
+  }
+
+  const combine = mode === "trimmed_mean" ? meanOf : medianOf
+  const navs = used.map((s) => s.navUsd)
+  return {
+    ok: true,
+    reason: null,
+    required,
+    used: used.map((s) => s.id),
+    reserveUsd: combine(used.map((s) => s.reserveUsd)),
+    navUsd: navs.every((v) => typeof v === "bigint") ? combine(navs.slice().sort(compareBigInt)) : undefined,
+    asOfTimestamp: used.reduce((min, s) => (s.asOfTimestamp < min ? s.asOfTimestamp : min), used[0].asOfTimestamp),
+    error: "",
+  }
+}
+
+const reserveConsensus = ({ sources, mode, policy, now, maxReserveAgeS, maxMismatchRatio }) => {
+  const valid = []
+  const excluded = []
+  for (const r of sources) {
+    const id = String(r?.connectorId || r?.source || "unknown")
+    const reserveUsd = toBigIntOrNull(r?.reserveUsd)
+    if (r?.error || typeof r?.timestamp !== "number") excluded.push({ id, reason: "unavailable" })
+    else if (r.signatureValid === false) excluded.push({ id, reason: "signature_invalid" })
+    else if (Number.isFinite(maxReserveAgeS) && now - r.timestamp > maxReserveAgeS) excluded.push({ id, reason: "stale" })
+    else if (reserveUsd === null) excluded.push({ id, reason: "invalid_amount" })
+    else valid.push({ id, reserveUsd, navUsd: toBigIntOrNull(r.navUsd) ?? undefined, asOfTimestamp: BigInt(r.timestamp) })
+  }
+
+  const result = aggregateReserveSources({
+    sources: valid,
+    total: sources.length,
+    mode,
+    quorumK: toFiniteNumber(policy?.quorumK),
+    maxMismatchBps: Number.isFinite(maxMismatchRatio) ? BigInt(Math.floor(maxMismatchRatio * 10_000)) : 100n,
+    trimCount: toFiniteNumber(policy?.trimCount),
+  })
+
+  return {
+    mode,
+    ok: result.ok,
+    reason: result.reason,
+    error: result.error,
+    total: sources.length,
+    valid: valid.length,
+    required: result.required,
+    used: result.used,
+    excluded,
+    reserveUsd: result.ok ? result.reserveUsd.toString() : null,
+    navUsd: result.ok && result.navUsd !== undefined ? result.navUsd.toString() : null,
+    asOfTimestamp: result.ok ? Number(result.asOfTimestamp) : null,
+  }
+}
+
+const computeDerived = ({ reserves, onchain, project, policy, incident }) => {
   const now = Math.floor(Date.now() / 1000)
 
-  const maxReserveAgeS =
-    (project?.maxReserveAgeS ?? null) !== null && Number.isFinite(Number(project?.maxReserveAgeS))
-      ? Number(project.maxReserveAgeS)
-      : Number(process.env.MAX_RESERVE_AGE_S || 120)
-  const maxMismatchRatio =
-    (project?.maxReserveMismatchRatio ?? null) !== null && Number.isFinite(Number(project?.maxReserveMismatchRatio))
-      ? Number(project.maxReserveMismatchRatio)
-      : Number(process.env.MAX_RESERVE_MISMATCH_RATIO || 0.01)
-
-  const primaryAgeS = reserves?.primary?.timestamp ? now - reserves.primary.timestamp : null
-  const secondaryAgeS = reserves?.secondary?.timestamp ? now - reserves.secondary.timestamp : null
-  const reserveStale =
-    (typeof primaryAgeS === "number" && primaryAgeS > maxReserveAgeS) ||
-    (typeof secondaryAgeS === "number" && secondaryAgeS > maxReserveAgeS)
+  const consensusMode = policy?.consensusMode || "require_match"
+  const quorumMode = QUORUM_CONSENSUS_MODES.includes(consensusMode)
+
+  const primarySigInvalid = reserves?.primary?.signatureValid === false
+  const secondarySigInvalid = reserves?.secondary?.signatureValid === false
+
+  const maxReserveAgeS = (() => {
+    const fromPolicy = toFiniteNumber(policy?.maxReserveAgeS)
+    if (Number.isFinite(fromPolicy)) return fromPolicy
+    const fromProject = toFiniteNumber(project?.maxReserveAgeS)
+    if (Number.isFinite(fromProject)) return fromProject
+    return Number(process.env.MAX_RESERVE_AGE_S || 120)
+  })()
+
+  const maxMismatchRatio = (() => {
+    const fromPolicy = toFiniteNumber(policy?.maxMismatchRatio)
+    if (Number.isFinite(fromPolicy)) return fromPolicy
+    const fromProject = toFiniteNumber(project?.maxReserveMismatchRatio)
+    if (Number.isFinite(fromProject)) return fromProject
+    return Number(process.env.MAX_RESERVE_MISMATCH_RATIO || 0.01)
+  })()
+
+  const minCoverageBpsOverride = toFiniteNumber(policy?.minCoverageBps)
+
+  const sources = Array.isArray(reserves?.sources) ? reserves.sources : []
+  const consensus = quorumMode
+    ? reserveConsensus({ sources, mode: consensusMode, policy, now, maxReserveAgeS, maxMismatchRatio })
+    : null
+
+  const reserveSignatureInvalid = consensus
+    ? !consensus.ok && consensus.excluded.some((e) => e.reason === "signature_invalid")
+    : consensusMode === "primary_only"
+      ? primarySigInvalid
+      : primarySigInvalid || secondarySigInvalid
+
+  const primaryTs = reserves?.primary?.timestamp
+  const secondaryTs = reserves?.secondary?.timestamp
+
+  const primaryAgeS = typeof primaryTs === "number" ? now - primaryTs : null
+  const secondaryAgeS = typeof secondaryTs === "number" ? now - secondaryTs : null
+
+  const primaryOk = Boolean(reserves?.primary && typeof primaryTs === "number")
+  const secondaryOk = Boolean(reserves?.secondary && typeof secondaryTs === "number")
+
+  const reserveStale = (() => {
+    if (consensus) return consensus.reason === "insufficient_sources"
+    if (!Number.isFinite(maxReserveAgeS)) return false
+
+    if (consensusMode === "primary_only") {
+      if (!primaryOk || primarySigInvalid) return true
+      return primaryAgeS > maxReserveAgeS
+    }
+
+    if (!primaryOk || !secondaryOk || primarySigInvalid || secondarySigInvalid) return true
+
+    return primaryAgeS > maxReserveAgeS || secondaryAgeS > maxReserveAgeS
+  })()
 
   const primaryReserveUsd = toFiniteNumber(reserves?.primary?.reserveUsd)
   const secondaryReserveUsd = toFiniteNumber(reserves?.secondary?.reserveUsd)
@@ -941,11 +2430,15 @@ const computeDerived = ({ reserves, onchain, project, incident }) => {
     reserveMismatchUsd = Math.abs(primaryReserveUsd - secondaryReserveUsd)
     const denom = Math.max(primaryReserveUsd, secondaryReserveUsd, 1)
     reserveMismatchRatio = reserveMismatchUsd / denom
-    sourceMismatch = reserveMismatchRatio > maxMismatchRatio
+    if (consensusMode === "require_match") {
+      sourceMismatch = reserveMismatchRatio > maxMismatchRatio
+    }
   }
+  if (consensus?.reason === "no_quorum") sourceMismatch = true
 
   const coverageBps = toFiniteNumber(onchain?.receiver?.lastCoverageBps)
-  const minCoverageBps = toFiniteNumber(onchain?.receiver?.minCoverageBps)
+  const onchainMinCoverageBps = toFiniteNumber(onchain?.receiver?.minCoverageBps)
+  const minCoverageBps = Number.isFinite(minCoverageBpsOverride) ? minCoverageBpsOverride : onchainMinCoverageBps
   const mintingPaused = onchain?.receiver?.mintingPaused
   const mintingEnabled = onchain?.token?.mintingEnabled
   const enforcementHookWired = Boolean(onchain?.enforcement?.hookWired)
@@ -954,6 +2447,7 @@ const computeDerived = ({ reserves, onchain, project, incident }) => {
   const reasons = []
   if (onchain?.error) reasons.push("onchain_unavailable")
   if (reserveStale) reasons.push("reserve_data_stale")
+  if (reserveSignatureInvalid) reasons.push("reserve_signature_invalid")
   if (sourceMismatch) reasons.push("reserve_source_mismatch")
   if (incident?.active) reasons.push("incident_active")
   if (!enforcementHookWired) reasons.push("enforcement_not_wired")
@@ -965,7 +2459,7 @@ const computeDerived = ({ reserves, onchain, project, incident }) => {
   }
 
   let status = "HEALTHY"
-  if (onchain?.error || reserveStale) status = "STALE"
+  if (onchain?.error || reserveStale || reserveSignatureInvalid) status = "STALE"
   else if (sourceMismatch) status = "DEGRADED"
   else if (incident?.active) status = incident?.severity === "critical" ? "UNHEALTHY" : "DEGRADED"
   else if (!enforcementHookWired) status = "DEGRADED"
@@ -976,6 +2470,7 @@ const computeDerived = ({ reserves, onchain, project, incident }) => {
 
   return {
     now,
+    consensusMode,
     maxReserveAgeS,
     maxMismatchRatio,
     reserveAgesS: {
@@ -983,7 +2478,9 @@ const computeDerived = ({ reserves, onchain, project, incident }) => {
       secondary: secondaryAgeS,
     },
     reserveStale,
+    reserveSignatureInvalid,
     sourceMismatch,
+    consensus,
     reserveMismatchUsd,
     reserveMismatchRatio,
     coverageBps,
@@ -1018,635 +2515,3522 @@ const reserveFor = (source) => {
   }
 }
 
-app.get("/reserve/source-a", async (req, res) => {
-  res.json(await maybeSignReserve(reserveFor("source-a")))
-})
+const SCENARIO_NAME_RE = /^[a-z0-9][a-z0-9-]{1,62}$/
+const SCENARIO_SIGNATURES = ["valid", "invalid", "missing"]
+const SCENARIO_SIGNERS = ["primary", "alternate"]
+const SCENARIO_MAX_SOURCES = 16
+const SCENARIO_MAX_PHASES = 32
+const SCENARIO_MAX_LATENCY_MS = 60_000
+const SCENARIOS_MAX = 50
+const SCENARIO_AMOUNT_RE = /^\d{1,30}$/
+const SCENARIO_DRIFT_RE = /^-?\d{1,30}$/
+
+const scenarioSigningAccount = (() => {
+  const pk = String(process.env.RESERVE_SCENARIO_ALT_PRIVATE_KEY || "").trim()
+  if (!pk) return privateKeyToAccount(generatePrivateKey())
+  try {
+    return privateKeyToAccount(pk)
+  } catch (err) {
+    throw new Error(`RESERVE_SCENARIO_ALT_PRIVATE_KEY is not a valid private key: ${String(err?.shortMessage || err?.message || err)}`)
+  }
+})()
+
+let activeScenario = null
+
+const BUILT_IN_SCENARIOS = [
+  {
+    name: "healthy",
+    description: "Every source reports the same fully covered reserve",
+    sources: { "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }] },
+  },
+  {
+    name: "unhealthy",
+    description: "Every source reports a reserve below NAV",
+    sources: { "*": [{ atS: 0, reserveUsd: "900000", navUsd: "880000" }] },
+  },
+  {
+    name: "reserve-drift-down",
+    description: "Reserves start healthy and fall by 1000 USD per second on every source",
+    sources: { "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000", driftUsdPerS: "-1000" }] },
+  },
+  {
+    name: "stale-secondary",
+    description: "source-b freezes its timestamp one hour in the past after 30 seconds",
+    sources: {
+      "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }],
+      "source-b": [
+        { atS: 0, reserveUsd: "1200000", navUsd: "1195000" },
+        { atS: 30, timestampLagS: 3600 },
+      ],
+    },
+  },
+  {
+    name: "source-disagreement",
+    description: "source-b reports 10% less than every other source",
+    sources: {
+      "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }],
+      "source-b": [{ atS: 0, reserveUsd: "1080000", navUsd: "1075500" }],
+    },
+  },
+  {
+    name: "invalid-signature",
+    description: "source-b signs a different payload than it serves",
+    sources: {
+      "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }],
+      "source-b": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000", signature: "invalid" }],
+    },
+  },
+  {
+    name: "missing-signature",
+    description: "source-b stops signing its payload",
+    sources: {
+      "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }],
+      "source-b": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000", signature: "missing" }],
+    },
+  },
+  {
+    name: "source-outage",
+    description: "source-b answers HTTP 500 for a minute, then recovers",
+    sources: {
+      "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }],
+      "source-b": [
+        { atS: 0, reserveUsd: "1200000", navUsd: "1195000", httpStatus: 500 },
+        { atS: 60, httpStatus: 200 },
+      ],
+    },
+  },
+  {
+    name: "slow-source",
+    description: "source-b takes 15 seconds to answer, past the default fetch timeout",
+    sources: {
+      "*": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000" }],
+      "source-b": [{ atS: 0, reserveUsd: "1200000", navUsd: "1195000", latencyMs: 15_000 }],
+    },
+  },
+  {
+    name: "signer-swap",
+    description: "Every source switches to the alternate signing key after 60 seconds",
+    sources: {
+      "*": [
+        { atS: 0, reserveUsd: "1200000", navUsd: "1195000" },
+        { atS: 60, signer: "alternate" },
+      ],
+    },
+  },
+].map((s) => ({ ...s, loop: false, durationS: null, builtIn: true }))
+
+const normalizeScenarioPhase = (raw, index, prevAtS) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: `phase ${index} must be an object`, value: null }
+  const phase = {}
+
+  const atS = raw.atS === undefined ? (index === 0 ? 0 : null) : raw.atS
+  if (!Number.isInteger(atS) || atS < 0) return { error: `phase ${index}: atS must be a non-negative integer`, value: null }
+  if (index === 0 && atS !== 0) return { error: "the first phase must start at atS 0", value: null }
+  if (index > 0 && atS <= prevAtS) return { error: `phase ${index}: atS must be greater than the previous phase`, value: null }
+  phase.atS = atS
+
+  for (const key of ["reserveUsd", "navUsd"]) {
+    if (raw[key] === undefined) continue
+    if (key === "navUsd" && raw[key] === null) {
+      phase.navUsd = null
+      continue
+    }
+    const value = String(raw[key])
+    if (!SCENARIO_AMOUNT_RE.test(value)) return { error: `phase ${index}: ${key} must be a non-negative integer`, value: null }
+    phase[key] = value
+  }
+  if (index === 0 && phase.reserveUsd === undefined) return { error: "the first phase must set reserveUsd", value: null }
 
-app.get("/reserve/source-b", async (req, res) => {
-  res.json(await maybeSignReserve(reserveFor("source-b")))
-})
+  if (raw.driftUsdPerS !== undefined) {
+    const value = String(raw.driftUsdPerS)
+    if (!SCENARIO_DRIFT_RE.test(value)) return { error: `phase ${index}: driftUsdPerS must be an integer`, value: null }
+    phase.driftUsdPerS = value
+  }
 
-app.post("/admin/mode", (req, res) => {
-  const next = req.body?.mode
-  if (next !== "healthy" && next !== "unhealthy") {
-    res.status(400).json({ error: "mode must be healthy|unhealthy" })
-    return
+  if (raw.timestampLagS !== undefined) {
+    if (!Number.isInteger(raw.timestampLagS)) return { error: `phase ${index}: timestampLagS must be an integer`, value: null }
+    phase.timestampLagS = raw.timestampLagS
   }
 
-  mode = next
-  res.json({ mode })
-})
+  if (raw.signature !== undefined) {
+    if (!SCENARIO_SIGNATURES.includes(raw.signature)) {
+      return { error: `phase ${index}: signature must be ${SCENARIO_SIGNATURES.join("|")}`, value: null }
+    }
+    phase.signature = raw.signature
+  }
 
-app.post("/admin/incident", (req, res) => {
-  const projectId = typeof req.body?.projectId === "string" ? req.body.projectId : null
-  const active = typeof req.body?.active === "boolean" ? req.body.active : null
-  const severity = typeof req.body?.severity === "string" ? req.body.severity : "warning"
-  const message = typeof req.body?.message === "string" ? req.body.message : ""
+  if (raw.signer !== undefined) {
+    if (!SCENARIO_SIGNERS.includes(raw.signer)) return { error: `phase ${index}: signer must be ${SCENARIO_SIGNERS.join("|")}`, value: null }
+    phase.signer = raw.signer
+  }
 
-  if (active === null) {
-    res.status(400).json({ error: "active must be boolean" })
-    return
+  if (raw.httpStatus !== undefined) {
+    if (!Number.isInteger(raw.httpStatus) || raw.httpStatus < 200 || raw.httpStatus > 599) {
+      return { error: `phase ${index}: httpStatus must be an integer between 200 and 599`, value: null }
+    }
+    phase.httpStatus = raw.httpStatus
   }
 
-  const state = setIncidentState({ projectId, active, severity, message })
-  res.json({ projectId: projectId || "default", incident: state })
-})
+  if (raw.latencyMs !== undefined) {
+    if (!Number.isInteger(raw.latencyMs) || raw.latencyMs < 0 || raw.latencyMs > SCENARIO_MAX_LATENCY_MS) {
+      return { error: `phase ${index}: latencyMs must be an integer between 0 and ${SCENARIO_MAX_LATENCY_MS}`, value: null }
+    }
+    phase.latencyMs = raw.latencyMs
+  }
 
-app.post("/admin/run", (req, res) => {
-  const broadcast = Boolean(req.body?.broadcast)
-  const target = typeof req.body?.target === "string" && req.body.target.trim() ? req.body.target.trim() : "staging-settings"
-  const workflow = typeof req.body?.workflow === "string" && req.body.workflow.trim() ? req.body.workflow.trim() : "reservewatch-workflow"
+  return { error: "", value: phase }
+}
 
-  if (activeRun && activeRun.state === "running") {
-    res.status(409).json({ error: "run already in progress", runId: activeRun.runId, run: activeRun })
-    return
-  }
+const normalizeScenarioPayload = (payload) => {
+  if (!payload || typeof payload !== "object") return { error: "invalid payload", value: null }
 
-  const runId = createRunId()
-  const run = {
-    runId,
-    state: "running",
-    workflow,
-    target,
-    broadcast,
-    startedAt: new Date().toISOString(),
-    finishedAt: null,
-    exitCode: null,
-    error: null,
-    output: "",
-  }
+  const name = String(payload.name || "").trim()
+  if (!SCENARIO_NAME_RE.test(name)) return { error: "scenario name must match ^[a-z0-9][a-z0-9-]{1,62}$", value: null }
 
-  runsById.set(runId, run)
-  activeRun = run
+  const description = String(payload.description || "").trim()
+  if (description.length > 200) return { error: "description must be at most 200 chars", value: null }
 
-  const args = ["workflow", "simulate", workflow, "--target", target]
-  if (broadcast) args.push("--broadcast")
-  if (fs.existsSync(defaultEnvPath)) args.push("--env", defaultEnvPath)
+  if (payload.loop !== undefined && typeof payload.loop !== "boolean") return { error: "loop must be boolean", value: null }
+  const loop = payload.loop === true
 
-  try {
-    const child = spawn("cre", args, {
-      cwd: reservewatchRoot,
-      stdio: ["ignore", "pipe", "pipe"],
-      env: process.env,
-    })
+  const durationS = payload.durationS ?? null
+  if (durationS !== null && (!Number.isInteger(durationS) || durationS <= 0)) return { error: "durationS must be a positive integer", value: null }
+  if (loop && durationS === null) return { error: "durationS is required when loop is true", value: null }
 
-    child.stdout?.on("data", (chunk) => appendRunOutput(run, chunk))
-    child.stderr?.on("data", (chunk) => appendRunOutput(run, chunk))
+  const sourcesRaw = payload.sources
+  if (!sourcesRaw || typeof sourcesRaw !== "object" || Array.isArray(sourcesRaw)) {
+    return { error: "sources must be an object keyed by source id or *", value: null }
+  }
+  const entries = Object.entries(sourcesRaw)
+  if (!entries.length) return { error: "sources must define at least one source", value: null }
+  if (entries.length > SCENARIO_MAX_SOURCES) return { error: `at most ${SCENARIO_MAX_SOURCES} sources are allowed`, value: null }
+
+  const sources = {}
+  for (const [sourceId, phasesRaw] of entries) {
+    if (sourceId !== "*" && !CONNECTOR_ID_RE.test(sourceId)) return { error: `invalid source id: ${sourceId}`, value: null }
+    if (!Array.isArray(phasesRaw) || !phasesRaw.length) return { error: `sources.${sourceId} must be a non-empty array of phases`, value: null }
+    if (phasesRaw.length > SCENARIO_MAX_PHASES) return { error: `sources.${sourceId}: at most ${SCENARIO_MAX_PHASES} phases are allowed`, value: null }
+
+    const phases = []
+    for (let i = 0; i < phasesRaw.length; i++) {
+      const result = normalizeScenarioPhase(phasesRaw[i], i, phases[i - 1]?.atS ?? -1)
+      if (result.error) return { error: `sources.${sourceId}: ${result.error}`, value: null }
+      phases.push(result.value)
+    }
+    sources[sourceId] = phases
+  }
 
-    child.on("error", (err) => {
-      run.state = "failed"
-      run.error = String(err?.message || err)
-      run.exitCode = null
-      run.finishedAt = new Date().toISOString()
-      activeRun = null
-    })
+  return { error: "", value: { name, description, loop, durationS, sources } }
+}
 
-    child.on("exit", (code) => {
-      run.exitCode = typeof code === "number" ? code : null
-      run.state = code === 0 ? "ok" : "failed"
-      run.finishedAt = new Date().toISOString()
-      activeRun = null
-    })
+const listScenarios = () => [
+  ...BUILT_IN_SCENARIOS,
+  ...storage.listRecords("reserve-scenarios", { order: "asc" }).map((s) => ({ ...s, builtIn: false })),
+]
 
-    res.json({ runId, run })
-  } catch (err) {
-    run.state = "failed"
-    run.error = String(err?.message || err)
-    run.finishedAt = new Date().toISOString()
-    activeRun = null
-    res.status(500).json({ error: run.error, runId, run })
+const findScenario = (name) => listScenarios().find((s) => s.name === name) || null
+
+const scenarioState = () => {
+  if (!activeScenario) return null
+  const elapsedS = Math.floor((Date.now() - activeScenario.startedAt) / 1000)
+  const { loop, durationS } = activeScenario.scenario
+  if (!loop && durationS !== null && durationS !== undefined && elapsedS >= durationS) {
+    activeScenario = null
+    return null
   }
-})
+  return {
+    name: activeScenario.scenario.name,
+    startedAt: new Date(activeScenario.startedAt).toISOString(),
+    elapsedS,
+    positionS: activeScenario.scenario.loop ? elapsedS % activeScenario.scenario.durationS : elapsedS,
+  }
+}
 
-app.get("/admin/run/:runId", (req, res) => {
-  const runId = String(req.params?.runId || "").trim()
-  if (!runId) {
-    res.status(400).json({ error: "missing runId" })
-    return
+const resolveScenarioStep = (phases, positionS) => {
+  let step = {
+    reserveUsd: 0n,
+    navUsd: null,
+    driftUsdPerS: 0n,
+    timestampLagS: 0,
+    signature: "valid",
+    signer: "primary",
+    httpStatus: 200,
+    latencyMs: 0,
+  }
+  let startS = 0
+
+  for (const phase of phases) {
+    if (phase.atS > positionS) break
+    const spanS = BigInt(phase.atS - startS)
+    step = {
+      ...step,
+      ...phase,
+      reserveUsd: phase.reserveUsd !== undefined ? BigInt(phase.reserveUsd) : step.reserveUsd + step.driftUsdPerS * spanS,
+      navUsd:
+        phase.navUsd !== undefined
+          ? phase.navUsd === null
+            ? null
+            : BigInt(phase.navUsd)
+          : step.navUsd === null
+            ? null
+            : step.navUsd + step.driftUsdPerS * spanS,
+      driftUsdPerS: phase.driftUsdPerS !== undefined ? BigInt(phase.driftUsdPerS) : step.driftUsdPerS,
+    }
+    startS = phase.atS
   }
 
-  const run = runsById.get(runId)
-  if (!run) {
-    res.status(404).json({ error: "run not found" })
-    return
+  const elapsed = BigInt(Math.max(0, positionS - startS))
+  const clamp = (v) => (v < 0n ? 0n : v)
+  return {
+    ...step,
+    reserveUsd: clamp(step.reserveUsd + step.driftUsdPerS * elapsed),
+    navUsd: step.navUsd === null ? null : clamp(step.navUsd + step.driftUsdPerS * elapsed),
   }
+}
 
-  res.json({ runId, run })
-})
+const scenarioStepFor = (source) => {
+  const state = scenarioState()
+  if (!state) return null
+  const phases = activeScenario.scenario.sources[source] || activeScenario.scenario.sources["*"]
+  if (!phases) return null
+  return { scenario: state.name, ...resolveScenarioStep(phases, state.positionS) }
+}
 
-app.get("/admin/run", (req, res) => {
-  const runs = Array.from(runsById.values())
-    .sort((a, b) => String(b.startedAt || "").localeCompare(String(a.startedAt || "")))
-    .slice(0, 10)
-  res.json({ activeRun: activeRun && activeRun.state === "running" ? activeRun : null, runs })
-})
+const signScenarioReserve = async (reserve, step, domain = null) => {
+  if (step.signature === "missing") return verifyReserveSignature(reserve)
 
-app.get("/incident/feed", (req, res) => {
-  const projectId = typeof req.query?.project === "string" ? req.query.project : null
-  res.json({ projectId: projectId || "default", incident: getIncidentState(projectId) })
-})
+  const account = step.signer === "alternate" ? scenarioSigningAccount : reserveSigningAccount
+  if (!account && step.signature === "valid") return verifyReserveSignature(reserve)
 
-app.get("/api/projects", (req, res) => {
-  const draft = readDraftFlag(req)
+  const signer = account || scenarioSigningAccount
+  const signed =
+    step.signature === "invalid" ? { ...reserve, reserveUsd: (BigInt(reserve.reserveUsd) + 1n).toString() } : reserve
+  return verifyReserveSignature({ ...reserve, signer: signer.address, ...(await signReserve(signer, signed, domain)) }, [], domain)
+}
+
+const AUDIT_MAX_LIMIT = 500
+const AUDIT_MAX_CHANGES = 200
+let auditSeq = 0
+
+const keyBy = (items, keyFn) =>
+  Object.fromEntries((Array.isArray(items) ? items : []).filter(Boolean).map((item) => [keyFn(item), item]))
+
+const readConfig = ({ draft = false } = {}) => {
   const store = loadProjectsStore({ draft })
-  const projects = listProjects({ draft })
-  res.json({ defaultProjectId: store.defaultProjectId, projects })
+  return {
+    defaultProjectId: store.defaultProjectId || null,
+    projects: Array.isArray(store.projects) ? store.projects : [],
+    connectors: loadConnectorsConfig({ draft }).connectors,
+    policies: loadPoliciesConfig({ draft }).policies,
+  }
+}
+
+const CONFIG_ENTRY_KEYS = {
+  projects: (p, rename) => rename(normalizeId(p.id)),
+  connectors: (c, rename) => `${rename(normalizeId(c.projectId))}/${normalizeConnectorId(c.id)}`,
+  policies: (p, rename) => rename(normalizeId(p.projectId)),
+}
+
+const keyConfig = (config, rename = (id) => id) => ({
+  defaultProjectId: config?.defaultProjectId || null,
+  ...Object.fromEntries(
+    Object.entries(CONFIG_ENTRY_KEYS).map(([section, keyFn]) => [section, keyBy(config?.[section], (e) => keyFn(e, rename))])
+  ),
 })
 
-app.post("/api/projects", requireAdmin, (req, res) => {
-  const draft = readDraftFlag(req)
-  const result = normalizeProjectPayload(req.body)
-  if (result.error) {
-    res.status(400).json({ error: result.error })
-    return
+const configSnapshot = ({ draft = false } = {}) => keyConfig(readConfig({ draft }))
+
+const diffJson = (before, after, prefix = "", out = []) => {
+  if (out.length >= AUDIT_MAX_CHANGES) return out
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v)
+  if (isObject(before) && isObject(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort()
+    for (const key of keys) diffJson(before[key], after[key], prefix ? `${prefix}.${key}` : key, out)
+    return out
   }
+  if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+    out.push({ path: prefix || "$", before: before ?? null, after: after ?? null })
+  }
+  return out
+}
 
-  const store = loadProjectsStore({ draft })
-  const nextId = normalizeId(result.value.id)
+const auditActor = (req) => {
+  const auth = req.auth || null
+  return {
+    kind: auth?.kind || "anonymous",
+    id: auth?.keyId || auth?.address || null,
+    name: auth?.name || null,
+    ip: req.ip || null,
+    userAgent: String(req.get("user-agent") || "").slice(0, 200) || null,
+  }
+}
 
-  const exists = store.projects.some((p) => normalizeId(p?.id) === nextId)
-  if (exists) {
-    res.status(409).json({ error: "project already exists" })
-    return
+const recordAudit = ({ req, action, targets, before, after, status }) => {
+  const now = Date.now()
+  const sortKey = now * 1000 + (auditSeq++ % 1000)
+  const projectIds = Array.isArray(targets?.projectIds) ? targets.projectIds.filter(Boolean) : []
+  const changes = diffJson(before ?? null, after ?? null)
+  const entry = {
+    id: `${sortKey}`,
+    at: new Date(now).toISOString(),
+    action,
+    method: req.method,
+    route: req.path,
+    status,
+    actor: auditActor(req),
+    projectIds,
+    targets: targets || {},
+    changes,
+    changesTruncated: changes.length >= AUDIT_MAX_CHANGES,
   }
+  storage.putRecord("audit-log", entry.id, entry, { scope: projectIds[0] || null, sortKey })
+  return entry
+}
 
-  store.projects = [...store.projects, result.value]
-  const makeDefault = Boolean(req.body?.makeDefault)
-  if (!store.defaultProjectId || makeDefault) {
-    store.defaultProjectId = nextId
+const auditAction =
+  (action, { snapshot = () => null, targets = () => ({}) } = {}) =>
+  (req, res, next) => {
+    const before = snapshot(req)
+    let responseBody = null
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = body
+      return json(body)
+    }
+
+    res.on("finish", () => {
+      if (res.statusCode >= 400) return
+      try {
+        recordAudit({
+          req,
+          action,
+          targets: targets(req, responseBody),
+          before,
+          after: snapshot(req),
+          status: res.statusCode,
+        })
+      } catch (err) {
+        process.stderr.write(`audit: ${action}: write failed: ${String(err?.message || err)}\n`)
+      }
+    })
+
+    next()
   }
 
-  saveProjectsConfig(store)
-  res.json({ project: result.value, defaultProjectId: store.defaultProjectId })
-})
+const auditConfig = (action, projectKeys, extraTargets = () => ({})) =>
+  auditAction(action, {
+    snapshot: (req) => configSnapshot({ draft: readDraftFlag(req) }),
+    targets: (req, body) => ({
+      draft: readDraftFlag(req),
+      projectIds: requestProjectIds(req, projectKeys),
+      ...extraTargets(req, body),
+    }),
+  })
 
-app.put("/api/projects", requireAdmin, (req, res) => {
-  const draft = readDraftFlag(req)
-  const targetId = normalizeId(req.body?.previousId || req.body?.id || req.query?.id)
-  if (!targetId) {
-    res.status(400).json({ error: "project id is required" })
+const connectorTargets = (req) => {
+  const ids = new Set(
+    [req.body?.previousId, req.body?.id, req.query?.id].filter((v) => typeof v === "string" && v.trim()).map(normalizeConnectorId)
+  )
+  return { connectorIds: Array.from(ids) }
+}
+
+app.get("/reserve/:source", async (req, res) => {
+  const source = String(req.params.source || "")
+  if (!CONNECTOR_ID_RE.test(source)) {
+    res.status(404).json({ error: "unknown reserve source" })
     return
   }
 
-  const payload = { ...req.body, id: req.body?.id || targetId }
-  const result = normalizeProjectPayload(payload)
-  if (result.error) {
-    res.status(400).json({ error: result.error })
+  const domain = reserveSignatureDomain(getProjectById(typeof req.query?.project === "string" ? req.query.project : null))
+  const step = scenarioStepFor(source)
+  if (!step) {
+    res.json(await maybeSignReserve(reserveFor(source), domain))
     return
   }
 
-  const store = loadProjectsStore({ draft })
-  const idx = store.projects.findIndex((p) => normalizeId(p?.id) === targetId)
-  if (idx < 0) {
-    res.status(404).json({ error: "project not found" })
+  if (step.latencyMs > 0) await new Promise((resolve) => setTimeout(resolve, step.latencyMs))
+  if (step.httpStatus >= 300) {
+    res.status(step.httpStatus).json({ error: `scenario ${step.scenario}: ${source} answered HTTP ${step.httpStatus}` })
     return
   }
 
+  const reserve = {
+    timestamp: Math.floor(Date.now() / 1000) - step.timestampLagS,
+    reserveUsd: step.reserveUsd.toString(),
+    ...(step.navUsd === null ? {} : { navUsd: step.navUsd.toString() }),
+    source,
+  }
+  res.json(await signScenarioReserve(reserve, step, domain))
+})
+
+const auditMode = auditAction("admin.mode", { snapshot: () => ({ mode, scenario: scenarioState()?.name || null }) })
+
+app.post("/admin/mode", requireScope("operator"), auditMode, (req, res) => {
+  const next = req.body?.mode
+  if (next !== "healthy" && next !== "unhealthy") {
+    res.status(400).json({ error: "mode must be healthy|unhealthy" })
+    return
+  }
+
+  mode = next
+  activeScenario = null
+  refreshStatusStreams()
+  res.json({ mode })
+})
+
+const auditScenario = (action) =>
+  auditAction(action, {
+    snapshot: (req) => {
+      const name = String(req.params.name || req.body?.name || "")
+      return {
+        active: scenarioState()?.name || null,
+        scenario: name ? storage.getRecord("reserve-scenarios", name) : null,
+      }
+    },
+    targets: (req) => ({ scenario: String(req.params.name || req.body?.name || "") || null }),
+  })
+
+app.get("/admin/scenario", requireScope("operator"), (req, res) => {
+  res.json({
+    active: scenarioState(),
+    alternateSigner: scenarioSigningAccount.address,
+    scenarios: listScenarios(),
+  })
+})
+
+app.put("/admin/scenario", requireScope("operator"), auditScenario("admin.scenario.save"), (req, res) => {
+  const result = normalizeScenarioPayload(req.body)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const { name } = result.value
+  if (BUILT_IN_SCENARIOS.some((s) => s.name === name)) {
+    res.status(409).json({ error: `scenario ${name} is built in and cannot be replaced` })
+    return
+  }
+  const current = storage.getRecord("reserve-scenarios", name)
+  if (!current && storage.listRecords("reserve-scenarios").length >= SCENARIOS_MAX) {
+    res.status(409).json({ error: `at most ${SCENARIOS_MAX} scenarios are allowed` })
+    return
+  }
+
+  const now = Date.now()
+  const scenario = {
+    ...result.value,
+    createdAt: current?.createdAt || new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+  }
+  storage.putRecord("reserve-scenarios", name, scenario, { sortKey: Date.parse(scenario.createdAt) })
+  if (activeScenario?.scenario.name === name) activeScenario = { ...activeScenario, scenario }
+  res.json({ scenario: { ...scenario, builtIn: false } })
+})
+
+app.post("/admin/scenario", requireScope("operator"), auditScenario("admin.scenario.play"), (req, res) => {
+  const name = req.body?.name
+  if (name === null) {
+    activeScenario = null
+    refreshStatusStreams()
+    res.json({ active: null })
+    return
+  }
+
+  const scenario = typeof name === "string" ? findScenario(name.trim()) : null
+  if (!scenario) {
+    res.status(404).json({ error: "scenario not found" })
+    return
+  }
+
+  activeScenario = { scenario, startedAt: Date.now() }
+  refreshStatusStreams()
+  res.json({ active: scenarioState() })
+})
+
+app.delete("/admin/scenario/:name", requireScope("operator"), auditScenario("admin.scenario.delete"), (req, res) => {
+  const name = String(req.params.name || "")
+  if (BUILT_IN_SCENARIOS.some((s) => s.name === name)) {
+    res.status(409).json({ error: `scenario ${name} is built in and cannot be deleted` })
+    return
+  }
+  const scenario = storage.getRecord("reserve-scenarios", name)
+  if (!scenario) {
+    res.status(404).json({ error: "scenario not found" })
+    return
+  }
+
+  storage.deleteRecord("reserve-scenarios", name)
+  if (activeScenario?.scenario.name === name) {
+    activeScenario = null
+    refreshStatusStreams()
+  }
+  res.json({ ok: true, scenario: { ...scenario, builtIn: false } })
+})
+
+const auditIncident = auditAction("admin.incident", {
+  snapshot: (req) => ({ incident: getIncidentState(typeof req.body?.projectId === "string" ? req.body.projectId : null) }),
+  targets: (req) => ({ projectIds: requestProjectIds(req, ["projectId"]) }),
+})
+
+app.post("/admin/incident", requireScope("operator", { projectKeys: ["projectId"] }), auditIncident, (req, res) => {
+  const projectId = typeof req.body?.projectId === "string" ? req.body.projectId : null
+  const active = typeof req.body?.active === "boolean" ? req.body.active : null
+  const severity = typeof req.body?.severity === "string" ? req.body.severity : "warning"
+  const message = typeof req.body?.message === "string" ? req.body.message : ""
+
+  if (active === null) {
+    res.status(400).json({ error: "active must be boolean" })
+    return
+  }
+
+  const state = setIncidentState({ projectId, active, severity, message })
+  refreshStatusStreams(getProjectById(projectId)?.id)
+  res.json({ projectId: projectId || "default", incident: state })
+})
+
+const auditRun = auditAction("admin.run", {
+  snapshot: (req) => ({
+    broadcast: Boolean(req.body?.broadcast),
+    target: req.body?.target || null,
+    workflow: req.body?.workflow || null,
+    project: req.body?.project || null,
+  }),
+  targets: (req, body) => ({ runId: body?.runId || null, projectIds: requestProjectIds(req, ["project"]) }),
+})
+
+const canReadRun = (req, run) => (run?.projectId ? canReadProject(req, run.projectId) : !req.auth || Boolean(grantedScope(req.auth, null)))
+
+const runQueueState = () => ({
+  concurrency: RUN_CONCURRENCY,
+  queueMax: RUN_QUEUE_MAX,
+  running: activeRuns.size,
+  queued: runQueue.length,
+})
+
+app.post("/admin/run", requireScope("operator"), auditRun, (req, res) => {
+  const broadcast = Boolean(req.body?.broadcast)
+  const target = typeof req.body?.target === "string" && req.body.target.trim() ? req.body.target.trim() : "staging-settings"
+  const workflow = typeof req.body?.workflow === "string" && req.body.workflow.trim() ? req.body.workflow.trim() : "reservewatch-workflow"
+
+  let projectId = null
+  if (req.body?.project !== undefined && req.body.project !== null) {
+    projectId = typeof req.body.project === "string" ? normalizeId(req.body.project) : ""
+    if (!projectId || !listProjects().some((p) => p.id === projectId)) {
+      res.status(400).json({ error: "unknown project" })
+      return
+    }
+  }
+
+  if (runQueue.length >= RUN_QUEUE_MAX) {
+    res.status(429).json({ error: "run queue is full", queue: runQueueState() })
+    return
+  }
+
+  const now = Date.now()
+  const run = {
+    runId: createRunId(),
+    sortKey: now * 1000 + (runSeq++ % 1000),
+    state: "queued",
+    projectId,
+    workflow,
+    target,
+    broadcast,
+    requestedBy: actorRef(req),
+    queuedAt: new Date(now).toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    cancelledAt: null,
+    cancelledBy: null,
+    exitCode: null,
+    error: null,
+    output: "",
+  }
+
+  runQueue.push(run)
+  saveRun(run)
+  startQueuedRuns()
+
+  res.status(run.state === "queued" ? 202 : 200).json({ runId: run.runId, run, queue: runQueueState() })
+})
+
+const auditRunCancel = auditAction("admin.run.cancel", {
+  snapshot: (req) => {
+    const run = getRun(String(req.params?.runId || "").trim())
+    return run ? { state: run.state, cancelledAt: run.cancelledAt || null } : null
+  },
+  targets: (req, body) => ({
+    runId: body?.runId || null,
+    projectIds: body?.run?.projectId ? [body.run.projectId] : [],
+  }),
+})
+
+app.post("/admin/run/:runId/cancel", requireScope("operator"), auditRunCancel, (req, res) => {
+  const runId = String(req.params?.runId || "").trim()
+  const run = getRun(runId)
+  if (!run) {
+    res.status(404).json({ error: "run not found" })
+    return
+  }
+  if (run.state !== "queued" && run.state !== "running") {
+    res.status(409).json({ error: `run already ${run.state}`, runId, run })
+    return
+  }
+  if (run.cancelledAt) {
+    res.status(202).json({ runId, run })
+    return
+  }
+
+  cancelRun(run, actorRef(req))
+  res.status(run.state === "cancelled" ? 200 : 202).json({ runId, run })
+})
+
+app.get("/admin/run/:runId", requireScope("viewer", { allowUnscoped: true }), (req, res) => {
+  const runId = String(req.params?.runId || "").trim()
+  if (!runId) {
+    res.status(400).json({ error: "missing runId" })
+    return
+  }
+
+  const run = getRun(runId)
+  if (!run || !canReadRun(req, run)) {
+    res.status(404).json({ error: "run not found" })
+    return
+  }
+
+  const position = runQueue.indexOf(run)
+  res.json({ runId, run, queuePosition: position >= 0 ? position + 1 : null })
+})
+
+app.get("/admin/run", requireScope("viewer", { projectKeys: ["project"], allowUnscoped: true }), (req, res) => {
+  const limitRaw = req.query?.limit !== undefined ? Number(req.query.limit) : 10
+  const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(RUN_LIST_MAX_LIMIT, Math.floor(limitRaw))) : 10
+
+  const cursorRaw = typeof req.query?.cursor === "string" ? req.query.cursor.trim() : ""
+  if (cursorRaw && !/^\d+$/.test(cursorRaw)) {
+    res.status(400).json({ error: "cursor must be a previous nextCursor value" })
+    return
+  }
+
+  const from = parseTimeParam(req.query?.from, undefined)
+  const to = parseTimeParam(req.query?.to, undefined)
+  if (from === null || to === null) {
+    res.status(400).json({ error: "from/to must be unix seconds or ISO timestamps" })
+    return
+  }
+
+  const states = typeof req.query?.state === "string" && req.query.state.trim() ? req.query.state.split(",").map((v) => v.trim()) : []
+  const badState = states.find((v) => !RUN_STATES.includes(v))
+  if (badState) {
+    res.status(400).json({ error: `state must be one of ${RUN_STATES.join(", ")}` })
+    return
+  }
+
+  const projectId = typeof req.query?.project === "string" ? normalizeId(req.query.project) : ""
+  const workflow = typeof req.query?.workflow === "string" ? req.query.workflow.trim() : ""
+  const target = typeof req.query?.target === "string" ? req.query.target.trim() : ""
+  const broadcast = typeof req.query?.broadcast === "string" ? ["1", "true", "yes"].includes(req.query.broadcast.toLowerCase()) : null
+
+  const live = (run) => getRun(run.runId) || run
+  const rows = storage.listRecords("runs", {
+    order: "desc",
+    before: cursorRaw ? Number(cursorRaw) : null,
+    from: from !== undefined ? from * 1_000_000 : null,
+    to: to !== undefined ? (to + 1) * 1_000_000 - 1 : null,
+    limit: limit + 1,
+    filter: (stored) => {
+      const run = live(stored)
+      if (!canReadRun(req, run)) return false
+      if (states.length && !states.includes(run.state)) return false
+      if (projectId && run.projectId !== projectId) return false
+      if (workflow && run.workflow !== workflow) return false
+      if (target && run.target !== target) return false
+      if (broadcast !== null && Boolean(run.broadcast) !== broadcast) return false
+      return true
+    },
+  })
+
+  const hasMore = rows.length > limit
+  const runs = rows.slice(0, limit).map(live)
+  const last = runs[runs.length - 1]
+  const visibleActive = Array.from(activeRuns.values(), (entry) => entry.run).filter((run) => canReadRun(req, run))
+  res.json({
+    activeRun: visibleActive[0] || null,
+    activeRuns: visibleActive,
+    queued: runQueue.filter((run) => canReadRun(req, run)),
+    queue: runQueueState(),
+    runs,
+    hasMore,
+    nextCursor: hasMore && last ? String(runSortKey(last)) : null,
+  })
+})
+
+app.get("/incident/feed", (req, res) => {
+  const projectId = typeof req.query?.project === "string" ? req.query.project : null
+  res.json({ projectId: projectId || "default", incident: getIncidentState(projectId) })
+})
+
+const normalizeApiKeyPayload = (payload) => {
+  if (!payload || typeof payload !== "object") return { error: "invalid payload", value: null }
+
+  const name = String(payload.name || "").trim()
+  if (!name) return { error: "key name is required", value: null }
+  if (name.length > 80) return { error: "key name must be at most 80 chars", value: null }
+
+  const scope = String(payload.scope || "").trim().toLowerCase()
+  if (!API_KEY_SCOPES.includes(scope)) return { error: `scope must be ${API_KEY_SCOPES.join("|")}`, value: null }
+
+  if (payload.projects !== undefined && payload.projects !== null && !Array.isArray(payload.projects)) {
+    return { error: "projects must be an array of project ids", value: null }
+  }
+  const projects = Array.from(new Set((payload.projects || []).map((p) => normalizeId(p)).filter(Boolean)))
+  const invalid = projects.find((p) => !PROJECT_ID_RE.test(p))
+  if (invalid) return { error: `invalid project id: ${invalid}`, value: null }
+
+  return { error: "", value: { name, scope, projects } }
+}
+
+app.get("/api/auth/me", (req, res) => {
+  if (!authEnabled()) {
+    res.json({ authEnabled: false, requireViewerKey, auth: null })
+    return
+  }
+
+  const auth = resolveAuth(req)
+  if (!auth) {
+    res.status(401).json({ error: "unauthorized" })
+    return
+  }
+
+  res.json({ authEnabled: true, requireViewerKey, auth })
+})
+
+const pruneSiweNonces = () => {
+  const now = Date.now()
+  for (const [nonce, expiresAt] of siweNonces) {
+    if (expiresAt <= now) siweNonces.delete(nonce)
+  }
+}
+
+const requireSiweDomain = (req, res, next) => {
+  if (SIWE_DOMAIN) return next()
+  res.status(503).json({ error: "sign-in with Ethereum is disabled until RESERVEWATCH_SIWE_DOMAIN is set" })
+}
+
+app.get("/api/auth/siwe/nonce", requireSiweDomain, (req, res) => {
+  pruneSiweNonces()
+  if (siweNonces.size >= SIWE_NONCE_MAX) {
+    res.status(429).json({ error: "too many pending sign-in nonces, try again shortly" })
+    return
+  }
+  const nonce = generateSiweNonce()
+  const expiresAt = Date.now() + SIWE_NONCE_TTL_MS
+  siweNonces.set(nonce, expiresAt)
+  res.json({ nonce, domain: SIWE_DOMAIN, expiresAt: new Date(expiresAt).toISOString() })
+})
+
+app.post("/api/auth/siwe/verify", requireSiweDomain, async (req, res) => {
+  const message = typeof req.body?.message === "string" ? req.body.message : ""
+  const signature = typeof req.body?.signature === "string" ? req.body.signature.trim() : ""
+  if (!message || !signature) {
+    res.status(400).json({ error: "message and signature are required" })
+    return
+  }
+
+  const fields = parseSiweMessage(message)
+  if (!fields.address || !fields.nonce || !fields.domain) {
+    res.status(400).json({ error: "invalid siwe message" })
+    return
+  }
+
+  pruneSiweNonces()
+  const nonceExpiresAt = siweNonces.get(fields.nonce)
+  if (!nonceExpiresAt || nonceExpiresAt <= Date.now()) {
+    res.status(401).json({ error: "unknown or expired nonce" })
+    return
+  }
+
+  if (!validateSiweMessage({ message: fields, domain: SIWE_DOMAIN, nonce: fields.nonce, time: new Date() })) {
+    res.status(401).json({ error: "siwe message is not valid for this domain or time" })
+    return
+  }
+  siweNonces.delete(fields.nonce)
+
+  let valid = false
+  try {
+    valid = await verifyMessage({ address: fields.address, message, signature })
+  } catch {
+    valid = false
+  }
+  if (!valid) {
+    res.status(401).json({ error: "signature does not match address" })
+    return
+  }
+
+  const address = fields.address.toLowerCase()
+  if (!Object.keys(walletGrants(address)).length) {
+    res.status(403).json({ error: "wallet has no roles" })
+    return
+  }
+
+  const now = Date.now()
+  const messageExpiresAt = fields.expirationTime ? fields.expirationTime.getTime() : Infinity
+  const expiresAtMs = Math.min(now + SESSION_TTL_S * 1000, messageExpiresAt)
+  const token = crypto.randomBytes(32).toString("base64url")
+  const session = {
+    id: hashSecret(token),
+    address,
+    chainId: fields.chainId ?? null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(expiresAtMs).toISOString(),
+  }
+
+  storage.deleteRecords("sessions", { before: now })
+  storage.putRecord("sessions", session.id, session, { scope: address, sortKey: expiresAtMs })
+
+  res.setHeader("Set-Cookie", sessionCookie(req, token, Math.max(0, Math.floor((expiresAtMs - now) / 1000))))
+  res.json({ authEnabled: true, requireViewerKey, auth: toSessionAuth(session) })
+})
+
+app.post("/api/auth/logout", (req, res) => {
+  const token = parseCookies(req)[SESSION_COOKIE]
+  if (token) storage.deleteRecord("sessions", hashSecret(token))
+  res.setHeader("Set-Cookie", sessionCookie(req, "", 0))
+  res.json({ ok: true })
+})
+
+const normalizeWalletRolesPayload = (payload) => {
+  if (!payload || typeof payload !== "object") return { error: "invalid payload", value: null }
+
+  const address = String(payload.address || "").trim()
+  if (!isAddress(address)) return { error: "wallet address is invalid", value: null }
+
+  if (!payload.roles || typeof payload.roles !== "object" || Array.isArray(payload.roles)) {
+    return { error: "roles must be an object of projectId|* -> scope", value: null }
+  }
+
+  const roles = {}
+  for (const [rawProject, rawScope] of Object.entries(payload.roles)) {
+    const projectId = rawProject === "*" ? "*" : normalizeId(rawProject)
+    if (projectId !== "*" && !PROJECT_ID_RE.test(projectId)) return { error: `invalid project id: ${rawProject}`, value: null }
+    const scope = String(rawScope || "").trim().toLowerCase()
+    if (!API_KEY_SCOPES.includes(scope)) return { error: `scope must be ${API_KEY_SCOPES.join("|")}`, value: null }
+    roles[projectId] = scope
+  }
+  if (!Object.keys(roles).length) return { error: "at least one role is required", value: null }
+
+  return {
+    error: "",
+    value: { address: address.toLowerCase(), label: String(payload.label || "").trim(), roles },
+  }
+}
+
+const auditWallets = (action) =>
+  auditAction(action, {
+    snapshot: () => ({ wallets: keyBy(listWalletRoles(), (w) => w.address) }),
+    targets: (req) => ({ address: String(req.body?.address || req.query?.address || "").trim().toLowerCase() || null }),
+  })
+
+app.get("/api/auth/wallets", requireScope("admin"), (req, res) => {
+  res.json({ adminWallets, wallets: listWalletRoles() })
+})
+
+app.put("/api/auth/wallets", requireScope("admin"), auditWallets("wallets.update"), (req, res) => {
+  const result = normalizeWalletRolesPayload(req.body)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  if (!authEnabled() && result.value.roles["*"] !== "admin") {
+    res.status(400).json({ error: "the first wallet must have the * admin role" })
+    return
+  }
+
+  const existing = storage.getRecord("wallet-roles", result.value.address)
+  const issuer =
+    existing && JSON.stringify(existing.roles) === JSON.stringify(result.value.roles)
+      ? existing.issuer || null
+      : req.auth
+        ? authPrincipal(req.auth)
+        : null
+  const wallet = { ...result.value, issuer, updatedAt: new Date().toISOString() }
+  storage.putRecord("wallet-roles", wallet.address, wallet)
+  res.json({ wallet })
+})
+
+app.delete("/api/auth/wallets", requireScope("admin"), auditWallets("wallets.delete"), (req, res) => {
+  const address = String(req.body?.address || req.query?.address || "").trim().toLowerCase()
+  if (!address || !storage.deleteRecord("wallet-roles", address)) {
+    res.status(404).json({ error: "wallet not found" })
+    return
+  }
+  res.json({ ok: true })
+})
+
+app.get("/api/keys", requireScope("admin"), (req, res) => {
+  res.json({ keys: listApiKeys().map(toPublicApiKey) })
+})
+
+const auditKeys = (action) =>
+  auditAction(action, {
+    snapshot: () => ({ keys: keyBy(listApiKeys().map(toPublicApiKey), (k) => k.id) }),
+    targets: (req, body) => ({ keyId: body?.key?.id || null }),
+  })
+
+app.post("/api/keys", requireScope("admin"), auditKeys("keys.create"), (req, res) => {
+  const result = normalizeApiKeyPayload(req.body)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  if (!authEnabled() && (result.value.scope !== "admin" || result.value.projects.length)) {
+    res.status(400).json({ error: "the first api key must be an unrestricted admin key" })
+    return
+  }
+
+  const id = crypto.randomBytes(6).toString("hex")
+  const secret = `rwk_${id}_${crypto.randomBytes(24).toString("base64url")}`
+  const record = saveApiKey({
+    id,
+    ...result.value,
+    prefix: secret.slice(0, 12),
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    createdBy: req.auth?.keyId || null,
+    issuer: req.auth ? authPrincipal(req.auth) : null,
+    lastUsedAt: null,
+    revokedAt: null,
+  })
+
+  res.json({ key: toPublicApiKey(record), secret })
+})
+
+app.delete("/api/keys", requireScope("admin"), auditKeys("keys.revoke"), (req, res) => {
+  const id = String(req.body?.id || req.query?.id || "").trim()
+  const record = id ? storage.getRecord("api-keys", id) : null
+  if (!record) {
+    res.status(404).json({ error: "api key not found" })
+    return
+  }
+
+  const revoked = record.revokedAt ? record : saveApiKey({ ...record, revokedAt: new Date().toISOString() })
+  res.json({ key: toPublicApiKey(revoked) })
+})
+
+const CONNECTOR_TEST_RESULT_KEYS = ["lastTestedAt", "lastTestOk", "lastTestMessage"]
+
+const withoutTestResults = (entry) =>
+  entry && typeof entry === "object" && !Array.isArray(entry)
+    ? Object.fromEntries(Object.entries(entry).filter(([key]) => !CONNECTOR_TEST_RESULT_KEYS.includes(key)))
+    : entry
+
+const configRevision = (entry) => hashSecret(JSON.stringify(withoutTestResults(entry) ?? null)).slice(0, 16)
+
+const revisionsFor = (items, keyFn) =>
+  Object.fromEntries((Array.isArray(items) ? items : []).filter(Boolean).map((item) => [keyFn(item), configRevision(item)]))
+
+const sendRevision = (res, entry) => {
+  const revision = configRevision(entry)
+  res.set("ETag", `"${revision}"`)
+  return revision
+}
+
+const checkIfMatch = (req, res, current) => {
+  const header = String(req.get("if-match") || "").trim()
+  if (!header || header === "*") return true
+
+  const revision = configRevision(current)
+  const expected = header.split(",").map((tag) => tag.trim().replace(/^W\//, "").replace(/^"|"$/g, ""))
+  if (expected.includes(revision)) return true
+
+  res.set("ETag", `"${revision}"`)
+  res.status(409).json({ error: "revision conflict: this entry was changed since it was loaded", revision, current })
+  return false
+}
+
+const requireDraftWrite = (req, res, next) => {
+  if (readDraftFlag(req)) return next()
+  res.status(409).json({ error: "live configuration only changes through /api/publish; write to the draft with ?draft=1" })
+}
+
+app.get("/api/projects", requireRead({ allowUnscoped: true }), (req, res) => {
+  const draft = readDraftFlag(req)
+  const store = loadProjectsStore({ draft })
+  const projects = listProjects({ draft }).filter((p) => canReadProject(req, p?.id))
+  const defaultProjectId = canReadProject(req, store.defaultProjectId) ? store.defaultProjectId : projects[0]?.id || null
+  const revisions = revisionsFor(
+    store.projects.filter((p) => p && canReadProject(req, p.id)),
+    (p) => normalizeId(p.id)
+  )
+  res.json({ defaultProjectId, projects, revisions })
+})
+
+app.post("/api/projects", requireScope("admin", { projectKeys: ["id"] }), requireDraftWrite, auditConfig("projects.create", ["id"]), (req, res) => {
+  const draft = readDraftFlag(req)
+  const result = normalizeProjectPayload(req.body)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const store = loadProjectsStore({ draft })
+  const nextId = normalizeId(result.value.id)
+
+  const exists = store.projects.some((p) => normalizeId(p?.id) === nextId)
+  if (exists) {
+    res.status(409).json({ error: "project already exists" })
+    return
+  }
+
+  store.projects = [...store.projects, result.value]
+  const makeDefault = Boolean(req.body?.makeDefault)
+  if (!store.defaultProjectId || makeDefault) {
+    store.defaultProjectId = nextId
+  }
+
+  saveProjectsConfig(store)
+  res.json({ project: result.value, defaultProjectId: store.defaultProjectId, revision: sendRevision(res, result.value) })
+})
+
+app.put("/api/projects", requireScope("admin", { projectKeys: ["previousId", "id"] }), requireDraftWrite, auditConfig("projects.update", ["previousId", "id"]), (req, res) => {
+  const draft = readDraftFlag(req)
+  const targetId = normalizeId(req.body?.previousId || req.body?.id || req.query?.id)
+  if (!targetId) {
+    res.status(400).json({ error: "project id is required" })
+    return
+  }
+
+  const payload = { ...req.body, id: req.body?.id || targetId }
+  const result = normalizeProjectPayload(payload)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const store = loadProjectsStore({ draft })
+  const idx = store.projects.findIndex((p) => normalizeId(p?.id) === targetId)
+  if (idx < 0) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+
+  if (!checkIfMatch(req, res, store.projects[idx])) return
+
   const nextId = normalizeId(result.value.id)
   if (nextId !== targetId) {
     const conflict = store.projects.some((p, i) => i !== idx && normalizeId(p?.id) === nextId)
     if (conflict) {
-      res.status(409).json({ error: "project id already exists" })
+      res.status(409).json({ error: "project id already exists" })
+      return
+    }
+  }
+
+  store.projects[idx] = result.value
+
+  if (store.defaultProjectId === targetId) {
+    store.defaultProjectId = nextId
+  }
+
+  if (nextId !== targetId) {
+    const connectorsCfg = loadConnectorsConfig({ draft })
+    connectorsCfg.connectors = (Array.isArray(connectorsCfg.connectors) ? connectorsCfg.connectors : []).map((c) => {
+      if (!c || typeof c.projectId !== "string") return c
+      if (normalizeId(c.projectId) !== targetId) return c
+      return { ...c, projectId: nextId }
+    })
+    saveConnectorsConfig(connectorsCfg)
+
+    const policiesCfg = loadPoliciesConfig({ draft })
+    policiesCfg.policies = (Array.isArray(policiesCfg.policies) ? policiesCfg.policies : []).map((p) => {
+      if (!p || typeof p.projectId !== "string") return p
+      if (normalizeId(p.projectId) !== targetId) return p
+      return { ...p, projectId: nextId }
+    })
+    savePoliciesConfig(policiesCfg)
+  }
+
+  saveProjectsConfig(store)
+  res.json({
+    project: store.projects[idx],
+    defaultProjectId: store.defaultProjectId,
+    revision: sendRevision(res, store.projects[idx]),
+  })
+})
+
+app.delete("/api/projects", requireScope("admin", { projectKeys: ["id"] }), requireDraftWrite, auditConfig("projects.delete", ["id"]), (req, res) => {
+  const draft = readDraftFlag(req)
+  const targetId = normalizeId(req.body?.id || req.query?.id)
+  if (!targetId) {
+    res.status(400).json({ error: "project id is required" })
+    return
+  }
+
+  const store = loadProjectsStore({ draft })
+  const current = store.projects.find((p) => normalizeId(p?.id) === targetId)
+  if (!current) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+  if (!checkIfMatch(req, res, current)) return
+
+  store.projects = store.projects.filter((p) => normalizeId(p?.id) !== targetId)
+
+  if (store.defaultProjectId === targetId) {
+    store.defaultProjectId = store.projects[0]?.id || null
+  }
+
+  saveProjectsConfig(store)
+
+  const connectorsCfg = loadConnectorsConfig({ draft })
+  connectorsCfg.connectors = (Array.isArray(connectorsCfg.connectors) ? connectorsCfg.connectors : []).filter(
+    (c) => normalizeId(c?.projectId) !== targetId
+  )
+  saveConnectorsConfig(connectorsCfg)
+
+  const policiesCfg = loadPoliciesConfig({ draft })
+  policiesCfg.policies = (Array.isArray(policiesCfg.policies) ? policiesCfg.policies : []).filter(
+    (p) => normalizeId(p?.projectId) !== targetId
+  )
+  savePoliciesConfig(policiesCfg)
+
+  res.json({ ok: true, defaultProjectId: store.defaultProjectId })
+})
+
+const CHILD_PROJECT_KEYS = ["previousProjectId", "projectId", "project"]
+const requireConnectorAdmin = requireScope("admin", { projectKeys: CHILD_PROJECT_KEYS })
+
+app.get("/api/connectors", requireRead({ projectKeys: ["project", "projectId"], allowUnscoped: true }), (req, res) => {
+  const draft = readDraftFlag(req)
+  const projectId =
+    typeof req.query?.project === "string"
+      ? req.query.project
+      : typeof req.query?.projectId === "string"
+        ? req.query.projectId
+        : null
+  const connectors = listConnectors(projectId, { draft }).filter((c) => canReadProject(req, c?.projectId))
+  res.json({ projectId: projectId || null, connectors, revisions: revisionsFor(connectors, (c) => `${normalizeId(c.projectId)}/${normalizeConnectorId(c.id)}`) })
+})
+
+app.post("/api/connectors", requireConnectorAdmin, requireDraftWrite, auditConfig("connectors.create", CHILD_PROJECT_KEYS, connectorTargets), (req, res) => {
+  const draft = readDraftFlag(req)
+  const result = normalizeConnectorPayload(req.body)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
+  if (!projectExists) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+
+  const cfg = loadConnectorsConfig({ draft })
+  const connectors = Array.isArray(cfg.connectors) ? cfg.connectors : []
+  const exists = connectors.some(
+    (c) => normalizeId(c?.projectId) === result.value.projectId && normalizeConnectorId(c?.id) === result.value.id
+  )
+  if (exists) {
+    res.status(409).json({ error: "connector already exists" })
+    return
+  }
+
+  cfg.connectors = [...connectors, result.value]
+  saveConnectorsConfig(cfg)
+  res.json({ connector: result.value, revision: sendRevision(res, result.value) })
+})
+
+app.put("/api/connectors", requireConnectorAdmin, requireDraftWrite, auditConfig("connectors.update", CHILD_PROJECT_KEYS, connectorTargets), (req, res) => {
+  const draft = readDraftFlag(req)
+  const targetProjectId = normalizeId(req.body?.previousProjectId || req.body?.projectId || req.query?.projectId || req.query?.project)
+  const targetId = normalizeConnectorId(req.body?.previousId || req.body?.id || req.query?.id)
+  if (!targetProjectId || !targetId) {
+    res.status(400).json({ error: "projectId and connector id are required" })
+    return
+  }
+
+  const payload = {
+    ...req.body,
+    projectId: req.body?.projectId || targetProjectId,
+    id: req.body?.id || targetId,
+  }
+  const result = normalizeConnectorPayload(payload)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
+  if (!projectExists) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+
+  const cfg = loadConnectorsConfig({ draft })
+  const connectors = Array.isArray(cfg.connectors) ? cfg.connectors : []
+  const idx = connectors.findIndex(
+    (c) => normalizeId(c?.projectId) === targetProjectId && normalizeConnectorId(c?.id) === targetId
+  )
+  if (idx < 0) {
+    res.status(404).json({ error: "connector not found" })
+    return
+  }
+  if (!checkIfMatch(req, res, connectors[idx])) return
+
+  if (result.value.projectId !== targetProjectId || result.value.id !== targetId) {
+    const conflict = connectors.some(
+      (c, i) =>
+        i !== idx &&
+        normalizeId(c?.projectId) === result.value.projectId &&
+        normalizeConnectorId(c?.id) === result.value.id
+    )
+    if (conflict) {
+      res.status(409).json({ error: "connector id already exists" })
+      return
+    }
+  }
+
+  connectors[idx] = result.value
+  cfg.connectors = connectors
+  saveConnectorsConfig(cfg)
+  res.json({ connector: result.value, revision: sendRevision(res, result.value) })
+})
+
+app.post("/api/connectors/test", requireConnectorAdmin, requireDraftWrite, auditConfig("connectors.test", CHILD_PROJECT_KEYS, connectorTargets), async (req, res) => {
+  const draft = readDraftFlag(req)
+  const projectId = normalizeId(req.body?.projectId)
+  const id = normalizeConnectorId(req.body?.id)
+  if (!projectId || !id) {
+    res.status(400).json({ error: "projectId and connector id are required" })
+    return
+  }
+
+  const matches = (c) => normalizeId(c?.projectId) === projectId && normalizeConnectorId(c?.id) === id
+  const connector = loadConnectorsConfig({ draft }).connectors.find(matches)
+  if (!connector) {
+    res.status(404).json({ error: "connector not found" })
+    return
+  }
+
+  const project = (loadProjectsStore({ draft }).projects || []).find((p) => normalizeId(p?.id) === projectId) || null
+  const result = await runConnectorTest(connector, reserveSignatureDomain(project))
+  const testedAt = Date.now()
+
+  const cfg = loadConnectorsConfig({ draft })
+  const idx = cfg.connectors.findIndex(matches)
+  if (idx < 0) {
+    res.status(404).json({ error: "connector not found" })
+    return
+  }
+  const updated = { ...cfg.connectors[idx], lastTestedAt: testedAt, lastTestOk: result.ok, lastTestMessage: result.message }
+  cfg.connectors[idx] = updated
+  saveConnectorsConfig(cfg)
+
+  res.json({ ...result, testedAt, connector: updated, revision: sendRevision(res, updated) })
+})
+
+app.delete("/api/connectors", requireConnectorAdmin, requireDraftWrite, auditConfig("connectors.delete", CHILD_PROJECT_KEYS, connectorTargets), (req, res) => {
+  const draft = readDraftFlag(req)
+  const projectId = normalizeId(req.body?.projectId || req.query?.projectId || req.query?.project)
+  const id = normalizeConnectorId(req.body?.id || req.query?.id)
+  if (!projectId || !id) {
+    res.status(400).json({ error: "projectId and connector id are required" })
+    return
+  }
+
+  const cfg = loadConnectorsConfig({ draft })
+  const connectors = Array.isArray(cfg.connectors) ? cfg.connectors : []
+  const matches = (c) => normalizeId(c?.projectId) === projectId && normalizeConnectorId(c?.id) === id
+  const current = connectors.find(matches)
+  if (!current) {
+    res.status(404).json({ error: "connector not found" })
+    return
+  }
+  if (!checkIfMatch(req, res, current)) return
+
+  const next = connectors.filter((c) => !matches(c))
+
+  cfg.connectors = next
+  saveConnectorsConfig(cfg)
+  res.json({ ok: true })
+})
+
+const handlePolicyGet = (req, res) => {
+  const draft = readDraftFlag(req)
+  const projectId =
+    typeof req.query?.project === "string"
+      ? req.query.project
+      : typeof req.query?.projectId === "string"
+        ? req.query.projectId
+        : null
+  const policies = listPolicies(projectId, { draft }).filter((p) => canReadProject(req, p?.projectId))
+  if (projectId) {
+    res.json({ projectId, policy: policies[0] || null, revision: policies[0] ? sendRevision(res, policies[0]) : null })
+    return
+  }
+  res.json({ policies, revisions: revisionsFor(policies, (p) => normalizeId(p.projectId)) })
+}
+
+const handlePolicyPost = (req, res) => {
+  const draft = readDraftFlag(req)
+  const result = normalizePolicyPayload(req.body)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
+  if (!projectExists) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+
+  const cfg = loadPoliciesConfig({ draft })
+  const policies = Array.isArray(cfg.policies) ? cfg.policies : []
+  const exists = policies.some((p) => normalizeId(p?.projectId) === result.value.projectId)
+  if (exists) {
+    res.status(409).json({ error: "policy already exists" })
+    return
+  }
+
+  cfg.policies = [...policies, result.value]
+  savePoliciesConfig(cfg)
+  res.json({ policy: result.value, revision: sendRevision(res, result.value) })
+}
+
+const handlePolicyPut = (req, res) => {
+  const draft = readDraftFlag(req)
+  const targetProjectId = normalizeId(req.body?.previousProjectId || req.body?.projectId || req.query?.projectId || req.query?.project)
+  if (!targetProjectId) {
+    res.status(400).json({ error: "projectId is required" })
+    return
+  }
+
+  const payload = { ...req.body, projectId: req.body?.projectId || targetProjectId }
+  const result = normalizePolicyPayload(payload)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
+    return
+  }
+
+  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
+  if (!projectExists) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+
+  const cfg = loadPoliciesConfig({ draft })
+  const policies = Array.isArray(cfg.policies) ? cfg.policies : []
+  const idx = policies.findIndex((p) => normalizeId(p?.projectId) === targetProjectId)
+  if (idx < 0) {
+    res.status(404).json({ error: "policy not found" })
+    return
+  }
+  if (!checkIfMatch(req, res, policies[idx])) return
+
+  policies[idx] = result.value
+  cfg.policies = policies
+  savePoliciesConfig(cfg)
+  res.json({ policy: result.value, revision: sendRevision(res, result.value) })
+}
+
+const handlePolicyDelete = (req, res) => {
+  const draft = readDraftFlag(req)
+  const projectId = normalizeId(req.body?.projectId || req.query?.projectId || req.query?.project)
+  if (!projectId) {
+    res.status(400).json({ error: "projectId is required" })
+    return
+  }
+
+  const cfg = loadPoliciesConfig({ draft })
+  const policies = Array.isArray(cfg.policies) ? cfg.policies : []
+  const current = policies.find((p) => normalizeId(p?.projectId) === projectId)
+  if (!current) {
+    res.status(404).json({ error: "policy not found" })
+    return
+  }
+  if (!checkIfMatch(req, res, current)) return
+
+  const next = policies.filter((p) => normalizeId(p?.projectId) !== projectId)
+
+  cfg.policies = next
+  savePoliciesConfig(cfg)
+  res.json({ ok: true })
+}
+
+const requirePolicyRead = requireRead({ projectKeys: ["project", "projectId"], allowUnscoped: true })
+const requirePolicyAdmin = requireScope("admin", { projectKeys: CHILD_PROJECT_KEYS })
+
+app.get("/api/policy", requirePolicyRead, handlePolicyGet)
+app.get("/api/policies", requirePolicyRead, handlePolicyGet)
+app.post("/api/policy", requirePolicyAdmin, requireDraftWrite, auditConfig("policies.create", CHILD_PROJECT_KEYS), handlePolicyPost)
+app.post("/api/policies", requirePolicyAdmin, requireDraftWrite, auditConfig("policies.create", CHILD_PROJECT_KEYS), handlePolicyPost)
+app.put("/api/policy", requirePolicyAdmin, requireDraftWrite, auditConfig("policies.update", CHILD_PROJECT_KEYS), handlePolicyPut)
+app.put("/api/policies", requirePolicyAdmin, requireDraftWrite, auditConfig("policies.update", CHILD_PROJECT_KEYS), handlePolicyPut)
+app.delete("/api/policy", requirePolicyAdmin, requireDraftWrite, auditConfig("policies.delete", CHILD_PROJECT_KEYS), handlePolicyDelete)
+app.delete("/api/policies", requirePolicyAdmin, requireDraftWrite, auditConfig("policies.delete", CHILD_PROJECT_KEYS), handlePolicyDelete)
+
+const PUBLISH_SECTIONS = ["projects", "connectors", "policies"]
+const PUBLISH_VERSIONS_MAX_LIMIT = 200
+const PUBLISH_MESSAGE_MAX = 500
+
+const writeConfig = (config, { draft = false } = {}) => {
+  saveProjectsConfig({
+    document: configDocumentName("projects", { draft }),
+    defaultProjectId: config?.defaultProjectId || null,
+    projects: config?.projects,
+  })
+  saveConnectorsConfig({ document: configDocumentName("connectors", { draft }), connectors: config?.connectors })
+  savePoliciesConfig({ document: configDocumentName("policies", { draft }), policies: config?.policies })
+}
+
+const writeLiveConfig = (config) => writeConfig(config)
+
+const rolledBackDraft = ({ live, draft, target }) => {
+  const unchanged = (a, b) => configRevision(a) === configRevision(b)
+  const next = {
+    defaultProjectId: unchanged(draft.defaultProjectId, live.defaultProjectId) ? target?.defaultProjectId || null : draft.defaultProjectId,
+  }
+  for (const [section, keyFn] of Object.entries(CONFIG_ENTRY_KEYS)) {
+    const key = (e) => keyFn(e, (id) => id)
+    const liveByKey = keyBy(live[section], key)
+    const targetByKey = keyBy(target?.[section], key)
+    const draftByKey = keyBy(draft[section], key)
+    const pick = (id) => (unchanged(draftByKey[id], liveByKey[id]) ? targetByKey[id] : draftByKey[id])
+    const ids = Array.from(new Set([...Object.keys(draftByKey), ...Object.keys(targetByKey)]))
+    next[section] = ids.map(pick).filter(Boolean)
+  }
+  return next
+}
+
+const writeRolledBackConfig = (config) => {
+  const draft = rolledBackDraft({ live: readConfig({ draft: false }), draft: readConfig({ draft: true }), target: config })
+  writeConfig(config)
+  writeConfig(draft, { draft: true })
+}
+
+const projectIdentity = (p) =>
+  p?.receiverAddress ? `${p.chainSelectorName || ""}:${String(p.receiverAddress).toLowerCase()}` : null
+
+const detectProjectRenames = (before, after) => {
+  const a = keyConfig(before).projects
+  const b = keyConfig(after).projects
+  const added = Object.keys(b).filter((id) => !(id in a))
+  const renames = {}
+  for (const id of Object.keys(a).filter((id) => !(id in b))) {
+    const identity = projectIdentity(a[id])
+    const matches = identity ? added.filter((next) => projectIdentity(b[next]) === identity) : []
+    if (matches.length === 1 && !Object.values(renames).includes(matches[0])) renames[id] = matches[0]
+  }
+  return renames
+}
+
+const diffConfigs = (before, after) => {
+  const renames = detectProjectRenames(before, after)
+  const rename = (id) => renames[id] || id
+  const a = keyConfig(before, rename)
+  const b = keyConfig(after)
+  const sections = Object.entries(CONFIG_ENTRY_KEYS).map(([section, keyFn]) => {
+    const previousKeys = new Map((before?.[section] || []).filter(Boolean).map((e) => [keyFn(e, rename), keyFn(e, (id) => id)]))
+    const ids = Array.from(new Set([...Object.keys(a[section]), ...Object.keys(b[section])])).sort()
+    const out = { added: [], removed: [], changed: [] }
+    for (const id of ids) {
+      if (!(id in a[section])) out.added.push({ id, after: b[section][id] })
+      else if (!(id in b[section])) out.removed.push({ id: previousKeys.get(id) || id, before: a[section][id] })
+      else {
+        const changes = diffJson(withoutTestResults(a[section][id]), withoutTestResults(b[section][id]))
+        const renamedFrom = previousKeys.get(id) !== id ? previousKeys.get(id) : null
+        if (changes.length) out.changed.push(renamedFrom ? { id, renamedFrom, changes } : { id, changes })
+      }
+    }
+    return [section, out]
+  })
+
+  const defaultProjectId =
+    a.defaultProjectId === b.defaultProjectId ? null : { before: a.defaultProjectId, after: b.defaultProjectId }
+  const renamedProjects = Object.entries(renames).map(([from, to]) => ({ from, to }))
+  const changed = Boolean(defaultProjectId) || sections.some(([, d]) => d.added.length || d.removed.length || d.changed.length)
+  return { changed, defaultProjectId, renamedProjects, ...Object.fromEntries(sections) }
+}
+
+const toVersionSummary = (record) => ({
+  version: record.version,
+  kind: record.kind,
+  publishedAt: record.publishedAt,
+  author: record.author || null,
+  message: record.message || "",
+  rollbackOf: record.rollbackOf ?? null,
+  approval: record.approval || null,
+  projectIds: Array.isArray(record.projectIds) ? record.projectIds : [],
+  counts: Object.fromEntries(PUBLISH_SECTIONS.map((section) => [section, record.config?.[section]?.length || 0])),
+})
+
+const latestPublishVersion = () => storage.listRecords("publish-versions", { order: "desc", limit: 1 })[0] || null
+
+const getPublishVersion = (value) => {
+  const version = Number(value)
+  if (!Number.isInteger(version) || version < 1) return null
+  return storage.getRecord("publish-versions", String(version))
+}
+
+const actorRef = (req) => {
+  const actor = auditActor(req)
+  return { kind: actor.kind, id: actor.id, name: actor.name }
+}
+
+const recordPublishVersion = ({ req, kind, message, config, rollbackOf = null, projectIds = [], author = null, approval = null }) => {
+  let latest = latestPublishVersion()
+  if (!latest) {
+    const previous = readConfig({ draft: false })
+    if (previous.projects.length || previous.connectors.length || previous.policies.length) {
+      latest = {
+        version: 1,
+        kind: "baseline",
+        publishedAt: new Date().toISOString(),
+        author: null,
+        message: "Live configuration before the first publish",
+        rollbackOf: null,
+        projectIds: [],
+        config: previous,
+      }
+      storage.putRecord("publish-versions", "1", latest, { sortKey: 1 })
+    }
+  }
+
+  const version = (latest?.version || 0) + 1
+  const record = {
+    version,
+    kind,
+    publishedAt: new Date().toISOString(),
+    author: author || actorRef(req),
+    approval,
+    message,
+    rollbackOf,
+    projectIds,
+    config,
+  }
+  storage.putRecord("publish-versions", String(version), record, { sortKey: version })
+
+  const affected = changedProjectIds(diffConfigs(latest?.config || { projects: [], connectors: [], policies: [] }, config))
+  emitWebhookEvent(
+    {
+      type: "config_published",
+      at: Math.floor(Date.now() / 1000),
+      ...toVersionSummary(record),
+      changedProjectIds: affected,
+    },
+    { projectIds: affected }
+  )
+  return record
+}
+
+const readPublishMessage = (req) => String(req.body?.message || "").trim().slice(0, PUBLISH_MESSAGE_MAX)
+
+const readPublishProject = (req) => normalizeId(req.query?.project || req.body?.project)
+
+const CONFIG_ENTRY_PROJECT = {
+  projects: (p) => normalizeId(p.id),
+  connectors: (c) => normalizeId(c.projectId),
+  policies: (p) => normalizeId(p.projectId),
+}
+
+const mergeProjectEntries = (liveItems, draftItems, belongs) => {
+  const out = []
+  let inserted = false
+  for (const item of Array.isArray(liveItems) ? liveItems : []) {
+    if (!item || !belongs(item)) out.push(item)
+    else if (!inserted) {
+      out.push(...draftItems)
+      inserted = true
+    }
+  }
+  if (!inserted) out.push(...draftItems)
+  return out
+}
+
+const planPublish = (projectId) => {
+  const live = readConfig({ draft: false })
+  const draft = readConfig({ draft: true })
+  if (!projectId) return { live, draft, projectIds: [], next: draft }
+
+  const inDraft = draft.projects.some((p) => normalizeId(p?.id) === projectId)
+  const inLive = live.projects.some((p) => normalizeId(p?.id) === projectId)
+  if (!inDraft && !inLive) return { error: "project not found" }
+
+  const renamedFrom = Object.entries(detectProjectRenames(live, draft))
+    .filter(([, to]) => to === projectId)
+    .map(([from]) => from)
+  const projectIds = [projectId, ...renamedFrom]
+
+  const sections = PUBLISH_SECTIONS.map((section) => {
+    const projectOf = CONFIG_ENTRY_PROJECT[section]
+    const promoted = (draft[section] || []).filter((e) => e && projectOf(e) === projectId)
+    return [section, mergeProjectEntries(live[section], promoted, (e) => projectIds.includes(projectOf(e)))]
+  })
+  const next = Object.fromEntries(sections)
+
+  const has = (id) => Boolean(id) && next.projects.some((p) => normalizeId(p?.id) === id)
+  const renamedDefault = renamedFrom.includes(live.defaultProjectId) ? projectId : null
+  next.defaultProjectId =
+    [live.defaultProjectId, renamedDefault, draft.defaultProjectId, normalizeId(next.projects[0]?.id)].find(has) || null
+
+  return { live, draft, projectIds, next }
+}
+
+const effectiveThresholds = (config, projectId) => {
+  const project = (config?.projects || []).find((p) => normalizeId(p?.id) === projectId)
+  const policy = (config?.policies || []).find((p) => normalizeId(p?.projectId) === projectId)
+  const ratio = [policy?.maxMismatchRatio, project?.maxReserveMismatchRatio].find(
+    (v) => v !== null && v !== undefined && Number.isFinite(Number(v))
+  )
+  const minCoverage = policy?.minCoverageBps
+  const quorumK = policy?.quorumK
+  const trimCount = policy?.trimCount
+  return {
+    consensusMode: policy?.consensusMode || "require_match",
+    minCoverageBps: minCoverage !== null && minCoverage !== undefined && Number.isFinite(Number(minCoverage)) ? Number(minCoverage) : null,
+    quorumK: quorumK !== null && quorumK !== undefined && Number.isFinite(Number(quorumK)) ? Number(quorumK) : null,
+    trimCount: trimCount !== null && trimCount !== undefined && Number.isFinite(Number(trimCount)) ? Number(trimCount) : null,
+    maxMismatchRatio: ratio !== undefined ? Number(ratio) : Number(process.env.MAX_RESERVE_MISMATCH_RATIO || 0.01),
+  }
+}
+
+const loosenedThresholds = (before, after) => {
+  const renames = detectProjectRenames(before, after)
+  const reasons = []
+  for (const project of after?.projects || []) {
+    const id = normalizeId(project?.id)
+    const previousId = Object.keys(renames).find((from) => renames[from] === id) || id
+    if (!(before?.projects || []).some((p) => normalizeId(p?.id) === previousId)) continue
+
+    const a = effectiveThresholds(before, previousId)
+    const b = effectiveThresholds(after, id)
+    if (a.minCoverageBps !== null && !(b.minCoverageBps !== null && b.minCoverageBps >= a.minCoverageBps)) {
+      reasons.push(`${id}: minCoverageBps lowered from ${a.minCoverageBps} to ${b.minCoverageBps ?? "unset"}`)
+    }
+    if (a.quorumK !== null && !(b.quorumK !== null && b.quorumK >= a.quorumK)) {
+      reasons.push(`${id}: quorumK lowered from ${a.quorumK} to ${b.quorumK ?? "unset"}`)
+    }
+    if (b.maxMismatchRatio > a.maxMismatchRatio) {
+      reasons.push(`${id}: maxMismatchRatio raised from ${a.maxMismatchRatio} to ${b.maxMismatchRatio}`)
+    }
+    if (b.consensusMode !== a.consensusMode) {
+      reasons.push(`${id}: consensusMode changed from ${a.consensusMode} to ${b.consensusMode}`)
+    }
+    if (b.trimCount !== null && b.trimCount > (a.trimCount ?? 1)) {
+      reasons.push(`${id}: trimCount raised from ${a.trimCount ?? "default"} to ${b.trimCount}`)
+    }
+  }
+  return reasons
+}
+
+const changedProjectIds = (diff) => {
+  const ids = new Set()
+  for (const section of PUBLISH_SECTIONS) {
+    for (const entry of [...diff[section].added, ...diff[section].removed, ...diff[section].changed]) {
+      for (const key of [entry.id, entry.renamedFrom].filter(Boolean)) ids.add(section === "connectors" ? key.split("/")[0] : key)
+    }
+  }
+  return Array.from(ids)
+}
+
+const approvalReasons = ({ live, next, diff }) => {
+  const reasons = loosenedThresholds(live, next)
+  const gated = changedProjectIds(diff).filter((id) => approvalProjects.includes("*") || approvalProjects.includes(id))
+  if (gated.length) reasons.unshift(`approval required for ${gated.join(", ")}`)
+  return reasons
+}
+
+const configHash = (config) => hashSecret(JSON.stringify(config))
+
+const toPublishRequestSummary = (record) => ({
+  id: record.id,
+  kind: record.kind,
+  status: record.status,
+  createdAt: record.createdAt,
+  author: record.author,
+  message: record.message || "",
+  projectIds: record.projectIds,
+  rollbackOf: record.rollbackOf ?? null,
+  reasons: record.reasons,
+  decidedAt: record.decidedAt || null,
+  decidedBy: record.decidedBy || null,
+  note: record.note || "",
+  version: record.version ?? null,
+})
+
+const createPublishRequest = ({ req, kind, message, live, next, diff, projectIds, rollbackOf = null, reasons }) => {
+  const now = Date.now()
+  const record = {
+    id: crypto.randomBytes(6).toString("hex"),
+    kind,
+    status: "pending",
+    createdAt: new Date(now).toISOString(),
+    author: actorRef(req),
+    message,
+    projectIds,
+    rollbackOf,
+    reasons,
+    baseHash: configHash(live),
+    diff,
+    config: next,
+  }
+  storage.putRecord("publish-requests", record.id, record, { scope: projectIds[0] || null, sortKey: now })
+  return record
+}
+
+const canAdminProjects = (req, projectIds) =>
+  !req.auth ||
+  (projectIds.length
+    ? projectIds.every((id) => scopeAllows(grantedScope(req.auth, id), "admin"))
+    : scopeAllows(grantedScope(req.auth, null), "admin"))
+
+const auditPublish = auditAction("config.publish", {
+  snapshot: () => configSnapshot({ draft: false }),
+  targets: (req, body) => ({
+    version: body?.version?.version ?? null,
+    requestId: body?.request?.id || null,
+    projectIds: body?.version?.projectIds || body?.request?.projectIds || [],
+  }),
+})
+
+app.post("/api/publish", requireScope("admin", { projectKeys: ["project"] }), auditPublish, (req, res) => {
+  const projectId = readPublishProject(req)
+  const plan = planPublish(projectId)
+  if (plan.error) {
+    res.status(404).json({ error: plan.error })
+    return
+  }
+
+  const denied = req.auth ? plan.projectIds.find((id) => !scopeAllows(grantedScope(req.auth, id), "admin")) : null
+  if (denied) {
+    res.status(403).json({ error: `forbidden: requires admin scope for project ${denied}` })
+    return
+  }
+
+  const diff = diffConfigs(plan.live, plan.next)
+  const reasons = approvalReasons({ ...plan, diff })
+  if (reasons.length) {
+    const request = createPublishRequest({
+      req,
+      kind: "publish",
+      message: readPublishMessage(req),
+      live: plan.live,
+      next: plan.next,
+      diff,
+      projectIds: plan.projectIds,
+      reasons,
+    })
+    res.status(202).json({ ok: false, pending: true, request: toPublishRequestSummary(request) })
+    return
+  }
+
+  const version = recordPublishVersion({
+    req,
+    kind: "publish",
+    message: readPublishMessage(req),
+    config: plan.next,
+    projectIds: plan.projectIds,
+  })
+  writeLiveConfig(plan.next)
+
+  res.json({ ok: true, version: toVersionSummary(version) })
+})
+
+app.get("/api/publish/diff", requireScope("viewer", { projectKeys: ["project"] }), (req, res) => {
+  const plan = planPublish(readPublishProject(req))
+  if (plan.error) {
+    res.status(404).json({ error: plan.error })
+    return
+  }
+
+  const latest = latestPublishVersion()
+  res.json({
+    live: latest ? toVersionSummary(latest) : null,
+    projectIds: plan.projectIds,
+    diff: diffConfigs(plan.live, plan.next),
+  })
+})
+
+app.get("/api/publish/versions", requireScope("viewer"), (req, res) => {
+  const limitRaw = req.query?.limit !== undefined ? Number(req.query.limit) : 50
+  const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(PUBLISH_VERSIONS_MAX_LIMIT, Math.floor(limitRaw))) : 50
+  const cursor = req.query?.cursor !== undefined ? Number(req.query.cursor) : null
+  if (cursor !== null && !(Number.isInteger(cursor) && cursor > 0)) {
+    res.status(400).json({ error: "cursor must be a previous nextCursor value" })
+    return
+  }
+
+  const rows = storage.listRecords("publish-versions", { order: "desc", before: cursor, limit: limit + 1 })
+  const hasMore = rows.length > limit
+  const versions = rows.slice(0, limit).map(toVersionSummary)
+  res.json({
+    versions,
+    hasMore,
+    nextCursor: hasMore && versions.length ? versions[versions.length - 1].version : null,
+  })
+})
+
+app.get("/api/publish/versions/diff", requireScope("viewer"), (req, res) => {
+  const to = req.query?.to !== undefined ? getPublishVersion(req.query.to) : latestPublishVersion()
+  if (!to) {
+    res.status(404).json({ error: "version not found" })
+    return
+  }
+
+  const from = req.query?.from !== undefined ? getPublishVersion(req.query.from) : getPublishVersion(to.version - 1)
+  if (!from) {
+    res.status(404).json({ error: "version not found" })
+    return
+  }
+
+  res.json({ from: toVersionSummary(from), to: toVersionSummary(to), diff: diffConfigs(from.config, to.config) })
+})
+
+app.get("/api/publish/versions/:version", requireScope("viewer"), (req, res) => {
+  const record = getPublishVersion(req.params.version)
+  if (!record) {
+    res.status(404).json({ error: "version not found" })
+    return
+  }
+
+  res.json({ version: { ...toVersionSummary(record), config: record.config } })
+})
+
+const auditRollback = auditAction("config.rollback", {
+  snapshot: () => configSnapshot({ draft: false }),
+  targets: (req, body) => ({
+    version: body?.version?.version ?? null,
+    requestId: body?.request?.id || null,
+    rollbackOf: body?.version?.rollbackOf ?? body?.request?.rollbackOf ?? null,
+  }),
+})
+
+app.post("/api/publish/rollback", requireScope("admin"), auditRollback, (req, res) => {
+  const target = getPublishVersion(req.body?.version)
+  if (!target) {
+    res.status(404).json({ error: "version not found" })
+    return
+  }
+
+  const message = readPublishMessage(req) || `Rollback to version ${target.version}`
+  const live = readConfig({ draft: false })
+  const diff = diffConfigs(live, target.config)
+  const reasons = approvalReasons({ live, next: target.config, diff })
+  if (reasons.length) {
+    const request = createPublishRequest({
+      req,
+      kind: "rollback",
+      message,
+      live,
+      next: target.config,
+      diff,
+      projectIds: [],
+      rollbackOf: target.version,
+      reasons,
+    })
+    res.status(202).json({ ok: false, pending: true, request: toPublishRequestSummary(request) })
+    return
+  }
+
+  const version = recordPublishVersion({ req, kind: "rollback", message, config: target.config, rollbackOf: target.version })
+  writeRolledBackConfig(target.config)
+
+  res.json({ ok: true, version: toVersionSummary(version) })
+})
+
+const PUBLISH_REQUEST_STATUSES = ["pending", "approved", "rejected"]
+
+app.get("/api/publish/requests", requireScope("viewer", { allowUnscoped: true }), (req, res) => {
+  const status = typeof req.query?.status === "string" ? req.query.status.trim() : "pending"
+  if (status !== "all" && !PUBLISH_REQUEST_STATUSES.includes(status)) {
+    res.status(400).json({ error: "status must be pending|approved|rejected|all" })
+    return
+  }
+
+  const limitRaw = req.query?.limit !== undefined ? Number(req.query.limit) : 50
+  const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(PUBLISH_VERSIONS_MAX_LIMIT, Math.floor(limitRaw))) : 50
+  const visible = (record) =>
+    !req.auth ||
+    (record.projectIds?.length ? record.projectIds.every((id) => canReadProject(req, id)) : Boolean(grantedScope(req.auth, null)))
+
+  const requests = storage
+    .listRecords("publish-requests", {
+      order: "desc",
+      limit,
+      filter: (record) => (status === "all" || record.status === status) && visible(record),
+    })
+    .map(toPublishRequestSummary)
+  res.json({ requests })
+})
+
+const loadPublishRequest = (req, res) => {
+  const record = storage.getRecord("publish-requests", String(req.params.id || ""))
+  const readable =
+    record &&
+    (!req.auth ||
+      (record.projectIds.length ? record.projectIds.every((id) => canReadProject(req, id)) : Boolean(grantedScope(req.auth, null))))
+  if (!readable) {
+    res.status(404).json({ error: "publish request not found" })
+    return null
+  }
+  return record
+}
+
+app.get("/api/publish/requests/:id", requireScope("viewer", { allowUnscoped: true }), (req, res) => {
+  const record = loadPublishRequest(req, res)
+  if (!record) return
+  res.json({ request: { ...toPublishRequestSummary(record), diff: record.diff } })
+})
+
+const decidePublishRequest = (req, res) => {
+  const record = loadPublishRequest(req, res)
+  if (!record) return null
+  if (!canAdminProjects(req, record.projectIds)) {
+    res.status(403).json({ error: "forbidden: requires admin scope for every project in the request" })
+    return null
+  }
+  if (record.status !== "pending") {
+    res.status(409).json({ error: `publish request is already ${record.status}`, request: toPublishRequestSummary(record) })
+    return null
+  }
+  return record
+}
+
+const auditApproval = (action) =>
+  auditAction(action, {
+    snapshot: () => configSnapshot({ draft: false }),
+    targets: (req, body) => ({
+      requestId: String(req.params.id || ""),
+      version: body?.version?.version ?? null,
+      projectIds: body?.request?.projectIds || [],
+    }),
+  })
+
+app.post("/api/publish/requests/:id/approve", requireScope("admin", { allowUnscoped: true }), auditApproval("config.approve"), (req, res) => {
+  const record = decidePublishRequest(req, res)
+  if (!record) return
+
+  const approver = actorRef(req)
+  if (authEnabled() && sharesIdentity(approver, record.author)) {
+    res.status(403).json({ error: "a different admin must approve this request, not the author or a key or wallet issued by or to them" })
+    return
+  }
+
+  if (configHash(readConfig({ draft: false })) !== record.baseHash) {
+    res.status(409).json({
+      error: "live configuration changed since this request was created; reject it and publish again",
+      request: toPublishRequestSummary(record),
+    })
+    return
+  }
+
+  const version = recordPublishVersion({
+    req,
+    kind: record.kind,
+    message: record.message,
+    config: record.config,
+    projectIds: record.projectIds,
+    rollbackOf: record.rollbackOf,
+    author: record.author,
+    approval: { requestId: record.id, approvedBy: approver },
+  })
+  if (record.kind === "rollback") writeRolledBackConfig(record.config)
+  else writeLiveConfig(record.config)
+
+  const next = {
+    ...record,
+    status: "approved",
+    decidedAt: new Date().toISOString(),
+    decidedBy: approver,
+    note: String(req.body?.note || "").trim().slice(0, PUBLISH_MESSAGE_MAX),
+    version: version.version,
+  }
+  storage.putRecord("publish-requests", next.id, next, { scope: next.projectIds[0] || null, sortKey: Date.parse(next.createdAt) })
+  res.json({ ok: true, request: toPublishRequestSummary(next), version: toVersionSummary(version) })
+})
+
+app.post("/api/publish/requests/:id/reject", requireScope("admin", { allowUnscoped: true }), auditApproval("config.reject"), (req, res) => {
+  const record = decidePublishRequest(req, res)
+  if (!record) return
+
+  const next = {
+    ...record,
+    status: "rejected",
+    decidedAt: new Date().toISOString(),
+    decidedBy: actorRef(req),
+    note: String(req.body?.note || "").trim().slice(0, PUBLISH_MESSAGE_MAX),
+  }
+  storage.putRecord("publish-requests", next.id, next, { scope: next.projectIds[0] || null, sortKey: Date.parse(next.createdAt) })
+  res.json({ ok: true, request: toPublishRequestSummary(next) })
+})
+
+const buildProjectStatus = async ({ project }) => {
+  const incident = getIncidentState(project?.id)
+
+  const policy = listPolicies(project?.id)[0] || null
+  const [onchain, reserves] = await Promise.all([getOnchainStatus({ project }), fetchProjectReserves(project)])
+
+  const derived = computeDerived({ reserves, onchain, project, policy, incident })
+  const explorerBase = project?.explorerBaseUrl || "https://sepolia.etherscan.io"
+  const receiverAddress = onchain?.receiverAddress
+  const liabilityTokenAddress = onchain?.liabilityTokenAddress
+  const guardian = onchain?.token?.guardian
+  const receiverOwner = onchain?.receiver?.owner
+  const tokenOwner = onchain?.token?.owner
+  const forwarderAddress = onchain?.receiver?.forwarderAddress
+
+  const links = {
+    explorerBase,
+    receiver: receiverAddress ? `${explorerBase}/address/${receiverAddress}` : null,
+    token: liabilityTokenAddress ? `${explorerBase}/address/${liabilityTokenAddress}` : null,
+    guardian: guardian ? `${explorerBase}/address/${guardian}` : null,
+    receiverOwner: receiverOwner ? `${explorerBase}/address/${receiverOwner}` : null,
+    tokenOwner: tokenOwner ? `${explorerBase}/address/${tokenOwner}` : null,
+    forwarder: forwarderAddress ? `${explorerBase}/address/${forwarderAddress}` : null,
+    lastTx: process.env.LAST_BROADCAST_TX ? `${explorerBase}/tx/${process.env.LAST_BROADCAST_TX}` : null,
+  }
+
+  const interfaces = {
+    enforcementHook: {
+      contract: "LiabilityToken",
+      function: "setMintingEnabled(bool)",
+      authorizedCallers: ["guardian", "owner"],
+    },
+    policy: {
+      contract: "ReserveWatchReceiver",
+      function: "setMinCoverageBps(uint256)",
+      authorizedCallers: ["owner"],
+    },
+    reportReceiver: {
+      contract: "ReserveWatchReceiver",
+      function: "onReport(bytes metadata, bytes report)",
+      authorizedCallers: ["forwarder"],
+    },
+  }
+
+  const operator = {
+    recommendedActions: [],
+    flows: {
+      reenableMinting: {
+        guarded: true,
+        how: "broadcast_healthy_attestation",
+        steps: [
+          "Fix underlying issue (reserves restored, data sources healthy)",
+          "Set reserve API to healthy (demo) or validate live sources (prod)",
+          "Run workflow with broadcast to publish a healthy attestation",
+          "Verify onchain: receiver.mintingPaused=false AND token.mintingEnabled=true",
+        ],
+        notes: [
+          "Directly calling token.setMintingEnabled(true) should be restricted to owner/guardian; the preferred path is a healthy attestation to avoid bypassing policy.",
+        ],
+      },
+    },
+  }
+
+  if (derived.status === "STALE") {
+    operator.recommendedActions.push("check_rpc_and_data_sources")
+  }
+  if (derived.reasons.includes("enforcement_not_wired") || derived.reasons.includes("forwarder_not_set")) {
+    operator.recommendedActions.push("fix_enforcement_wiring_roles")
+  }
+  if (derived.reasons.includes("reserve_source_mismatch")) {
+    operator.recommendedActions.push("investigate_source_discrepancy")
+  }
+  if (derived.reasons.includes("incident_active")) {
+    operator.recommendedActions.push("check_incident_feed")
+  }
+  if (derived.reasons.includes("coverage_below_threshold")) {
+    operator.recommendedActions.push("broadcast_new_attestation_after_fix")
+  }
+  if (derived.reasons.includes("minting_paused") || derived.reasons.includes("minting_disabled")) {
+    operator.recommendedActions.push("use_guarded_reenable_flow")
+  }
+
+  return { mode, scenario: scenarioState()?.name || null, reserves, onchain, incident, derived, links, interfaces, operator }
+}
+
+const STATUS_STREAM_POLL_MS = Number(process.env.STATUS_STREAM_POLL_MS || 8000)
+const STATUS_STREAM_HEARTBEAT_MS = 15_000
+const STATUS_STREAM_SECTIONS = ["mode", "scenario", "reserves", "onchain", "incident", "derived", "links", "interfaces", "operator"]
+
+const statusPollers = new Map()
+
+const writeSse = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+const diffStatusSections = (prev, next) => {
+  const changed = {}
+  for (const key of STATUS_STREAM_SECTIONS) {
+    if (JSON.stringify(prev?.[key]) !== JSON.stringify(next?.[key])) {
+      changed[key] = next?.[key] ?? null
+    }
+  }
+  return changed
+}
+
+const pollProjectStatus = (poller) => {
+  if (poller.inFlight) return poller.inFlight
+
+  poller.inFlight = (async () => {
+    try {
+      const project = getProjectById(poller.projectId)
+      const next = await buildProjectStatus({ project })
+      const at = Math.floor(Date.now() / 1000)
+      const changed = poller.snapshot ? diffStatusSections(poller.snapshot, next) : null
+
+      poller.snapshot = next
+      poller.fetchedAt = Date.now()
+
+      for (const res of poller.subscribers) {
+        if (!changed) writeSse(res, "snapshot", { projectId: poller.projectId, at, status: next })
+        else if (Object.keys(changed).length) writeSse(res, "diff", { projectId: poller.projectId, at, changed })
+      }
+    } catch (err) {
+      const at = Math.floor(Date.now() / 1000)
+      for (const res of poller.subscribers) {
+        writeSse(res, "status_error", { projectId: poller.projectId, at, mode, error: String(err?.message || err) })
+      }
+    } finally {
+      poller.inFlight = null
+      if (poller.refreshQueued) {
+        poller.refreshQueued = false
+        void pollProjectStatus(poller)
+      }
+    }
+  })()
+
+  return poller.inFlight
+}
+
+const subscribeStatusStream = (projectId, res) => {
+  let poller = statusPollers.get(projectId)
+  if (!poller) {
+    poller = {
+      projectId,
+      subscribers: new Set(),
+      snapshot: null,
+      fetchedAt: 0,
+      inFlight: null,
+      refreshQueued: false,
+      timer: null,
+      heartbeat: null,
+    }
+    statusPollers.set(projectId, poller)
+  }
+
+  poller.subscribers.add(res)
+
+  if (poller.snapshot) {
+    writeSse(res, "snapshot", { projectId, at: Math.floor(poller.fetchedAt / 1000), status: poller.snapshot })
+  } else {
+    void pollProjectStatus(poller)
+  }
+
+  if (!poller.timer) {
+    poller.timer = setInterval(() => void pollProjectStatus(poller), STATUS_STREAM_POLL_MS)
+    poller.heartbeat = setInterval(() => {
+      for (const sub of poller.subscribers) sub.write(": ping\n\n")
+    }, STATUS_STREAM_HEARTBEAT_MS)
+  }
+
+  return () => {
+    poller.subscribers.delete(res)
+    if (poller.subscribers.size > 0) return
+    clearInterval(poller.timer)
+    clearInterval(poller.heartbeat)
+    statusPollers.delete(projectId)
+  }
+}
+
+const refreshStatusStreams = (projectId = null) => {
+  for (const poller of statusPollers.values()) {
+    if (projectId && poller.projectId !== projectId) continue
+    poller.fetchedAt = 0
+    if (poller.inFlight) poller.refreshQueued = true
+    else void pollProjectStatus(poller)
+  }
+}
+
+const getCachedProjectStatus = (projectId) => {
+  const poller = statusPollers.get(projectId)
+  if (!poller?.snapshot) return null
+  if (Date.now() - poller.fetchedAt > STATUS_STREAM_POLL_MS) return null
+  return poller.snapshot
+}
+
+const BACKGROUND_STATUS_MAX_AGE_MS = 30_000
+const backgroundStatuses = new Map()
+
+const getBackgroundProjectStatus = async (project) => {
+  const cached = getCachedProjectStatus(project.id)
+  if (cached) return cached
+  const recent = backgroundStatuses.get(project.id)
+  if (recent && Date.now() - recent.at < BACKGROUND_STATUS_MAX_AGE_MS) return recent.status
+  const status = await buildProjectStatus({ project })
+  backgroundStatuses.set(project.id, { at: Date.now(), status })
+  return status
+}
+
+app.get("/api/status", requireRead({ projectKeys: ["project"] }), async (req, res) => {
+  try {
+    const projectId = typeof req.query?.project === "string" ? req.query.project : null
+    const project = getProjectById(projectId)
+
+    const cached = getCachedProjectStatus(project?.id)
+    if (cached) {
+      res.json(cached)
       return
     }
+
+    res.json(await buildProjectStatus({ project }))
+  } catch (err) {
+    res.status(500).json({
+      mode,
+      error: String(err?.message || err),
+    })
+  }
+})
+
+app.get("/api/status/stream", requireRead({ projectKeys: ["project"] }), (req, res) => {
+  const projectId = typeof req.query?.project === "string" ? req.query.project : null
+  const project = getProjectById(projectId)
+  if (!project?.id) {
+    res.status(404).json({ error: "project not found" })
+    return
+  }
+
+  res.set({
+    "content-type": "text/event-stream",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+    "x-accel-buffering": "no",
+  })
+  res.flushHeaders()
+  res.write(`retry: ${STATUS_STREAM_POLL_MS}\n\n`)
+
+  const unsubscribe = subscribeStatusStream(project.id, res)
+  req.on("close", unsubscribe)
+})
+
+const TIMESERIES_INTERVAL_MS = Number(process.env.TIMESERIES_INTERVAL_MS ?? 60_000)
+const TIMESERIES_RETENTION_DAYS = Number(process.env.TIMESERIES_RETENTION_DAYS ?? 90)
+const TIMESERIES_MAX_POINTS = 5000
+const STATUS_SEVERITY = { HEALTHY: 0, DEGRADED: 1, STALE: 2, UNHEALTHY: 3 }
+
+const TIMESERIES_PRUNE_INTERVAL_S = 3600
+
+let timeseriesRecording = false
+let timeseriesPrunedAt = 0
+
+const buildTimeseriesPoint = ({ projectId, status, at }) => {
+  const derived = status?.derived || {}
+  const primary = status?.reserves?.primary || null
+  const consensus = derived.consensus || null
+  const sourceAges = consensus
+    ? Object.fromEntries(
+        (Array.isArray(status?.reserves?.sources) ? status.reserves.sources : []).map((r) => [
+          String(r?.connectorId || r?.source || "unknown"),
+          typeof r?.timestamp === "number" && Number.isFinite(derived.now) ? derived.now - r.timestamp : null,
+        ])
+      )
+    : null
+  return {
+    projectId,
+    t: at,
+    status: typeof derived.status === "string" ? derived.status : "STALE",
+    reasons: Array.isArray(derived.reasons) ? derived.reasons : [],
+    coverageBps: toFiniteNumber(derived.coverageBps),
+    minCoverageBps: toFiniteNumber(derived.minCoverageBps),
+    reserveUsd: toFiniteNumber(consensus ? consensus.reserveUsd : primary?.reserveUsd ?? status?.onchain?.receiver?.lastReserveUsd),
+    navUsd: toFiniteNumber(consensus ? consensus.navUsd : primary?.navUsd ?? status?.onchain?.receiver?.lastNavUsd),
+    supply: toFiniteNumber(status?.onchain?.token?.totalSupply),
+    reserveAgesS: {
+      primary: toFiniteNumber(derived.reserveAgesS?.primary),
+      secondary: toFiniteNumber(derived.reserveAgesS?.secondary),
+      ...(sourceAges ? { sources: sourceAges } : {}),
+    },
+    reserveMismatchRatio: toFiniteNumber(derived.reserveMismatchRatio),
+    mintingPaused: typeof derived.mintingPaused === "boolean" ? derived.mintingPaused : null,
+    mintingEnabled: typeof derived.mintingEnabled === "boolean" ? derived.mintingEnabled : null,
+  }
+}
+
+const recordTimeseries = async () => {
+  if (timeseriesRecording) return
+  timeseriesRecording = true
+  try {
+    const now = Math.floor(Date.now() / 1000)
+    const points = []
+    for (const project of listProjects()) {
+      try {
+        const status = await getBackgroundProjectStatus(project)
+        const point = buildTimeseriesPoint({ projectId: project.id, status, at: now })
+        points.push({ id: `${project.id}:${now}`, value: point, scope: project.id, sortKey: now })
+      } catch (err) {
+        process.stderr.write(`timeseries: ${project.id}: ${String(err?.message || err)}\n`)
+      }
+    }
+    storage.putRecords("timeseries", points)
+
+    if (Number.isFinite(TIMESERIES_RETENTION_DAYS) && TIMESERIES_RETENTION_DAYS > 0 && now - timeseriesPrunedAt >= TIMESERIES_PRUNE_INTERVAL_S) {
+      storage.deleteRecords("timeseries", { before: now - TIMESERIES_RETENTION_DAYS * 86_400 })
+      timeseriesPrunedAt = now
+    }
+  } finally {
+    timeseriesRecording = false
+  }
+}
+
+const parseTimeParam = (value, fallback) => {
+  if (value === null || value === undefined || String(value).trim() === "") return fallback
+  const raw = String(value).trim()
+  if (/^\d+$/.test(raw)) {
+    const n = Number(raw)
+    return n > 1e12 ? Math.floor(n / 1000) : n
+  }
+  const ms = Date.parse(raw)
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null
+}
+
+const summarizeNumbers = (values) => {
+  const nums = values.filter((v) => typeof v === "number" && Number.isFinite(v))
+  if (!nums.length) return { avg: null, min: null, max: null }
+  const sum = nums.reduce((acc, v) => acc + v, 0)
+  return { avg: sum / nums.length, min: Math.min(...nums), max: Math.max(...nums) }
+}
+
+const worstStatus = (statuses) => {
+  let worst = null
+  for (const s of statuses) {
+    if (worst === null || (STATUS_SEVERITY[s] ?? 2) > (STATUS_SEVERITY[worst] ?? 2)) worst = s
+  }
+  return worst
+}
+
+const downsampleTimeseries = (points, { from, step }) => {
+  const buckets = new Map()
+  for (const p of points) {
+    const bucketStart = from + Math.floor((p.t - from) / step) * step
+    const list = buckets.get(bucketStart) || []
+    list.push(p)
+    buckets.set(bucketStart, list)
+  }
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, list]) => {
+      const statusCounts = {}
+      for (const p of list) statusCounts[p.status] = (statusCounts[p.status] || 0) + 1
+      const sourceIds = Array.from(new Set(list.flatMap((p) => Object.keys(p.reserveAgesS?.sources || {})))).sort()
+      return {
+        t,
+        count: list.length,
+        status: worstStatus(list.map((p) => p.status)),
+        statusCounts,
+        coverageBps: summarizeNumbers(list.map((p) => p.coverageBps)),
+        reserveUsd: summarizeNumbers(list.map((p) => p.reserveUsd)),
+        navUsd: summarizeNumbers(list.map((p) => p.navUsd)),
+        supply: summarizeNumbers(list.map((p) => p.supply)),
+        reserveAgesS: {
+          primary: summarizeNumbers(list.map((p) => p.reserveAgesS?.primary)),
+          secondary: summarizeNumbers(list.map((p) => p.reserveAgesS?.secondary)),
+          ...(sourceIds.length
+            ? { sources: Object.fromEntries(sourceIds.map((id) => [id, summarizeNumbers(list.map((p) => p.reserveAgesS?.sources?.[id]))])) }
+            : {}),
+        },
+        reserveMismatchRatio: summarizeNumbers(list.map((p) => p.reserveMismatchRatio)),
+      }
+    })
+}
+
+const buildStatusSegments = (points, { to }) => {
+  const segments = []
+  for (const p of points) {
+    const last = segments[segments.length - 1]
+    if (last && last.status === p.status) {
+      last.lastSeenAt = p.t
+      continue
+    }
+    if (last) last.to = p.t
+    segments.push({ status: p.status, from: p.t, to: null, lastSeenAt: p.t })
   }
 
-  store.projects[idx] = result.value
+  return segments.map((seg) => {
+    const end = seg.to ?? Math.min(to, seg.lastSeenAt)
+    return { status: seg.status, from: seg.from, to: seg.to, durationS: Math.max(0, end - seg.from) }
+  })
+}
 
-  if (store.defaultProjectId === targetId) {
-    store.defaultProjectId = nextId
+app.get("/api/timeseries", requireRead({ projectKeys: ["project"] }), (req, res) => {
+  const projectId = typeof req.query?.project === "string" ? req.query.project : null
+  const project = getProjectById(projectId)
+  if (!project?.id) {
+    res.status(404).json({ error: "project not found" })
+    return
   }
 
-  if (nextId !== targetId) {
-    const connectorsCfg = loadConnectorsConfig({ draft })
-    connectorsCfg.connectors = (Array.isArray(connectorsCfg.connectors) ? connectorsCfg.connectors : []).map((c) => {
-      if (!c || typeof c.projectId !== "string") return c
-      if (normalizeId(c.projectId) !== targetId) return c
-      return { ...c, projectId: nextId }
+  const now = Math.floor(Date.now() / 1000)
+  const to = parseTimeParam(req.query?.to, now)
+  const from = parseTimeParam(req.query?.from, (to ?? now) - 86_400)
+  if (from === null || to === null) {
+    res.status(400).json({ error: "from/to must be unix seconds or ISO timestamps" })
+    return
+  }
+  if (from > to) {
+    res.status(400).json({ error: "from must be <= to" })
+    return
+  }
+
+  const stepRaw = req.query?.step
+  const step = stepRaw === undefined || String(stepRaw).trim() === "" ? 0 : Number(stepRaw)
+  if (!Number.isFinite(step) || step < 0) {
+    res.status(400).json({ error: "step must be a non-negative number of seconds" })
+    return
+  }
+
+  const raw = storage.listRecords("timeseries", { scope: project.id, from, to, order: "asc" })
+  const segments = buildStatusSegments(raw, { to })
+  const truncated = !step && raw.length > TIMESERIES_MAX_POINTS
+  const points = step ? downsampleTimeseries(raw, { from, step: Math.floor(step) || 1 }) : raw.slice(-TIMESERIES_MAX_POINTS)
+
+  res.json({
+    project: { id: project.id, name: project.name || null },
+    from,
+    to,
+    step: step ? Math.floor(step) || 1 : null,
+    intervalMs: TIMESERIES_INTERVAL_MS,
+    count: raw.length,
+    truncated,
+    points,
+    segments,
+  })
+})
+
+const ALERT_EVAL_INTERVAL_MS = Number(process.env.ALERT_EVAL_INTERVAL_MS ?? 60_000)
+const ALERT_INCIDENT_COOLDOWN_MS = Number(process.env.ALERT_INCIDENT_COOLDOWN_MS ?? 30_000)
+const ALERT_NOTIFY_COOLDOWN_MS = Number(process.env.ALERT_NOTIFY_COOLDOWN_MS ?? 5 * 60_000)
+const ALERT_INCIDENT_RETENTION_DAYS = Number(process.env.ALERT_INCIDENT_RETENTION_DAYS ?? 30)
+const ALERT_WEBHOOK_TIMEOUT_MS = 8000
+const ALERT_SNOOZE_DEFAULT_MINUTES = 15
+const ALERT_SNOOZE_MAX_MINUTES = 7 * 24 * 60
+const INCIDENTS_DEFAULT_LIMIT = 100
+const INCIDENTS_MAX_LIMIT = 500
+const INCIDENT_STATES = ["open", "ack", "snoozed", "resolved"]
+
+const DEFAULT_ALERT_RULES = {
+  coverageBreach: true,
+  sourceStale: true,
+  sourceMismatch: true,
+  rpcFailures: true,
+}
+
+const DEFAULT_ALERT_ROUTING = {
+  enableOutbound: false,
+  slackWebhookUrl: "",
+  discordWebhookUrl: "",
+}
+
+const ALERT_RULE_REASONS = {
+  coverageBreach: ["coverage_below_threshold"],
+  sourceStale: ["reserve_data_stale", "reserve_signature_invalid"],
+  sourceMismatch: ["reserve_source_mismatch"],
+  rpcFailures: ["onchain_unavailable"],
+}
+
+let alertEvaluating = false
+let lastAlertEvaluationAt = null
+
+const readAlertConfig = () => {
+  const raw = storage.getDocument("alert-config", null) || {}
+  return {
+    rules: { ...DEFAULT_ALERT_RULES, ...(raw.rules || {}) },
+    routing: { ...DEFAULT_ALERT_ROUTING, ...(raw.routing || {}) },
+    updatedAt: raw.updatedAt || null,
+  }
+}
+
+const redactAlertRouting = (routing) => ({
+  enableOutbound: Boolean(routing.enableOutbound),
+  slackWebhookUrl: routing.slackWebhookUrl ? "(set)" : "",
+  discordWebhookUrl: routing.discordWebhookUrl ? "(set)" : "",
+})
+
+const toPublicAlertConfig = (req, config) => {
+  const revealRouting = !req.auth || scopeAllows(grantedScope(req.auth, null), "admin")
+  return {
+    rules: config.rules,
+    routing: revealRouting ? config.routing : redactAlertRouting(config.routing),
+    routingRedacted: !revealRouting,
+    updatedAt: config.updatedAt,
+    evaluation: {
+      intervalMs: ALERT_EVAL_INTERVAL_MS,
+      cooldownMs: ALERT_INCIDENT_COOLDOWN_MS,
+      notifyCooldownMs: ALERT_NOTIFY_COOLDOWN_MS,
+      lastRunAt: lastAlertEvaluationAt,
+    },
+  }
+}
+
+const parseAlertConfig = (body, current) => {
+  const rules = { ...current.rules }
+  for (const [key, value] of Object.entries(body?.rules || {})) {
+    if (!(key in DEFAULT_ALERT_RULES)) return { error: `unknown alert rule: ${key}` }
+    if (typeof value !== "boolean") return { error: `rules.${key} must be boolean` }
+    rules[key] = value
+  }
+
+  const routing = { ...current.routing }
+  const input = body?.routing || {}
+  if (input.enableOutbound !== undefined) {
+    if (typeof input.enableOutbound !== "boolean") return { error: "routing.enableOutbound must be boolean" }
+    routing.enableOutbound = input.enableOutbound
+  }
+  for (const key of ["slackWebhookUrl", "discordWebhookUrl"]) {
+    if (input[key] === undefined) continue
+    const url = String(input[key] || "").trim()
+    if (url && !/^https?:\/\//i.test(url)) return { error: `routing.${key} must be an http(s) url` }
+    routing[key] = url
+  }
+
+  return { value: { rules, routing } }
+}
+
+const rulesAllowReason = (reason, rules) =>
+  Object.entries(ALERT_RULE_REASONS).some(([rule, reasons]) => Boolean(rules?.[rule]) && reasons.includes(reason))
+
+const incidentSeverity = (reason) => (reason === "coverage_below_threshold" ? "critical" : "warning")
+
+const putAlertIncident = (incident) => {
+  storage.putRecord("alert-incidents", incident.id, incident, { scope: incident.projectId, sortKey: incident.updatedAt })
+  return incident
+}
+
+const postAlertMessage = async (url, body) => {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS),
     })
-    saveConnectorsConfig(connectorsCfg)
+    return res.ok ? null : `http ${res.status}`
+  } catch (err) {
+    return String(err?.message || err)
+  }
+}
 
-    const policiesCfg = loadPoliciesConfig({ draft })
-    policiesCfg.policies = (Array.isArray(policiesCfg.policies) ? policiesCfg.policies : []).map((p) => {
-      if (!p || typeof p.projectId !== "string") return p
-      if (normalizeId(p.projectId) !== targetId) return p
-      return { ...p, projectId: nextId }
+const sendAlertMessage = async (routing, text) => {
+  const targets = [
+    ["slack", routing.slackWebhookUrl, { text }],
+    ["discord", routing.discordWebhookUrl, { content: text }],
+  ].filter(([, url]) => url)
+
+  const results = await Promise.all(targets.map(async ([channel, url, body]) => ({ channel, error: await postAlertMessage(url, body) })))
+  for (const r of results) {
+    if (r.error) process.stderr.write(`alerts: ${r.channel} delivery failed: ${r.error}\n`)
+  }
+  return results
+}
+
+const dispatchIncident = async ({ routing, incident, event, status }) => {
+  const at = Math.floor(Date.now() / 1000)
+  emitWebhookEvent({ type: `incident_${event}`, at, status, incident }, { projectIds: [incident.projectId] })
+  if (!routing.enableOutbound) return
+  const text = `[ReserveWatch] ${incident.projectId} ${incident.severity.toUpperCase()} ${incident.reason} ${event} (status=${status || "--"})`
+  await sendAlertMessage(routing, text)
+}
+
+const fireIncident = ({ prev, projectId, reason, now, resolvedNotifiedAt = 0 }) => {
+  const snoozed = prev?.state === "snoozed" && Number(prev.snoozedUntil) > now
+  const reopened = !prev
+  const state = reopened || (prev.state === "snoozed" && !snoozed) ? "open" : prev.state
+  const counted = reopened || !(now - Number(prev.lastFiredAt || 0) <= ALERT_INCIDENT_COOLDOWN_MS)
+  const lastNotifiedAt = Math.max(Number(prev?.lastNotifiedAt || 0), resolvedNotifiedAt)
+  const notify = state === "open" && !(now - lastNotifiedAt <= ALERT_NOTIFY_COOLDOWN_MS)
+
+  const next = {
+    id: prev?.id || `inc_${now.toString(36)}${crypto.randomBytes(3).toString("hex")}`,
+    projectId,
+    reason,
+    severity: incidentSeverity(reason),
+    state,
+    active: true,
+    count: Number(prev?.count || 0) + (counted ? 1 : 0),
+    createdAt: prev?.createdAt || now,
+    updatedAt: counted || state !== prev?.state || !prev?.active ? now : prev.updatedAt,
+    lastFiredAt: counted ? now : prev.lastFiredAt,
+    lastNotifiedAt: notify ? now : prev?.lastNotifiedAt || null,
+    snoozedUntil: state === "snoozed" ? prev.snoozedUntil : null,
+    ackedBy: state === "ack" ? prev.ackedBy || null : null,
+    resolvedAt: null,
+    resolvedBy: null,
+  }
+
+  if (!notify && JSON.stringify(next) === JSON.stringify(prev)) return { incident: prev, event: null }
+  putAlertIncident(next)
+  return { incident: next, event: notify ? (reopened || !prev?.lastNotifiedAt ? "opened" : "firing") : null }
+}
+
+const evaluateProjectAlerts = ({ project, status, rules, now }) => {
+  const reasons = Array.isArray(status?.derived?.reasons) ? status.derived.reasons : []
+  const firing = new Set(reasons.filter((r) => rulesAllowReason(r, rules)))
+  const existing = new Map()
+  const resolvedNotifiedAt = new Map()
+  for (const inc of storage.listRecords("alert-incidents", { scope: project.id })) {
+    if (inc.state !== "resolved") existing.set(inc.reason, inc)
+    else resolvedNotifiedAt.set(inc.reason, Math.max(resolvedNotifiedAt.get(inc.reason) || 0, Number(inc.lastNotifiedAt || 0)))
+  }
+  const events = []
+
+  for (const reason of firing) {
+    const fired = fireIncident({
+      prev: existing.get(reason) || null,
+      projectId: project.id,
+      reason,
+      now,
+      resolvedNotifiedAt: resolvedNotifiedAt.get(reason) || 0,
     })
-    savePoliciesConfig(policiesCfg)
+    if (fired.event) events.push(fired)
   }
 
-  saveProjectsConfig(store)
-  res.json({ project: store.projects[idx], defaultProjectId: store.defaultProjectId })
+  for (const inc of existing.values()) {
+    if (firing.has(inc.reason)) continue
+    const next = putAlertIncident({ ...inc, state: "resolved", active: false, snoozedUntil: null, resolvedAt: now, resolvedBy: null, updatedAt: now })
+    if (inc.lastNotifiedAt) events.push({ incident: next, event: "resolved" })
+  }
+
+  return events
+}
+
+const STATUS_EVENT_INTERVAL_MS = Number(process.env.STATUS_EVENT_INTERVAL_MS ?? 60_000)
+const STATUS_EVENT_TYPES = ["status_changed", "source_stale", "governance_changed"]
+
+const lastSeenProjectStatus = new Map()
+let statusEventsWatching = false
+
+const governanceOf = (onchain) => ({
+  receiverOwner: normalizeAddress(onchain?.receiver?.owner) || null,
+  tokenOwner: normalizeAddress(onchain?.token?.owner) || null,
+  guardian: normalizeAddress(onchain?.token?.guardian) || null,
+  forwarder: normalizeAddress(onchain?.receiver?.forwarderAddress) || null,
 })
 
-app.delete("/api/projects", requireAdmin, (req, res) => {
-  const draft = readDraftFlag(req)
-  const targetId = normalizeId(req.body?.id || req.query?.id)
-  if (!targetId) {
-    res.status(400).json({ error: "project id is required" })
+const observeProjectStatus = (project, status) => {
+  const derived = status?.derived || {}
+  const reasons = Array.isArray(derived.reasons) ? derived.reasons : []
+  const prev = lastSeenProjectStatus.get(project.id) || null
+  const next = {
+    status: typeof derived.status === "string" ? derived.status : null,
+    stale: reasons.includes("reserve_data_stale"),
+    governance: status?.onchain?.error ? prev?.governance || null : governanceOf(status?.onchain),
+  }
+  lastSeenProjectStatus.set(project.id, next)
+  if (!prev) return
+
+  const at = Math.floor(Date.now() / 1000)
+  const opts = { projectIds: [project.id] }
+  if (next.status && prev.status && next.status !== prev.status) {
+    emitWebhookEvent({ type: "status_changed", at, projectId: project.id, from: prev.status, to: next.status, reasons }, opts)
+  }
+  if (next.stale && !prev.stale) {
+    const { reserveAgesS, maxReserveAgeS } = derived
+    emitWebhookEvent({ type: "source_stale", at, projectId: project.id, reserveAgesS, maxReserveAgeS }, opts)
+  }
+  if (next.governance && prev.governance && JSON.stringify(next.governance) !== JSON.stringify(prev.governance)) {
+    emitWebhookEvent({ type: "governance_changed", at, projectId: project.id, before: prev.governance, after: next.governance }, opts)
+  }
+}
+
+const wantsStatusEvents = () =>
+  Boolean(String(process.env.ALERT_WEBHOOK_URL || "").trim()) ||
+  storage.listRecords("webhook-subscriptions", {
+    limit: 1,
+    filter: (sub) => sub.enabled && sub.events.some((e) => STATUS_EVENT_TYPES.includes(e)),
+  }).length > 0
+
+const watchProjectStatus = async () => {
+  if (statusEventsWatching || !wantsStatusEvents()) return
+  statusEventsWatching = true
+  try {
+    for (const project of listProjects()) {
+      try {
+        observeProjectStatus(project, await getBackgroundProjectStatus(project))
+      } catch (err) {
+        process.stderr.write(`status events: ${project.id}: ${String(err?.message || err)}\n`)
+      }
+    }
+  } finally {
+    statusEventsWatching = false
+  }
+}
+
+const evaluateAlerts = async () => {
+  if (alertEvaluating) return
+  alertEvaluating = true
+  try {
+    const { rules, routing } = readAlertConfig()
+    for (const project of listProjects()) {
+      try {
+        const status = await getBackgroundProjectStatus(project)
+        for (const { incident, event } of evaluateProjectAlerts({ project, status, rules, now: Date.now() })) {
+          void dispatchIncident({ routing, incident, event, status: status?.derived?.status || null })
+        }
+      } catch (err) {
+        process.stderr.write(`alerts: ${project.id}: ${String(err?.message || err)}\n`)
+      }
+    }
+
+    const now = Date.now()
+    if (Number.isFinite(ALERT_INCIDENT_RETENTION_DAYS) && ALERT_INCIDENT_RETENTION_DAYS > 0) {
+      storage.deleteRecords("alert-incidents", { before: now - ALERT_INCIDENT_RETENTION_DAYS * 86_400_000 })
+    }
+    lastAlertEvaluationAt = now
+  } finally {
+    alertEvaluating = false
+  }
+}
+
+const auditAlerts = auditAction("alerts.update", {
+  snapshot: () => {
+    const config = readAlertConfig()
+    return { rules: config.rules, routing: redactAlertRouting(config.routing) }
+  },
+})
+
+app.get("/api/alerts", requireScope("viewer", { allowUnscoped: true }), (req, res) => {
+  res.json(toPublicAlertConfig(req, readAlertConfig()))
+})
+
+app.put("/api/alerts", requireScope("admin"), auditAlerts, (req, res) => {
+  const current = readAlertConfig()
+  const parsed = parseAlertConfig(req.body, current)
+  if (parsed.error) {
+    res.status(400).json({ error: parsed.error })
     return
   }
 
-  const store = loadProjectsStore({ draft })
-  const before = store.projects.length
-  store.projects = store.projects.filter((p) => normalizeId(p?.id) !== targetId)
-  if (before === store.projects.length) {
+  const next = { ...parsed.value, updatedAt: new Date().toISOString() }
+  storage.putDocument("alert-config", next)
+  res.json(toPublicAlertConfig(req, next))
+})
+
+app.post("/api/alerts/test", requireScope("admin"), async (req, res) => {
+  const { routing } = readAlertConfig()
+  if (!routing.slackWebhookUrl && !routing.discordWebhookUrl) {
+    res.status(400).json({ error: "no slack or discord webhook url is configured" })
+    return
+  }
+
+  const projectId = typeof req.body?.projectId === "string" && req.body.projectId.trim() ? req.body.projectId.trim() : null
+  const results = await sendAlertMessage(routing, `ReserveWatch test alert${projectId ? ` for ${projectId}` : ""}`)
+  res.json({ ok: results.every((r) => !r.error), results })
+})
+
+app.get("/api/incidents", requireRead({ projectKeys: ["project"], allowUnscoped: true }), (req, res) => {
+  const projectId = typeof req.query?.project === "string" && req.query.project.trim() ? normalizeId(req.query.project) : null
+  const state = typeof req.query?.state === "string" && req.query.state.trim() ? req.query.state.trim() : "all"
+  if (state !== "all" && state !== "unresolved" && !INCIDENT_STATES.includes(state)) {
+    res.status(400).json({ error: `state must be all|unresolved|${INCIDENT_STATES.join("|")}` })
+    return
+  }
+
+  const limitRaw = req.query?.limit
+  const limit = limitRaw === undefined || String(limitRaw).trim() === "" ? INCIDENTS_DEFAULT_LIMIT : Number(limitRaw)
+  if (!Number.isInteger(limit) || limit < 1 || limit > INCIDENTS_MAX_LIMIT) {
+    res.status(400).json({ error: `limit must be an integer between 1 and ${INCIDENTS_MAX_LIMIT}` })
+    return
+  }
+
+  const rows = storage.listRecords("alert-incidents", {
+    scope: projectId,
+    order: "desc",
+    limit: limit + 1,
+    filter: (inc) => {
+      if (state === "unresolved" ? inc.state === "resolved" : state !== "all" && inc.state !== state) return false
+      return canReadProject(req, inc.projectId)
+    },
+  })
+
+  res.json({ incidents: rows.slice(0, limit), hasMore: rows.length > limit })
+})
+
+const loadIncidentForUpdate = (req, res) => {
+  const incident = storage.getRecord("alert-incidents", String(req.params.id || ""))
+  if (!incident) {
+    res.status(404).json({ error: "incident not found" })
+    return null
+  }
+  if (req.auth && !scopeAllows(grantedScope(req.auth, incident.projectId), "operator")) {
+    res.status(403).json({ error: `forbidden: requires operator scope for project ${incident.projectId}` })
+    return null
+  }
+  if (incident.state === "resolved") {
+    res.status(409).json({ error: "incident is already resolved", incident })
+    return null
+  }
+  return incident
+}
+
+const auditIncidentAction = (action) =>
+  auditAction(action, {
+    snapshot: (req) => storage.getRecord("alert-incidents", String(req.params.id || "")),
+    targets: (req, body) => ({ incidentId: String(req.params.id || ""), projectIds: body?.incident ? [body.incident.projectId] : [] }),
+  })
+
+app.post("/api/incidents/:id/ack", requireScope("operator", { allowUnscoped: true }), auditIncidentAction("incidents.ack"), (req, res) => {
+  const incident = loadIncidentForUpdate(req, res)
+  if (!incident) return
+
+  const now = Date.now()
+  const next = putAlertIncident({ ...incident, state: "ack", snoozedUntil: null, ackedBy: actorRef(req), updatedAt: now })
+  res.json({ ok: true, incident: next })
+})
+
+app.post("/api/incidents/:id/snooze", requireScope("operator", { allowUnscoped: true }), auditIncidentAction("incidents.snooze"), (req, res) => {
+  const minutesRaw = req.body?.minutes
+  const minutes = minutesRaw === undefined || minutesRaw === null ? ALERT_SNOOZE_DEFAULT_MINUTES : Number(minutesRaw)
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > ALERT_SNOOZE_MAX_MINUTES) {
+    res.status(400).json({ error: `minutes must be between 1 and ${ALERT_SNOOZE_MAX_MINUTES}` })
+    return
+  }
+
+  const incident = loadIncidentForUpdate(req, res)
+  if (!incident) return
+
+  const now = Date.now()
+  const next = putAlertIncident({ ...incident, state: "snoozed", snoozedUntil: now + Math.round(minutes * 60_000), updatedAt: now })
+  res.json({ ok: true, incident: next })
+})
+
+app.post("/api/incidents/:id/resolve", requireScope("operator", { allowUnscoped: true }), auditIncidentAction("incidents.resolve"), (req, res) => {
+  const incident = loadIncidentForUpdate(req, res)
+  if (!incident) return
+
+  const now = Date.now()
+  const next = putAlertIncident({ ...incident, state: "resolved", snoozedUntil: null, resolvedAt: now, resolvedBy: actorRef(req), updatedAt: now })
+  res.json({ ok: true, incident: next })
+})
+
+const ENFORCEMENT_WATCH_INTERVAL_MS = Number(process.env.ENFORCEMENT_WATCH_INTERVAL_MS ?? 15_000)
+const ENFORCEMENT_TRANSITIONS_MAX_LIMIT = 500
+
+const enforcementChunkSizes = new Map()
+let enforcementWatching = false
+let enforcementSeq = 0
+
+const fetchEnforcementLogs = async ({ client, receiverAddress, liabilityTokenAddress, fromBlock, toBlock }) => {
+  const [tokenLogs, attestations] = await Promise.all([
+    client.getLogs({ address: liabilityTokenAddress, event: tokenMintingEnabledUpdatedEvent, fromBlock, toBlock }),
+    fetchAttestationLogs({ client, receiverAddress, fromBlock, toBlock }),
+  ])
+  return [
+    ...tokenLogs.map((l) => ({
+      blockNumber: l.blockNumber?.toString?.() || null,
+      logIndex: l.logIndex,
+      transactionHash: l.transactionHash || null,
+      change: { mintingEnabled: Boolean(l.args?.mintingEnabled) },
+    })),
+    ...attestations.map((a) => ({
+      blockNumber: a.blockNumber,
+      logIndex: a.logIndex,
+      transactionHash: a.transactionHash,
+      change: { mintingPaused: Boolean(a.breakerTriggered) },
+    })),
+  ].sort((a, b) => attestationSortKey(a) - attestationSortKey(b))
+}
+
+const seedEnforcementState = async ({ project, client, receiverAddress, liabilityTokenAddress, blockNumber }) => {
+  const [mintingPaused, mintingEnabled] = await Promise.all([
+    client.readContract({ address: receiverAddress, abi: receiverAbi, functionName: "mintingPaused", blockNumber }),
+    client.readContract({ address: liabilityTokenAddress, abi: tokenAbi, functionName: "mintingEnabled", blockNumber }),
+  ])
+  const state = {
+    projectId: project.id,
+    receiverAddress,
+    liabilityTokenAddress,
+    mintingPaused: Boolean(mintingPaused),
+    mintingEnabled: Boolean(mintingEnabled),
+    blockNumber: blockNumber.toString(),
+    checkedAt: new Date().toISOString(),
+    error: null,
+  }
+  storage.putRecord("enforcement-state", project.id, state, { scope: project.id })
+  return state
+}
+
+const announceEnforcementTransition = (project, transition) => {
+  emitWebhookEvent(
+    {
+      type: "enforcement_state_changed",
+      at: Math.floor(Date.parse(transition.detectedAt) / 1000),
+      projectId: project.id,
+      receiverAddress: transition.receiverAddress,
+      liabilityTokenAddress: transition.liabilityTokenAddress,
+      mintingPaused: transition.to.mintingPaused,
+      mintingEnabled: transition.to.mintingEnabled,
+      transition,
+    },
+    { projectIds: [project.id] }
+  )
+}
+
+const watchProjectEnforcement = async (project) => {
+  const receiverAddress = normalizeAddress(project?.receiverAddress)
+  const liabilityTokenAddress = normalizeAddress(project?.liabilityTokenAddress)
+  const chain = resolveChain(project?.chainSelectorName)
+  if (!project?.id || !receiverAddress || !liabilityTokenAddress || !chain) return
+
+  const client = createChainClient({ chain, rpcUrl: project?.rpcUrl || DEFAULT_RPC_URL })
+  const head = await client.getBlockNumber()
+  const confirmations = BigInt(Math.max(0, Math.floor(ATTESTATION_INDEX_CONFIRMATIONS) || 0))
+  const safeHead = head > confirmations ? head - confirmations : 0n
+
+  let state = storage.getRecord("enforcement-state", project.id)
+  const sameContracts = state && state.receiverAddress === receiverAddress && state.liabilityTokenAddress === liabilityTokenAddress
+  if (!sameContracts) {
+    await seedEnforcementState({ project, client, receiverAddress, liabilityTokenAddress, blockNumber: safeHead })
+    return
+  }
+
+  let chunk = BigInt(enforcementChunkSizes.get(project.id) || Math.max(1, Math.floor(ATTESTATION_INDEX_CHUNK_BLOCKS) || 10_000))
+  let next = BigInt(state.blockNumber) + 1n
+  let chunks = 0
+
+  while (next <= safeHead && chunks < ATTESTATION_INDEX_MAX_CHUNKS) {
+    const toBlock = next + chunk - 1n < safeHead ? next + chunk - 1n : safeHead
+
+    let logs
+    try {
+      logs = await fetchEnforcementLogs({ client, receiverAddress, liabilityTokenAddress, fromBlock: next, toBlock })
+    } catch (err) {
+      if (chunk > 1n && isRangeLimitError(err)) {
+        chunk /= 2n
+        enforcementChunkSizes.set(project.id, Number(chunk))
+        continue
+      }
+      storage.putRecord("enforcement-state", project.id, { ...state, error: String(err?.shortMessage || err?.message || err) }, { scope: project.id })
+      throw err
+    }
+
+    const transitions = []
+    for (const log of logs) {
+      const from = { mintingPaused: state.mintingPaused, mintingEnabled: state.mintingEnabled }
+      const to = { ...from, ...log.change }
+      if (to.mintingPaused === from.mintingPaused && to.mintingEnabled === from.mintingEnabled) continue
+
+      const now = Date.now()
+      const sortKey = now * 1000 + (enforcementSeq++ % 1000)
+      transitions.push({
+        id: String(sortKey),
+        sortKey,
+        value: {
+          id: String(sortKey),
+          projectId: project.id,
+          receiverAddress,
+          liabilityTokenAddress,
+          from,
+          to,
+          blockNumber: log.blockNumber,
+          logIndex: log.logIndex,
+          transactionHash: log.transactionHash,
+          detectedAt: new Date(now).toISOString(),
+        },
+        scope: project.id,
+      })
+      state = { ...state, ...to }
+    }
+
+    state = { ...state, blockNumber: toBlock.toString(), checkedAt: new Date().toISOString(), error: null }
+    storage.putRecords("enforcement-transitions", transitions)
+    storage.putRecord("enforcement-state", project.id, state, { scope: project.id })
+    for (const transition of transitions) announceEnforcementTransition(project, transition.value)
+
+    next = toBlock + 1n
+    chunks += 1
+  }
+}
+
+const watchEnforcement = async () => {
+  if (enforcementWatching) return
+  enforcementWatching = true
+  try {
+    for (const project of listProjects()) {
+      try {
+        await watchProjectEnforcement(project)
+      } catch (err) {
+        process.stderr.write(`enforcement: ${project.id}: ${String(err?.shortMessage || err?.message || err)}\n`)
+      }
+    }
+  } finally {
+    enforcementWatching = false
+  }
+}
+
+app.get("/api/enforcement/transitions", requireRead({ projectKeys: ["project"] }), (req, res) => {
+  const projectId = typeof req.query?.project === "string" ? req.query.project : null
+  const project = getProjectById(projectId)
+  if (!project?.id) {
     res.status(404).json({ error: "project not found" })
     return
   }
 
-  if (store.defaultProjectId === targetId) {
-    store.defaultProjectId = store.projects[0]?.id || null
+  const limitRaw = req.query?.limit !== undefined ? Number(req.query.limit) : 50
+  const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(ENFORCEMENT_TRANSITIONS_MAX_LIMIT, Math.floor(limitRaw))) : 50
+
+  const cursorRaw = typeof req.query?.cursor === "string" ? req.query.cursor.trim() : ""
+  if (cursorRaw && !/^\d+$/.test(cursorRaw)) {
+    res.status(400).json({ error: "cursor must be a previous nextCursor value" })
+    return
+  }
+
+  const rows = storage.listRecords("enforcement-transitions", {
+    scope: project.id,
+    order: "desc",
+    before: cursorRaw ? Number(cursorRaw) : null,
+    limit: limit + 1,
+  })
+  const hasMore = rows.length > limit
+  const transitions = rows.slice(0, limit)
+
+  res.json({
+    project: { id: project.id, name: project.name || null },
+    intervalMs: ENFORCEMENT_WATCH_INTERVAL_MS,
+    state: storage.getRecord("enforcement-state", project.id),
+    transitions,
+    hasMore,
+    nextCursor: hasMore && transitions.length ? transitions[transitions.length - 1].id : null,
+  })
+})
+
+const HISTORY_DEFAULT_LIMIT = 10
+const HISTORY_MAX_LIMIT = 500
+
+const encodeHistoryCursor = (item) => `${item.blockNumber}:${item.logIndex}`
+
+const parseHistoryCursor = (raw) => {
+  const match = String(raw || "").trim().match(/^(\d+):(\d+)$/)
+  if (!match) return null
+  return attestationSortKey({ blockNumber: match[1], logIndex: match[2] })
+}
+
+const parseBooleanParam = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return { value: null, valid: true }
+  const s = String(value).trim().toLowerCase()
+  if (s === "1" || s === "true" || s === "yes") return { value: true, valid: true }
+  if (s === "0" || s === "false" || s === "no") return { value: false, valid: true }
+  return { value: null, valid: false }
+}
+
+const parseHistoryQuery = (query) => {
+  const limitRaw = query.limit !== undefined ? Number(query.limit) : HISTORY_DEFAULT_LIMIT
+  const limit = Number.isFinite(limitRaw)
+    ? Math.max(1, Math.min(HISTORY_MAX_LIMIT, Math.floor(limitRaw)))
+    : HISTORY_DEFAULT_LIMIT
+
+  const order = String(query.order || "desc").trim().toLowerCase()
+  if (order !== "asc" && order !== "desc") return { error: "order must be asc|desc", value: null }
+
+  const cursorRaw = typeof query.cursor === "string" ? query.cursor.trim() : ""
+  const cursor = cursorRaw ? parseHistoryCursor(cursorRaw) : null
+  if (cursorRaw && cursor === null) return { error: "cursor must be <blockNumber>:<logIndex>", value: null }
+
+  const breaker = parseBooleanParam(query.breakerTriggered)
+  if (!breaker.valid) return { error: "breakerTriggered must be true|false", value: null }
+
+  const minCoverage = parseOptionalNumber(query.minCoverageBps, "minCoverageBps", { min: 0 })
+  if (minCoverage.error) return { error: minCoverage.error, value: null }
+
+  const maxCoverage = parseOptionalNumber(query.maxCoverageBps, "maxCoverageBps", { min: 0 })
+  if (maxCoverage.error) return { error: maxCoverage.error, value: null }
+
+  const from = parseTimeParam(query.from, undefined)
+  const to = parseTimeParam(query.to, undefined)
+  if (from === null || to === null) return { error: "from/to must be unix seconds or ISO timestamps", value: null }
+
+  const version = String(query.version || "").trim().toLowerCase()
+  if (version && version !== "v1" && version !== "v2") return { error: "version must be v1|v2", value: null }
+
+  return {
+    error: "",
+    value: {
+      limit,
+      order,
+      cursor,
+      filters: {
+        breakerTriggered: breaker.value,
+        minCoverageBps: minCoverage.value,
+        maxCoverageBps: maxCoverage.value,
+        from: from ?? null,
+        to: to ?? null,
+        version: version || null,
+      },
+    },
+  }
+}
+
+const matchesHistoryFilters = (item, filters) => {
+  if (!filters) return true
+  if (filters.breakerTriggered !== null && item?.breakerTriggered !== filters.breakerTriggered) return false
+  if (filters.version && item?.version !== filters.version) return false
+
+  const coverage = toFiniteNumber(item?.coverageBps)
+  if (filters.minCoverageBps !== null && !(coverage !== null && coverage >= filters.minCoverageBps)) return false
+  if (filters.maxCoverageBps !== null && !(coverage !== null && coverage <= filters.maxCoverageBps)) return false
+
+  const ts = toFiniteNumber(item?.asOfTimestamp)
+  if (filters.from !== null && !(ts !== null && ts >= filters.from)) return false
+  if (filters.to !== null && !(ts !== null && ts <= filters.to)) return false
+
+  return true
+}
+
+const pageAttestations = (items, { limit }) => {
+  const hasMore = items.length > limit
+  const events = items.slice(0, limit)
+  return {
+    events,
+    hasMore,
+    nextCursor: hasMore && events.length ? encodeHistoryCursor(events[events.length - 1]) : null,
+  }
+}
+
+app.get("/api/audit", requireScope("viewer", { projectKeys: ["project"], allowUnscoped: true }), (req, res) => {
+  const limitRaw = req.query?.limit !== undefined ? Number(req.query.limit) : 50
+  const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(AUDIT_MAX_LIMIT, Math.floor(limitRaw))) : 50
+
+  const cursorRaw = typeof req.query?.cursor === "string" ? req.query.cursor.trim() : ""
+  if (cursorRaw && !/^\d+$/.test(cursorRaw)) {
+    res.status(400).json({ error: "cursor must be a previous nextCursor value" })
+    return
+  }
+
+  const from = parseTimeParam(req.query?.from, undefined)
+  const to = parseTimeParam(req.query?.to, undefined)
+  if (from === null || to === null) {
+    res.status(400).json({ error: "from/to must be unix seconds or ISO timestamps" })
+    return
   }
 
-  saveProjectsConfig(store)
+  const projectId = typeof req.query?.project === "string" ? normalizeId(req.query.project) : ""
+  const action = typeof req.query?.action === "string" ? req.query.action.trim() : ""
+  const actor = typeof req.query?.actor === "string" ? req.query.actor.trim().toLowerCase() : ""
 
-  const connectorsCfg = loadConnectorsConfig({ draft })
-  connectorsCfg.connectors = (Array.isArray(connectorsCfg.connectors) ? connectorsCfg.connectors : []).filter(
-    (c) => normalizeId(c?.projectId) !== targetId
-  )
-  saveConnectorsConfig(connectorsCfg)
+  const visible = (entry) => {
+    const ids = Array.isArray(entry?.projectIds) ? entry.projectIds : []
+    if (!req.auth) return true
+    return ids.length ? ids.every((id) => canReadProject(req, id)) : Boolean(grantedScope(req.auth, null))
+  }
 
-  const policiesCfg = loadPoliciesConfig({ draft })
-  policiesCfg.policies = (Array.isArray(policiesCfg.policies) ? policiesCfg.policies : []).filter(
-    (p) => normalizeId(p?.projectId) !== targetId
-  )
-  savePoliciesConfig(policiesCfg)
+  const rows = storage.listRecords("audit-log", {
+    order: "desc",
+    before: cursorRaw ? Number(cursorRaw) : null,
+    from: from !== undefined ? from * 1_000_000 : null,
+    to: to !== undefined ? (to + 1) * 1_000_000 - 1 : null,
+    limit: limit + 1,
+    filter: (entry) => {
+      if (!visible(entry)) return false
+      if (projectId && !(entry.projectIds || []).includes(projectId)) return false
+      if (action && !(entry.action === action || String(entry.action || "").startsWith(`${action}.`))) return false
+      if (actor) {
+        const names = [entry.actor?.id, entry.actor?.name].map((v) => String(v || "").toLowerCase())
+        if (!names.includes(actor)) return false
+      }
+      return true
+    },
+  })
 
-  res.json({ ok: true, defaultProjectId: store.defaultProjectId })
+  const hasMore = rows.length > limit
+  const entries = rows.slice(0, limit)
+  res.json({
+    entries,
+    hasMore,
+    nextCursor: hasMore && entries.length ? entries[entries.length - 1].id : null,
+  })
 })
 
-app.get("/api/connectors", (req, res) => {
-  const draft = readDraftFlag(req)
-  const projectId =
-    typeof req.query?.project === "string"
-      ? req.query.project
-      : typeof req.query?.projectId === "string"
-        ? req.query.projectId
-        : null
-  const connectors = listConnectors(projectId, { draft })
-  res.json({ projectId: projectId || null, connectors })
-})
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 200
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "sending", "delivered", "dead"]
 
-app.post("/api/connectors", requireAdmin, (req, res) => {
-  const draft = readDraftFlag(req)
-  const result = normalizeConnectorPayload(req.body)
-  if (result.error) {
-    res.status(400).json({ error: result.error })
-    return
+const toPublicDelivery = (delivery) => {
+  let url = delivery.url
+  try {
+    const parsed = new URL(delivery.url)
+    url = `${parsed.origin}${parsed.pathname}`
+  } catch {
+    url = null
   }
+  return { ...delivery, url, attemptCount: delivery.attempts.length }
+}
 
-  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
-  if (!projectExists) {
-    res.status(404).json({ error: "project not found" })
+app.get("/api/webhooks/deliveries", requireScope("viewer", { projectKeys: ["project"], allowUnscoped: true }), (req, res) => {
+  const limitRaw = req.query?.limit !== undefined ? Number(req.query.limit) : 50
+  const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(WEBHOOK_DELIVERIES_MAX_LIMIT, Math.floor(limitRaw))) : 50
+
+  const cursorRaw = typeof req.query?.cursor === "string" ? req.query.cursor.trim() : ""
+  if (cursorRaw && !/^\d+$/.test(cursorRaw)) {
+    res.status(400).json({ error: "cursor must be a previous nextCursor value" })
     return
   }
 
-  const cfg = loadConnectorsConfig({ draft })
-  const connectors = Array.isArray(cfg.connectors) ? cfg.connectors : []
-  const exists = connectors.some(
-    (c) => normalizeId(c?.projectId) === result.value.projectId && normalizeConnectorId(c?.id) === result.value.id
-  )
-  if (exists) {
-    res.status(409).json({ error: "connector already exists" })
+  const status = typeof req.query?.status === "string" ? req.query.status.trim() : ""
+  if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+    res.status(400).json({ error: `status must be ${WEBHOOK_DELIVERY_STATUSES.join("|")}` })
     return
   }
 
-  cfg.connectors = [...connectors, result.value]
-  saveConnectorsConfig(cfg)
-  res.json({ connector: result.value })
+  const projectId = typeof req.query?.project === "string" ? normalizeId(req.query.project) : ""
+  const type = typeof req.query?.type === "string" ? req.query.type.trim() : ""
+  const subscriptionId = typeof req.query?.subscription === "string" ? req.query.subscription.trim() : ""
+
+  const rows = storage.listRecords("webhook-deliveries", {
+    order: "desc",
+    before: cursorRaw ? Number(cursorRaw) : null,
+    limit: limit + 1,
+    filter: (d) => {
+      if (req.auth && !(d.projectIds.length ? d.projectIds.every((id) => canReadProject(req, id)) : grantedScope(req.auth, null))) {
+        return false
+      }
+      if (projectId && !d.projectIds.includes(projectId)) return false
+      if (subscriptionId && d.subscriptionId !== subscriptionId) return false
+      if (status && d.status !== status) return false
+      if (type && d.type !== type) return false
+      return true
+    },
+  })
+
+  const hasMore = rows.length > limit
+  const deliveries = rows.slice(0, limit)
+  res.json({
+    deliveries: deliveries.map(toPublicDelivery),
+    hasMore,
+    nextCursor: hasMore && deliveries.length ? String(deliveries[deliveries.length - 1].sortKey) : null,
+  })
 })
 
-app.put("/api/connectors", requireAdmin, (req, res) => {
-  const draft = readDraftFlag(req)
-  const targetProjectId = normalizeId(req.body?.previousProjectId || req.body?.projectId || req.query?.projectId || req.query?.project)
-  const targetId = normalizeConnectorId(req.body?.previousId || req.body?.id || req.query?.id)
-  if (!targetProjectId || !targetId) {
-    res.status(400).json({ error: "projectId and connector id are required" })
-    return
-  }
+const auditWebhookRetry = auditAction("webhooks.retry", {
+  targets: (req) => ({ deliveryId: String(req.params.id || "") }),
+})
 
-  const payload = {
-    ...req.body,
-    projectId: req.body?.projectId || targetProjectId,
-    id: req.body?.id || targetId,
-  }
-  const result = normalizeConnectorPayload(payload)
-  if (result.error) {
-    res.status(400).json({ error: result.error })
+app.post("/api/webhooks/deliveries/:id/retry", requireScope("admin"), auditWebhookRetry, async (req, res) => {
+  const delivery = storage.getRecord("webhook-deliveries", String(req.params.id || ""))
+  if (!delivery) {
+    res.status(404).json({ error: "delivery not found" })
     return
   }
-
-  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
-  if (!projectExists) {
-    res.status(404).json({ error: "project not found" })
+  if (delivery.status === "delivered") {
+    res.status(409).json({ error: "delivery already succeeded", delivery: toPublicDelivery(delivery) })
     return
   }
-
-  const cfg = loadConnectorsConfig({ draft })
-  const connectors = Array.isArray(cfg.connectors) ? cfg.connectors : []
-  const idx = connectors.findIndex(
-    (c) => normalizeId(c?.projectId) === targetProjectId && normalizeConnectorId(c?.id) === targetId
-  )
-  if (idx < 0) {
-    res.status(404).json({ error: "connector not found" })
+  if (webhookInFlight.has(delivery.id) || (delivery.status === "sending" && !webhookClaimExpired(delivery))) {
+    res.status(409).json({ error: "delivery is being sent", delivery: toPublicDelivery(delivery) })
     return
   }
 
-  if (result.value.projectId !== targetProjectId || result.value.id !== targetId) {
-    const conflict = connectors.some(
-      (c, i) =>
-        i !== idx &&
-        normalizeId(c?.projectId) === result.value.projectId &&
-        normalizeConnectorId(c?.id) === result.value.id
-    )
-    if (conflict) {
-      res.status(409).json({ error: "connector id already exists" })
-      return
-    }
-  }
+  saveWebhookDelivery({ ...delivery, status: "pending", retryFrom: delivery.attempts.length, nextAttemptAt: Date.now() })
+  res.json({ ok: true, delivery: toPublicDelivery(await attemptWebhookDelivery(delivery.id)) })
+})
 
-  connectors[idx] = result.value
-  cfg.connectors = connectors
-  saveConnectorsConfig(cfg)
-  res.json({ connector: result.value })
+const WEBHOOK_SUBSCRIPTIONS_MAX = 100
+
+const toPublicSubscription = (sub) => ({
+  id: sub.id,
+  name: sub.name,
+  url: sub.url,
+  events: sub.events,
+  projectIds: sub.projectIds,
+  enabled: sub.enabled,
+  secretPrefix: sub.secret.slice(0, 10),
+  createdAt: sub.createdAt,
+  createdBy: sub.createdBy,
+  updatedAt: sub.updatedAt,
 })
 
-app.delete("/api/connectors", requireAdmin, (req, res) => {
-  const draft = readDraftFlag(req)
-  const projectId = normalizeId(req.body?.projectId || req.query?.projectId || req.query?.project)
-  const id = normalizeConnectorId(req.body?.id || req.query?.id)
-  if (!projectId || !id) {
-    res.status(400).json({ error: "projectId and connector id are required" })
-    return
-  }
+const normalizeSubscriptionPayload = (payload, current = null) => {
+  if (!payload || typeof payload !== "object") return { error: "invalid payload", value: null }
 
-  const cfg = loadConnectorsConfig({ draft })
-  const connectors = Array.isArray(cfg.connectors) ? cfg.connectors : []
-  const next = connectors.filter(
-    (c) => !(normalizeId(c?.projectId) === projectId && normalizeConnectorId(c?.id) === id)
-  )
+  const name = payload.name === undefined && current ? current.name : String(payload.name || "").trim()
+  if (!name) return { error: "subscription name is required", value: null }
+  if (name.length > 80) return { error: "subscription name must be at most 80 chars", value: null }
 
-  if (next.length === connectors.length) {
-    res.status(404).json({ error: "connector not found" })
-    return
+  const url = payload.url === undefined && current ? current.url : String(payload.url || "").trim()
+  let parsed = null
+  try {
+    parsed = new URL(url)
+  } catch {
+    parsed = null
+  }
+  if (!parsed || (parsed.protocol !== "https:" && parsed.protocol !== "http:")) return { error: "url must be an http(s) url", value: null }
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase()
+  if (!connectorTestAllowlist.hosts.has(host) && net.isIP(host) && isPrivateAddress(host)) {
+    return { error: privateAddressError(host).message, value: null }
   }
 
-  cfg.connectors = next
-  saveConnectorsConfig(cfg)
-  res.json({ ok: true })
-})
+  const eventsRaw = payload.events === undefined && current ? current.events : payload.events
+  if (!Array.isArray(eventsRaw) || !eventsRaw.length) return { error: "events must be a non-empty array of event types", value: null }
+  const events = Array.from(new Set(eventsRaw.map((e) => String(e || "").trim())))
+  const unknown = events.find((e) => !WEBHOOK_EVENT_TYPES.includes(e))
+  if (unknown) return { error: `unknown event type: ${unknown} (expected ${WEBHOOK_EVENT_TYPES.join("|")})`, value: null }
 
-const handlePolicyGet = (req, res) => {
-  const draft = readDraftFlag(req)
-  const projectId =
-    typeof req.query?.project === "string"
-      ? req.query.project
-      : typeof req.query?.projectId === "string"
-        ? req.query.projectId
-        : null
-  const policies = listPolicies(projectId, { draft })
-  if (projectId) {
-    res.json({ projectId, policy: policies[0] || null })
-    return
-  }
-  res.json({ policies })
+  const projectsRaw = payload.projectIds === undefined && current ? current.projectIds : payload.projectIds || []
+  if (!Array.isArray(projectsRaw)) return { error: "projectIds must be an array of project ids", value: null }
+  const projectIds = Array.from(new Set(projectsRaw.map((p) => normalizeId(p)).filter(Boolean)))
+  const invalid = projectIds.find((p) => !PROJECT_ID_RE.test(p))
+  if (invalid) return { error: `invalid project id: ${invalid}`, value: null }
+
+  if (payload.enabled !== undefined && typeof payload.enabled !== "boolean") return { error: "enabled must be boolean", value: null }
+  const enabled = payload.enabled === undefined ? current?.enabled ?? true : payload.enabled
+
+  return { error: "", value: { name, url, events, projectIds, enabled } }
 }
 
-const handlePolicyPost = (req, res) => {
-  const draft = readDraftFlag(req)
-  const result = normalizePolicyPayload(req.body)
-  if (result.error) {
-    res.status(400).json({ error: result.error })
-    return
-  }
+const createWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`
 
-  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
-  if (!projectExists) {
-    res.status(404).json({ error: "project not found" })
-    return
+const loadSubscription = (req, res) => {
+  const sub = storage.getRecord("webhook-subscriptions", String(req.params.id || ""))
+  if (!sub) {
+    res.status(404).json({ error: "webhook subscription not found" })
+    return null
   }
-
-  const cfg = loadPoliciesConfig({ draft })
-  const policies = Array.isArray(cfg.policies) ? cfg.policies : []
-  const exists = policies.some((p) => normalizeId(p?.projectId) === result.value.projectId)
-  if (exists) {
-    res.status(409).json({ error: "policy already exists" })
-    return
+  if (!canAdminProjects(req, sub.projectIds)) {
+    res.status(403).json({ error: "forbidden: requires admin scope for every project in the subscription" })
+    return null
   }
-
-  cfg.policies = [...policies, result.value]
-  savePoliciesConfig(cfg)
-  res.json({ policy: result.value })
+  return sub
 }
 
-const handlePolicyPut = (req, res) => {
-  const draft = readDraftFlag(req)
-  const targetProjectId = normalizeId(req.body?.previousProjectId || req.body?.projectId || req.query?.projectId || req.query?.project)
-  if (!targetProjectId) {
-    res.status(400).json({ error: "projectId is required" })
-    return
-  }
+const auditSubscription = (action) =>
+  auditAction(action, {
+    snapshot: (req) => {
+      const sub = req.params.id ? storage.getRecord("webhook-subscriptions", String(req.params.id)) : null
+      return sub ? toPublicSubscription(sub) : null
+    },
+    targets: (req, body) => ({
+      subscriptionId: body?.subscription?.id || String(req.params.id || "") || null,
+      projectIds: body?.subscription?.projectIds || [],
+    }),
+  })
 
-  const payload = { ...req.body, projectId: req.body?.projectId || targetProjectId }
-  const result = normalizePolicyPayload(payload)
+app.get("/api/webhooks", requireScope("admin", { allowUnscoped: true }), (req, res) => {
+  const subscriptions = storage
+    .listRecords("webhook-subscriptions", { order: "asc", filter: (sub) => canAdminProjects(req, sub.projectIds) })
+    .map(toPublicSubscription)
+  res.json({ events: WEBHOOK_EVENT_TYPES, subscriptions })
+})
+
+app.post("/api/webhooks", requireScope("admin", { allowUnscoped: true }), auditSubscription("webhooks.create"), (req, res) => {
+  const result = normalizeSubscriptionPayload(req.body)
   if (result.error) {
     res.status(400).json({ error: result.error })
     return
   }
-
-  const projectExists = listProjects({ draft }).some((p) => normalizeId(p?.id) === normalizeId(result.value.projectId))
-  if (!projectExists) {
-    res.status(404).json({ error: "project not found" })
+  if (!canAdminProjects(req, result.value.projectIds)) {
+    res.status(403).json({ error: "forbidden: subscriptions for all projects require an unrestricted admin" })
     return
   }
-
-  const cfg = loadPoliciesConfig({ draft })
-  const policies = Array.isArray(cfg.policies) ? cfg.policies : []
-  const idx = policies.findIndex((p) => normalizeId(p?.projectId) === targetProjectId)
-  if (idx < 0) {
-    res.status(404).json({ error: "policy not found" })
+  if (storage.listRecords("webhook-subscriptions").length >= WEBHOOK_SUBSCRIPTIONS_MAX) {
+    res.status(409).json({ error: `at most ${WEBHOOK_SUBSCRIPTIONS_MAX} webhook subscriptions are allowed` })
     return
   }
 
-  policies[idx] = result.value
-  cfg.policies = policies
-  savePoliciesConfig(cfg)
-  res.json({ policy: result.value })
-}
+  const now = Date.now()
+  const secret = createWebhookSecret()
+  const sub = {
+    id: `whs_${crypto.randomBytes(6).toString("hex")}`,
+    ...result.value,
+    secret,
+    createdAt: new Date(now).toISOString(),
+    createdBy: actorRef(req),
+    updatedAt: new Date(now).toISOString(),
+  }
+  storage.putRecord("webhook-subscriptions", sub.id, sub, { sortKey: now })
+  res.json({ subscription: toPublicSubscription(sub), secret })
+})
 
-const handlePolicyDelete = (req, res) => {
-  const draft = readDraftFlag(req)
-  const projectId = normalizeId(req.body?.projectId || req.query?.projectId || req.query?.project)
-  if (!projectId) {
-    res.status(400).json({ error: "projectId is required" })
+app.get("/api/webhooks/:id", requireScope("admin", { allowUnscoped: true }), (req, res) => {
+  const sub = loadSubscription(req, res)
+  if (!sub) return
+  res.json({ subscription: toPublicSubscription(sub) })
+})
+
+app.put("/api/webhooks/:id", requireScope("admin", { allowUnscoped: true }), auditSubscription("webhooks.update"), (req, res) => {
+  const current = loadSubscription(req, res)
+  if (!current) return
+
+  const result = normalizeSubscriptionPayload(req.body, current)
+  if (result.error) {
+    res.status(400).json({ error: result.error })
     return
   }
-
-  const cfg = loadPoliciesConfig({ draft })
-  const policies = Array.isArray(cfg.policies) ? cfg.policies : []
-  const next = policies.filter((p) => normalizeId(p?.projectId) !== projectId)
-  if (next.length === policies.length) {
-    res.status(404).json({ error: "policy not found" })
+  if (!canAdminProjects(req, result.value.projectIds)) {
+    res.status(403).json({ error: "forbidden: subscriptions for all projects require an unrestricted admin" })
     return
   }
 
-  cfg.policies = next
-  savePoliciesConfig(cfg)
-  res.json({ ok: true })
-}
-
-app.get("/api/policy", handlePolicyGet)
-app.get("/api/policies", handlePolicyGet)
-app.post("/api/policy", requireAdmin, handlePolicyPost)
-app.post("/api/policies", requireAdmin, handlePolicyPost)
-app.put("/api/policy", requireAdmin, handlePolicyPut)
-app.put("/api/policies", requireAdmin, handlePolicyPut)
-app.delete("/api/policy", requireAdmin, handlePolicyDelete)
-app.delete("/api/policies", requireAdmin, handlePolicyDelete)
-
-app.post("/api/publish", requireAdmin, (req, res) => {
-  const draftProjects = loadProjectsStore({ draft: true })
-  const draftConnectors = loadConnectorsConfig({ draft: true })
-  const draftPolicies = loadPoliciesConfig({ draft: true })
-
-  const liveProjects = loadProjectsStore({ draft: false })
-  liveProjects.defaultProjectId = draftProjects.defaultProjectId || null
-  liveProjects.projects = Array.isArray(draftProjects.projects) ? draftProjects.projects : []
-  saveProjectsConfig(liveProjects)
-
-  const liveConnectors = loadConnectorsConfig({ draft: false })
-  liveConnectors.connectors = Array.isArray(draftConnectors.connectors) ? draftConnectors.connectors : []
-  saveConnectorsConfig(liveConnectors)
-
-  const livePolicies = loadPoliciesConfig({ draft: false })
-  livePolicies.policies = Array.isArray(draftPolicies.policies) ? draftPolicies.policies : []
-  savePoliciesConfig(livePolicies)
-
-  saveProjectsConfig({ ...draftProjects, projects: liveProjects.projects, defaultProjectId: liveProjects.defaultProjectId })
-  saveConnectorsConfig({ ...draftConnectors, connectors: liveConnectors.connectors })
-  savePoliciesConfig({ ...draftPolicies, policies: livePolicies.policies })
-
-  res.json({ ok: true })
+  const rotate = req.body?.rotateSecret === true
+  const sub = {
+    ...current,
+    ...result.value,
+    secret: rotate ? createWebhookSecret() : current.secret,
+    updatedAt: new Date().toISOString(),
+  }
+  storage.putRecord("webhook-subscriptions", sub.id, sub, { sortKey: Date.parse(sub.createdAt) })
+  res.json(rotate ? { subscription: toPublicSubscription(sub), secret: sub.secret } : { subscription: toPublicSubscription(sub) })
 })
 
-app.get("/api/status", async (req, res) => {
-  try {
-    const projectId = typeof req.query?.project === "string" ? req.query.project : null
-    const project = getProjectById(projectId)
-
-    const incident = getIncidentState(project?.id)
-
-    const onchain = await getOnchainStatus({ project })
-    const [primaryReserve, secondaryReserve] = await Promise.all([
-      maybeSignReserve(reserveFor("source-a")),
-      maybeSignReserve(reserveFor("source-b")),
-    ])
-    const reserves = {
-      primary: primaryReserve,
-      secondary: secondaryReserve,
-    }
+app.delete("/api/webhooks/:id", requireScope("admin", { allowUnscoped: true }), auditSubscription("webhooks.delete"), (req, res) => {
+  const sub = loadSubscription(req, res)
+  if (!sub) return
 
-    const derived = computeDerived({ reserves, onchain, project, incident })
-    const explorerBase = project?.explorerBaseUrl || "https://sepolia.etherscan.io"
-    const receiverAddress = onchain?.receiverAddress
-    const liabilityTokenAddress = onchain?.liabilityTokenAddress
-    const guardian = onchain?.token?.guardian
-    const receiverOwner = onchain?.receiver?.owner
-    const tokenOwner = onchain?.token?.owner
-    const forwarderAddress = onchain?.receiver?.forwarderAddress
-
-    const links = {
-      explorerBase,
-      receiver: receiverAddress ? `${explorerBase}/address/${receiverAddress}` : null,
-      token: liabilityTokenAddress ? `${explorerBase}/address/${liabilityTokenAddress}` : null,
-      guardian: guardian ? `${explorerBase}/address/${guardian}` : null,
-      receiverOwner: receiverOwner ? `${explorerBase}/address/${receiverOwner}` : null,
-      tokenOwner: tokenOwner ? `${explorerBase}/address/${tokenOwner}` : null,
-      forwarder: forwarderAddress ? `${explorerBase}/address/${forwarderAddress}` : null,
-      lastTx: process.env.LAST_BROADCAST_TX ? `${explorerBase}/tx/${process.env.LAST_BROADCAST_TX}` : null,
-    }
-
-    const interfaces = {
-      enforcementHook: {
-        contract: "LiabilityToken",
-        function: "setMintingEnabled(bool)",
-        authorizedCallers: ["guardian", "owner"],
-      },
-      policy: {
-        contract: "ReserveWatchReceiver",
-        function: "setMinCoverageBps(uint256)",
-        authorizedCallers: ["owner"],
-      },
-      reportReceiver: {
-        contract: "ReserveWatchReceiver",
-        function: "onReport(bytes metadata, bytes report)",
-        authorizedCallers: ["forwarder"],
-      },
-    }
+  storage.deleteRecord("webhook-subscriptions", sub.id)
+  res.json({ ok: true, subscription: toPublicSubscription(sub) })
+})
 
-    const operator = {
-      recommendedActions: [],
-      flows: {
-        reenableMinting: {
-          guarded: true,
-          how: "broadcast_healthy_attestation",
-          steps: [
-            "Fix underlying issue (reserves restored, data sources healthy)",
-            "Set reserve API to healthy (demo) or validate live sources (prod)",
-            "Run workflow with broadcast to publish a healthy attestation",
-            "Verify onchain: receiver.mintingPaused=false AND token.mintingEnabled=true",
-          ],
-          notes: [
-            "Directly calling token.setMintingEnabled(true) should be restricted to owner/guardian; the preferred path is a healthy attestation to avoid bypassing policy.",
-          ],
-        },
-      },
-    }
+app.post("/api/webhooks/:id/test", requireScope("admin", { allowUnscoped: true }), async (req, res) => {
+  const sub = loadSubscription(req, res)
+  if (!sub) return
 
-    if (derived.status === "STALE") {
-      operator.recommendedActions.push("check_rpc_and_data_sources")
-    }
-    if (derived.reasons.includes("enforcement_not_wired") || derived.reasons.includes("forwarder_not_set")) {
-      operator.recommendedActions.push("fix_enforcement_wiring_roles")
-    }
-    if (derived.reasons.includes("reserve_source_mismatch")) {
-      operator.recommendedActions.push("investigate_source_discrepancy")
-    }
-    if (derived.reasons.includes("incident_active")) {
-      operator.recommendedActions.push("check_incident_feed")
-    }
-    if (derived.reasons.includes("coverage_below_threshold")) {
-      operator.recommendedActions.push("broadcast_new_attestation_after_fix")
-    }
-    if (derived.reasons.includes("minting_paused") || derived.reasons.includes("minting_disabled")) {
-      operator.recommendedActions.push("use_guarded_reenable_flow")
-    }
+  const requested = String(req.body?.event || "").trim()
+  if (requested && !WEBHOOK_EVENT_TYPES.includes(requested)) {
+    res.status(400).json({ error: `unknown event type: ${requested}` })
+    return
+  }
 
-    res.json({ mode, reserves, onchain, incident, derived, links, interfaces, operator })
-  } catch (err) {
-    res.status(500).json({
-      mode,
-      error: String(err?.message || err),
-    })
+  const payload = {
+    type: "test",
+    at: Math.floor(Date.now() / 1000),
+    subscriptionId: sub.id,
+    event: requested || sub.events[0],
+    projectId: sub.projectIds[0] || null,
+    message: `ReserveWatch test event for ${sub.name}`,
   }
+  const delivery = enqueueWebhookDelivery({ url: sub.url, payload, projectIds: sub.projectIds.slice(0, 1), subscriptionId: sub.id, send: false })
+  const result = await attemptWebhookDelivery(delivery.id)
+  res.json({ ok: result.status === "delivered", delivery: toPublicDelivery(result) })
 })
 
-app.get("/api/history", async (req, res) => {
+app.get("/api/history", requireRead({ projectKeys: ["project"] }), async (req, res) => {
   try {
     const projectId = typeof req.query?.project === "string" ? req.query.project : null
     const project = getProjectById(projectId)
-    const limitRaw = typeof req.query?.limit === "string" ? Number(req.query.limit) : 10
-    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(50, Math.floor(limitRaw))) : 10
+    const parsed = parseHistoryQuery(req.query || {})
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error })
+      return
+    }
+    const query = parsed.value
 
-    const history = await getAttestationHistory({ project, limit })
+    const indexed = attestationIndexEnabled() ? getIndexedAttestationHistory({ project, query }) : null
+    if (!indexed && attestationIndexEnabled()) void indexProjectAttestations(project)
+    const history = indexed || (await getAttestationHistory({ project, query }))
+    const page = pageAttestations(Array.isArray(history?.events) ? history.events : [], query)
     const explorerBase = project?.explorerBaseUrl || "https://sepolia.etherscan.io"
-    const events = Array.isArray(history?.events)
-      ? history.events.map((e) => ({
-          ...e,
-          txUrl: e?.transactionHash ? `${explorerBase}/tx/${e.transactionHash}` : null,
-        }))
-      : []
+    const events = page.events.map((e) => ({
+      ...e,
+      txUrl: e?.transactionHash ? `${explorerBase}/tx/${e.transactionHash}` : null,
+    }))
 
     res.json({
       project: { id: project?.id || null, name: project?.name || null },
@@ -1655,6 +6039,11 @@ app.get("/api/history", async (req, res) => {
       fromBlock: history?.fromBlock || null,
       toBlock: history?.toBlock || null,
       error: history?.error || null,
+      indexer: history?.indexer || (attestationIndexEnabled() ? toIndexerStatus(getAttestationCheckpoint(project)) : null),
+      order: query.order,
+      filters: query.filters,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
       events,
     })
   } catch (err) {
@@ -1737,3 +6126,37 @@ const port = Number(process.env.PORT || 8787)
 app.listen(port, "127.0.0.1", () => {
   process.stdout.write(`reserve api listening on http://127.0.0.1:${port}\n`)
 })
+
+const shutdown = () => {
+  for (const { run } of activeRuns.values()) saveRun(run)
+  for (const run of runQueue) saveRun(run)
+  storage.close()
+  process.exit(0)
+}
+
+if (attestationIndexEnabled()) {
+  void indexAllAttestations()
+  setInterval(() => void indexAllAttestations(), ATTESTATION_INDEX_INTERVAL_MS)
+}
+
+if (Number.isFinite(TIMESERIES_INTERVAL_MS) && TIMESERIES_INTERVAL_MS > 0) {
+  setInterval(() => void recordTimeseries(), TIMESERIES_INTERVAL_MS)
+}
+
+setInterval(() => void processWebhookQueue(), WEBHOOK_QUEUE_TICK_MS)
+
+if (Number.isFinite(ENFORCEMENT_WATCH_INTERVAL_MS) && ENFORCEMENT_WATCH_INTERVAL_MS > 0) {
+  void watchEnforcement()
+  setInterval(() => void watchEnforcement(), ENFORCEMENT_WATCH_INTERVAL_MS)
+}
+
+if (Number.isFinite(ALERT_EVAL_INTERVAL_MS) && ALERT_EVAL_INTERVAL_MS > 0) {
+  setInterval(() => void evaluateAlerts(), ALERT_EVAL_INTERVAL_MS)
+}
+
+if (Number.isFinite(STATUS_EVENT_INTERVAL_MS) && STATUS_EVENT_INTERVAL_MS > 0) {
+  setInterval(() => void watchProjectStatus(), STATUS_EVENT_INTERVAL_MS)
+}
+
+process.on("SIGINT", shutdown)
+process.on("SIGTERM", shutdown)
@@ -0,0 +1,77 @@
+import { privateKeyToAccount, generatePrivateKey } from "viem/accounts"
+import { createSiweMessage } from "viem/siwe"
+
+const parseArgs = (argv) => {
+  const out = {
+    api: process.env.RESERVEWATCH_API || "http://127.0.0.1:8787",
+    privateKey: process.env.SIWE_PRIVATE_KEY || "",
+    chainId: 11155111,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a === "--api") out.api = argv[++i]
+    else if (a === "--key") out.privateKey = argv[++i]
+    else if (a === "--chain-id") out.chainId = Number(argv[++i])
+    else if (a === "-h" || a === "--help") out.help = true
+  }
+
+  return out
+}
+
+const requestJson = async (url, init = {}) => {
+  const r = await fetch(url, {
+    ...init,
+    headers: { "content-type": "application/json", ...(init.headers || {}) },
+  })
+  const text = await r.text().catch(() => "")
+  if (!r.ok) throw new Error(`HTTP ${r.status} ${text}`)
+  return { body: text ? JSON.parse(text) : null, headers: r.headers }
+}
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help) {
+    process.stdout.write(`ReserveWatch SIWE login (offline signer)
+
+Usage:
+  node siwe-login.mjs [--api http://127.0.0.1:8787] [--key 0x<private key>] [--chain-id 11155111]
+
+Signs an EIP-4361 message with a local private key (SIWE_PRIVATE_KEY, or a fresh key when unset)
+and prints the session cookie issued by the API.
+`)
+    return
+  }
+
+  const privateKey = args.privateKey || generatePrivateKey()
+  const account = privateKeyToAccount(privateKey)
+  const base = new URL(args.api)
+
+  const { body: nonceRes } = await requestJson(new URL("/api/auth/siwe/nonce", base))
+  const message = createSiweMessage({
+    address: account.address,
+    chainId: args.chainId,
+    domain: nonceRes.domain || base.host,
+    nonce: nonceRes.nonce,
+    uri: base.origin,
+    version: "1",
+    statement: "Sign in to the ReserveWatch console",
+    issuedAt: new Date(),
+  })
+  const signature = await account.signMessage({ message })
+
+  const { body, headers } = await requestJson(new URL("/api/auth/siwe/verify", base), {
+    method: "POST",
+    body: JSON.stringify({ message, signature }),
+  })
+
+  const cookie = String(headers.get("set-cookie") || "").split(";")[0]
+  process.stdout.write(`address: ${account.address}\n`)
+  process.stdout.write(`cookie: ${cookie}\n`)
+  process.stdout.write(`${JSON.stringify(body?.auth || null, null, 2)}\n`)
+}
+
+main().catch((err) => {
+  process.stderr.write(`${String(err?.message || err)}\n`)
+  process.exit(1)
+})
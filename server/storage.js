@@ -0,0 +1,380 @@
+import fs from "node:fs"
+import path from "node:path"
+
+export const readJsonFile = (targetPath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(targetPath, "utf8"))
+  } catch {
+    return fallback
+  }
+}
+
+export const writeJsonFile = (targetPath, payload) => {
+  const dir = path.dirname(targetPath)
+  fs.mkdirSync(dir, { recursive: true })
+  const tmpPath = `${targetPath}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(payload, null, 2) + "\n")
+  fs.renameSync(tmpPath, targetPath)
+}
+
+const COLLECTION_RE = /^[a-z][a-z0-9-]{0,62}$/
+
+const assertCollection = (collection) => {
+  const name = String(collection || "")
+  if (!COLLECTION_RE.test(name)) throw new Error(`invalid storage collection: ${name}`)
+  return name
+}
+
+const sortKeyOrNull = (value) => {
+  if (value === null || value === undefined) return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : null
+}
+
+const matchesRange = (entry, { scope, from, to, after, before }) => {
+  if (scope !== undefined && scope !== null && entry.scope !== scope) return false
+  const k = entry.sortKey
+  if (from !== undefined && from !== null && !(k !== null && k >= from)) return false
+  if (to !== undefined && to !== null && !(k !== null && k <= to)) return false
+  if (after !== undefined && after !== null && !(k !== null && k > after)) return false
+  if (before !== undefined && before !== null && !(k !== null && k < before)) return false
+  return true
+}
+
+const compareEntries = (a, b) => {
+  const ak = a.sortKey === null ? -Infinity : a.sortKey
+  const bk = b.sortKey === null ? -Infinity : b.sortKey
+  if (ak !== bk) return ak < bk ? -1 : 1
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+}
+
+const normalizeLimit = (limit) => {
+  const n = Number(limit)
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null
+}
+
+const toEntry = (id, value, { scope = null, sortKey = null } = {}) => ({
+  id: String(id),
+  scope: typeof scope === "string" ? scope : null,
+  sortKey: sortKeyOrNull(sortKey),
+  value,
+})
+
+const createJsonStorage = ({ dataDir, documentPath, logCollections = [] }) => {
+  const collections = new Map()
+  const logged = new Set(logCollections)
+
+  const resolveDocumentPath = (name) => {
+    const override = typeof documentPath === "function" ? documentPath(name) : null
+    return override || path.join(dataDir, `${name}.json`)
+  }
+
+  const collectionPath = (collection) => path.join(dataDir, "records", `${collection}.json`)
+  const logPath = (collection) => path.join(dataDir, "records", `${collection}.jsonl`)
+
+  const readLog = (collection) => {
+    try {
+      return fs
+        .readFileSync(logPath(collection), "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line)
+          } catch {
+            return null
+          }
+        })
+    } catch {
+      return []
+    }
+  }
+
+  const loadCollection = (collection) => {
+    const name = assertCollection(collection)
+    const existing = collections.get(name)
+    if (existing) return existing
+
+    const entries = new Map()
+    if (logged.has(name)) {
+      const legacy = !fs.existsSync(logPath(name)) && fs.existsSync(collectionPath(name))
+      const lines = legacy ? readJsonFile(collectionPath(name), null)?.records || [] : readLog(name)
+      for (const line of lines) {
+        if (!line || typeof line.id !== "string") continue
+        if (line.deleted) entries.delete(line.id)
+        else entries.set(line.id, toEntry(line.id, line.value, line))
+      }
+      collections.set(name, entries)
+      if (legacy) {
+        flushCollection(name)
+        fs.rmSync(collectionPath(name), { force: true })
+      }
+      return entries
+    }
+
+    const raw = readJsonFile(collectionPath(name), null)
+    const list = Array.isArray(raw?.records) ? raw.records : []
+    for (const entry of list) {
+      if (!entry || typeof entry.id !== "string") continue
+      entries.set(entry.id, toEntry(entry.id, entry.value, entry))
+    }
+    collections.set(name, entries)
+    return entries
+  }
+
+  const appendLog = (collection, lines) => {
+    fs.mkdirSync(path.dirname(logPath(collection)), { recursive: true })
+    fs.appendFileSync(logPath(collection), lines.map((line) => JSON.stringify(line) + "\n").join(""))
+  }
+
+  const flushCollection = (collection) => {
+    const entries = loadCollection(collection)
+    if (!logged.has(collection)) {
+      writeJsonFile(collectionPath(collection), { records: Array.from(entries.values()) })
+      return
+    }
+    const target = logPath(collection)
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    fs.writeFileSync(`${target}.tmp`, Array.from(entries.values(), (entry) => JSON.stringify(entry) + "\n").join(""))
+    fs.renameSync(`${target}.tmp`, target)
+  }
+
+  const writeEntries = (collection, list) => {
+    const entries = loadCollection(collection)
+    for (const entry of list) entries.set(entry.id, entry)
+    if (logged.has(collection)) appendLog(collection, list)
+    else flushCollection(collection)
+  }
+
+  return {
+    driver: "json",
+    location: dataDir,
+
+    getDocument: (name, fallback = null) => readJsonFile(resolveDocumentPath(name), fallback),
+
+    putDocument: (name, payload) => {
+      writeJsonFile(resolveDocumentPath(name), payload)
+    },
+
+    getRecord: (collection, id) => {
+      const entry = loadCollection(collection).get(String(id))
+      return entry ? entry.value : null
+    },
+
+    putRecord: (collection, id, value, options = {}) => {
+      writeEntries(collection, [toEntry(id, value, options)])
+      return value
+    },
+
+    putRecords: (collection, records) => {
+      if (records.length) writeEntries(collection, records.map((r) => toEntry(r.id, r.value, r)))
+      return records.length
+    },
+
+    deleteRecord: (collection, id) => {
+      const entries = loadCollection(collection)
+      const removed = entries.delete(String(id))
+      if (removed && logged.has(collection)) appendLog(collection, [{ id: String(id), deleted: true }])
+      else if (removed) flushCollection(collection)
+      return removed
+    },
+
+    listRecords: (collection, options = {}) => {
+      const limit = normalizeLimit(options.limit)
+      const filter = typeof options.filter === "function" ? options.filter : null
+      const sorted = Array.from(loadCollection(collection).values())
+        .filter((entry) => matchesRange(entry, options))
+        .sort(compareEntries)
+      if (options.order === "desc") sorted.reverse()
+
+      const out = []
+      for (const entry of sorted) {
+        if (filter && !filter(entry.value)) continue
+        out.push(entry.value)
+        if (limit !== null && out.length >= limit) break
+      }
+      return out
+    },
+
+    deleteRecords: (collection, options = {}) => {
+      const entries = loadCollection(collection)
+      let removed = 0
+      for (const entry of Array.from(entries.values())) {
+        if (!matchesRange(entry, options)) continue
+        entries.delete(entry.id)
+        removed += 1
+      }
+      if (removed) flushCollection(collection)
+      return removed
+    },
+
+    close: () => {},
+  }
+}
+
+const createSqliteStorage = async ({ filename, documentPath }) => {
+  let Database
+  try {
+    Database = (await import("better-sqlite3")).default
+  } catch (err) {
+    throw new Error(`sqlite storage requires the better-sqlite3 package (${String(err?.message || err)})`)
+  }
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true })
+  const db = new Database(filename)
+  db.pragma("journal_mode = WAL")
+  db.pragma("synchronous = NORMAL")
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      payload TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      scope TEXT,
+      sort_key REAL,
+      payload TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE INDEX IF NOT EXISTS records_scope_sort ON records (collection, scope, sort_key);
+    CREATE INDEX IF NOT EXISTS records_sort ON records (collection, sort_key);
+  `)
+
+  const stmts = {
+    getDocument: db.prepare("SELECT payload FROM documents WHERE name = ?"),
+    putDocument: db.prepare(
+      "INSERT INTO documents (name, payload, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET payload = excluded.payload, updated_at = excluded.updated_at"
+    ),
+    getRecord: db.prepare("SELECT payload FROM records WHERE collection = ? AND id = ?"),
+    putRecord: db.prepare(
+      "INSERT INTO records (collection, id, scope, sort_key, payload) VALUES (?, ?, ?, ?, ?) ON CONFLICT(collection, id) DO UPDATE SET scope = excluded.scope, sort_key = excluded.sort_key, payload = excluded.payload"
+    ),
+    deleteRecord: db.prepare("DELETE FROM records WHERE collection = ? AND id = ?"),
+  }
+
+  const buildWhere = (collection, { scope, from, to, after, before }) => {
+    const clauses = ["collection = ?"]
+    const params = [collection]
+    if (scope !== undefined && scope !== null) {
+      clauses.push("scope = ?")
+      params.push(scope)
+    }
+    if (from !== undefined && from !== null) {
+      clauses.push("sort_key >= ?")
+      params.push(Number(from))
+    }
+    if (to !== undefined && to !== null) {
+      clauses.push("sort_key <= ?")
+      params.push(Number(to))
+    }
+    if (after !== undefined && after !== null) {
+      clauses.push("sort_key > ?")
+      params.push(Number(after))
+    }
+    if (before !== undefined && before !== null) {
+      clauses.push("sort_key < ?")
+      params.push(Number(before))
+    }
+    return { where: clauses.join(" AND "), params }
+  }
+
+  const parsePayload = (row) => {
+    try {
+      return JSON.parse(row.payload)
+    } catch {
+      return null
+    }
+  }
+
+  return {
+    driver: "sqlite",
+    location: filename,
+
+    getDocument: (name, fallback = null) => {
+      const row = stmts.getDocument.get(name)
+      if (row) return parsePayload(row) ?? fallback
+
+      const legacyPath = typeof documentPath === "function" ? documentPath(name) : null
+      const legacy = legacyPath ? readJsonFile(legacyPath, null) : null
+      if (legacy === null) return fallback
+      stmts.putDocument.run(name, JSON.stringify(legacy), Date.now())
+      return legacy
+    },
+
+    putDocument: (name, payload) => {
+      stmts.putDocument.run(name, JSON.stringify(payload), Date.now())
+    },
+
+    getRecord: (collection, id) => {
+      const row = stmts.getRecord.get(assertCollection(collection), String(id))
+      return row ? parsePayload(row) : null
+    },
+
+    putRecord: (collection, id, value, { scope = null, sortKey = null } = {}) => {
+      stmts.putRecord.run(
+        assertCollection(collection),
+        String(id),
+        typeof scope === "string" ? scope : null,
+        sortKeyOrNull(sortKey),
+        JSON.stringify(value)
+      )
+      return value
+    },
+
+    putRecords: (collection, records) => {
+      const name = assertCollection(collection)
+      db.transaction(() => {
+        for (const r of records) {
+          stmts.putRecord.run(name, String(r.id), typeof r.scope === "string" ? r.scope : null, sortKeyOrNull(r.sortKey), JSON.stringify(r.value))
+        }
+      })()
+      return records.length
+    },
+
+    deleteRecord: (collection, id) => {
+      return stmts.deleteRecord.run(assertCollection(collection), String(id)).changes > 0
+    },
+
+    listRecords: (collection, options = {}) => {
+      const limit = normalizeLimit(options.limit)
+      const filter = typeof options.filter === "function" ? options.filter : null
+      const dir = options.order === "desc" ? "DESC" : "ASC"
+      const { where, params } = buildWhere(assertCollection(collection), options)
+      const sql = `SELECT payload FROM records WHERE ${where} ORDER BY sort_key ${dir}, id ${dir}${
+        !filter && limit !== null ? ` LIMIT ${limit}` : ""
+      }`
+
+      const out = []
+      for (const row of db.prepare(sql).iterate(...params)) {
+        const value = parsePayload(row)
+        if (filter && !filter(value)) continue
+        out.push(value)
+        if (limit !== null && out.length >= limit) break
+      }
+      return out
+    },
+
+    deleteRecords: (collection, options = {}) => {
+      const { where, params } = buildWhere(assertCollection(collection), options)
+      return db.prepare(`DELETE FROM records WHERE ${where}`).run(...params).changes
+    },
+
+    close: () => {
+      db.close()
+    },
+  }
+}
+
+export const createStorage = async ({ driver = "json", dataDir, sqlitePath, documentPath, logCollections } = {}) => {
+  const kind = String(driver || "json").trim().toLowerCase()
+  if (kind === "json") {
+    return createJsonStorage({ dataDir, documentPath, logCollections })
+  }
+  if (kind === "sqlite") {
+    return createSqliteStorage({ filename: sqlitePath || path.join(dataDir, "reservewatch.db"), documentPath })
+  }
+  throw new Error(`unknown storage driver: ${kind} (expected json|sqlite)`)
+}